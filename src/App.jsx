@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { 
   LayoutDashboard, 
   CheckCircle2, 
@@ -19,8 +19,48 @@ import {
   BarChart3,
   Briefcase,
   UserPlus,
+  UserMinus,
+  UserCheck,
   Lock,
-  Menu
+  Menu,
+  KanbanSquare,
+  LayoutList,
+  MessageSquare,
+  Send,
+  Pencil,
+  History,
+  FolderKanban,
+  ArrowLeft,
+  GitMerge,
+  Search,
+  ArrowUpDown,
+  ArrowUp,
+  ArrowDown,
+  Download,
+  Upload,
+  Repeat,
+  ListChecks,
+  CheckSquare,
+  Square,
+  Ban,
+  Link2,
+  Bell,
+  Settings,
+  CalendarDays,
+  ChevronLeft,
+  GanttChartSquare,
+  TrendingDown,
+  TrendingUp,
+  Timer,
+  Gauge,
+  Play,
+  StopCircle,
+  ClipboardCheck,
+  Paperclip,
+  FileText,
+  Image as ImageIcon,
+  Building2,
+  RotateCcw
 } from 'lucide-react';
 import { 
   BarChart,
@@ -33,12 +73,630 @@ import {
   PieChart, 
   Pie, 
   Cell,
-  Legend 
+  Legend,
+  LineChart,
+  Line
 } from 'recharts';
 
 // Global reference for Supabase
 let supabaseInstance = null;
 const COLORS = ['#6366f1', '#10b981', '#f59e0b', '#ef4444'];
+const TASK_STATUSES = ['Pending', 'In Progress', 'Completed'];
+// --- RECURRENCE ---
+// A series stores its rule as "every interval_count interval_unit(s)"; the presets are shorthands
+const RECURRENCE_FREQUENCIES = [
+  { value: 'none', label: 'Does not repeat' },
+  { value: 'daily', label: 'Daily', unit: 'day' },
+  { value: 'weekly', label: 'Weekly', unit: 'week' },
+  { value: 'monthly', label: 'Monthly', unit: 'month' },
+  { value: 'custom', label: 'Custom interval' }
+];
+const RECURRENCE_UNITS = ['day', 'week', 'month'];
+const EMPTY_RECURRENCE = { frequency: 'none', interval_count: 1, interval_unit: 'week', ends: 'never', end_date: '', max_occurrences: '' };
+
+// --- PRIORITIES & LABELS ---
+const TASK_PRIORITIES = ['Low', 'Medium', 'High', 'Urgent'];
+const PRIORITY_STYLES = {
+  Low: 'bg-slate-100 text-slate-500',
+  Medium: 'bg-sky-50 text-sky-600',
+  High: 'bg-amber-50 text-amber-600',
+  Urgent: 'bg-red-50 text-red-600'
+};
+const PRIORITY_COLORS = { Low: '#94a3b8', Medium: '#0ea5e9', High: '#f59e0b', Urgent: '#ef4444' };
+const EMPTY_LABEL = { name: '', color: '#6366f1' };
+
+const EMPTY_TASK = { title: '', project_id: '', assigned_to: '', start_date: '', due_date: '', priority: 'Medium', label_ids: [], estimate_hours: '', recurrence: EMPTY_RECURRENCE };
+
+const PROJECT_STATUSES = ['Active', 'On Hold', 'Completed', 'Archived'];
+const PROJECT_COLORS = ['#6366f1', '#10b981', '#f59e0b', '#ef4444', '#0ea5e9', '#8b5cf6', '#ec4899', '#64748b'];
+const EMPTY_PROJECT = { name: '', description: '', owner_id: '', color: PROJECT_COLORS[0], status: 'Active', start_date: '', end_date: '' };
+const EMPTY_MERGE = { target_id: '', source_ids: [] };
+
+// Collapses case, spacing and punctuation: "Assignee Email" and "assignee_email" compare equal
+const normalizeKey = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// So "Website", "website " and "Web site" compare equal
+const normalizeProjectName = normalizeKey;
+
+// Fields a partner may change on a task assigned to them; admins may edit everything
+const PARTNER_EDITABLE_FIELDS = ['status', 'description'];
+const TASK_EDITABLE_FIELDS = ['title', 'project_id', 'assigned_to', 'start_date', 'due_date', 'status', 'priority', 'label_ids', 'estimate_hours', 'description'];
+
+// Fields a recurring series copies onto the occurrences it has yet to create
+const SERIES_TEMPLATE_FIELDS = ['title', 'project_id', 'assigned_to', 'priority', 'label_ids', 'estimate_hours', 'description'];
+
+// --- WORKLOAD ---
+const WORKLOAD_WEEKS = 6;
+const DEFAULT_WEEKLY_CAPACITY = 40;
+
+// Hours as typed into an estimate or capacity field: null when empty, undefined when invalid
+const parseHours = (value, max) => {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  const hours = Number(text);
+  return Number.isFinite(hours) && hours >= 0 && hours <= max ? Math.round(hours * 10) / 10 : undefined;
+};
+
+const parseEstimate = (value) => {
+  const hours = parseHours(value, 1000);
+  return hours === 0 ? undefined : hours;
+};
+
+// --- TIME TRACKING ---
+const TIMESHEET_STATUS_STYLES = {
+  Draft: 'bg-slate-100 text-slate-500',
+  Submitted: 'bg-amber-50 text-amber-600',
+  Approved: 'bg-emerald-50 text-emerald-600',
+  Rejected: 'bg-red-50 text-red-600'
+};
+
+const EMPTY_TIME_DRAFT = { entry_date: '', hours: '', note: '' };
+
+const formatMinutes = (minutes) => {
+  const h = Math.floor(minutes / 60);
+  const m = Math.round(minutes % 60);
+  if (!h) return `${m}m`;
+  return m ? `${h}h ${m}m` : `${h}h`;
+};
+
+const formatElapsed = (since, now) => {
+  const seconds = Math.max(0, Math.floor((now - new Date(since).getTime()) / 1000));
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+};
+
+const minutesToHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+// --- ATTACHMENTS ---
+// Limits mirror the task-attachments bucket settings (see migrations); Storage enforces them too
+const ATTACHMENT_BUCKET = 'task-attachments';
+const ATTACHMENT_MAX_BYTES = 25 * 1024 * 1024;
+// Queued files of deleted tasks removed per Storage request
+const ATTACHMENT_CLEANUP_BATCH = 100;
+const ATTACHMENT_TYPES = [
+  'application/pdf',
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+  'text/plain', 'text/csv',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const canPreviewAttachment = (attachment) => (
+  attachment.content_type.startsWith('image/') || attachment.content_type === 'application/pdf'
+);
+
+const validateAttachment = (file) => {
+  if (!ATTACHMENT_TYPES.includes(file.type)) return `${file.name} is not a supported file type`;
+  if (file.size === 0) return `${file.name} is empty`;
+  if (file.size > ATTACHMENT_MAX_BYTES) return `${file.name} is larger than ${formatBytes(ATTACHMENT_MAX_BYTES)}`;
+  return null;
+};
+
+// Storage object names are "<task id>/<random>-<file name>"; the random part keeps re-uploads apart
+const attachmentPath = (taskId, fileName) => (
+  `${taskId}/${crypto.randomUUID()}-${fileName.replace(/[^\w.\-]+/g, '_').slice(-120)}`
+);
+
+// supabase-js uploads with fetch, which can't report progress; this sends the same request
+// as uploadToSignedUrl over XHR so the drawer can show a progress bar
+const uploadToSignedUrl = (signedUrl, file, onProgress) => new Promise((resolve, reject) => {
+  const body = new FormData();
+  body.append('cacheControl', '3600');
+  body.append('', file);
+
+  const xhr = new XMLHttpRequest();
+  xhr.open('PUT', signedUrl);
+  xhr.setRequestHeader('x-upsert', 'false');
+  xhr.upload.onprogress = (e) => {
+    if (e.lengthComputable) onProgress(Math.round((e.loaded / e.total) * 100));
+  };
+  xhr.onload = () => {
+    if (xhr.status >= 200 && xhr.status < 300) {
+      resolve();
+      return;
+    }
+    let message = `Upload failed (${xhr.status})`;
+    try { message = JSON.parse(xhr.responseText).message || message; } catch { /* keep the status message */ }
+    reject(new Error(message));
+  };
+  xhr.onerror = () => reject(new Error('Network error during upload'));
+  xhr.send(body);
+});
+
+// --- ROLES & PERMISSIONS ---
+// The permissions the role_permissions table can grant (see migrations), in display order
+const PERMISSIONS = [
+  { key: 'tasks.view_all', label: 'See every task' },
+  { key: 'tasks.manage', label: 'Create, edit and delete tasks' },
+  { key: 'tasks.work', label: 'Work on assigned tasks' },
+  { key: 'projects.manage', label: 'Manage projects' },
+  { key: 'team.view', label: 'See the team and workload' },
+  { key: 'team.manage', label: 'Invite people and change roles' },
+  { key: 'time.track', label: 'Track time' },
+  { key: 'time.review', label: 'Review timesheets' },
+  { key: 'audit.view', label: 'Read the audit log' },
+  { key: 'settings.manage', label: 'Change settings and labels' }
+];
+
+// --- INVITATIONS ---
+const EMPTY_INVITE = { name: '', email: '', role: 'partner' };
+// Open tasks listed in the offboarding dialog; the counts there cover all of them
+const OFFBOARDING_PREVIEW_LIMIT = 200;
+const EMPTY_INVITE_ACCEPT = { name: '', password: '', confirm: '' };
+const MIN_PASSWORD_LENGTH = 8;
+
+const INVITE_STATUS_STYLES = {
+  Pending: 'bg-amber-50 text-amber-600',
+  Expired: 'bg-slate-100 text-slate-500',
+  Accepted: 'bg-emerald-50 text-emerald-600',
+  Revoked: 'bg-red-50 text-red-600'
+};
+
+const invitationStatus = (invitation) => {
+  if (invitation.accepted_at) return 'Accepted';
+  if (invitation.revoked_at) return 'Revoked';
+  return new Date(invitation.expires_at) <= new Date() ? 'Expired' : 'Pending';
+};
+
+// Only the token travels in the link; the database keeps its hash
+const inviteLink = (token) => `${window.location.origin}${window.location.pathname}?invite=${token}`;
+
+const inviteMailto = ({ name, email, link }) => {
+  const body = `Hi ${name},\n\nYou've been invited to join TaskFlow. Open this link to choose your password and get started:\n\n${link}\n\nThe link works once and expires in 7 days.`;
+  return `mailto:${encodeURIComponent(email)}?subject=${encodeURIComponent('Your TaskFlow invitation')}&body=${encodeURIComponent(body)}`;
+};
+
+// --- PROGRESS ---
+// 'tasks' counts whole Completed tasks; 'checklist' weights each task by its checklist items
+const PROGRESS_MODES = [
+  { value: 'tasks', label: 'Tasks' },
+  { value: 'checklist', label: 'Checklist' }
+];
+
+// Mirrors item_total/item_done in the task_counts view, for task lists already in memory
+const checklistUnits = (task) => {
+  const total = Math.max(task.checklist_total || 0, 1);
+  return { total, done: task.status === 'Completed' ? total : task.checklist_done || 0 };
+};
+
+// [title, subtitle] per view and role
+const VIEW_HEADINGS = {
+  dashboard: {
+    all: ['Overview', 'Consolidated project metrics'],
+    own: ['Overview', 'Your personal performance metrics']
+  },
+  tasks: {
+    all: ['All Tasks', 'Full visibility of all deliverables'],
+    own: ['My Tasks', 'Tasks assigned to your profile']
+  },
+  partners: {
+    all: ['Partners', 'Administer user access']
+  },
+  projects: {
+    all: ['Projects', 'Every engagement and its progress'],
+    own: ['Projects', 'Projects you are contributing to']
+  },
+  audit: {
+    all: ['Audit Log', 'Every change across tasks and team']
+  },
+  settings: {
+    all: ['Settings', 'Workspace rules for everyone']
+  },
+  trash: {
+    all: ['Trash', 'Deleted tasks, kept until restored or purged']
+  },
+  workload: {
+    all: ['Workload', 'Estimated hours against weekly capacity']
+  },
+  timesheets: {
+    all: ['Timesheets', 'Logged hours, approvals and reports'],
+    own: ['Timesheets', 'Your logged hours by week']
+  }
+};
+
+const DEFAULT_APP_SETTINGS = { blocked_tasks_can_start: true, trash_retention_days: 30 };
+
+// Choices for app_settings.trash_retention_days (1-365 in the database)
+const TRASH_RETENTION_OPTIONS = [7, 14, 30, 60, 90, 180, 365];
+
+// Replaces the row with the same id, or prepends it (lists are ordered newest first)
+const upsertById = (rows, row) => (
+  rows.some(r => r.id === row.id)
+    ? rows.map(r => r.id === row.id ? row : r)
+    : [row, ...rows]
+);
+
+const byName = (a, b) => (a.name || '').localeCompare(b.name || '');
+
+// Team members are profiles plus their role in the active workspace; profile changes keep the role
+const mergeProfile = (members, profile) => members.map(m => m.id === profile.id ? { ...m, ...profile } : m);
+
+// --- TASK FILTERS ---
+// Filter and sort state is mirrored into the query string so filtered lists can be bookmarked
+const EMPTY_TASK_FILTERS = { q: '', status: '', priority: '', label: '', project: '', assignee: '', due_from: '', due_to: '' };
+const DEFAULT_TASK_SORT = { key: '', dir: 'asc' };
+
+const readTaskFiltersFromUrl = () => {
+  const params = new URLSearchParams(window.location.search);
+  const filters = Object.keys(EMPTY_TASK_FILTERS).reduce((acc, key) => {
+    acc[key] = params.get(key) || '';
+    return acc;
+  }, {});
+  return {
+    view: params.get('view') === 'tasks' ? 'tasks' : 'dashboard',
+    filters,
+    sort: { key: params.get('sort') || '', dir: params.get('dir') === 'desc' ? 'desc' : 'asc' }
+  };
+};
+
+const writeTaskFiltersToUrl = (view, filters, sort) => {
+  const params = new URLSearchParams();
+  if (view === 'tasks') {
+    params.set('view', 'tasks');
+    Object.entries(filters).forEach(([key, value]) => { if (value) params.set(key, value); });
+    if (sort.key) {
+      params.set('sort', sort.key);
+      params.set('dir', sort.dir);
+    }
+  }
+  const search = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+};
+
+const hasActiveTaskFilters = (filters) => Object.values(filters).some(Boolean);
+
+// --- SERVER-SIDE TASK LIST ---
+const TASK_PAGE_SIZE = 50;
+const TASK_ROW_HEIGHT = 120;
+
+// assignee_name, status_rank and priority_rank are computed columns on tasks (see migrations)
+const TASK_SORT_COLUMNS = {
+  title: 'title',
+  assignee: 'assignee_name',
+  due_date: 'due_date',
+  priority: 'priority_rank',
+  status: 'status_rank'
+};
+
+// Escapes LIKE wildcards so user input only ever matches literally
+const escapeLikePattern = (str) => str.replace(/[\\%_]/g, '\\$&');
+
+const applyTaskFilters = (query, filters) => {
+  const search = filters.q.trim();
+  if (search) query = query.ilike('title', `%${escapeLikePattern(search)}%`);
+  if (filters.status) query = query.eq('status', filters.status);
+  if (filters.priority) query = query.eq('priority', filters.priority);
+  if (filters.label) query = query.contains('label_ids', [filters.label]);
+  if (filters.project) query = filters.project === 'none' ? query.is('project_id', null) : query.eq('project_id', filters.project);
+  if (filters.assignee) query = filters.assignee === 'none' ? query.is('assigned_to', null) : query.eq('assigned_to', filters.assignee);
+  if (filters.due_from) query = query.gte('due_date', filters.due_from);
+  if (filters.due_to) query = query.lte('due_date', filters.due_to);
+  return query;
+};
+
+// Client-side twin of applyTaskFilters, used to decide whether a realtime row belongs in the loaded list
+const matchesTaskFilters = (task, filters) => {
+  const search = filters.q.trim().toLowerCase();
+  if (search && !(task.title || '').toLowerCase().includes(search)) return false;
+  if (filters.status && task.status !== filters.status) return false;
+  if (filters.priority && task.priority !== filters.priority) return false;
+  if (filters.label && !(task.label_ids || []).includes(filters.label)) return false;
+  if (filters.project && (task.project_id || 'none') !== filters.project) return false;
+  if (filters.assignee && (task.assigned_to || 'none') !== filters.assignee) return false;
+  if (filters.due_from && (!task.due_date || task.due_date < filters.due_from)) return false;
+  if (filters.due_to && (!task.due_date || task.due_date > filters.due_to)) return false;
+  return true;
+};
+
+// --- CALENDAR & TIMELINE ---
+const RANGE_TASK_LIMIT = 1000;
+const TIMELINE_WEEKS = 8;
+const TIMELINE_DAY_WIDTH = 36;
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// due_date is a plain calendar date; build and format it in local time so days don't shift across timezones
+const toIsoDate = (date) => (
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+);
+const parseIsoDate = (value) => {
+  const [y, m, d] = value.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
+const addDays = (value, days) => {
+  const date = parseIsoDate(value);
+  date.setDate(date.getDate() + days);
+  return toIsoDate(date);
+};
+const startOfWeek = (value) => addDays(value, -((parseIsoDate(value).getDay() + 6) % 7));
+
+// Every day shown by the calendar: whole weeks (Monday first) covering the month, or the anchor's week
+const buildCalendarDays = (mode, anchor) => {
+  const first = mode === 'month' ? startOfWeek(`${anchor.slice(0, 7)}-01`) : startOfWeek(anchor);
+  let count = 7;
+  if (mode === 'month') {
+    const monthStart = parseIsoDate(`${anchor.slice(0, 7)}-01`);
+    const monthEnd = toIsoDate(new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0));
+    while (addDays(first, count - 1) < monthEnd) count += 7;
+  }
+  return Array.from({ length: count }, (_, i) => addDays(first, i));
+};
+
+// --- DUE DATES ---
+const AT_RISK_LIMIT = 8;
+
+// "This week" runs to Sunday, matching the Monday-first calendar
+const dueWindow = () => {
+  const today = toIsoDate(new Date());
+  return { today, weekEnd: addDays(startOfWeek(today), 6) };
+};
+
+const isTaskOverdue = (task, today) => Boolean(task.due_date) && task.due_date < today && task.status !== 'Completed';
+
+// --- TRENDS ---
+const TREND_RANGES = [
+  { value: 30, label: '30d' },
+  { value: 90, label: '90d' },
+  { value: 180, label: '180d' }
+];
+
+const EMPTY_TRENDS = { burndown: [], throughput: [], cycleTime: [] };
+
+// Monday of every week from the one containing `from` up to `to`, so weeks with no
+// completions still show up on the charts
+const weekStartsBetween = (from, to) => {
+  const weeks = [];
+  for (let week = startOfWeek(from); week <= to; week = addDays(week, 7)) weeks.push(week);
+  return weeks;
+};
+
+// A task spans start_date..due_date; with only one of them set it occupies that single day
+const taskSpan = (task) => ({ start: task.start_date || task.due_date, end: task.due_date || task.start_date });
+
+const taskOverlapsRange = (task, range) => {
+  const { start, end } = taskSpan(task);
+  return Boolean(start) && start <= range.to && end >= range.from;
+};
+
+const daysBetween = (from, to) => Math.round((parseIsoDate(to) - parseIsoDate(from)) / 86400000);
+
+const shiftCalendarAnchor = (mode, anchor, step) => {
+  if (mode === 'week') return addDays(anchor, step * 7);
+  const date = parseIsoDate(`${anchor.slice(0, 7)}-01`);
+  return toIsoDate(new Date(date.getFullYear(), date.getMonth() + step, 1));
+};
+
+const formatCalendarTitle = (mode, days, anchor) => {
+  if (mode === 'month') {
+    return parseIsoDate(anchor).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  }
+  const format = (value) => parseIsoDate(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+  return `${format(days[0])} – ${format(days[days.length - 1])}`;
+};
+
+// --- IMPORT / EXPORT ---
+const IMPORT_CHUNK_SIZE = 500;
+const EXPORT_PAGE_SIZE = 1000;
+
+// Task fields an import column can be mapped to; aliases are compared with normalizeKey
+const IMPORT_FIELDS = [
+  { key: 'title', label: 'Title', required: true, aliases: ['title', 'task', 'taskname', 'name'] },
+  { key: 'project', label: 'Project', aliases: ['project', 'projectname'] },
+  { key: 'assignee_email', label: 'Assignee Email', aliases: ['assigneeemail', 'email', 'assignee'] },
+  { key: 'start_date', label: 'Start Date', aliases: ['startdate', 'start', 'begin'] },
+  { key: 'due_date', label: 'Due Date', aliases: ['duedate', 'due', 'deadline'] },
+  { key: 'status', label: 'Status', aliases: ['status', 'state'] },
+  { key: 'priority', label: 'Priority', aliases: ['priority', 'urgency'] },
+  { key: 'estimate_hours', label: 'Estimate (h)', aliases: ['estimatehours', 'estimate', 'effort', 'hours'] },
+  { key: 'description', label: 'Description', aliases: ['description', 'notes', 'details'] }
+];
+
+// RFC 4180 CSV: quoted fields, escaped quotes and newlines inside quotes
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [], field = '', inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') inQuotes = false;
+      else field += char;
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(cell => cell !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  if (row.some(cell => cell !== '')) rows.push(row);
+  return rows;
+};
+
+const toCsv = (records) => {
+  if (records.length === 0) return '';
+  const headers = Object.keys(records[0]);
+  const escape = (value) => {
+    let str = value === null || value === undefined ? '' : String(value);
+    // Spreadsheets run cells starting with these as formulas
+    if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return [headers, ...records.map(r => headers.map(h => r[h]))]
+    .map(cols => cols.map(escape).join(','))
+    .join('\r\n');
+};
+
+// Reads an uploaded CSV or JSON file into { headers, rows } where rows are plain objects
+const readImportFile = async (file) => {
+  const text = await file.text();
+  if (file.name.toLowerCase().endsWith('.json')) {
+    const parsed = JSON.parse(text);
+    const rows = Array.isArray(parsed) ? parsed : parsed?.tasks;
+    if (!Array.isArray(rows) || rows.some(r => !r || typeof r !== 'object' || Array.isArray(r))) {
+      throw new Error('JSON must be an array of task objects');
+    }
+    const headers = [...new Set(rows.flatMap(r => Object.keys(r)))];
+    return { headers, rows };
+  }
+
+  const [headers = [], ...lines] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const rows = lines.map(cells => headers.reduce((acc, h, i) => {
+    acc[h] = cells[i] ?? '';
+    return acc;
+  }, {}));
+  return { headers, rows };
+};
+
+const guessImportMapping = (headers) => IMPORT_FIELDS.reduce((acc, field) => {
+  acc[field.key] = headers.find(h => field.aliases.includes(normalizeKey(h))) || '';
+  return acc;
+}, {});
+
+// Accepts YYYY-MM-DD or anything Date can parse; returns YYYY-MM-DD, null when empty,
+// or undefined when invalid
+const parseImportDate = (value) => {
+  const str = String(value ?? '').trim();
+  if (!str) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) {
+    // Date rolls 2024-13-45 over into a later date instead of rejecting it
+    const [year, month, day] = str.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? str : undefined;
+  }
+  const date = new Date(str);
+  if (isNaN(date)) return undefined;
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+const downloadFile = (fileName, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Maps the recurrence form to task_series rule columns
+const recurrenceToSeries = (recurrence) => {
+  const preset = RECURRENCE_FREQUENCIES.find(f => f.value === recurrence.frequency);
+  return {
+    interval_unit: preset?.unit || recurrence.interval_unit,
+    interval_count: preset?.unit ? 1 : Number(recurrence.interval_count),
+    end_date: recurrence.ends === 'on_date' ? recurrence.end_date : null,
+    max_occurrences: recurrence.ends === 'after_count' ? Number(recurrence.max_occurrences) : null
+  };
+};
+
+const seriesToRecurrence = (series) => {
+  const preset = series.interval_count === 1 && RECURRENCE_FREQUENCIES.find(f => f.unit === series.interval_unit);
+  return {
+    frequency: preset ? preset.value : 'custom',
+    interval_count: series.interval_count,
+    interval_unit: series.interval_unit,
+    ends: series.end_date ? 'on_date' : series.max_occurrences ? 'after_count' : 'never',
+    end_date: series.end_date || '',
+    max_occurrences: series.max_occurrences || ''
+  };
+};
+
+const validateRecurrence = (recurrence, dueDate) => {
+  const errors = {};
+  if (recurrence.frequency === 'none') return errors;
+  if (!dueDate) errors.due_date = 'Recurring tasks need a due date';
+  if (recurrence.frequency === 'custom') {
+    const count = Number(recurrence.interval_count);
+    if (!Number.isInteger(count) || count < 1 || count > 365) errors.interval_count = 'Enter a whole number from 1 to 365';
+    if (!RECURRENCE_UNITS.includes(recurrence.interval_unit)) errors.interval_unit = 'Invalid unit';
+  }
+  if (recurrence.ends === 'on_date') {
+    if (!recurrence.end_date) errors.end_date = 'Pick an end date';
+    else if (dueDate && recurrence.end_date < dueDate) errors.end_date = 'End date must be after the first due date';
+  }
+  if (recurrence.ends === 'after_count') {
+    const max = Number(recurrence.max_occurrences);
+    if (!Number.isInteger(max) || max < 1) errors.max_occurrences = 'Enter how many times it repeats';
+  }
+  return errors;
+};
+
+const describeRecurrence = (series) => {
+  const unit = series.interval_count === 1 ? series.interval_unit : `${series.interval_count} ${series.interval_unit}s`;
+  const ends = series.end_date
+    ? ` until ${series.end_date}`
+    : series.max_occurrences ? `, ${series.occurrence_count} of ${series.max_occurrences} created` : '';
+  return `Every ${unit}${ends}`;
+};
+
+// Renders only the rows inside (or near) the scroll viewport of a fixed-row-height list
+const useVirtualRows = (rowCount, rowHeight, overscan = 8) => {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(800);
+
+  useEffect(() => {
+    if (containerRef.current) setViewportHeight(containerRef.current.clientHeight);
+  }, [rowCount]);
+
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const end = Math.min(rowCount, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+
+  return {
+    containerRef,
+    onScroll: (e) => {
+      setScrollTop(e.currentTarget.scrollTop);
+      setViewportHeight(e.currentTarget.clientHeight);
+    },
+    reset: () => {
+      if (containerRef.current) containerRef.current.scrollTop = 0;
+      setScrollTop(0);
+    },
+    start,
+    end,
+    paddingTop: start * rowHeight,
+    paddingBottom: (rowCount - end) * rowHeight
+  };
+};
 
 const App = () => {
   // --- AUTH & USER STATE ---
@@ -48,18 +706,147 @@ const App = () => {
   const [authMode, setAuthMode] = useState('login');
   const [authData, setAuthData] = useState({ email: '', password: '', name: '' });
   const [errorMsg, setErrorMsg] = useState('');
+  // Read before the filter sync rewrites the query string
+  const [inviteToken, setInviteToken] = useState(() => new URLSearchParams(window.location.search).get('invite') || '');
+  const [pendingInvite, setPendingInvite] = useState(null);
+  const [inviteAccept, setInviteAccept] = useState(EMPTY_INVITE_ACCEPT);
 
   // --- APP DATA STATE ---
-  const [view, setView] = useState('dashboard');
+  const [view, setView] = useState(() => readTaskFiltersFromUrl().view);
+  const [taskFilters, setTaskFilters] = useState(() => readTaskFiltersFromUrl().filters);
+  const [taskSort, setTaskSort] = useState(() => readTaskFiltersFromUrl().sort);
+  const [taskLayout, setTaskLayout] = useState('table');
+  const [calendarMode, setCalendarMode] = useState('month');
+  const [calendarDate, setCalendarDate] = useState(() => toIsoDate(new Date()));
+  const [timelineStart, setTimelineStart] = useState(() => addDays(startOfWeek(toIsoDate(new Date())), -7));
+  const [projectLayout, setProjectLayout] = useState('list');
+  const [rangeTasks, setRangeTasks] = useState([]);
+  const [isLoadingRangeTasks, setIsLoadingRangeTasks] = useState(false);
   const [tasks, setTasks] = useState([]);
+  const [taskTotal, setTaskTotal] = useState(0);
+  const [isLoadingTasks, setIsLoadingTasks] = useState(false);
+  const [taskCounts, setTaskCounts] = useState([]);
+  const [projectTasks, setProjectTasks] = useState([]);
   const [partners, setPartners] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [selectedProjectId, setSelectedProjectId] = useState(null);
+  const [projectForm, setProjectForm] = useState(null);
+  const [projectErrors, setProjectErrors] = useState({});
+  const [isMergingProjects, setIsMergingProjects] = useState(false);
+  const [importState, setImportState] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [mergeDraft, setMergeDraft] = useState(EMPTY_MERGE);
   const [isAddingTask, setIsAddingTask] = useState(false);
   const [isAddingPartner, setIsAddingPartner] = useState(false);
-  const [newTask, setNewTask] = useState({ title: '', project: 'General', assigned_to: '', due_date: '' });
-  const [newPartner, setNewPartner] = useState({ name: '', email: '', password: '' });
+  const [newTask, setNewTask] = useState(EMPTY_TASK);
+  const [selectedTask, setSelectedTask] = useState(null);
+  const [taskDraft, setTaskDraft] = useState(null);
+  const [taskErrors, setTaskErrors] = useState({});
+  const [isSavingTask, setIsSavingTask] = useState(false);
+  const [taskSeries, setTaskSeries] = useState(null);
+  const [seriesDraft, setSeriesDraft] = useState(null);
+  const [seriesErrors, setSeriesErrors] = useState({});
+  const [applyToSeries, setApplyToSeries] = useState(true);
+  const [newTaskErrors, setNewTaskErrors] = useState({});
+  const [checklistItems, setChecklistItems] = useState([]);
+  const [checklistDraft, setChecklistDraft] = useState('');
+  const [progressMode, setProgressMode] = useState('tasks');
+  const [dependencies, setDependencies] = useState({ blockers: [], dependents: [] });
+  const [dependencySearch, setDependencySearch] = useState('');
+  const [dependencyResults, setDependencyResults] = useState([]);
+  const [appSettings, setAppSettings] = useState(DEFAULT_APP_SETTINGS);
+  const [labels, setLabels] = useState([]);
+  const [labelCounts, setLabelCounts] = useState([]);
+  const [dueCounts, setDueCounts] = useState([]);
+  const [atRiskTasks, setAtRiskTasks] = useState([]);
+  const [workload, setWorkload] = useState([]);
+  const [attachments, setAttachments] = useState([]);
+  const [attachmentUploads, setAttachmentUploads] = useState([]);
+  const [attachmentPreview, setAttachmentPreview] = useState(null);
+  const [taskTimeEntries, setTaskTimeEntries] = useState([]);
+  const [timeDraft, setTimeDraft] = useState(EMPTY_TIME_DRAFT);
+  const [runningTimer, setRunningTimer] = useState(null);
+  const [timesheetTab, setTimesheetTab] = useState('week');
+  const [timesheetWeek, setTimesheetWeek] = useState(() => startOfWeek(toIsoDate(new Date())));
+  const [timesheetUserId, setTimesheetUserId] = useState('');
+  const [timesheetEntries, setTimesheetEntries] = useState([]);
+  const [timesheet, setTimesheet] = useState(null);
+  const [pendingTimesheets, setPendingTimesheets] = useState([]);
+  const [reportRange, setReportRange] = useState(() => {
+    const today = toIsoDate(new Date());
+    return { from: `${today.slice(0, 8)}01`, to: today };
+  });
+  const [reportRows, setReportRows] = useState([]);
+  const [labelForm, setLabelForm] = useState(null);
+  const [breakdownMode, setBreakdownMode] = useState('priority');
+  const [trendRange, setTrendRange] = useState(TREND_RANGES[0].value);
+  const [trendProjectId, setTrendProjectId] = useState('');
+  const [trends, setTrends] = useState(EMPTY_TRENDS);
+  const [notifications, setNotifications] = useState([]);
+  const [isNotificationsOpen, setIsNotificationsOpen] = useState(false);
+  const [comments, setComments] = useState([]);
+  const [mentionPeople, setMentionPeople] = useState([]);
+  const [commentDraft, setCommentDraft] = useState('');
+  const [editingComment, setEditingComment] = useState(null);
+  const [taskActivity, setTaskActivity] = useState([]);
+  const [auditEntries, setAuditEntries] = useState([]);
+  const [auditFilters, setAuditFilters] = useState({ actor_id: '', from: '', to: '' });
+  const [trashedTasks, setTrashedTasks] = useState([]);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [workspaceDraft, setWorkspaceDraft] = useState(null);
+  const [offboarding, setOffboarding] = useState(null);
+  const [roles, setRoles] = useState([]);
+  const [rolePermissions, setRolePermissions] = useState([]);
+  const [inviteDraft, setInviteDraft] = useState(EMPTY_INVITE);
+  const [invitations, setInvitations] = useState([]);
+  const [issuedInvite, setIssuedInvite] = useState(null);
+
+  // --- WORKSPACES ---
+  // Everything below works inside the active workspace, and the role comes from the
+  // membership in it; the database scopes every query the same way
+  const activeWorkspaceId = profile?.active_workspace_id || null;
+  const activeWorkspace = workspaces.find(w => w.id === activeWorkspaceId) || null;
+  const currentRole = activeWorkspace?.role || null;
 
   // --- ROLE-BASED ACCESS CONTROL ---
-  const isAdmin = profile?.role === 'admin';
+  // What a role may do comes from the role_permissions table, the same matrix the
+  // database policies check with has_permission()
+  const permissions = useMemo(() => new Set(
+    rolePermissions.filter(rp => rp.role === currentRole).map(rp => rp.permission)
+  ), [rolePermissions, currentRole]);
+  const can = (permission) => permissions.has(permission);
+  const canViewAllTasks = can('tasks.view_all');
+  const canManageTasks = can('tasks.manage');
+  const canWorkOnTasks = can('tasks.work');
+  const canManageProjects = can('projects.manage');
+  const canViewTeam = can('team.view');
+  const canManageTeam = can('team.manage');
+  const canTrackTime = can('time.track');
+  const canReviewTime = can('time.review');
+  const canViewAudit = can('audit.view');
+  const canManageSettings = can('settings.manage');
+
+  // Latest values for realtime handlers, which are bound once per subscription
+  const taskRequestRef = useRef(0);
+  const rangeRequestRef = useRef(0);
+  const countsTimerRef = useRef(null);
+  const trendRequestRef = useRef(0);
+  const liveStateRef = useRef({});
+  const calendarDays = useMemo(() => buildCalendarDays(calendarMode, calendarDate), [calendarMode, calendarDate]);
+  // Calendar and timeline layouts load every task touching their date range instead of the paged list
+  const taskRange = view !== 'tasks' ? null
+    : taskLayout === 'calendar' ? { from: calendarDays[0], to: calendarDays[calendarDays.length - 1] }
+    : taskLayout === 'timeline' ? { from: timelineStart, to: addDays(timelineStart, TIMELINE_WEEKS * 7 - 1) }
+    : null;
+
+  liveStateRef.current = {
+    taskFilters,
+    projectId: view === 'project' ? selectedProjectId : null,
+    taskRange,
+    trashOpen: view === 'trash'
+  };
+
+  const virtualRows = useVirtualRows(tasks.length, TASK_ROW_HEIGHT);
 
   // --- INITIALIZATION ---
   useEffect(() => {
@@ -113,8 +900,12 @@ const App = () => {
               fetchProfile(session.user.id);
             } else {
               setProfile(null);
+              setWorkspaces([]);
               setTasks([]);
+              setTaskCounts([]);
               setPartners([]);
+              setInvitations([]);
+              setProjects([]);
             }
           }
         });
@@ -150,18 +941,258 @@ const App = () => {
     return () => { isMounted = false; };
   }, []);
 
-  // Fetch data when session/profile is available
+  // Fetch data when session/profile is available, and again after switching workspace
+  useEffect(() => {
+    if (session && activeWorkspace && supabaseInstance) {
+      fetchTaskCounts();
+      fetchProjects();
+      fetchAppSettings();
+      fetchLabels();
+      fetchNotifications();
+      fetchRunningTimer();
+      if (canViewAllTasks || canViewTeam) fetchPartners();
+      if (canManageTeam) fetchInvitations();
+    }
+  }, [session, profile?.id, activeWorkspaceId, currentRole]);
+
+  // Removed from the active workspace (or never picked one): fall back to the first one left
+  useEffect(() => {
+    if (!profile || activeWorkspace || !workspaces.length) return;
+    handleSwitchWorkspace(workspaces[0].id);
+  }, [profile?.id, activeWorkspaceId, workspaces]);
+
+  // An invitation link: look up who it is for before showing the accept form
+  useEffect(() => {
+    if (!inviteToken || loading || !supabaseInstance) return;
+    fetchInvitation(inviteToken);
+  }, [inviteToken, loading]);
+
+  // Reload the first page whenever the filters or sort change (debounced while typing a search)
   useEffect(() => {
-    if (session && profile && supabaseInstance) {
+    if (!session || !activeWorkspace || !supabaseInstance) return;
+
+    const timer = setTimeout(() => {
+      virtualRows.reset();
       fetchTasks();
-      if (profile.role === 'admin') {
-        fetchPartners();
-      }
+    }, taskFilters.q ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [session, profile?.id, activeWorkspaceId, currentRole, taskFilters, taskSort]);
+
+  // Infinite loading: fetch the next page once the table is scrolled near the end
+  useEffect(() => {
+    if (view !== 'tasks' || isLoadingTasks || tasks.length >= taskTotal) return;
+    if (taskLayout === 'table' && virtualRows.end >= tasks.length - 5) {
+      fetchTasks({ append: true });
+    }
+  }, [view, taskLayout, virtualRows.end, tasks.length, taskTotal, isLoadingTasks]);
+
+  // The calendar loads every task due in the visible range rather than the paged list
+  useEffect(() => {
+    if (!taskRange || !session || !activeWorkspace || !supabaseInstance) return;
+
+    const timer = setTimeout(fetchRangeTasks, taskFilters.q ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [session, profile?.id, activeWorkspaceId, currentRole, taskRange?.from, taskRange?.to, taskFilters]);
+
+  useEffect(() => {
+    if (view === 'project' && selectedProjectId && supabaseInstance) {
+      fetchProjectTasks(selectedProjectId);
+    }
+  }, [view, selectedProjectId]);
+
+  // Live updates: merge row changes from every user into local state instead of refetching.
+  // Workspace-owned tables only stream the active workspace.
+  useEffect(() => {
+    if (!session || !profile || !supabaseInstance) return;
+
+    const inWorkspace = `workspace_id=eq.${activeWorkspaceId}`;
+    const channel = supabaseInstance
+      .channel('taskflow-live')
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'tasks', filter: inWorkspace }, (payload) => {
+        if (payload.eventType === 'DELETE') {
+          removeTaskLocal(payload.old.id);
+        } else {
+          mergeTaskLocal(payload.new);
+        }
+      })
+      // Realtime never sends an update that takes a task out of view (trashing it, or handing
+      // it to someone else when you only see your own tasks); the audit entries stand in
+      .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'activity_log', filter: inWorkspace }, (payload) => {
+        const { action, entity_id: taskId, changes } = payload.new;
+        if (action === 'trashed') removeTaskLocal(taskId);
+        if (action === 'reassigned' && !canViewAllTasks && changes?.assigned_to?.from === session.user.id) {
+          removeTaskLocal(taskId);
+        }
+        if (['trashed', 'restored', 'deleted'].includes(action) && liveStateRef.current.trashOpen) fetchTrash();
+      })
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'profiles' }, (payload) => {
+        if (payload.eventType === 'DELETE') {
+          setPartners(prev => prev.filter(p => p.id !== payload.old.id));
+          return;
+        }
+        if (payload.new.id === session.user.id) setProfile(payload.new);
+        setPartners(prev => mergeProfile(prev, payload.new));
+      })
+      // Joining, leaving or changing role, in this workspace or any other
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'workspace_members', filter: inWorkspace }, () => {
+        if (canViewAllTasks || canViewTeam) fetchPartners();
+      })
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'workspace_members', filter: `user_id=eq.${session.user.id}` },
+        () => fetchWorkspaces(session.user.id)
+      )
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'projects', filter: inWorkspace }, (payload) => {
+        if (payload.eventType === 'DELETE') {
+          setProjects(prev => prev.filter(p => p.id !== payload.old.id));
+        } else {
+          setProjects(prev => upsertById(prev, payload.new).sort(byName));
+        }
+      })
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'labels', filter: inWorkspace }, (payload) => {
+        if (payload.eventType === 'DELETE') {
+          setLabels(prev => prev.filter(l => l.id !== payload.old.id));
+        } else {
+          setLabels(prev => upsertById(prev, payload.new).sort(byName));
+        }
+      })
+      .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'app_settings', filter: inWorkspace }, (payload) => {
+        setAppSettings(payload.new);
+      })
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'invitations', filter: inWorkspace }, () => {
+        if (canManageTeam) fetchInvitations();
+      })
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'notifications', filter: `recipient_id=eq.${session.user.id}` },
+        (payload) => {
+          if (payload.eventType === 'DELETE') {
+            setNotifications(prev => prev.filter(n => n.id !== payload.old.id));
+          } else {
+            setNotifications(prev => upsertById(prev, payload.new));
+          }
+        }
+      )
+      // A timer started or stopped in another tab or device
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'time_entries', filter: `user_id=eq.${session.user.id}` },
+        () => fetchRunningTimer()
+      )
+      .subscribe();
+
+    return () => { supabaseInstance.removeChannel(channel); };
+  }, [session?.user.id, profile?.id, activeWorkspaceId, currentRole]);
+
+  // Load and follow the comment thread of the task open in the drawer
+  useEffect(() => {
+    if (!selectedTask || !supabaseInstance) return;
+
+    fetchComments(selectedTask.id);
+    fetchMentionPeople(selectedTask.id);
+    fetchChecklist(selectedTask.id);
+    fetchDependencies(selectedTask.id);
+    fetchTaskActivity(selectedTask.id);
+    fetchTaskTimeEntries(selectedTask.id);
+    fetchAttachments(selectedTask.id);
+    if (selectedTask.series_id) fetchTaskSeries(selectedTask.series_id);
+    const channel = supabaseInstance
+      .channel(`task-detail-${selectedTask.id}`)
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'task_checklist_items', filter: `task_id=eq.${selectedTask.id}` },
+        () => fetchChecklist(selectedTask.id)
+      )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'task_dependencies', filter: `task_id=eq.${selectedTask.id}` },
+        () => fetchDependencies(selectedTask.id)
+      )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'task_comments', filter: `task_id=eq.${selectedTask.id}` },
+        () => fetchComments(selectedTask.id)
+      )
+      .on(
+        'postgres_changes',
+        { event: 'INSERT', schema: 'public', table: 'activity_log', filter: `entity_id=eq.${selectedTask.id}` },
+        () => fetchTaskActivity(selectedTask.id)
+      )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'time_entries', filter: `task_id=eq.${selectedTask.id}` },
+        () => fetchTaskTimeEntries(selectedTask.id)
+      )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'task_attachments', filter: `task_id=eq.${selectedTask.id}` },
+        () => fetchAttachments(selectedTask.id)
+      )
+      .subscribe();
+
+    return () => { supabaseInstance.removeChannel(channel); };
+  }, [selectedTask?.id]);
+
+  // Candidate blockers for the task open in the drawer, searched by title
+  useEffect(() => {
+    const q = dependencySearch.trim();
+    if (!selectedTask || !canManageTasks || !q) {
+      setDependencyResults([]);
+      return;
+    }
+
+    const timer = setTimeout(() => searchDependencyCandidates(q), 300);
+    return () => clearTimeout(timer);
+  }, [dependencySearch, selectedTask?.id, canManageTasks]);
+
+  // The accept page keeps ?invite= so a reload still finds the invitation; the URL is
+  // rewritten once the token has been used or dismissed
+  useEffect(() => {
+    if (inviteToken) return;
+    writeTaskFiltersToUrl(view, taskFilters, taskSort);
+  }, [view, taskFilters, taskSort, inviteToken]);
+
+  useEffect(() => {
+    if (view === 'audit' && canViewAudit && supabaseInstance) {
+      fetchAuditLog();
+    }
+  }, [view, canViewAudit, auditFilters]);
+
+  useEffect(() => {
+    if (view === 'trash' && canManageTasks && supabaseInstance) {
+      fetchTrash();
+      // Files of tasks the nightly job purged wait in a queue until a task manager comes by
+      clearQueuedAttachmentFiles().catch(err => console.error('Error removing attachment files:', err));
     }
-  }, [session, profile]);
+  }, [view, canManageTasks, activeWorkspaceId]);
+
+  useEffect(() => {
+    if (view !== 'timesheets' || !session || !supabaseInstance) return;
+    if (timesheetTab === 'week') fetchTimesheet();
+    else fetchTimeReport();
+  }, [view, session?.user?.id, timesheetTab, timesheetWeek, timesheetUserId, reportRange]);
 
   // --- DB HELPERS ---
+  // Loaded before the profile, so the first render after sign-in already knows what the
+  // person may do
+  const fetchRoles = async () => {
+    try {
+      const [rolesResult, permissionsResult] = await Promise.all([
+        supabaseInstance.from('roles').select('*').order('position'),
+        supabaseInstance.from('role_permissions').select('role, permission')
+      ]);
+
+      if (rolesResult.error) throw rolesResult.error;
+      if (permissionsResult.error) throw permissionsResult.error;
+      setRoles(rolesResult.data || []);
+      setRolePermissions(permissionsResult.data || []);
+    } catch (err) {
+      console.error("Error fetching roles:", err);
+    }
+  };
+
   const fetchProfile = async (userId) => {
+    await Promise.all([fetchRoles(), fetchWorkspaces(userId)]);
     try {
       const { data, error } = await supabaseInstance
         .from('profiles')
@@ -181,14 +1212,21 @@ const App = () => {
             .insert([{
               id: userId,
               name: user.data.user?.user_metadata?.name || 'User',
-              email: user.data.user?.email,
-              role: 'partner'
+              // The database assigns the role: the invited one, otherwise partner
+              email: user.data.user?.email
             }])
             .select()
             .single();
           
           if (!insertError && newProfile) {
-            setProfile(newProfile);
+            // Signing up through an invitation joins its workspace once the profile exists
+            await fetchWorkspaces(userId);
+            const { data: joinedProfile } = await supabaseInstance
+              .from('profiles')
+              .select('*')
+              .eq('id', userId)
+              .single();
+            setProfile(joinedProfile || newProfile);
           }
         } catch (insertErr) {
           console.error("Error creating profile:", insertErr);
@@ -197,51 +1235,320 @@ const App = () => {
     }
   };
 
-  const fetchTasks = async () => {
+  // The workspaces the person belongs to, with their role in each
+  const fetchWorkspaces = async (userId) => {
     try {
-      let query = supabaseInstance.from('tasks').select('*');
-      
-      // CRITICAL: Role-based data scoping
-      // Partners ONLY see tasks assigned to them
-      // Admins see ALL tasks
-      if (profile?.role === 'partner') {
-        query = query.eq('assigned_to', session.user.id);
-      }
-      
-      const { data, error } = await query.order('created_at', { ascending: false });
+      const { data, error } = await supabaseInstance
+        .from('workspace_members')
+        .select('role, workspace:workspaces(id, name)')
+        .eq('user_id', userId)
+        .is('deactivated_at', null);
+
+      if (error) throw error;
+      setWorkspaces((data || []).filter(m => m.workspace).map(m => ({ ...m.workspace, role: m.role })).sort(byName));
+    } catch (err) {
+      console.error("Error fetching workspaces:", err);
+      setWorkspaces([]);
+    }
+  };
+
+  // The task list query for the current filters and sort, before paging
+  const buildTaskListQuery = (options) => {
+    let query = supabaseInstance
+      .from('tasks')
+      .select('*', options)
+      .eq('workspace_id', activeWorkspaceId)
+      .is('deleted_at', null);
+    
+    // CRITICAL: Role-based data scoping
+    // Roles without tasks.view_all ONLY see tasks assigned to them
+    if (!canViewAllTasks) {
+      query = query.eq('assigned_to', session.user.id);
+    }
+
+    query = applyTaskFilters(query, taskFilters);
+
+    const sortColumn = TASK_SORT_COLUMNS[taskSort.key];
+    if (sortColumn) {
+      query = query.order(sortColumn, { ascending: taskSort.dir === 'asc', nullsFirst: false });
+    }
+
+    return query
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: true });
+  };
+
+  // Loads one page of the filtered, sorted task list; append=true fetches the next page
+  const fetchTasks = async ({ append = false } = {}) => {
+    const requestId = ++taskRequestRef.current;
+    const from = append ? tasks.length : 0;
+    setIsLoadingTasks(true);
+
+    try {
+      const { data, error, count } = await buildTaskListQuery({ count: 'exact' })
+        .range(from, from + TASK_PAGE_SIZE - 1);
       
       if (error) throw error;
-      setTasks(data || []);
+      // A newer request (e.g. the filters changed again) owns the list now
+      if (requestId !== taskRequestRef.current) return;
+
+      setTasks(prev => append
+        ? [...prev, ...(data || []).filter(t => !prev.some(p => p.id === t.id))]
+        : data || []);
+      setTaskTotal(count ?? 0);
     } catch (err) {
       console.error("Error fetching tasks:", err);
-      setTasks([]);
+      if (requestId === taskRequestRef.current && !append) {
+        setTasks([]);
+        setTaskTotal(0);
+      }
+    } finally {
+      if (requestId === taskRequestRef.current) setIsLoadingTasks(false);
     }
   };
 
-  const fetchPartners = async () => {
+  // Per (project, assignee, status) counts from the task_counts view; the dashboard aggregates these.
+  // The count views read tasks under RLS, which keeps them to the active workspace and out of the trash.
+  const fetchTaskCounts = async () => {
     try {
-      const { data, error } = await supabaseInstance
-        .from('profiles')
+      let query = supabaseInstance.from('task_counts').select('*');
+
+      if (!canViewAllTasks) {
+        query = query.eq('assigned_to', session.user.id);
+      }
+
+      let dueQuery = supabaseInstance.from('task_due_counts').select('*');
+      let atRiskQuery = supabaseInstance
+        .from('tasks')
         .select('*')
-        .order('created_at', { ascending: false });
-      
+        .eq('workspace_id', activeWorkspaceId)
+        .is('deleted_at', null)
+        .neq('status', 'Completed')
+        .lte('due_date', dueWindow().weekEnd)
+        .order('due_date', { ascending: true })
+        .limit(AT_RISK_LIMIT);
+
+      if (!canViewAllTasks) {
+        dueQuery = dueQuery.eq('assigned_to', session.user.id);
+        atRiskQuery = atRiskQuery.eq('assigned_to', session.user.id);
+      }
+
+      // Only people who see the team plan workload; the view starts at the current week
+      const workloadQuery = canViewTeam
+        ? supabaseInstance.from('partner_weekly_load').select('*')
+        : { data: [], error: null };
+
+      // task_label_counts has no assignee column; RLS already limits assignee-only roles to their own tasks
+      const [countsRes, labelCountsRes, dueRes, atRiskRes, workloadRes] = await Promise.all([
+        query,
+        supabaseInstance.from('task_label_counts').select('*'),
+        dueQuery,
+        atRiskQuery,
+        workloadQuery
+      ]);
+      if (countsRes.error) throw countsRes.error;
+      if (labelCountsRes.error) throw labelCountsRes.error;
+      if (dueRes.error) throw dueRes.error;
+      if (atRiskRes.error) throw atRiskRes.error;
+      if (workloadRes.error) throw workloadRes.error;
+      setTaskCounts(countsRes.data || []);
+      setLabelCounts(labelCountsRes.data || []);
+      setDueCounts(dueRes.data || []);
+      setAtRiskTasks(atRiskRes.data || []);
+      setWorkload(workloadRes.data || []);
+    } catch (err) {
+      console.error("Error fetching task counts:", err);
+      setTaskCounts([]);
+      setLabelCounts([]);
+      setDueCounts([]);
+      setAtRiskTasks([]);
+      setWorkload([]);
+    }
+  };
+
+  const fetchRangeTasks = async () => {
+    const requestId = ++rangeRequestRef.current;
+    setIsLoadingRangeTasks(true);
+
+    try {
+      // Same test as taskOverlapsRange: due in range, spanning into it, or only a start date in range
+      const { from, to } = taskRange;
+      const { data, error } = await buildTaskListQuery()
+        .or(`and(due_date.gte.${from},due_date.lte.${to}),and(start_date.lte.${to},due_date.gte.${from}),and(due_date.is.null,start_date.gte.${from},start_date.lte.${to})`)
+        .limit(RANGE_TASK_LIMIT);
+
       if (error) throw error;
-      setPartners(data || []);
+      if (requestId !== rangeRequestRef.current) return;
+      setRangeTasks(data || []);
     } catch (err) {
-      console.error("Error fetching partners:", err);
-      setPartners([]);
+      console.error("Error fetching calendar tasks:", err);
+      if (requestId === rangeRequestRef.current) setRangeTasks([]);
+    } finally {
+      if (requestId === rangeRequestRef.current) setIsLoadingRangeTasks(false);
     }
   };
 
-  const handleAuth = async (e) => {
-    e.preventDefault();
-    setLoading(true);
-    setErrorMsg('');
-    
+  // Time series for the dashboard's trend charts, computed server-side from the status history
+  const fetchTrends = async () => {
+    const requestId = ++trendRequestRef.current;
+    const today = toIsoDate(new Date());
+    const range = { range_start: addDays(today, -(trendRange - 1)), range_end: today };
+
     try {
-      const redirectUrl = window.location.origin;
+      const [burndownRes, throughputRes, cycleTimeRes] = await Promise.all([
+        trendProject
+          ? supabaseInstance.rpc('project_burndown', { target_project_id: trendProject.id, ...range })
+          : { data: [], error: null },
+        supabaseInstance.rpc('weekly_throughput', range),
+        supabaseInstance.rpc('weekly_cycle_time', range)
+      ]);
 
-      if (authMode === 'signup') {
+      if (burndownRes.error) throw burndownRes.error;
+      if (throughputRes.error) throw throughputRes.error;
+      if (cycleTimeRes.error) throw cycleTimeRes.error;
+      if (requestId !== trendRequestRef.current) return;
+
+      setTrends({
+        burndown: burndownRes.data || [],
+        throughput: throughputRes.data || [],
+        cycleTime: cycleTimeRes.data || []
+      });
+    } catch (err) {
+      console.error("Error fetching trends:", err);
+      if (requestId === trendRequestRef.current) setTrends(EMPTY_TRENDS);
+    }
+  };
+
+  const scheduleTaskCountsRefresh = () => {
+    clearTimeout(countsTimerRef.current);
+    countsTimerRef.current = setTimeout(fetchTaskCounts, 500);
+  };
+
+  const fetchProjectTasks = async (projectId) => {
+    try {
+      let query = supabaseInstance
+        .from('tasks')
+        .select('*')
+        .eq('workspace_id', activeWorkspaceId)
+        .eq('project_id', projectId);
+
+      if (!canViewAllTasks) {
+        query = query.eq('assigned_to', session.user.id);
+      }
+
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .limit(1000);
+
+      if (error) throw error;
+      setProjectTasks(data || []);
+    } catch (err) {
+      console.error("Error fetching project tasks:", err);
+      setProjectTasks([]);
+    }
+  };
+
+  // Everyone in the active workspace, as their profile plus their role here. Deactivated
+  // people stay in the list so their past work keeps a name.
+  const fetchPartners = async () => {
+    try {
+      const { data, error } = await supabaseInstance
+        .from('workspace_members')
+        .select('role, deactivated_at, profile:profiles(*)')
+        .eq('workspace_id', activeWorkspaceId)
+        .order('created_at', { ascending: false });
+      
+      if (error) throw error;
+      setPartners((data || []).filter(m => m.profile).map(m => ({ ...m.profile, role: m.role, deactivated_at: m.deactivated_at })));
+    } catch (err) {
+      console.error("Error fetching partners:", err);
+      setPartners([]);
+    }
+  };
+
+  // Revoked invitations drop off the list; everything else stays for reference
+  const fetchInvitations = async () => {
+    try {
+      const { data, error } = await supabaseInstance
+        .from('invitations')
+        .select('id, email, name, role, expires_at, last_sent_at, accepted_at, revoked_at, created_at')
+        .eq('workspace_id', activeWorkspaceId)
+        .is('revoked_at', null)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      setInvitations(data || []);
+    } catch (err) {
+      console.error("Error fetching invitations:", err);
+      setInvitations([]);
+    }
+  };
+
+  const fetchInvitation = async (token) => {
+    try {
+      const { data, error } = await supabaseInstance.rpc('get_invitation', { invite_token: token });
+      if (error) throw error;
+
+      const invite = data?.[0] || { status: 'invalid' };
+      setPendingInvite(invite);
+      setInviteAccept({ ...EMPTY_INVITE_ACCEPT, name: invite.name || '' });
+    } catch (err) {
+      console.error("Error fetching invitation:", err);
+      setPendingInvite({ status: 'invalid' });
+    }
+  };
+
+  // --- LOCAL STATE MERGING ---
+  // Without tasks.view_all only assigned tasks are held, mirroring the scoping in fetchTasks
+  const isTaskInScope = (task) => canViewAllTasks || task.assigned_to === session?.user.id;
+
+  const mergeTaskLocal = (task) => {
+    const { taskFilters: filters, projectId, taskRange: range } = liveStateRef.current;
+    setTasks(prev => isTaskInScope(task) && matchesTaskFilters(task, filters)
+      ? upsertById(prev, task)
+      : prev.filter(t => t.id !== task.id));
+    setProjectTasks(prev => isTaskInScope(task) && task.project_id === projectId
+      ? upsertById(prev, task)
+      : prev.filter(t => t.id !== task.id));
+    setRangeTasks(prev => range && isTaskInScope(task) && matchesTaskFilters(task, filters)
+      && taskOverlapsRange(task, range)
+      ? upsertById(prev, task)
+      : prev.filter(t => t.id !== task.id));
+    scheduleTaskCountsRefresh();
+  };
+
+  const removeTaskLocal = (taskId) => {
+    setTasks(prev => prev.filter(t => t.id !== taskId));
+    setProjectTasks(prev => prev.filter(t => t.id !== taskId));
+    setRangeTasks(prev => prev.filter(t => t.id !== taskId));
+    scheduleTaskCountsRefresh();
+  };
+
+  const fetchProjects = async () => {
+    try {
+      const { data, error } = await supabaseInstance
+        .from('projects')
+        .select('*')
+        .eq('workspace_id', activeWorkspaceId)
+        .order('name', { ascending: true });
+
+      if (error) throw error;
+      setProjects(data || []);
+    } catch (err) {
+      console.error("Error fetching projects:", err);
+      setProjects([]);
+    }
+  };
+
+  const handleAuth = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setErrorMsg('');
+    
+    try {
+      const redirectUrl = window.location.origin;
+
+      if (authMode === 'signup') {
         const { data, error } = await supabaseInstance.auth.signUp({
           email: authData.email,
           password: authData.password,
@@ -275,211 +1582,2277 @@ const App = () => {
     }
   };
 
-  const toggleTaskStatus = async (task) => {
+  // Mirrors the enforce_task_blockers trigger so blocked moves are refused before the round trip
+  const blockedStatusReason = (task, nextStatus) => {
+    if (!task.open_blocker_count || task.status === nextStatus) return null;
+    if (nextStatus === 'Completed' || (nextStatus === 'In Progress' && !appSettings.blocked_tasks_can_start)) {
+      return `This task is blocked by ${task.open_blocker_count} unfinished task(s)`;
+    }
+    return null;
+  };
+
+  // Mirrors can_work_on_task: task managers work on any task, others on their own if their role allows
+  const canWorkOnTask = (task) => canManageTasks || (canWorkOnTasks && task.assigned_to === session?.user.id);
+
+  const updateTaskStatus = async (task, nextStatus) => {
+    if (task.status === nextStatus || !TASK_STATUSES.includes(nextStatus)) return;
+    if (!canWorkOnTask(task)) {
+      alert("You don't have permission to change this task's status");
+      return;
+    }
+
+    const blockedReason = blockedStatusReason(task, nextStatus);
+    if (blockedReason) {
+      alert(blockedReason);
+      return;
+    }
+
+    // Optimistic update so board moves feel instant; rolled back on failure
+    setTasks(prev => prev.map(t => t.id === task.id ? { ...t, status: nextStatus } : t));
+
     try {
-      const statusOrder = ['Pending', 'In Progress', 'Completed'];
-      const currentIndex = statusOrder.indexOf(task.status);
-      const nextStatus = statusOrder[(currentIndex + 1) % statusOrder.length];
-      
-      const { error } = await supabaseInstance
+      let query = supabaseInstance
         .from('tasks')
         .update({ status: nextStatus })
         .eq('id', task.id);
-      
+
+      // Without tasks.manage people can only write to tasks assigned to them
+      if (!canManageTasks) {
+        query = query.eq('assigned_to', session.user.id);
+      }
+
+      const { data, error } = await query.select().single();
       if (error) throw error;
       
-      await fetchTasks();
+      mergeTaskLocal(data);
     } catch (err) {
       console.error('Error updating task:', err);
+      setTasks(prev => prev.map(t => t.id === task.id ? { ...t, status: task.status } : t));
       alert("Failed to update task status: " + err.message);
     }
   };
 
+  // Calendar and timeline drag and drop; only task managers may change dates
+  const updateTaskDates = async (task, dates) => {
+    if (!canManageTasks) return;
+    if (Object.entries(dates).every(([field, value]) => (task[field] ?? null) === value)) return;
+
+    const patch = (rows, values) => rows.map(t => t.id === task.id ? { ...t, ...values } : t);
+    const previous = { start_date: task.start_date ?? null, due_date: task.due_date ?? null };
+    setRangeTasks(prev => patch(prev, dates));
+    setProjectTasks(prev => patch(prev, dates));
+
+    try {
+      const { data, error } = await supabaseInstance
+        .from('tasks')
+        .update(dates)
+        .eq('id', task.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      mergeTaskLocal(data);
+    } catch (err) {
+      console.error('Error rescheduling task:', err);
+      setRangeTasks(prev => patch(prev, previous));
+      setProjectTasks(prev => patch(prev, previous));
+      alert("Failed to reschedule task: " + err.message);
+    }
+  };
+
+  // Moving a task on the calendar keeps its duration
+  const rescheduleTask = (task, dueDate) => {
+    if (!task.due_date || !task.start_date) return updateTaskDates(task, { due_date: dueDate });
+    return updateTaskDates(task, {
+      start_date: addDays(task.start_date, daysBetween(task.due_date, dueDate)),
+      due_date: dueDate
+    });
+  };
+
+  // Advances a task one step; completed tasks are reopened explicitly from the board or drawer
+  const toggleTaskStatus = async (task) => {
+    const currentIndex = TASK_STATUSES.indexOf(task.status);
+    if (currentIndex === TASK_STATUSES.length - 1) return;
+    await updateTaskStatus(task, TASK_STATUSES[currentIndex + 1]);
+  };
+
   const handleCreateTask = async (e) => {
     e.preventDefault();
     
-    if (!isAdmin) {
-      alert("Only admins can create tasks");
+    if (!canManageTasks) {
+      alert("You don't have permission to create tasks");
       return;
     }
     
+    const errors = validateRecurrence(newTask.recurrence, newTask.due_date);
+    if (newTask.start_date && newTask.due_date && newTask.start_date > newTask.due_date) {
+      errors.start_date = 'Start date must be on or before the due date';
+    }
+    if (newTask.start_date && newTask.recurrence.frequency !== 'none') {
+      errors.start_date = 'Recurring tasks are scheduled by due date only';
+    }
+    const estimate = parseEstimate(newTask.estimate_hours);
+    if (estimate === undefined) errors.estimate_hours = 'Enter hours between 0.1 and 1000';
+    setNewTaskErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+    
+    let seriesId = null;
     try {
       const taskData = {
         title: newTask.title,
-        project: newTask.project || 'General',
+        project_id: newTask.project_id || null,
         assigned_to: newTask.assigned_to || null,
+        start_date: newTask.start_date || null,
         due_date: newTask.due_date || null,
+        priority: newTask.priority,
+        label_ids: newTask.label_ids,
+        estimate_hours: estimate,
+        description: '',
         created_by: session.user.id,
         status: 'Pending'
       };
+
+      // Recurring tasks hang off a series that holds the rule and the template for later occurrences
+      if (newTask.recurrence.frequency !== 'none') {
+        const { data: series, error: seriesError } = await supabaseInstance
+          .from('task_series')
+          .insert([{
+            ...recurrenceToSeries(newTask.recurrence),
+            title: taskData.title,
+            project_id: taskData.project_id,
+            assigned_to: taskData.assigned_to,
+            description: taskData.description,
+            priority: taskData.priority,
+            label_ids: taskData.label_ids,
+            estimate_hours: taskData.estimate_hours,
+            anchor_date: taskData.due_date,
+            occurrence_count: 1,
+            created_by: session.user.id
+          }])
+          .select()
+          .single();
+
+        if (seriesError) throw seriesError;
+        seriesId = series.id;
+        taskData.series_id = seriesId;
+      }
       
-      const { error } = await supabaseInstance
+      const { data, error } = await supabaseInstance
         .from('tasks')
-        .insert([taskData]);
+        .insert([taskData])
+        .select()
+        .single();
       
       if (error) throw error;
       
       setIsAddingTask(false);
-      setNewTask({ title: '', project: 'General', assigned_to: '', due_date: '' });
-      await fetchTasks();
+      setNewTask(EMPTY_TASK);
+      setNewTaskErrors({});
+      mergeTaskLocal(data);
       alert('Task created successfully!');
     } catch (err) {
       console.error('Error creating task:', err);
+      // Don't leave an empty series behind if the first occurrence failed
+      if (seriesId) await supabaseInstance.from('task_series').delete().eq('id', seriesId);
       alert("Failed to create task: " + err.message);
     }
   };
 
-  const handleDeleteTask = async (taskId) => {
-    if (!isAdmin) {
-      alert("Only admins can delete tasks");
+  // --- TASK DETAIL DRAWER ---
+  const openTaskDetail = (task) => {
+    setSelectedTask(task);
+    setTaskDraft({
+      title: task.title || '',
+      project_id: task.project_id || '',
+      assigned_to: task.assigned_to || '',
+      start_date: task.start_date || '',
+      due_date: task.due_date || '',
+      status: task.status || 'Pending',
+      priority: task.priority || 'Medium',
+      label_ids: task.label_ids || [],
+      estimate_hours: task.estimate_hours != null ? String(task.estimate_hours) : '',
+      description: task.description || ''
+    });
+    setTaskErrors({});
+  };
+
+  const closeTaskDetail = () => {
+    setSelectedTask(null);
+    setTaskDraft(null);
+    setTaskErrors({});
+    setComments([]);
+    setMentionPeople([]);
+    setCommentDraft('');
+    setChecklistItems([]);
+    setChecklistDraft('');
+    setDependencies({ blockers: [], dependents: [] });
+    setDependencySearch('');
+    setEditingComment(null);
+    setTaskActivity([]);
+    setTaskSeries(null);
+    setSeriesDraft(null);
+    setSeriesErrors({});
+    setApplyToSeries(true);
+    setTaskTimeEntries([]);
+    setTimeDraft(EMPTY_TIME_DRAFT);
+    setAttachments([]);
+    setAttachmentUploads([]);
+    setAttachmentPreview(null);
+  };
+
+  const canEditTaskField = (field) => canManageTasks || (canWorkOnTasks && PARTNER_EDITABLE_FIELDS.includes(field));
+
+  const validateTaskDraft = (draft) => {
+    const errors = {};
+    if (!draft.title.trim()) errors.title = 'Title is required';
+    if (draft.title.length > 200) errors.title = 'Title must be 200 characters or less';
+    if (draft.project_id && !projects.some(p => p.id === draft.project_id)) errors.project_id = 'Unknown project';
+    if (!TASK_PRIORITIES.includes(draft.priority)) errors.priority = 'Invalid priority';
+    if (draft.label_ids.some(id => !labels.some(l => l.id === id))) errors.label_ids = 'Unknown label';
+    if (parseEstimate(draft.estimate_hours) === undefined) errors.estimate_hours = 'Enter hours between 0.1 and 1000';
+    if (!TASK_STATUSES.includes(draft.status)) errors.status = 'Invalid status';
+    else if (selectedTask && blockedStatusReason(selectedTask, draft.status)) errors.status = blockedStatusReason(selectedTask, draft.status);
+    if (draft.due_date && isNaN(Date.parse(draft.due_date))) errors.due_date = 'Invalid date';
+    if (draft.start_date && isNaN(Date.parse(draft.start_date))) errors.start_date = 'Invalid date';
+    else if (draft.start_date && draft.due_date && draft.start_date > draft.due_date) errors.start_date = 'Start date must be on or before the due date';
+    if (draft.assigned_to && partners.length > 0 && !partners.some(p => p.id === draft.assigned_to)) {
+      errors.assigned_to = 'Unknown partner';
+    }
+    return errors;
+  };
+
+  const handleUpdateTask = async (e) => {
+    e.preventDefault();
+    if (!selectedTask || !taskDraft) return;
+
+    const errors = validateTaskDraft(taskDraft);
+    setTaskErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    // Only send fields this role may edit and that actually changed
+    const updates = {};
+    TASK_EDITABLE_FIELDS.filter(canEditTaskField).forEach(field => {
+      let value = typeof taskDraft[field] === 'string' ? taskDraft[field].trim() : taskDraft[field];
+      if (['assigned_to', 'start_date', 'due_date', 'project_id'].includes(field) && !value) value = null;
+      if (field === 'estimate_hours') value = parseEstimate(value);
+      const current = selectedTask[field] ?? (field === 'description' ? '' : null);
+      const changed = Array.isArray(value)
+        ? [...value].sort().join() !== [...(current || [])].sort().join()
+        : value !== current;
+      if (changed) updates[field] = value;
+    });
+
+    if (Object.keys(updates).length === 0) {
+      closeTaskDetail();
       return;
     }
-    
-    if (!confirm("Are you sure you want to delete this task?")) return;
-    
+
+    setIsSavingTask(true);
     try {
-      const { error } = await supabaseInstance
+      let query = supabaseInstance
         .from('tasks')
-        .delete()
-        .eq('id', taskId);
-      
+        .update(updates)
+        .eq('id', selectedTask.id);
+
+      // Without tasks.manage people can only write to tasks assigned to them
+      if (!canManageTasks) {
+        query = query.eq('assigned_to', session.user.id);
+      }
+
+      const { data, error } = await query.select().single();
       if (error) throw error;
-      
-      await fetchTasks();
-      alert('Task deleted successfully!');
+
+      // Carry template edits over to occurrences the series has yet to create
+      const templateUpdates = Object.fromEntries(
+        Object.entries(updates).filter(([field]) => SERIES_TEMPLATE_FIELDS.includes(field))
+      );
+      if (canManageTasks && selectedTask.series_id && applyToSeries && Object.keys(templateUpdates).length > 0) {
+        const { error: seriesError } = await supabaseInstance
+          .from('task_series')
+          .update(templateUpdates)
+          .eq('id', selectedTask.series_id);
+        if (seriesError) throw seriesError;
+      }
+
+      closeTaskDetail();
+      mergeTaskLocal(data);
+      alert('Task updated successfully!');
     } catch (err) {
-      console.error('Error deleting task:', err);
-      alert("Failed to delete task: " + err.message);
+      console.error('Error updating task:', err);
+      alert("Failed to update task: " + err.message);
+    } finally {
+      setIsSavingTask(false);
+    }
+  };
+
+  // --- RECURRING SERIES ---
+  const fetchTaskSeries = async (seriesId) => {
+    try {
+      const { data, error } = await supabaseInstance
+        .from('task_series')
+        .select('*')
+        .eq('id', seriesId)
+        .single();
+
+      if (error) throw error;
+      setTaskSeries(data);
+    } catch (err) {
+      console.error("Error fetching task series:", err);
+      setTaskSeries(null);
     }
   };
 
-  const handleAddPartner = async (e) => {
+  const handleUpdateSeries = async (e) => {
     e.preventDefault();
-    
-    if (!isAdmin) {
-      alert("Only admins can add partners");
-      return;
+    if (!canManageTasks || !taskSeries || !seriesDraft) return;
+
+    const errors = validateRecurrence(seriesDraft, taskSeries.anchor_date);
+    setSeriesErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    try {
+      const { data, error } = await supabaseInstance
+        .from('task_series')
+        .update({ ...recurrenceToSeries(seriesDraft), active: true })
+        .eq('id', taskSeries.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      setTaskSeries(data);
+      setSeriesDraft(null);
+      alert('Recurrence updated successfully!');
+    } catch (err) {
+      console.error('Error updating series:', err);
+      alert("Failed to update recurrence: " + err.message);
     }
-    
+  };
+
+  const handleSetSeriesActive = async (active) => {
+    if (!canManageTasks || !taskSeries) return;
+    if (!active && !confirm("Stop this series? Existing tasks are kept, but no new occurrences will be created.")) return;
+
     try {
-      const { data: authData, error: authError } = await supabaseInstance.auth.signUp({
-        email: newPartner.email,
-        password: newPartner.password,
-        options: {
-          data: { name: newPartner.name },
-          emailRedirectTo: window.location.origin
-        }
-      });
-      
-      if (authError) throw authError;
-      
-      setIsAddingPartner(false);
-      setNewPartner({ name: '', email: '', password: '' });
-      
-      setTimeout(async () => {
-        await fetchPartners();
-      }, 1000);
-      
-      alert('Partner added successfully! They will receive a verification email.');
+      const { data, error } = await supabaseInstance
+        .from('task_series')
+        .update({ active })
+        .eq('id', taskSeries.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      setTaskSeries(data);
     } catch (err) {
-      console.error('Error adding partner:', err);
-      alert("Failed to add partner: " + err.message);
+      console.error('Error updating series:', err);
+      alert("Failed to update recurrence: " + err.message);
     }
   };
 
-  const handleRemovePartner = async (partnerId) => {
-    if (!isAdmin) {
-      alert("Only admins can remove partners");
-      return;
+  // --- CHECKLIST ---
+  const fetchChecklist = async (taskId) => {
+    try {
+      const { data, error } = await supabaseInstance
+        .from('task_checklist_items')
+        .select('*')
+        .eq('task_id', taskId)
+        .order('position', { ascending: true })
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      setChecklistItems(data || []);
+    } catch (err) {
+      console.error("Error fetching checklist:", err);
+      setChecklistItems([]);
     }
-    
-    if (!confirm("Are you sure you want to remove this partner? All their tasks will be deleted.")) return;
-    
+  };
+
+  // The database keeps checklist_total/checklist_done on the task; pull the row so the list shows the new count
+  const refreshTaskLocal = async (taskId) => {
     try {
-      const { error: tasksError } = await supabaseInstance
+      const { data, error } = await supabaseInstance
         .from('tasks')
-        .delete()
-        .eq('assigned_to', partnerId);
-      
-      if (tasksError) throw tasksError;
-      
-      const { error: profileError } = await supabaseInstance
-        .from('profiles')
-        .delete()
-        .eq('id', partnerId);
-      
-      if (profileError) throw profileError;
-      
-      await fetchPartners();
-      await fetchTasks();
-      alert('Partner removed successfully!');
+        .select('*')
+        .eq('id', taskId)
+        .single();
+
+      if (error) throw error;
+      mergeTaskLocal(data);
     } catch (err) {
-      console.error('Error removing partner:', err);
-      alert("Failed to remove partner: " + err.message);
+      console.error("Error refreshing task:", err);
     }
   };
 
-  const getPartnerName = (partnerId) => {
-    const partner = partners.find(p => p.id === partnerId);
-    return partner?.name || 'Unassigned';
-  };
+  const handleAddChecklistItem = async (e) => {
+    e.preventDefault();
+    const title = checklistDraft.trim();
+    if (!selectedTask || !title) return;
 
-  // --- STATS (Context-aware based on accessible tasks) ---
-  const stats = useMemo(() => {
-    const total = tasks.length;
-    const completed = tasks.filter(t => t.status === 'Completed').length;
-    const inProgress = tasks.filter(t => t.status === 'In Progress').length;
-    const pending = tasks.filter(t => t.status === 'Pending').length;
-    
-    const statusData = [
-      { name: 'Pending', value: pending },
-      { name: 'In Progress', value: inProgress },
-      { name: 'Completed', value: completed },
-    ].filter(item => item.value > 0);
+    try {
+      const { error } = await supabaseInstance
+        .from('task_checklist_items')
+        .insert([{
+          task_id: selectedTask.id,
+          title,
+          position: checklistItems.reduce((max, item) => Math.max(max, item.position + 1), 0),
+          created_by: session.user.id
+        }]);
 
-    const projectAgg = tasks.reduce((acc, task) => {
-      if (!acc[task.project]) acc[task.project] = { name: task.project, total: 0, done: 0 };
-      acc[task.project].total += 1;
-      if (task.status === 'Completed') acc[task.project].done += 1;
-      return acc;
-    }, {});
+      if (error) throw error;
 
-    const projectProgressData = Object.values(projectAgg).map(p => ({
-      name: p.name,
-      progress: Math.round((p.done / (p.total || 1)) * 100),
-      label: `${p.done}/${p.total} Done`
-    }));
+      setChecklistDraft('');
+      await fetchChecklist(selectedTask.id);
+      refreshTaskLocal(selectedTask.id);
+    } catch (err) {
+      console.error('Error adding checklist item:', err);
+      alert("Failed to add checklist item: " + err.message);
+    }
+  };
 
-    const partnerData = isAdmin ? partners.map(p => {
-      const partnerTasks = tasks.filter(t => t.assigned_to === p.id);
-      return { name: p.name, tasks: partnerTasks.length };
-    }) : [];
-    
-    return {
-      total,
-      completed,
-      inProgress,
-      pending,
-      statusData,
-      projectProgressData,
-      partnerData
-    };
-  }, [tasks, partners, isAdmin]);
+  const handleToggleChecklistItem = async (item) => {
+    const previous = checklistItems;
+    setChecklistItems(prev => prev.map(i => i.id === item.id ? { ...i, done: !item.done } : i));
 
-  // --- LOADING STATE ---
-  if (loading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center bg-slate-50">
-        <div className="text-center">
-          <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-indigo-600 mx-auto mb-4"></div>
-          <p className="text-slate-400 font-bold uppercase text-xs tracking-widest">Initializing TaskFlow...</p>
-        </div>
-      </div>
-    );
-  }
+    try {
+      const { error } = await supabaseInstance
+        .from('task_checklist_items')
+        .update({ done: !item.done })
+        .eq('id', item.id);
 
-  // --- ERROR STATE ---
-  if (errorMsg && !session) {
+      if (error) throw error;
+      refreshTaskLocal(item.task_id);
+    } catch (err) {
+      setChecklistItems(previous);
+      console.error('Error updating checklist item:', err);
+      alert("Failed to update checklist item: " + err.message);
+    }
+  };
+
+  const handleDeleteChecklistItem = async (item) => {
+    if (!confirm(`Remove "${item.title}" from the checklist?`)) return;
+
+    try {
+      const { error } = await supabaseInstance
+        .from('task_checklist_items')
+        .delete()
+        .eq('id', item.id);
+
+      if (error) throw error;
+
+      setChecklistItems(prev => prev.filter(i => i.id !== item.id));
+      refreshTaskLocal(item.task_id);
+    } catch (err) {
+      console.error('Error deleting checklist item:', err);
+      alert("Failed to delete checklist item: " + err.message);
+    }
+  };
+
+  // --- DEPENDENCIES ---
+  const fetchDependencies = async (taskId) => {
+    try {
+      const [blockersRes, dependentsRes] = await Promise.all([
+        supabaseInstance
+          .from('task_dependencies')
+          .select('blocked_by_id, task:tasks!blocked_by_id(id, title, status, assigned_to, due_date)')
+          .eq('task_id', taskId),
+        supabaseInstance
+          .from('task_dependencies')
+          .select('task_id, task:tasks!task_id(id, title, status, assigned_to, due_date)')
+          .eq('blocked_by_id', taskId)
+      ]);
+
+      if (blockersRes.error) throw blockersRes.error;
+      if (dependentsRes.error) throw dependentsRes.error;
+      // Trashed tasks come back as null and are left out
+      setDependencies({
+        blockers: (blockersRes.data || []).filter(d => d.task).map(d => ({ id: d.blocked_by_id, task: d.task })),
+        dependents: (dependentsRes.data || []).filter(d => d.task).map(d => ({ id: d.task_id, task: d.task }))
+      });
+    } catch (err) {
+      console.error("Error fetching dependencies:", err);
+      setDependencies({ blockers: [], dependents: [] });
+    }
+  };
+
+  const searchDependencyCandidates = async (q) => {
+    try {
+      const { data, error } = await supabaseInstance
+        .from('tasks')
+        .select('id, title, status, due_date')
+        .ilike('title', `%${escapeLikePattern(q)}%`)
+        .neq('id', selectedTask.id)
+        .order('created_at', { ascending: false })
+        .limit(8);
+
+      if (error) throw error;
+      setDependencyResults((data || []).filter(t => !dependencies.blockers.some(b => b.id === t.id)));
+    } catch (err) {
+      console.error("Error searching tasks:", err);
+      setDependencyResults([]);
+    }
+  };
+
+  const handleAddDependency = async (blocker) => {
+    if (!canManageTasks || !selectedTask) return;
+
+    try {
+      const { error } = await supabaseInstance
+        .from('task_dependencies')
+        .insert([{ task_id: selectedTask.id, blocked_by_id: blocker.id, created_by: session.user.id }]);
+
+      if (error) throw error;
+
+      setDependencySearch('');
+      await fetchDependencies(selectedTask.id);
+      refreshTaskLocal(selectedTask.id);
+    } catch (err) {
+      console.error('Error adding dependency:', err);
+      alert("Failed to add dependency: " + err.message);
+    }
+  };
+
+  const handleRemoveDependency = async (blockerId) => {
+    if (!canManageTasks || !selectedTask) return;
+
+    try {
+      const { error } = await supabaseInstance
+        .from('task_dependencies')
+        .delete()
+        .eq('task_id', selectedTask.id)
+        .eq('blocked_by_id', blockerId);
+
+      if (error) throw error;
+
+      await fetchDependencies(selectedTask.id);
+      refreshTaskLocal(selectedTask.id);
+    } catch (err) {
+      console.error('Error removing dependency:', err);
+      alert("Failed to remove dependency: " + err.message);
+    }
+  };
+
+  // Opens a task that is only known by id, e.g. from a dependency or a notification
+  const openTaskById = async (taskId) => {
+    try {
+      const { data, error } = await supabaseInstance
+        .from('tasks')
+        .select('*')
+        .eq('id', taskId)
+        .single();
+
+      if (error) throw error;
+      closeTaskDetail();
+      openTaskDetail(data);
+    } catch (err) {
+      console.error('Error opening task:', err);
+      alert("Failed to open task: " + err.message);
+    }
+  };
+
+  // --- SETTINGS ---
+  const fetchAppSettings = async () => {
+    try {
+      const { data, error } = await supabaseInstance
+        .from('app_settings')
+        .select('*')
+        .eq('workspace_id', activeWorkspaceId)
+        .maybeSingle();
+
+      if (error) throw error;
+      setAppSettings(data || DEFAULT_APP_SETTINGS);
+    } catch (err) {
+      console.error("Error fetching settings:", err);
+      setAppSettings(DEFAULT_APP_SETTINGS);
+    }
+  };
+
+  const handleUpdateSettings = async (changes) => {
+    if (!canManageSettings) return;
+
+    try {
+      const { data, error } = await supabaseInstance
+        .from('app_settings')
+        .update({ ...changes, updated_by: session.user.id, updated_at: new Date().toISOString() })
+        .eq('workspace_id', activeWorkspaceId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      setAppSettings(data);
+    } catch (err) {
+      console.error('Error updating settings:', err);
+      alert("Failed to update settings: " + err.message);
+    }
+  };
+
+  // --- LABELS ---
+  const getLabel = (labelId) => labels.find(l => l.id === labelId);
+
+  const fetchLabels = async () => {
+    try {
+      const { data, error } = await supabaseInstance
+        .from('labels')
+        .select('*')
+        .eq('workspace_id', activeWorkspaceId)
+        .order('name', { ascending: true });
+
+      if (error) throw error;
+      setLabels(data || []);
+    } catch (err) {
+      console.error("Error fetching labels:", err);
+      setLabels([]);
+    }
+  };
+
+  const handleSaveLabel = async (e) => {
+    e.preventDefault();
+    if (!canManageSettings || !labelForm) return;
+
+    const name = labelForm.name.trim();
+    if (!name) return;
+    if (labels.some(l => l.id !== labelForm.id && l.name.toLowerCase() === name.toLowerCase())) {
+      alert(`A label named "${name}" already exists`);
+      return;
+    }
+
+    try {
+      const query = labelForm.id
+        ? supabaseInstance.from('labels').update({ name, color: labelForm.color }).eq('id', labelForm.id)
+        : supabaseInstance.from('labels').insert([{ name, color: labelForm.color, created_by: session.user.id }]);
+
+      const { data, error } = await query.select().single();
+      if (error) throw error;
+
+      setLabels(prev => upsertById(prev, data).sort(byName));
+      setLabelForm(null);
+    } catch (err) {
+      console.error('Error saving label:', err);
+      alert("Failed to save label: " + err.message);
+    }
+  };
+
+  const handleDeleteLabel = async (label) => {
+    if (!canManageSettings) return;
+    if (!confirm(`Delete the label "${label.name}"? It will be removed from every task.`)) return;
+
+    try {
+      const { error } = await supabaseInstance
+        .from('labels')
+        .delete()
+        .eq('id', label.id);
+
+      if (error) throw error;
+
+      setLabels(prev => prev.filter(l => l.id !== label.id));
+      if (taskFilters.label === label.id) setTaskFilters({ ...taskFilters, label: '' });
+      fetchTasks();
+      scheduleTaskCountsRefresh();
+    } catch (err) {
+      console.error('Error deleting label:', err);
+      alert("Failed to delete label: " + err.message);
+    }
+  };
+
+  // --- ATTACHMENTS ---
+  const fetchAttachments = async (taskId) => {
+    try {
+      const { data, error } = await supabaseInstance
+        .from('task_attachments')
+        .select('*')
+        .eq('task_id', taskId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      setAttachments(data || []);
+    } catch (err) {
+      console.error("Error fetching attachments:", err);
+      setAttachments([]);
+    }
+  };
+
+  const updateAttachmentUpload = (id, changes) => {
+    setAttachmentUploads(prev => prev.map(u => u.id === id ? { ...u, ...changes } : u));
+  };
+
+  // Uploads one file at a time; a file that fails keeps its row in the list with the error
+  const handleUploadAttachments = async (files) => {
+    if (!selectedTask) return;
+    const taskId = selectedTask.id;
+
+    for (const file of Array.from(files)) {
+      const id = crypto.randomUUID();
+      const problem = validateAttachment(file);
+      setAttachmentUploads(prev => [...prev, { id, name: file.name, progress: 0, error: problem }]);
+      if (problem) continue;
+
+      const path = attachmentPath(taskId, file.name);
+      let uploaded = false;
+      try {
+        const { data: signed, error: signError } = await supabaseInstance.storage
+          .from(ATTACHMENT_BUCKET)
+          .createSignedUploadUrl(path);
+        if (signError) throw signError;
+
+        await uploadToSignedUrl(signed.signedUrl, file, progress => updateAttachmentUpload(id, { progress }));
+        uploaded = true;
+
+        const { error } = await supabaseInstance
+          .from('task_attachments')
+          .insert([{
+            task_id: taskId,
+            storage_path: path,
+            file_name: file.name,
+            content_type: file.type,
+            size_bytes: file.size,
+            uploaded_by: session.user.id
+          }]);
+        if (error) throw error;
+
+        setAttachmentUploads(prev => prev.filter(u => u.id !== id));
+      } catch (err) {
+        console.error('Error uploading attachment:', err);
+        // Don't leave a file behind that no attachment row points to
+        if (uploaded) await supabaseInstance.storage.from(ATTACHMENT_BUCKET).remove([path]);
+        updateAttachmentUpload(id, { error: err.message });
+      }
+    }
+
+    if (selectedTask?.id === taskId) fetchAttachments(taskId);
+  };
+
+  const dismissAttachmentUpload = (id) => {
+    setAttachmentUploads(prev => prev.filter(u => u.id !== id));
+  };
+
+  // Links are short-lived so they can't be passed around after someone loses access
+  const signedAttachmentUrl = async (attachment, download) => {
+    const { data, error } = await supabaseInstance.storage
+      .from(ATTACHMENT_BUCKET)
+      .createSignedUrl(attachment.storage_path, 300, download ? { download: attachment.file_name } : undefined);
+    if (error) throw error;
+    return data.signedUrl;
+  };
+
+  const handleOpenAttachment = async (attachment) => {
+    try {
+      const url = await signedAttachmentUrl(attachment, !canPreviewAttachment(attachment));
+      if (canPreviewAttachment(attachment)) {
+        setAttachmentPreview({ attachment, url });
+      } else {
+        window.open(url, '_blank', 'noopener');
+      }
+    } catch (err) {
+      console.error('Error opening attachment:', err);
+      alert("Failed to open attachment: " + err.message);
+    }
+  };
+
+  const handleDownloadAttachment = async (attachment) => {
+    try {
+      window.open(await signedAttachmentUrl(attachment, true), '_blank', 'noopener');
+    } catch (err) {
+      console.error('Error downloading attachment:', err);
+      alert("Failed to download attachment: " + err.message);
+    }
+  };
+
+  const handleDeleteAttachment = async (attachment) => {
+    if (!confirm(`Delete ${attachment.file_name}?`)) return;
+
+    try {
+      // Row first: a leftover file is harmless, a row whose file is gone breaks previews
+      const { error } = await supabaseInstance
+        .from('task_attachments')
+        .delete()
+        .eq('id', attachment.id);
+      if (error) throw error;
+
+      const { error: storageError } = await supabaseInstance.storage
+        .from(ATTACHMENT_BUCKET)
+        .remove([attachment.storage_path]);
+      if (storageError) console.error('Error removing attachment file:', storageError);
+
+      setAttachments(prev => prev.filter(a => a.id !== attachment.id));
+    } catch (err) {
+      console.error('Error deleting attachment:', err);
+      alert("Failed to delete attachment: " + err.message);
+    }
+  };
+
+  // Removes the files of deleted tasks that the database queued for this workspace
+  const clearQueuedAttachmentFiles = async () => {
+    for (;;) {
+      const { data, error } = await supabaseInstance
+        .from('attachment_file_cleanup')
+        .select('storage_path')
+        .eq('workspace_id', activeWorkspaceId)
+        .order('queued_at')
+        .limit(ATTACHMENT_CLEANUP_BATCH);
+
+      if (error) throw error;
+      if (!data?.length) return;
+
+      const paths = data.map(f => f.storage_path);
+      const { error: storageError } = await supabaseInstance.storage.from(ATTACHMENT_BUCKET).remove(paths);
+      if (storageError) throw storageError;
+
+      const { error: queueError } = await supabaseInstance
+        .from('attachment_file_cleanup')
+        .delete()
+        .in('storage_path', paths);
+      if (queueError) throw queueError;
+
+      if (data.length < ATTACHMENT_CLEANUP_BATCH) return;
+    }
+  };
+
+  // --- TIME TRACKING ---
+  const fetchTaskTimeEntries = async (taskId) => {
+    try {
+      const { data, error } = await supabaseInstance
+        .from('time_entries')
+        .select('*')
+        .eq('task_id', taskId)
+        .order('entry_date', { ascending: false })
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      setTaskTimeEntries(data || []);
+    } catch (err) {
+      console.error("Error fetching time entries:", err);
+      setTaskTimeEntries([]);
+    }
+  };
+
+  const fetchRunningTimer = async () => {
+    try {
+      const { data, error } = await supabaseInstance
+        .from('time_entries')
+        .select('*, task:tasks(id, title)')
+        .eq('user_id', session.user.id)
+        .not('started_at', 'is', null)
+        .is('ended_at', null)
+        .maybeSingle();
+
+      if (error) throw error;
+      setRunningTimer(data);
+    } catch (err) {
+      console.error("Error fetching running timer:", err);
+      setRunningTimer(null);
+    }
+  };
+
+  // Time views that show the entry that just changed
+  const refreshTimeViews = (taskId) => {
+    if (selectedTask?.id === taskId) fetchTaskTimeEntries(taskId);
+    if (view === 'timesheets' && timesheetTab === 'week') fetchTimesheet();
+  };
+
+  const handleStopTimer = async () => {
+    if (!runningTimer) return;
+
+    try {
+      const { error } = await supabaseInstance
+        .from('time_entries')
+        .update({ ended_at: new Date().toISOString() })
+        .eq('id', runningTimer.id);
+
+      if (error) throw error;
+      setRunningTimer(null);
+      refreshTimeViews(runningTimer.task_id);
+    } catch (err) {
+      console.error('Error stopping timer:', err);
+      alert("Failed to stop timer: " + err.message);
+    }
+  };
+
+  // Only one timer runs at a time, so starting one stops the other
+  const handleStartTimer = async (task) => {
+    if (runningTimer) await handleStopTimer();
+
+    try {
+      const { data, error } = await supabaseInstance
+        .from('time_entries')
+        .insert([{
+          task_id: task.id,
+          user_id: session.user.id,
+          entry_date: toIsoDate(new Date()),
+          started_at: new Date().toISOString()
+        }])
+        .select('*, task:tasks(id, title)')
+        .single();
+
+      if (error) throw error;
+      setRunningTimer(data);
+      refreshTimeViews(task.id);
+    } catch (err) {
+      console.error('Error starting timer:', err);
+      alert("Failed to start timer: " + err.message);
+    }
+  };
+
+  const handleAddTimeEntry = async (e) => {
+    e.preventDefault();
+    if (!selectedTask) return;
+
+    const hours = parseHours(timeDraft.hours, 24);
+    if (!hours) {
+      alert("Enter the time spent, between 0.1 and 24 hours");
+      return;
+    }
+    const entryDate = timeDraft.entry_date || toIsoDate(new Date());
+    if (entryDate > toIsoDate(new Date())) {
+      alert("Time can't be logged for a future date");
+      return;
+    }
+
+    try {
+      const { error } = await supabaseInstance
+        .from('time_entries')
+        .insert([{
+          task_id: selectedTask.id,
+          user_id: session.user.id,
+          entry_date: entryDate,
+          minutes: Math.round(hours * 60),
+          note: timeDraft.note.trim() || null
+        }]);
+
+      if (error) throw error;
+      setTimeDraft(EMPTY_TIME_DRAFT);
+      refreshTimeViews(selectedTask.id);
+    } catch (err) {
+      console.error('Error logging time:', err);
+      alert("Failed to log time: " + err.message);
+    }
+  };
+
+  const handleDeleteTimeEntry = async (entry) => {
+    if (!confirm("Delete this time entry?")) return;
+
+    try {
+      const { error } = await supabaseInstance
+        .from('time_entries')
+        .delete()
+        .eq('id', entry.id);
+
+      if (error) throw error;
+      if (runningTimer?.id === entry.id) setRunningTimer(null);
+      refreshTimeViews(entry.task_id);
+    } catch (err) {
+      console.error('Error deleting time entry:', err);
+      alert("Failed to delete time entry: " + err.message);
+    }
+  };
+
+  // --- TIMESHEETS ---
+  // Reviewers can look at anyone's week; everyone else only sees their own
+  const timesheetOwnerId = (canReviewTime && timesheetUserId) || session?.user.id;
+
+  const fetchTimesheet = async () => {
+    try {
+      const [entriesRes, sheetRes, pendingRes] = await Promise.all([
+        supabaseInstance
+          .from('time_entries')
+          .select('*, task:tasks(id, title, project_id)')
+          .eq('workspace_id', activeWorkspaceId)
+          .eq('user_id', timesheetOwnerId)
+          .gte('entry_date', timesheetWeek)
+          .lte('entry_date', addDays(timesheetWeek, 6))
+          .order('entry_date', { ascending: true }),
+        supabaseInstance
+          .from('timesheets')
+          .select('*')
+          .eq('workspace_id', activeWorkspaceId)
+          .eq('user_id', timesheetOwnerId)
+          .eq('week_start', timesheetWeek)
+          .maybeSingle(),
+        canReviewTime
+          ? supabaseInstance.from('timesheets').select('*').eq('workspace_id', activeWorkspaceId).eq('status', 'Submitted').order('week_start', { ascending: true })
+          : { data: [], error: null }
+      ]);
+
+      if (entriesRes.error) throw entriesRes.error;
+      if (sheetRes.error) throw sheetRes.error;
+      if (pendingRes.error) throw pendingRes.error;
+      setTimesheetEntries(entriesRes.data || []);
+      setTimesheet(sheetRes.data);
+      setPendingTimesheets(pendingRes.data || []);
+    } catch (err) {
+      console.error("Error fetching timesheet:", err);
+      setTimesheetEntries([]);
+      setTimesheet(null);
+      setPendingTimesheets([]);
+    }
+  };
+
+  const handleSubmitTimesheet = async () => {
+    if (timesheetEntries.some(e => e.minutes == null)) {
+      alert("Stop the running timer before submitting this week");
+      return;
+    }
+    if (!confirm("Submit this week for approval? Its entries can't be changed unless an admin rejects it.")) return;
+
+    try {
+      const { error } = timesheet
+        ? await supabaseInstance.from('timesheets').update({ status: 'Submitted' }).eq('id', timesheet.id)
+        : await supabaseInstance.from('timesheets').insert([{ user_id: session.user.id, week_start: timesheetWeek }]);
+
+      if (error) throw error;
+      fetchTimesheet();
+    } catch (err) {
+      console.error('Error submitting timesheet:', err);
+      alert("Failed to submit timesheet: " + err.message);
+    }
+  };
+
+  const handleReviewTimesheet = async (sheet, status) => {
+    const note = status === 'Rejected' ? prompt("Why is this timesheet being rejected?") : '';
+    if (note === null) return;
+
+    try {
+      const { error } = await supabaseInstance
+        .from('timesheets')
+        .update({ status, review_note: note.trim() || null })
+        .eq('id', sheet.id);
+
+      if (error) throw error;
+      fetchTimesheet();
+    } catch (err) {
+      console.error('Error reviewing timesheet:', err);
+      alert("Failed to review timesheet: " + err.message);
+    }
+  };
+
+  const openPendingTimesheet = (sheet) => {
+    setTimesheetUserId(sheet.user_id);
+    setTimesheetWeek(sheet.week_start);
+  };
+
+  // --- HOURS REPORT ---
+  const fetchTimeReport = async () => {
+    try {
+      let query = supabaseInstance
+        .from('time_entry_totals')
+        .select('*')
+        .gte('entry_date', reportRange.from)
+        .lte('entry_date', reportRange.to);
+
+      if (!canReviewTime) query = query.eq('user_id', session.user.id);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      setReportRows(data || []);
+    } catch (err) {
+      console.error("Error fetching hours report:", err);
+      setReportRows([]);
+    }
+  };
+
+  const handleExportTimeReport = () => {
+    if (timeReport.rows.length === 0) {
+      alert("There are no hours in this range to export");
+      return;
+    }
+
+    const records = timeReport.rows.map(row => ({
+      project: row.project,
+      partner: row.person,
+      hours: minutesToHours(row.minutes),
+      approved_hours: minutesToHours(row.approvedMinutes),
+      from: reportRange.from,
+      to: reportRange.to
+    }));
+    downloadFile(`hours-${reportRange.from}-to-${reportRange.to}.csv`, toCsv(records), 'text/csv;charset=utf-8');
+  };
+
+  // --- NOTIFICATIONS ---
+  const fetchNotifications = async () => {
+    try {
+      const { data, error } = await supabaseInstance
+        .from('notifications')
+        .select('*')
+        .eq('recipient_id', session.user.id)
+        .order('created_at', { ascending: false })
+        .limit(30);
+
+      if (error) throw error;
+      setNotifications(data || []);
+    } catch (err) {
+      console.error("Error fetching notifications:", err);
+      setNotifications([]);
+    }
+  };
+
+  const markNotificationsRead = async (ids) => {
+    if (ids.length === 0) return;
+    const readAt = new Date().toISOString();
+    setNotifications(prev => prev.map(n => ids.includes(n.id) ? { ...n, read_at: readAt } : n));
+
+    try {
+      const { error } = await supabaseInstance
+        .from('notifications')
+        .update({ read_at: readAt })
+        .in('id', ids);
+
+      if (error) throw error;
+    } catch (err) {
+      console.error('Error updating notifications:', err);
+      fetchNotifications();
+    }
+  };
+
+  const handleOpenNotification = (notification) => {
+    setIsNotificationsOpen(false);
+    if (!notification.read_at) markNotificationsRead([notification.id]);
+    if (notification.task_id) openTaskById(notification.task_id);
+  };
+
+  // --- COMMENTS ---
+  const fetchComments = async (taskId) => {
+    try {
+      const { data, error } = await supabaseInstance
+        .from('task_comments')
+        .select('*, author:profiles(id, name, email)')
+        .eq('task_id', taskId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      setComments(data || []);
+    } catch (err) {
+      console.error("Error fetching comments:", err);
+      setComments([]);
+    }
+  };
+
+  // Everyone who can see the task, loaded through an RPC since not every role may list the team
+  const fetchMentionPeople = async (taskId) => {
+    try {
+      const { data, error } = await supabaseInstance.rpc('task_mention_candidates', { target_task_id: taskId });
+
+      if (error) throw error;
+      setMentionPeople(data || []);
+    } catch (err) {
+      console.error("Error fetching mention candidates:", err);
+      setMentionPeople([]);
+    }
+  };
+
+  const mentionCandidates = useMemo(
+    () => mentionPeople.filter(p => p.name && p.id !== session?.user.id),
+    [mentionPeople, session?.user.id]
+  );
+
+  const handleAddComment = async (e) => {
+    e.preventDefault();
+    const body = commentDraft.trim();
+    if (!selectedTask || !body) return;
+
+    try {
+      const { error } = await supabaseInstance
+        .from('task_comments')
+        .insert([{
+          task_id: selectedTask.id,
+          author_id: session.user.id,
+          body,
+          mentions: extractMentions(body, mentionCandidates)
+        }]);
+
+      if (error) throw error;
+
+      setCommentDraft('');
+      await fetchComments(selectedTask.id);
+    } catch (err) {
+      console.error('Error adding comment:', err);
+      alert("Failed to add comment: " + err.message);
+    }
+  };
+
+  const handleUpdateComment = async (e) => {
+    e.preventDefault();
+    const body = editingComment?.body.trim();
+    if (!editingComment || !body) return;
+
+    try {
+      const { error } = await supabaseInstance
+        .from('task_comments')
+        .update({
+          body,
+          mentions: extractMentions(body, mentionCandidates),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', editingComment.id)
+        .eq('author_id', session.user.id);
+
+      if (error) throw error;
+
+      setEditingComment(null);
+      await fetchComments(selectedTask.id);
+    } catch (err) {
+      console.error('Error updating comment:', err);
+      alert("Failed to update comment: " + err.message);
+    }
+  };
+
+  const handleDeleteComment = async (commentId) => {
+    if (!confirm("Delete this comment?")) return;
+
+    try {
+      const { error } = await supabaseInstance
+        .from('task_comments')
+        .delete()
+        .eq('id', commentId)
+        .eq('author_id', session.user.id);
+
+      if (error) throw error;
+
+      setComments(prev => prev.filter(c => c.id !== commentId));
+    } catch (err) {
+      console.error('Error deleting comment:', err);
+      alert("Failed to delete comment: " + err.message);
+    }
+  };
+
+  // --- ACTIVITY LOG ---
+  // Rows are written by database triggers; the client only ever reads them
+  const fetchTaskActivity = async (taskId) => {
+    try {
+      const { data, error } = await supabaseInstance
+        .from('activity_log')
+        .select('*, actor:profiles(id, name)')
+        .eq('entity_type', 'task')
+        .eq('entity_id', taskId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      setTaskActivity(data || []);
+    } catch (err) {
+      console.error("Error fetching task activity:", err);
+      setTaskActivity([]);
+    }
+  };
+
+  const fetchAuditLog = async () => {
+    try {
+      let query = supabaseInstance
+        .from('activity_log')
+        .select('*, actor:profiles(id, name)')
+        .eq('workspace_id', activeWorkspaceId);
+
+      if (auditFilters.actor_id) query = query.eq('actor_id', auditFilters.actor_id);
+      if (auditFilters.from) query = query.gte('created_at', new Date(`${auditFilters.from}T00:00:00`).toISOString());
+      if (auditFilters.to) query = query.lte('created_at', new Date(`${auditFilters.to}T23:59:59.999`).toISOString());
+
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .limit(500);
+
+      if (error) throw error;
+      setAuditEntries(data || []);
+    } catch (err) {
+      console.error("Error fetching audit log:", err);
+      setAuditEntries([]);
+    }
+  };
+
+  // Deleting moves the task to the trash; task managers restore or purge it from there
+  const handleDeleteTask = async (taskId) => {
+    if (!canManageTasks) {
+      alert("You don't have permission to delete tasks");
+      return;
+    }
+
+    try {
+      const { error } = await supabaseInstance.rpc('trash_task', { target_task_id: taskId });
+
+      if (error) throw error;
+
+      removeTaskLocal(taskId);
+      if (selectedTask?.id === taskId) closeTaskDetail();
+      alert('Task moved to the trash. You can restore it from Trash.');
+    } catch (err) {
+      console.error('Error deleting task:', err);
+      alert("Failed to delete task: " + err.message);
+    }
+  };
+
+  // --- TRASH ---
+  const fetchTrash = async () => {
+    try {
+      const { data, error } = await supabaseInstance.rpc('trashed_tasks');
+
+      if (error) throw error;
+      setTrashedTasks(data || []);
+    } catch (err) {
+      console.error("Error fetching trash:", err);
+      setTrashedTasks([]);
+    }
+  };
+
+  const handleRestoreTask = async (task) => {
+    if (!canManageTasks) return;
+
+    try {
+      const { error } = await supabaseInstance.rpc('restore_task', { target_task_id: task.id });
+
+      if (error) throw error;
+
+      setTrashedTasks(prev => prev.filter(t => t.id !== task.id));
+      mergeTaskLocal({ ...task, deleted_at: null, deleted_by: null });
+    } catch (err) {
+      console.error('Error restoring task:', err);
+      alert("Failed to restore task: " + err.message);
+    }
+  };
+
+  const handlePurgeTask = async (task) => {
+    if (!canManageTasks) return;
+
+    if (!confirm(`Permanently delete "${task.title}"? This can't be undone.`)) return;
+
+    try {
+      const { error } = await supabaseInstance.rpc('purge_task', { target_task_id: task.id });
+
+      if (error) throw error;
+
+      // Attachment rows go with the task; deleting it queued their files for removal
+      clearQueuedAttachmentFiles().catch(err => console.error('Error removing attachment files:', err));
+
+      setTrashedTasks(prev => prev.filter(t => t.id !== task.id));
+    } catch (err) {
+      console.error('Error purging task:', err);
+      alert("Failed to delete task: " + err.message);
+    }
+  };
+
+  const handleInvitePartner = async (e) => {
+    e.preventDefault();
+    
+    if (!canManageTeam) {
+      alert("You don't have permission to invite people");
+      return;
+    }
+    
+    try {
+      const { data: token, error } = await supabaseInstance.rpc('create_invitation', {
+        invite_email: inviteDraft.email,
+        invite_name: inviteDraft.name,
+        invite_role: inviteDraft.role
+      });
+      
+      if (error) throw error;
+      
+      setIssuedInvite({ name: inviteDraft.name, email: inviteDraft.email.trim().toLowerCase(), link: inviteLink(token) });
+      setIsAddingPartner(false);
+      setInviteDraft(EMPTY_INVITE);
+      fetchInvitations();
+    } catch (err) {
+      console.error('Error inviting partner:', err);
+      alert("Failed to invite partner: " + err.message);
+    }
+  };
+
+  // A new link with a fresh expiry; the previous one stops working
+  const handleResendInvitation = async (invitation) => {
+    try {
+      const { data: token, error } = await supabaseInstance.rpc('resend_invitation', { target_invitation_id: invitation.id });
+      if (error) throw error;
+
+      setIssuedInvite({ name: invitation.name, email: invitation.email, link: inviteLink(token) });
+      fetchInvitations();
+    } catch (err) {
+      console.error('Error resending invitation:', err);
+      alert("Failed to resend invitation: " + err.message);
+    }
+  };
+
+  const handleRevokeInvitation = async (invitation) => {
+    if (!confirm(`Revoke the invitation for ${invitation.email}? The link will stop working.`)) return;
+
+    try {
+      const { error } = await supabaseInstance
+        .from('invitations')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', invitation.id);
+
+      if (error) throw error;
+      setInvitations(prev => prev.filter(i => i.id !== invitation.id));
+    } catch (err) {
+      console.error('Error revoking invitation:', err);
+      alert("Failed to revoke invitation: " + err.message);
+    }
+  };
+
+  const handleCopyInviteLink = async () => {
+    try {
+      await navigator.clipboard.writeText(issuedInvite.link);
+      alert('Invitation link copied');
+    } catch (err) {
+      console.error('Error copying invitation link:', err);
+      alert("Failed to copy link: " + err.message);
+    }
+  };
+
+  // The invitee signs up with their own password; the token in their metadata lets the
+  // profile trigger add them to the workspace with the invited role and mark the invitation used
+  const handleAcceptInvite = async (e) => {
+    e.preventDefault();
+
+    if (inviteAccept.password.length < MIN_PASSWORD_LENGTH) {
+      alert(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    if (inviteAccept.password !== inviteAccept.confirm) {
+      alert("Passwords don't match");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const { data, error } = await supabaseInstance.auth.signUp({
+        email: pendingInvite.email,
+        password: inviteAccept.password,
+        options: {
+          data: { name: inviteAccept.name.trim() || pendingInvite.name, invite_token: inviteToken },
+          emailRedirectTo: window.location.origin
+        }
+      });
+
+      if (error) throw error;
+
+      setInviteToken('');
+      setPendingInvite(null);
+      setInviteAccept(EMPTY_INVITE_ACCEPT);
+      if (!data?.session) {
+        alert("Account created! Please check your email to verify your account, then sign in.");
+        setAuthMode('login');
+        setAuthData({ email: pendingInvite.email, password: '', name: '' });
+      }
+    } catch (err) {
+      console.error('Error accepting invitation:', err);
+      alert("Failed to accept invitation: " + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const dismissInvite = () => {
+    setInviteToken('');
+    setPendingInvite(null);
+  };
+
+  // Offboarding: preview the person's work here, hand over what's still open and
+  // deactivate them. Nothing is deleted; completed tasks stay attributed to them.
+  const openOffboarding = async (member) => {
+    if (!canManageTeam) {
+      alert("You don't have permission to offboard people");
+      return;
+    }
+
+    setOffboarding({ member, tasks: null, openCount: 0, completedCount: 0, reassignTo: '' });
+    try {
+      const memberTasks = (columns, options) => supabaseInstance
+        .from('tasks')
+        .select(columns, options)
+        .eq('workspace_id', activeWorkspaceId)
+        .eq('assigned_to', member.id);
+      // The list is only a preview; the counts cover everything that will be handed over
+      const [listRes, openRes, completedRes] = await Promise.all([
+        memberTasks('id, title, status, due_date, project_id')
+          .neq('status', 'Completed')
+          .order('due_date', { ascending: true, nullsFirst: false })
+          .limit(OFFBOARDING_PREVIEW_LIMIT),
+        memberTasks('id', { count: 'exact', head: true }).neq('status', 'Completed'),
+        memberTasks('id', { count: 'exact', head: true }).eq('status', 'Completed')
+      ]);
+
+      if (listRes.error) throw listRes.error;
+      if (openRes.error) throw openRes.error;
+      if (completedRes.error) throw completedRes.error;
+      setOffboarding(prev => prev?.member.id === member.id ? {
+        ...prev,
+        tasks: listRes.data || [],
+        openCount: openRes.count ?? 0,
+        completedCount: completedRes.count ?? 0
+      } : prev);
+    } catch (err) {
+      console.error('Error loading tasks for offboarding:', err);
+      alert("Failed to load their tasks: " + err.message);
+      setOffboarding(null);
+    }
+  };
+
+  const handleOffboardPartner = async () => {
+    const { member, reassignTo } = offboarding;
+
+    try {
+      const { error } = await supabaseInstance.rpc('offboard_member', {
+        member_id: member.id,
+        reassign_to: reassignTo || null
+      });
+
+      if (error) throw error;
+      setOffboarding(null);
+      setPartners(prev => prev.map(p => p.id === member.id ? { ...p, deactivated_at: new Date().toISOString() } : p));
+      scheduleTaskCountsRefresh();
+      alert(`${member.name || 'Partner'} has been deactivated`);
+    } catch (err) {
+      console.error('Error offboarding partner:', err);
+      alert("Failed to offboard partner: " + err.message);
+    }
+  };
+
+  const handleReactivatePartner = async (member) => {
+    if (!canManageTeam) return;
+
+    try {
+      const { error } = await supabaseInstance
+        .from('workspace_members')
+        .update({ deactivated_at: null })
+        .eq('workspace_id', activeWorkspaceId)
+        .eq('user_id', member.id);
+
+      if (error) throw error;
+      setPartners(prev => prev.map(p => p.id === member.id ? { ...p, deactivated_at: null } : p));
+    } catch (err) {
+      console.error('Error reactivating partner:', err);
+      alert("Failed to reactivate partner: " + err.message);
+    }
+  };
+
+  const handleUpdateCapacity = async (partnerId, value) => {
+    if (!canManageTeam) return;
+
+    const capacity = parseHours(value, 168);
+    if (capacity == null) {
+      alert("Weekly capacity must be between 0 and 168 hours");
+      return;
+    }
+    if (capacity === Number(getPartner(partnerId)?.weekly_capacity)) return;
+
+    try {
+      const { data, error } = await supabaseInstance
+        .from('profiles')
+        .update({ weekly_capacity: capacity })
+        .eq('id', partnerId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      setPartners(prev => mergeProfile(prev, data));
+    } catch (err) {
+      console.error('Error updating capacity:', err);
+      alert("Failed to update capacity: " + err.message);
+    }
+  };
+
+  const handleChangeRole = async (member, role) => {
+    if (!canManageTeam || member.role === role) return;
+    if (member.id === session.user.id && !confirm("Change your own role? You may lose access to this screen.")) return;
+
+    try {
+      const { error } = await supabaseInstance
+        .from('workspace_members')
+        .update({ role })
+        .eq('workspace_id', activeWorkspaceId)
+        .eq('user_id', member.id);
+
+      if (error) throw error;
+      setPartners(prev => prev.map(p => p.id === member.id ? { ...p, role } : p));
+      if (member.id === session.user.id) fetchWorkspaces(session.user.id);
+    } catch (err) {
+      console.error('Error changing role:', err);
+      alert("Failed to change role: " + err.message);
+    }
+  };
+
+  // --- WORKSPACE SWITCHING ---
+  // Clears what belongs to the previous workspace; the data effects reload the rest
+  const resetWorkspaceData = () => {
+    closeTaskDetail();
+    setTasks([]);
+    setTaskTotal(0);
+    setTaskCounts([]);
+    setRangeTasks([]);
+    setProjectTasks([]);
+    setPartners([]);
+    setInvitations([]);
+    setProjects([]);
+    setLabels([]);
+    setAuditEntries([]);
+    setSelectedProjectId(null);
+    setTrendProjectId('');
+    setTimesheetUserId('');
+    setTaskFilters(EMPTY_TASK_FILTERS);
+    if (view === 'project') setView('projects');
+  };
+
+  const handleSwitchWorkspace = async (workspaceId) => {
+    if (!workspaceId || workspaceId === activeWorkspaceId) return;
+
+    try {
+      const { error } = await supabaseInstance.rpc('switch_workspace', { target_workspace_id: workspaceId });
+      if (error) throw error;
+
+      resetWorkspaceData();
+      setProfile(prev => ({ ...prev, active_workspace_id: workspaceId }));
+    } catch (err) {
+      console.error('Error switching workspace:', err);
+      alert("Failed to switch workspace: " + err.message);
+    }
+  };
+
+  const handleCreateWorkspace = async (e) => {
+    e.preventDefault();
+    const name = workspaceDraft.trim();
+    if (!name) return;
+
+    try {
+      const { data: workspaceId, error } = await supabaseInstance.rpc('create_workspace', { workspace_name: name });
+      if (error) throw error;
+
+      setWorkspaceDraft(null);
+      await fetchWorkspaces(session.user.id);
+      resetWorkspaceData();
+      setProfile(prev => ({ ...prev, active_workspace_id: workspaceId }));
+    } catch (err) {
+      console.error('Error creating workspace:', err);
+      alert("Failed to create workspace: " + err.message);
+    }
+  };
+
+  // Already signed in as the invited address: join without creating another account
+  const handleJoinInvitedWorkspace = async () => {
+    try {
+      const { data: workspaceId, error } = await supabaseInstance.rpc('accept_invitation', { invite_token: inviteToken });
+      if (error) throw error;
+
+      dismissInvite();
+      await fetchWorkspaces(session.user.id);
+      resetWorkspaceData();
+      setProfile(prev => ({ ...prev, active_workspace_id: workspaceId }));
+    } catch (err) {
+      console.error('Error joining workspace:', err);
+      alert("Failed to join workspace: " + err.message);
+    }
+  };
+
+  // --- PROJECTS ---
+  const getProject = (projectId) => projects.find(p => p.id === projectId);
+  const getProjectName = (projectId) => getProject(projectId)?.name || 'No Project';
+
+  const openProjectPage = (projectId) => {
+    setSelectedProjectId(projectId);
+    setView('project');
+  };
+
+  const openProjectForm = (project) => {
+    setProjectForm(project ? {
+      id: project.id,
+      name: project.name || '',
+      description: project.description || '',
+      owner_id: project.owner_id || '',
+      color: project.color || PROJECT_COLORS[0],
+      status: project.status || 'Active',
+      start_date: project.start_date || '',
+      end_date: project.end_date || ''
+    } : EMPTY_PROJECT);
+    setProjectErrors({});
+  };
+
+  const closeProjectForm = () => {
+    setProjectForm(null);
+    setProjectErrors({});
+  };
+
+  const validateProjectForm = (form) => {
+    const errors = {};
+    const key = normalizeProjectName(form.name);
+    if (!form.name.trim()) errors.name = 'Name is required';
+    else if (projects.some(p => p.id !== form.id && normalizeProjectName(p.name) === key)) {
+      errors.name = 'A project with this name already exists';
+    }
+    if (!PROJECT_STATUSES.includes(form.status)) errors.status = 'Invalid status';
+    if (form.start_date && form.end_date && form.end_date < form.start_date) {
+      errors.end_date = 'End date must be after the start date';
+    }
+    return errors;
+  };
+
+  const handleSaveProject = async (e) => {
+    e.preventDefault();
+
+    if (!canManageProjects) {
+      alert("You don't have permission to manage projects");
+      return;
+    }
+
+    const errors = validateProjectForm(projectForm);
+    setProjectErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    try {
+      const projectData = {
+        name: projectForm.name.trim(),
+        description: projectForm.description.trim(),
+        owner_id: projectForm.owner_id || null,
+        color: projectForm.color,
+        status: projectForm.status,
+        start_date: projectForm.start_date || null,
+        end_date: projectForm.end_date || null
+      };
+
+      const query = projectForm.id
+        ? supabaseInstance.from('projects').update(projectData).eq('id', projectForm.id)
+        : supabaseInstance.from('projects').insert([{ ...projectData, created_by: session.user.id }]);
+
+      const { data, error } = await query.select().single();
+      if (error) throw error;
+
+      setProjects(prev => upsertById(prev, data).sort(byName));
+      closeProjectForm();
+      alert(projectForm.id ? 'Project updated successfully!' : 'Project created successfully!');
+    } catch (err) {
+      console.error('Error saving project:', err);
+      alert("Failed to save project: " + err.message);
+    }
+  };
+
+  // Groups of projects whose names only differ by case, spacing or punctuation
+  const duplicateProjectGroups = useMemo(() => {
+    const groups = projects.reduce((acc, project) => {
+      const key = normalizeProjectName(project.name);
+      (acc[key] = acc[key] || []).push(project);
+      return acc;
+    }, {});
+    return Object.values(groups).filter(group => group.length > 1);
+  }, [projects]);
+
+  const handleMergeProjects = async (e) => {
+    e.preventDefault();
+
+    if (!canManageProjects) {
+      alert("You don't have permission to merge projects");
+      return;
+    }
+
+    const sourceIds = mergeDraft.source_ids.filter(id => id !== mergeDraft.target_id);
+    if (!mergeDraft.target_id || sourceIds.length === 0) {
+      alert("Pick a project to keep and at least one project to merge into it");
+      return;
+    }
+
+    const sourceNames = sourceIds.map(getProjectName).join(', ');
+    if (!confirm(`Move all tasks from ${sourceNames} into ${getProjectName(mergeDraft.target_id)} and delete the merged projects?`)) return;
+
+    try {
+      // Runs server-side so moving tasks and deleting the old projects is atomic
+      const { error } = await supabaseInstance.rpc('merge_projects', {
+        target_project_id: mergeDraft.target_id,
+        source_project_ids: sourceIds
+      });
+
+      if (error) throw error;
+
+      setIsMergingProjects(false);
+      setMergeDraft(EMPTY_MERGE);
+      await fetchProjects();
+      await fetchTasks();
+      await fetchTaskCounts();
+      alert('Projects merged successfully!');
+    } catch (err) {
+      console.error('Error merging projects:', err);
+      alert("Failed to merge projects: " + err.message);
+    }
+  };
+
+  const getPartner = (partnerId) => (
+    partners.find(p => p.id === partnerId) || (partnerId && partnerId === profile?.id ? profile : null)
+  );
+
+  const getPartnerName = (partnerId) => getPartner(partnerId)?.name || 'Unassigned';
+
+  // Deactivated people keep their name on past work but aren't offered for new work
+  const activePartners = useMemo(() => partners.filter(p => !p.deactivated_at), [partners]);
+  const deactivatedPartners = partners.filter(p => p.deactivated_at);
+
+  const getRoleLabel = (roleId) => roles.find(r => r.id === roleId)?.label || roleId || 'Partner';
+
+  // Only owners hand out the owner role (enforced again by enforce_member_role_update)
+  const assignableRoles = roles.filter(r => r.id !== 'owner' || currentRole === 'owner');
+
+  // --- EXPORT ---
+  // Exports every task matching the current filters, not just the pages loaded so far
+  const handleExportTasks = async (format) => {
+    try {
+      const rows = [];
+      for (let from = 0; ; from += EXPORT_PAGE_SIZE) {
+        const { data, error } = await buildTaskListQuery().range(from, from + EXPORT_PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < EXPORT_PAGE_SIZE) break;
+      }
+
+      const records = rows.map(task => ({
+        title: task.title,
+        project: task.project_id ? getProjectName(task.project_id) : '',
+        assigned_to: task.assigned_to ? getPartnerName(task.assigned_to) : '',
+        assignee_email: getPartner(task.assigned_to)?.email || '',
+        start_date: task.start_date || '',
+        due_date: task.due_date || '',
+        status: task.status,
+        priority: task.priority,
+        estimate_hours: task.estimate_hours ?? '',
+        labels: (task.label_ids || []).map(id => getLabel(id)?.name).filter(Boolean).join(', '),
+        description: task.description || '',
+        created_at: task.created_at
+      }));
+
+      const stamp = new Date().toISOString().split('T')[0];
+      if (format === 'json') {
+        downloadFile(`tasks-${stamp}.json`, JSON.stringify(records, null, 2), 'application/json');
+      } else {
+        downloadFile(`tasks-${stamp}.csv`, toCsv(records), 'text/csv;charset=utf-8');
+      }
+    } catch (err) {
+      console.error('Error exporting tasks:', err);
+      alert("Failed to export tasks: " + err.message);
+    }
+  };
+
+  // --- IMPORT WIZARD ---
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { headers, rows } = await readImportFile(file);
+      if (rows.length === 0) throw new Error('The file has no task rows');
+      setImportState({
+        step: 'map',
+        fileName: file.name,
+        headers,
+        rows,
+        mapping: guessImportMapping(headers),
+        createProjects: true
+      });
+    } catch (err) {
+      console.error('Error reading import file:', err);
+      alert("Failed to read file: " + err.message);
+    }
+  };
+
+  // Resolves each mapped row to a task payload plus the problems that would block inserting it
+  const importPreview = useMemo(() => {
+    if (!importState || importState.step !== 'preview') return [];
+    const { rows, mapping, createProjects } = importState;
+    const cell = (row, key) => (mapping[key] ? String(row[mapping[key]] ?? '').trim() : '');
+
+    return rows.map((row, index) => {
+      const errors = [];
+      const title = cell(row, 'title');
+      if (!title) errors.push('Missing title');
+      if (title.length > 200) errors.push('Title longer than 200 characters');
+
+      const projectName = cell(row, 'project');
+      const project = projectName ? projects.find(p => normalizeProjectName(p.name) === normalizeProjectName(projectName)) : null;
+      if (projectName && !project && !createProjects) errors.push(`Unknown project "${projectName}"`);
+
+      const email = cell(row, 'assignee_email').toLowerCase();
+      const assignee = email ? activePartners.find(p => (p.email || '').toLowerCase() === email) : null;
+      if (email && !assignee) errors.push(`No team member with email ${email}`);
+
+      const dueDate = parseImportDate(cell(row, 'due_date'));
+      if (dueDate === undefined) errors.push(`Invalid due date "${cell(row, 'due_date')}"`);
+
+      const startDate = parseImportDate(cell(row, 'start_date'));
+      if (startDate === undefined) errors.push(`Invalid start date "${cell(row, 'start_date')}"`);
+      else if (startDate && dueDate && startDate > dueDate) errors.push('Start date is after the due date');
+
+      const statusValue = cell(row, 'status');
+      const status = statusValue ? TASK_STATUSES.find(s => normalizeKey(s) === normalizeKey(statusValue)) : 'Pending';
+      if (!status) errors.push(`Unknown status "${statusValue}"`);
+
+      const priorityValue = cell(row, 'priority');
+      const priority = priorityValue ? TASK_PRIORITIES.find(p => normalizeKey(p) === normalizeKey(priorityValue)) : 'Medium';
+      if (!priority) errors.push(`Unknown priority "${priorityValue}"`);
+
+      const estimate = parseEstimate(cell(row, 'estimate_hours'));
+      if (estimate === undefined) errors.push(`Invalid estimate "${cell(row, 'estimate_hours')}"`);
+
+      return {
+        index,
+        errors,
+        projectName: project ? project.name : projectName,
+        task: {
+          title,
+          project_id: project?.id || null,
+          assigned_to: assignee?.id || null,
+          start_date: startDate || null,
+          due_date: dueDate || null,
+          status: status || 'Pending',
+          priority: priority || 'Medium',
+          estimate_hours: estimate ?? null,
+          description: cell(row, 'description')
+        }
+      };
+    });
+  }, [importState, projects, activePartners]);
+
+  const handleRunImport = async () => {
+    if (!canManageTasks) {
+      alert("You don't have permission to import tasks");
+      return;
+    }
+
+    const validRows = importPreview.filter(r => r.errors.length === 0);
+    if (validRows.length === 0) {
+      alert("There are no valid rows to import");
+      return;
+    }
+
+    setIsImporting(true);
+    let imported = 0;
+    try {
+      // Create any projects the file references that do not exist yet
+      const projectIds = {};
+      const missingProjects = [...new Map(validRows
+        .filter(r => r.projectName && !r.task.project_id)
+        .map(r => [normalizeProjectName(r.projectName), r.projectName])).values()];
+
+      if (missingProjects.length > 0) {
+        const { data, error } = await supabaseInstance
+          .from('projects')
+          .insert(missingProjects.map(name => ({ name, created_by: session.user.id })))
+          .select();
+        if (error) throw error;
+        (data || []).forEach(p => { projectIds[normalizeProjectName(p.name)] = p.id; });
+      }
+
+      const payload = validRows.map(r => ({
+        ...r.task,
+        project_id: r.task.project_id || projectIds[normalizeProjectName(r.projectName)] || null,
+        created_by: session.user.id
+      }));
+
+      for (let i = 0; i < payload.length; i += IMPORT_CHUNK_SIZE) {
+        const { error } = await supabaseInstance
+          .from('tasks')
+          .insert(payload.slice(i, i + IMPORT_CHUNK_SIZE));
+        if (error) throw error;
+        imported = Math.min(i + IMPORT_CHUNK_SIZE, payload.length);
+      }
+
+      setImportState(null);
+      await fetchProjects();
+      await fetchTasks();
+      await fetchTaskCounts();
+      alert(`Imported ${payload.length} task${payload.length === 1 ? '' : 's'} successfully!`);
+    } catch (err) {
+      console.error('Error importing tasks:', err);
+      if (imported === 0) {
+        alert("Failed to import tasks: " + err.message);
+        return;
+      }
+
+      // Chunks are inserted separately; take the ones that made it out of the import so
+      // running it again doesn't duplicate them
+      const importedIndexes = new Set(validRows.slice(0, imported).map(r => r.index));
+      setImportState(prev => prev && { ...prev, rows: prev.rows.filter((_, index) => !importedIndexes.has(index)) });
+      await fetchProjects();
+      await fetchTasks();
+      await fetchTaskCounts();
+      alert(`Imported ${imported} of ${validRows.length} tasks before an error: ${err.message}\n\nThe imported rows were removed from this import, so running it again only adds the rest.`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // --- STATS (Context-aware based on accessible tasks) ---
+  // Built from the database-side task_counts aggregates rather than from downloaded task rows
+  const stats = useMemo(() => {
+    const countWhere = (predicate) => taskCounts.filter(predicate).reduce((sum, row) => sum + row.total, 0);
+
+    const total = countWhere(() => true);
+    const completed = countWhere(r => r.status === 'Completed');
+    const inProgress = countWhere(r => r.status === 'In Progress');
+    const pending = countWhere(r => r.status === 'Pending');
+    
+    const statusData = [
+      { name: 'Pending', value: pending },
+      { name: 'In Progress', value: inProgress },
+      { name: 'Completed', value: completed },
+    ].filter(item => item.value > 0);
+
+    const projectAgg = taskCounts.reduce((acc, row) => {
+      const key = row.project_id || 'none';
+      if (!acc[key]) {
+        const project = projects.find(p => p.id === row.project_id);
+        acc[key] = { id: row.project_id, name: project?.name || 'No Project', color: project?.color || '#94a3b8', total: 0, done: 0, itemTotal: 0, itemDone: 0 };
+      }
+      acc[key].total += row.total;
+      if (row.status === 'Completed') acc[key].done += row.total;
+      acc[key].itemTotal += row.item_total ?? row.total;
+      acc[key].itemDone += row.item_done ?? (row.status === 'Completed' ? row.total : 0);
+      return acc;
+    }, {});
+
+    // Progress numerator/denominator for the selected mode
+    const progressOf = (p) => progressMode === 'checklist'
+      ? { done: p.itemDone, total: p.itemTotal, label: `${p.itemDone}/${p.itemTotal} Items Done` }
+      : { done: p.done, total: p.total, label: `${p.done}/${p.total} Done` };
+
+    const projectCounts = Object.values(projectAgg).reduce((acc, p) => {
+      if (p.id) {
+        const progress = progressOf(p);
+        acc[p.id] = { total: p.total, done: p.done, progress: Math.round((progress.done / (progress.total || 1)) * 100), label: progress.label };
+      }
+      return acc;
+    }, {});
+
+    const partnerCounts = taskCounts.reduce((acc, row) => {
+      if (row.assigned_to) acc[row.assigned_to] = (acc[row.assigned_to] || 0) + row.total;
+      return acc;
+    }, {});
+
+    const projectProgressData = Object.values(projectAgg).map(p => {
+      const progress = progressOf(p);
+      return {
+        id: p.id,
+        name: p.name,
+        color: p.color,
+        total: p.total,
+        done: p.done,
+        progress: Math.round((progress.done / (progress.total || 1)) * 100),
+        label: progress.label
+      };
+    });
+
+    const { today, weekEnd } = dueWindow();
+    const countDue = (predicate) => dueCounts.filter(predicate).reduce((sum, row) => sum + row.total, 0);
+    const overdue = countDue(r => r.due_date < today);
+    const dueToday = countDue(r => r.due_date === today);
+    const dueThisWeek = countDue(r => r.due_date > today && r.due_date <= weekEnd);
+
+    const partnerOverdue = dueCounts.reduce((acc, row) => {
+      if (row.assigned_to && row.due_date < today) acc[row.assigned_to] = (acc[row.assigned_to] || 0) + row.total;
+      return acc;
+    }, {});
+
+    const partnerData = canViewAllTasks
+      ? partners.map(p => ({ name: p.name, tasks: partnerCounts[p.id] || 0, overdue: partnerOverdue[p.id] || 0 }))
+      : [];
+
+    const priorityData = TASK_PRIORITIES.map(priority => ({
+      name: priority,
+      color: PRIORITY_COLORS[priority],
+      open: countWhere(r => (r.priority || 'Medium') === priority && r.status !== 'Completed'),
+      completed: countWhere(r => (r.priority || 'Medium') === priority && r.status === 'Completed')
+    }));
+
+    const labelData = labels.map(label => {
+      const rows = labelCounts.filter(r => r.label_id === label.id);
+      return {
+        name: label.name,
+        color: label.color,
+        open: rows.filter(r => r.status !== 'Completed').reduce((sum, r) => sum + r.total, 0),
+        completed: rows.filter(r => r.status === 'Completed').reduce((sum, r) => sum + r.total, 0)
+      };
+    }).filter(l => l.open + l.completed > 0);
+    
+    return {
+      total,
+      completed,
+      inProgress,
+      pending,
+      overdue,
+      dueToday,
+      dueThisWeek,
+      statusData,
+      projectProgressData,
+      projectCounts,
+      partnerCounts,
+      partnerData,
+      priorityData,
+      labelData
+    };
+  }, [taskCounts, labelCounts, dueCounts, labels, partners, projects, canViewAllTasks, progressMode]);
+
+  const trendData = useMemo(() => {
+    const today = toIsoDate(new Date());
+    const weeks = weekStartsBetween(addDays(today, -(trendRange - 1)), today);
+
+    const burndown = trends.burndown.map(row => ({
+      day: row.day.slice(5),
+      remaining: row.remaining,
+      scope: row.scope
+    }));
+
+    // One bar segment per assignee, named so the legend reads as people
+    const assigneeNames = {};
+    trends.throughput.forEach(row => {
+      assigneeNames[row.assigned_to || 'none'] = getPartnerName(row.assigned_to);
+    });
+    const throughputKeys = Object.values(assigneeNames);
+    const throughput = weeks.map(week => {
+      const entry = { week: week.slice(5) };
+      throughputKeys.forEach(name => { entry[name] = 0; });
+      trends.throughput
+        .filter(row => row.week_start === week)
+        .forEach(row => { entry[assigneeNames[row.assigned_to || 'none']] += row.completed; });
+      return entry;
+    });
+
+    // Weeks without completions stay empty rather than dropping to zero days
+    const cycleTime = weeks.map(week => {
+      const row = trends.cycleTime.find(r => r.week_start === week);
+      return {
+        week: week.slice(5),
+        days: row ? Math.round((Number(row.avg_hours) / 24) * 10) / 10 : null,
+        tasks: row?.tasks || 0
+      };
+    });
+
+    return { burndown, throughput, throughputKeys, cycleTime };
+  }, [trends, trendRange, partners]);
+
+  // --- WORKLOAD ---
+  const workloadWeeks = useMemo(() => {
+    const first = startOfWeek(toIsoDate(new Date()));
+    return Array.from({ length: WORKLOAD_WEEKS }, (_, i) => addDays(first, i * 7));
+  }, []);
+
+  // partnerId -> week_start -> { hours, tasks }
+  const workloadByPartner = useMemo(() => workload.reduce((acc, row) => {
+    acc[row.assigned_to] = acc[row.assigned_to] || {};
+    acc[row.assigned_to][row.week_start] = { hours: Number(row.allocated_hours), tasks: row.tasks };
+    return acc;
+  }, {}), [workload]);
+
+  const partnerLoad = (partnerId, week) => workloadByPartner[partnerId]?.[week] || { hours: 0, tasks: 0 };
+  const partnerCapacity = (partner) => Number(partner?.weekly_capacity ?? DEFAULT_WEEKLY_CAPACITY);
+
+  // Week the task being created lands in; overdue and unscheduled work counts against this week
+  const newTaskWeek = (() => {
+    const currentWeek = workloadWeeks[0];
+    const week = startOfWeek(newTask.start_date || newTask.due_date || currentWeek);
+    return week < currentWeek ? currentWeek : week;
+  })();
+
+  // Whoever would be least utilised that week once the new task's estimate is added
+  const suggestedAssignee = useMemo(() => {
+    const estimate = parseEstimate(newTask.estimate_hours) || 0;
+    let best = null;
+    activePartners.forEach(partner => {
+      const capacity = partnerCapacity(partner);
+      if (capacity <= 0) return;
+      const hours = partnerLoad(partner.id, newTaskWeek).hours;
+      const utilisation = (hours + estimate) / capacity;
+      if (!best || utilisation < best.utilisation) best = { partner, hours, capacity, utilisation };
+    });
+    return best;
+  }, [activePartners, workloadByPartner, newTaskWeek, newTask.estimate_hours]);
+
+  // --- TIMESHEET / REPORT DATA ---
+  const personName = (userId) => userId === session?.user.id ? profile?.name || 'Me' : getPartnerName(userId);
+
+  // One row per task with minutes per weekday; running timers have no minutes yet
+  const timesheetGrid = useMemo(() => {
+    const days = Array.from({ length: 7 }, (_, i) => addDays(timesheetWeek, i));
+    const rowsByTask = {};
+    timesheetEntries.forEach(entry => {
+      const row = rowsByTask[entry.task_id] || (rowsByTask[entry.task_id] = {
+        task: entry.task || { id: entry.task_id, title: 'Deleted task' },
+        minutes: days.map(() => 0),
+        running: false,
+        total: 0
+      });
+      if (entry.minutes == null) {
+        row.running = true;
+        return;
+      }
+      row.minutes[days.indexOf(entry.entry_date)] += entry.minutes;
+      row.total += entry.minutes;
+    });
+    const rows = Object.values(rowsByTask).sort((a, b) => (a.task.title || '').localeCompare(b.task.title || ''));
+    const dayTotals = days.map((_, i) => rows.reduce((sum, row) => sum + row.minutes[i], 0));
+    return { days, rows, dayTotals, total: dayTotals.reduce((sum, m) => sum + m, 0) };
+  }, [timesheetEntries, timesheetWeek]);
+
+  const timeReport = useMemo(() => {
+    const groups = {};
+    reportRows.forEach(row => {
+      const key = `${row.project_id || 'none'}:${row.user_id}`;
+      const group = groups[key] || (groups[key] = {
+        key,
+        project: getProjectName(row.project_id),
+        person: personName(row.user_id),
+        minutes: 0,
+        approvedMinutes: 0
+      });
+      group.minutes += row.minutes;
+      if (row.approved) group.approvedMinutes += row.minutes;
+    });
+    const rows = Object.values(groups).sort((a, b) => a.project.localeCompare(b.project) || a.person.localeCompare(b.person));
+    return {
+      rows,
+      minutes: rows.reduce((sum, r) => sum + r.minutes, 0),
+      approvedMinutes: rows.reduce((sum, r) => sum + r.approvedMinutes, 0)
+    };
+  }, [reportRows, projects, partners, profile?.name]);
+
+  // --- TASK LIST SORTING ---
+  const handleSortTasks = (key) => {
+    setTaskSort(prev => (
+      prev.key !== key ? { key, dir: 'asc' }
+        : prev.dir === 'asc' ? { key, dir: 'desc' }
+        : DEFAULT_TASK_SORT
+    ));
+  };
+
+  // Without tasks.view_all people only see the projects their own tasks belong to
+  const visibleProjects = canViewAllTasks ? projects : projects.filter(p => stats.projectCounts[p.id]);
+
+  // The burndown follows the first project until one is picked
+  const trendProject = getProject(trendProjectId) || visibleProjects[0] || null;
+
+  useEffect(() => {
+    if (view === 'dashboard' && session && supabaseInstance) {
+      fetchTrends();
+    }
+  }, [view, session?.user?.id, trendRange, trendProject?.id]);
+  const selectedProject = view === 'project' ? getProject(selectedProjectId) : null;
+  const selectedProjectTasks = selectedProject ? projectTasks : [];
+  const selectedProjectProgress = (() => {
+    if (progressMode !== 'checklist') {
+      return Math.round((selectedProjectTasks.filter(t => t.status === 'Completed').length / (selectedProjectTasks.length || 1)) * 100);
+    }
+    const units = selectedProjectTasks.map(checklistUnits);
+    const total = units.reduce((sum, u) => sum + u.total, 0);
+    return Math.round((units.reduce((sum, u) => sum + u.done, 0) / (total || 1)) * 100);
+  })();
+
+  // Table columns: Task, Due, Priority and Status, plus Assigned To and Actions where allowed
+  const taskColumnCount = 4 + (canViewAllTasks ? 1 : 0) + (canManageTasks ? 1 : 0);
+
+  const [viewTitle, viewSubtitle] = selectedProject
+    ? [selectedProject.name, `${selectedProject.status} project`]
+    : VIEW_HEADINGS[view]?.[canViewAllTasks ? 'all' : 'own'] || VIEW_HEADINGS.dashboard.own;
+
+  // --- LOADING STATE ---
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-slate-50">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-indigo-600 mx-auto mb-4"></div>
+          <p className="text-slate-400 font-bold uppercase text-xs tracking-widest">Initializing TaskFlow...</p>
+        </div>
+      </div>
+    );
+  }
+
+  // --- ERROR STATE ---
+  if (errorMsg && !session) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-slate-50 p-4">
         <div className="bg-white p-6 sm:p-10 rounded-3xl shadow-2xl max-w-md w-full text-center">
@@ -489,620 +3862,4351 @@ const App = () => {
           <p className="text-xs text-slate-400 font-bold">Please check your environment variables and try again.</p>
         </div>
       </div>
-    );
-  }
+    );
+  }
+
+  // --- INVITATION SCREEN ---
+  if (inviteToken) {
+    const inviteProblem = !pendingInvite ? null
+      : pendingInvite.status === 'expired' ? 'This invitation has expired. Ask an admin to send you a new link.'
+      : pendingInvite.status === 'accepted' ? 'This invitation has already been used. Sign in with the account you created.'
+      : pendingInvite.status !== 'pending' ? 'This invitation link is no longer valid. Ask an admin for a new one.'
+      : null;
+
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-indigo-50 via-slate-50 to-purple-50 p-4 sm:p-6">
+        <div className="bg-white p-8 sm:p-12 rounded-3xl shadow-2xl w-full max-w-md border border-slate-100">
+          <div className="text-center mb-8 sm:mb-10">
+            <div className="inline-flex items-center justify-center w-16 h-16 sm:w-20 sm:h-20 bg-indigo-600 rounded-2xl mb-4 sm:mb-6 shadow-xl shadow-indigo-200">
+              <UserPlus className="text-white" size={32} />
+            </div>
+            <h1 className="text-3xl sm:text-4xl font-black tracking-tighter uppercase mb-2 text-slate-900">Join TaskFlow</h1>
+            {pendingInvite?.status === 'pending' && (
+              <p className="text-slate-400 text-xs font-black uppercase tracking-widest">
+                Invited to {pendingInvite.workspace_name} as {getRoleLabel(pendingInvite.role)}
+              </p>
+            )}
+          </div>
+
+          {!pendingInvite && (
+            <div className="animate-spin rounded-full h-10 w-10 border-t-4 border-indigo-600 mx-auto"></div>
+          )}
+
+          {inviteProblem && (
+            <p className="text-sm font-bold text-slate-500 text-center">{inviteProblem}</p>
+          )}
+
+          {pendingInvite?.status === 'pending' && session?.user.email?.toLowerCase() === pendingInvite.email && (
+            <div className="space-y-4 text-center">
+              <p className="text-sm font-bold text-slate-500">
+                You're signed in as {session.user.email}. Join {pendingInvite.workspace_name} with this account.
+              </p>
+              <button
+                onClick={handleJoinInvitedWorkspace}
+                className="w-full py-3 sm:py-4 bg-indigo-600 text-white rounded-2xl font-black uppercase tracking-widest text-xs shadow-xl shadow-indigo-200 hover:bg-indigo-700 transition-all"
+              >
+                Join Workspace
+              </button>
+            </div>
+          )}
+
+          {pendingInvite?.status === 'pending' && session && session.user.email?.toLowerCase() !== pendingInvite.email && (
+            <div className="space-y-4 text-center">
+              <p className="text-sm font-bold text-slate-500">
+                You're signed in as {session.user.email}. Sign out to accept this invitation for {pendingInvite.email}.
+              </p>
+              <button
+                onClick={() => supabaseInstance.auth.signOut()}
+                className="w-full py-3 sm:py-4 bg-indigo-600 text-white rounded-2xl font-black uppercase tracking-widest text-xs shadow-xl shadow-indigo-200 hover:bg-indigo-700 transition-all"
+              >
+                Sign Out
+              </button>
+            </div>
+          )}
+
+          {pendingInvite?.status === 'pending' && !session && (
+            <form onSubmit={handleAcceptInvite} className="space-y-4 sm:space-y-5">
+              <Input label="Email Address" type="email" value={pendingInvite.email} disabled />
+              <Input
+                label="Full Name"
+                required
+                value={inviteAccept.name}
+                onChange={e => setInviteAccept({ ...inviteAccept, name: e.target.value })}
+              />
+              <Input
+                label="Choose a Password"
+                type="password"
+                required
+                minLength={MIN_PASSWORD_LENGTH}
+                placeholder="••••••••"
+                value={inviteAccept.password}
+                onChange={e => setInviteAccept({ ...inviteAccept, password: e.target.value })}
+              />
+              <Input
+                label="Confirm Password"
+                type="password"
+                required
+                placeholder="••••••••"
+                value={inviteAccept.confirm}
+                onChange={e => setInviteAccept({ ...inviteAccept, confirm: e.target.value })}
+              />
+              <button
+                type="submit"
+                className="w-full py-3 sm:py-4 bg-indigo-600 text-white rounded-2xl font-black uppercase tracking-widest text-xs shadow-xl shadow-indigo-200 hover:bg-indigo-700 transition-all"
+              >
+                Create Account
+              </button>
+            </form>
+          )}
+
+          <div className="mt-6 text-center">
+            <button
+              onClick={dismissInvite}
+              className="text-sm font-bold text-slate-400 hover:text-indigo-600 transition-colors"
+            >
+              {session ? 'Continue to TaskFlow' : 'Already have an account? Sign in'}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // --- AUTH SCREEN ---
+  if (!session) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-indigo-50 via-slate-50 to-purple-50 p-4 sm:p-6">
+        <div className="bg-white p-8 sm:p-12 rounded-3xl shadow-2xl w-full max-w-md border border-slate-100">
+          <div className="text-center mb-8 sm:mb-10">
+            <div className="inline-flex items-center justify-center w-16 h-16 sm:w-20 sm:h-20 bg-indigo-600 rounded-2xl mb-4 sm:mb-6 shadow-xl shadow-indigo-200">
+              <ShieldCheck className="text-white" size={32} />
+            </div>
+            <h1 className="text-3xl sm:text-4xl font-black tracking-tighter uppercase mb-2 text-slate-900">TaskFlow</h1>
+            <p className="text-slate-400 text-xs font-black uppercase tracking-widest">Project Management System</p>
+          </div>
+
+          <form onSubmit={handleAuth} className="space-y-4 sm:space-y-5">
+            {authMode === 'signup' && (
+              <div>
+                <label className="block text-xs font-black uppercase tracking-widest text-slate-400 mb-2">Full Name</label>
+                <input 
+                  className="w-full p-3 sm:p-4 bg-slate-50 rounded-2xl border-2 border-transparent focus:border-indigo-600 focus:bg-white transition-all font-bold outline-none text-sm sm:text-base" 
+                  placeholder="Enter your name" 
+                  required 
+                  value={authData.name}
+                  onChange={e => setAuthData({...authData, name: e.target.value})} 
+                />
+              </div>
+            )}
+            
+            <div>
+              <label className="block text-xs font-black uppercase tracking-widest text-slate-400 mb-2">Email Address</label>
+              <input 
+                className="w-full p-3 sm:p-4 bg-slate-50 rounded-2xl border-2 border-transparent focus:border-indigo-600 focus:bg-white transition-all font-bold outline-none text-sm sm:text-base" 
+                type="email" 
+                placeholder="you@company.com" 
+                required 
+                value={authData.email}
+                onChange={e => setAuthData({...authData, email: e.target.value})} 
+              />
+            </div>
+
+            <div>
+              <label className="block text-xs font-black uppercase tracking-widest text-slate-400 mb-2">Password</label>
+              <input 
+                className="w-full p-3 sm:p-4 bg-slate-50 rounded-2xl border-2 border-transparent focus:border-indigo-600 focus:bg-white transition-all font-bold outline-none text-sm sm:text-base" 
+                type="password" 
+                placeholder="••••••••" 
+                required 
+                value={authData.password}
+                onChange={e => setAuthData({...authData, password: e.target.value})} 
+              />
+            </div>
+
+            <button 
+              type="submit"
+              disabled={loading}
+              className="w-full py-3 sm:py-4 bg-indigo-600 text-white rounded-2xl font-black uppercase tracking-widest text-xs shadow-xl shadow-indigo-200 hover:bg-indigo-700 transition-all disabled:opacity-50"
+            >
+              {loading ? 'Processing...' : authMode === 'login' ? 'Sign In' : 'Create Account'}
+            </button>
+          </form>
+
+          <div className="mt-6 text-center">
+            <button 
+              onClick={() => {
+                setAuthMode(authMode === 'login' ? 'signup' : 'login');
+                setAuthData({ email: '', password: '', name: '' });
+                setErrorMsg('');
+              }}
+              className="text-sm font-bold text-slate-400 hover:text-indigo-600 transition-colors"
+            >
+              {authMode === 'login' ? "Don't have an account? Sign up" : "Already have an account? Sign in"}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // --- NO WORKSPACE ---
+  // Signed up without an invitation, or removed from every workspace
+  if (profile && !workspaces.length) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-indigo-50 via-slate-50 to-purple-50 p-4 sm:p-6">
+        <div className="bg-white p-8 sm:p-12 rounded-3xl shadow-2xl w-full max-w-md border border-slate-100">
+          <div className="text-center mb-8 sm:mb-10">
+            <div className="inline-flex items-center justify-center w-16 h-16 sm:w-20 sm:h-20 bg-indigo-600 rounded-2xl mb-4 sm:mb-6 shadow-xl shadow-indigo-200">
+              <Building2 className="text-white" size={32} />
+            </div>
+            <h1 className="text-3xl sm:text-4xl font-black tracking-tighter uppercase mb-2 text-slate-900">No Workspace</h1>
+            <p className="text-slate-400 text-xs font-black uppercase tracking-widest">Create one, or ask to be invited</p>
+          </div>
+
+          <form onSubmit={handleCreateWorkspace} className="space-y-4 sm:space-y-5">
+            <Input
+              label="Workspace Name"
+              required
+              maxLength={80}
+              placeholder="e.g. Acme Ltd"
+              value={workspaceDraft || ''}
+              onChange={e => setWorkspaceDraft(e.target.value)}
+            />
+            <button
+              type="submit"
+              className="w-full py-3 sm:py-4 bg-indigo-600 text-white rounded-2xl font-black uppercase tracking-widest text-xs shadow-xl shadow-indigo-200 hover:bg-indigo-700 transition-all"
+            >
+              Create Workspace
+            </button>
+          </form>
+
+          <div className="mt-6 text-center">
+            <button
+              onClick={() => supabaseInstance?.auth.signOut()}
+              className="text-sm font-bold text-slate-400 hover:text-indigo-600 transition-colors"
+            >
+              Sign Out
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // --- MAIN APP ---
+  return (
+    <div className="min-h-screen bg-slate-50">
+      {/* Mobile Header */}
+      <div className="lg:hidden bg-white border-b border-slate-100 px-4 py-3 sticky top-0 z-40 safe-top">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-indigo-600 rounded-xl">
+              <ShieldCheck className="text-white" size={20} />
+            </div>
+            <div>
+              <h1 className="text-base font-black uppercase">TaskFlow</h1>
+              <p className="text-[8px] font-black uppercase tracking-widest text-slate-400">
+                {getRoleLabel(currentRole)}
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center gap-1">
+            <RunningTimer
+              timer={runningTimer}
+              onStop={handleStopTimer}
+              onOpen={() => openTaskById(runningTimer.task_id)}
+            />
+            <NotificationBell
+              notifications={notifications}
+              open={isNotificationsOpen}
+              onToggle={() => setIsNotificationsOpen(!isNotificationsOpen)}
+              onOpen={handleOpenNotification}
+              onMarkAllRead={() => markNotificationsRead(notifications.filter(n => !n.read_at).map(n => n.id))}
+            />
+            <button 
+              onClick={() => supabaseInstance?.auth.signOut()}
+              className="p-2 rounded-xl text-slate-400 hover:text-red-500 hover:bg-red-50 transition-all"
+            >
+              <LogOut size={20} />
+            </button>
+          </div>
+        </div>
+        <div className="mt-3">
+          <WorkspaceSwitcher
+            workspaces={workspaces}
+            activeId={activeWorkspaceId}
+            onSwitch={handleSwitchWorkspace}
+            onCreate={() => setWorkspaceDraft('')}
+          />
+        </div>
+      </div>
+
+      <div className="flex min-h-screen">
+        {/* Desktop Sidebar */}
+        <nav className="hidden lg:flex w-80 bg-white border-r border-slate-100 p-8 flex-col fixed h-screen overflow-y-auto">
+          <div className="mb-8">
+            <div className="flex items-center gap-3 mb-2">
+              <div className="p-3 bg-indigo-600 rounded-2xl shadow-lg shadow-indigo-200">
+                <ShieldCheck className="text-white" size={24} />
+              </div>
+              <h1 className="text-2xl font-black tracking-tighter uppercase">TaskFlow</h1>
+            </div>
+            <p className="text-[10px] font-black uppercase tracking-widest text-slate-300 ml-16">Management System</p>
+          </div>
+
+          <div className="mb-8">
+            <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest px-1 mb-2">Workspace</p>
+            <WorkspaceSwitcher
+              workspaces={workspaces}
+              activeId={activeWorkspaceId}
+              onSwitch={handleSwitchWorkspace}
+              onCreate={() => setWorkspaceDraft('')}
+            />
+          </div>
+
+          <div className="space-y-3 flex-1">
+            <NavItem 
+              active={view === 'dashboard'} 
+              onClick={() => setView('dashboard')} 
+              icon={<LayoutDashboard size={20}/>} 
+              label="Dashboard" 
+            />
+            <NavItem 
+              active={view === 'tasks'} 
+              onClick={() => setView('tasks')} 
+              icon={<ListTodo size={20}/>} 
+              label={canViewAllTasks ? "All Tasks" : "My Tasks"} 
+            />
+            <NavItem 
+              active={view === 'projects' || view === 'project'} 
+              onClick={() => setView('projects')} 
+              icon={<FolderKanban size={20}/>} 
+              label="Projects" 
+            />
+            {(canTrackTime || canReviewTime) && (
+              <NavItem 
+                active={view === 'timesheets'} 
+                onClick={() => setView('timesheets')} 
+                icon={<ClipboardCheck size={20}/>} 
+                label="Timesheets" 
+              />
+            )}
+            
+            {(canViewTeam || canViewAudit || canManageTasks || canManageSettings) && (
+              <div className="pt-4 border-t border-slate-100">
+                <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest px-4 mb-2">Admin Tools</p>
+                {canViewTeam && (
+                  <NavItem 
+                    active={view === 'partners'} 
+                    onClick={() => setView('partners')} 
+                    icon={<Users size={20}/>} 
+                    label="Team Management" 
+                  />
+                )}
+                {canViewTeam && (
+                  <NavItem 
+                    active={view === 'workload'} 
+                    onClick={() => setView('workload')} 
+                    icon={<Gauge size={20}/>} 
+                    label="Workload" 
+                  />
+                )}
+                {canViewAudit && (
+                  <NavItem 
+                    active={view === 'audit'} 
+                    onClick={() => setView('audit')} 
+                    icon={<History size={20}/>} 
+                    label="Audit Log" 
+                  />
+                )}
+                {canManageTasks && (
+                  <NavItem 
+                    active={view === 'trash'} 
+                    onClick={() => setView('trash')} 
+                    icon={<Trash2 size={20}/>} 
+                    label="Trash" 
+                  />
+                )}
+                {canManageSettings && (
+                  <NavItem 
+                    active={view === 'settings'} 
+                    onClick={() => setView('settings')} 
+                    icon={<Settings size={20}/>} 
+                    label="Settings" 
+                  />
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="mt-auto pt-6 border-t border-slate-100">
+            <div className="p-4 bg-slate-50 rounded-2xl flex items-center gap-3 mb-4">
+              <div className="w-10 h-10 rounded-full bg-indigo-600 flex items-center justify-center text-white font-black shrink-0">
+                {profile?.name?.[0]?.toUpperCase() || 'U'}
+              </div>
+              <div className="overflow-hidden">
+                <p className="text-sm font-bold truncate">{profile?.name || 'User'}</p>
+                <div className="flex items-center gap-1">
+                  <p className="text-[10px] font-black uppercase text-indigo-500 tracking-wider">{getRoleLabel(currentRole)}</p>
+                  {!canManageTasks && <Lock size={10} className="text-slate-400" />}
+                </div>
+              </div>
+            </div>
+            <button 
+              onClick={() => supabaseInstance?.auth.signOut()}
+              className="flex items-center gap-3 px-4 py-3 w-full rounded-xl text-slate-400 hover:text-red-500 hover:bg-red-50 transition-all font-bold text-sm"
+            >
+              <LogOut size={18} />
+              <span>Sign Out</span>
+            </button>
+          </div>
+        </nav>
+
+        {/* Mobile Bottom Navigation */}
+        <nav className="lg:hidden fixed bottom-0 left-0 right-0 bg-white border-t border-slate-100 z-40 safe-bottom">
+          <div className="flex items-center justify-around px-2 py-2">
+            <button
+              onClick={() => setView('dashboard')}
+              className={`flex flex-col items-center gap-1 p-3 rounded-xl flex-1 transition-all ${
+                view === 'dashboard' ? 'bg-indigo-50 text-indigo-600' : 'text-slate-400'
+              }`}
+            >
+              <LayoutDashboard size={20} />
+              <span className="text-[10px] font-bold">Home</span>
+            </button>
+            <button
+              onClick={() => setView('tasks')}
+              className={`flex flex-col items-center gap-1 p-3 rounded-xl flex-1 transition-all ${
+                view === 'tasks' ? 'bg-indigo-50 text-indigo-600' : 'text-slate-400'
+              }`}
+            >
+              <ListTodo size={20} />
+              <span className="text-[10px] font-bold">Tasks</span>
+            </button>
+            <button
+              onClick={() => setView('projects')}
+              className={`flex flex-col items-center gap-1 p-3 rounded-xl flex-1 transition-all ${
+                view === 'projects' || view === 'project' ? 'bg-indigo-50 text-indigo-600' : 'text-slate-400'
+              }`}
+            >
+              <FolderKanban size={20} />
+              <span className="text-[10px] font-bold">Projects</span>
+            </button>
+            {(canTrackTime || canReviewTime) && (
+              <button
+                onClick={() => setView('timesheets')}
+                className={`flex flex-col items-center gap-1 p-3 rounded-xl flex-1 transition-all ${
+                  view === 'timesheets' ? 'bg-indigo-50 text-indigo-600' : 'text-slate-400'
+                }`}
+              >
+                <ClipboardCheck size={20} />
+                <span className="text-[10px] font-bold">Time</span>
+              </button>
+            )}
+            {canViewTeam && (
+              <button
+                onClick={() => setView('partners')}
+                className={`flex flex-col items-center gap-1 p-3 rounded-xl flex-1 transition-all ${
+                  view === 'partners' ? 'bg-indigo-50 text-indigo-600' : 'text-slate-400'
+                }`}
+              >
+                <Users size={20} />
+                <span className="text-[10px] font-bold">Team</span>
+              </button>
+            )}
+            {canViewTeam && (
+              <button
+                onClick={() => setView('workload')}
+                className={`flex flex-col items-center gap-1 p-3 rounded-xl flex-1 transition-all ${
+                  view === 'workload' ? 'bg-indigo-50 text-indigo-600' : 'text-slate-400'
+                }`}
+              >
+                <Gauge size={20} />
+                <span className="text-[10px] font-bold">Load</span>
+              </button>
+            )}
+            {canViewAudit && (
+              <button
+                onClick={() => setView('audit')}
+                className={`flex flex-col items-center gap-1 p-3 rounded-xl flex-1 transition-all ${
+                  view === 'audit' ? 'bg-indigo-50 text-indigo-600' : 'text-slate-400'
+                }`}
+              >
+                <History size={20} />
+                <span className="text-[10px] font-bold">Audit</span>
+              </button>
+            )}
+            {canManageTasks && (
+              <button
+                onClick={() => setView('trash')}
+                className={`flex flex-col items-center gap-1 p-3 rounded-xl flex-1 transition-all ${
+                  view === 'trash' ? 'bg-indigo-50 text-indigo-600' : 'text-slate-400'
+                }`}
+              >
+                <Trash2 size={20} />
+                <span className="text-[10px] font-bold">Trash</span>
+              </button>
+            )}
+            {canManageSettings && (
+              <button
+                onClick={() => setView('settings')}
+                className={`flex flex-col items-center gap-1 p-3 rounded-xl flex-1 transition-all ${
+                  view === 'settings' ? 'bg-indigo-50 text-indigo-600' : 'text-slate-400'
+                }`}
+              >
+                <Settings size={20} />
+                <span className="text-[10px] font-bold">Settings</span>
+              </button>
+            )}
+          </div>
+        </nav>
+
+        {/* Main Content */}
+        <main className="flex-1 lg:ml-80 px-4 py-6 sm:px-6 lg:px-12 pb-24 lg:pb-12 max-w-7xl mx-auto w-full">
+          <header className="flex flex-col sm:flex-row sm:items-end justify-between gap-4 sm:gap-6 mb-8 sm:mb-12">
+            <div>
+              {view === 'project' && (
+                <button
+                  onClick={() => setView('projects')}
+                  className="flex items-center gap-2 mb-3 text-xs font-black uppercase tracking-widest text-slate-400 hover:text-indigo-600 transition-colors"
+                >
+                  <ArrowLeft size={14} /> All Projects
+                </button>
+              )}
+              <h1 className="text-3xl sm:text-4xl lg:text-5xl font-black text-slate-900 tracking-tighter uppercase mb-2">
+                {viewTitle}
+              </h1>
+              <p className="text-slate-400 font-bold uppercase text-xs tracking-widest">
+                {viewSubtitle}
+              </p>
+            </div>
+            
+            <div className="flex gap-2">
+              <div className="hidden lg:flex items-center gap-2">
+                <RunningTimer
+                  timer={runningTimer}
+                  onStop={handleStopTimer}
+                  onOpen={() => openTaskById(runningTimer.task_id)}
+                />
+                <NotificationBell
+                  notifications={notifications}
+                  open={isNotificationsOpen}
+                  onToggle={() => setIsNotificationsOpen(!isNotificationsOpen)}
+                  onOpen={handleOpenNotification}
+                  onMarkAllRead={() => markNotificationsRead(notifications.filter(n => !n.read_at).map(n => n.id))}
+                />
+              </div>
+              {view === 'tasks' && (
+                <div className="flex bg-white border rounded-2xl p-1">
+                  <button
+                    onClick={() => setTaskLayout('table')}
+                    title="Table view"
+                    className={`p-2 sm:p-3 rounded-xl transition-all ${
+                      taskLayout === 'table' ? 'bg-indigo-600 text-white' : 'text-slate-400 hover:text-indigo-600'
+                    }`}
+                  >
+                    <LayoutList size={18} />
+                  </button>
+                  <button
+                    onClick={() => setTaskLayout('board')}
+                    title="Board view"
+                    className={`p-2 sm:p-3 rounded-xl transition-all ${
+                      taskLayout === 'board' ? 'bg-indigo-600 text-white' : 'text-slate-400 hover:text-indigo-600'
+                    }`}
+                  >
+                    <KanbanSquare size={18} />
+                  </button>
+                  <button
+                    onClick={() => setTaskLayout('calendar')}
+                    title="Calendar view"
+                    className={`p-2 sm:p-3 rounded-xl transition-all ${
+                      taskLayout === 'calendar' ? 'bg-indigo-600 text-white' : 'text-slate-400 hover:text-indigo-600'
+                    }`}
+                  >
+                    <CalendarDays size={18} />
+                  </button>
+                  <button
+                    onClick={() => setTaskLayout('timeline')}
+                    title="Timeline view"
+                    className={`p-2 sm:p-3 rounded-xl transition-all ${
+                      taskLayout === 'timeline' ? 'bg-indigo-600 text-white' : 'text-slate-400 hover:text-indigo-600'
+                    }`}
+                  >
+                    <GanttChartSquare size={18} />
+                  </button>
+                </div>
+              )}
+              {view === 'tasks' && canManageTasks && (
+                <label 
+                  className="bg-white text-slate-600 border px-4 sm:px-8 py-3 sm:py-4 rounded-2xl font-black uppercase text-xs tracking-widest hover:border-indigo-400 hover:text-indigo-600 flex items-center gap-2 whitespace-nowrap cursor-pointer"
+                >
+                  <Upload size={18} />
+                  <span className="hidden sm:inline">Import</span>
+                  <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleImportFile} className="hidden" />
+                </label>
+              )}
+              {view === 'tasks' && canManageTasks && (
+                <button 
+                  onClick={() => setIsAddingTask(true)}
+                  className="bg-indigo-600 text-white px-4 sm:px-8 py-3 sm:py-4 rounded-2xl font-black uppercase text-xs tracking-widest shadow-xl shadow-indigo-100 hover:bg-indigo-700 flex items-center gap-2 whitespace-nowrap"
+                >
+                  <Plus size={18} />
+                  <span className="hidden sm:inline">Create New Task</span>
+                  <span className="sm:hidden">New Task</span>
+                </button>
+              )}
+              {view === 'projects' && canManageProjects && projects.length > 1 && (
+                <button 
+                  onClick={() => setIsMergingProjects(true)}
+                  className="bg-white text-slate-600 border px-4 sm:px-8 py-3 sm:py-4 rounded-2xl font-black uppercase text-xs tracking-widest hover:border-indigo-400 hover:text-indigo-600 flex items-center gap-2 whitespace-nowrap"
+                >
+                  <GitMerge size={18} />
+                  <span className="hidden sm:inline">Merge Projects</span>
+                  <span className="sm:hidden">Merge</span>
+                </button>
+              )}
+              {view === 'projects' && canManageProjects && (
+                <button 
+                  onClick={() => openProjectForm(null)}
+                  className="bg-indigo-600 text-white px-4 sm:px-8 py-3 sm:py-4 rounded-2xl font-black uppercase text-xs tracking-widest shadow-xl shadow-indigo-100 hover:bg-indigo-700 flex items-center gap-2 whitespace-nowrap"
+                >
+                  <Plus size={18} />
+                  <span className="hidden sm:inline">New Project</span>
+                  <span className="sm:hidden">New</span>
+                </button>
+              )}
+              {view === 'project' && selectedProject && canManageProjects && (
+                <button 
+                  onClick={() => openProjectForm(selectedProject)}
+                  className="bg-indigo-600 text-white px-4 sm:px-8 py-3 sm:py-4 rounded-2xl font-black uppercase text-xs tracking-widest shadow-xl shadow-indigo-100 hover:bg-indigo-700 flex items-center gap-2 whitespace-nowrap"
+                >
+                  <Pencil size={18} />
+                  <span>Edit</span>
+                </button>
+              )}
+              {view === 'partners' && canManageTeam && (
+                <button 
+                  onClick={() => setIsAddingPartner(true)}
+                  className="bg-emerald-600 text-white px-4 sm:px-8 py-3 sm:py-4 rounded-2xl font-black uppercase text-xs tracking-widest shadow-xl shadow-emerald-100 hover:bg-emerald-700 flex items-center gap-2 whitespace-nowrap"
+                >
+                  <UserPlus size={18} />
+                  <span className="hidden sm:inline">Invite Partner</span>
+                  <span className="sm:hidden">Invite</span>
+                </button>
+              )}
+            </div>
+          </header>
+
+          {view === 'dashboard' && (
+            <div className="space-y-6 sm:space-y-10">
+              {/* Cards */}
+              <div className="grid grid-cols-2 lg:grid-cols-4 gap-3 sm:gap-6">
+                <StatCard 
+                  label={canViewAllTasks ? "Total Tasks" : "My Tasks"} 
+                  value={stats.total} 
+                  icon={<ListTodo className="text-indigo-500" />} 
+                />
+                <StatCard 
+                  label="Active" 
+                  value={stats.total - stats.completed} 
+                  icon={<Clock className="text-amber-500" />} 
+                />
+                <StatCard 
+                  label="Completed" 
+                  value={stats.completed} 
+                  icon={<CheckCircle2 className="text-emerald-500" />} 
+                />
+                <StatCard 
+                  label={canViewAllTasks ? "Team" : "Partners"} 
+                  value={activePartners.length} 
+                  icon={<Users className="text-blue-500" />} 
+                />
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 sm:gap-6">
+                <StatCard 
+                  label="Overdue" 
+                  value={stats.overdue} 
+                  alert={stats.overdue > 0}
+                  icon={<AlertCircle className="text-red-500" />} 
+                />
+                <StatCard 
+                  label="Due Today" 
+                  value={stats.dueToday} 
+                  icon={<Calendar className="text-amber-500" />} 
+                />
+                <StatCard 
+                  label="Due This Week" 
+                  value={stats.dueThisWeek} 
+                  icon={<CalendarDays className="text-indigo-500" />} 
+                />
+              </div>
+
+              {/* Charts */}
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 sm:gap-8">
+                <ChartWrapper title={canViewAllTasks ? "Task Status" : "My Status"} icon={<PieIcon size={18}/>}>
+                  {stats.total > 0 ? (
+                    <ResponsiveContainer width="100%" height="100%">
+                      <PieChart>
+                        <Pie 
+                          data={stats.statusData} 
+                          innerRadius={60} 
+                          outerRadius={80} 
+                          paddingAngle={5} 
+                          dataKey="value"
+                        >
+                          {stats.statusData.map((entry, i) => (
+                            <Cell key={`cell-${i}`} fill={COLORS[i % COLORS.length]} />
+                          ))}
+                        </Pie>
+                        <Tooltip />
+                        <Legend verticalAlign="bottom" height={36} />
+                      </PieChart>
+                    </ResponsiveContainer>
+                  ) : (
+                    <div className="flex items-center justify-center h-full">
+                      <p className="text-slate-300 font-black uppercase tracking-widest text-xs">No tasks</p>
+                    </div>
+                  )}
+                </ChartWrapper>
+
+                <ChartWrapper
+                  title={canViewAllTasks ? "Projects" : "My Projects"}
+                  icon={<Briefcase size={18}/>}
+                  action={
+                    <div className="flex bg-slate-100 p-1 rounded-xl">
+                      {PROGRESS_MODES.map(mode => (
+                        <button
+                          key={mode.value}
+                          onClick={() => setProgressMode(mode.value)}
+                          className={`px-3 py-1.5 rounded-lg text-[10px] font-black uppercase tracking-widest transition-all ${
+                            progressMode === mode.value ? 'bg-white text-indigo-600 shadow-sm' : 'text-slate-400'
+                          }`}
+                        >
+                          {mode.label}
+                        </button>
+                      ))}
+                    </div>
+                  }
+                >
+                  {stats.projectProgressData.length > 0 ? (
+                    <ResponsiveContainer width="100%" height="100%">
+                      <BarChart layout="vertical" data={stats.projectProgressData} margin={{ left: 20 }}>
+                        <CartesianGrid strokeDasharray="3 3" horizontal={true} vertical={false} stroke="#f1f5f9" />
+                        <XAxis type="number" domain={[0, 100]} axisLine={false} tickLine={false} />
+                        <YAxis type="category" dataKey="name" axisLine={false} tickLine={false} width={80} />
+                        <Tooltip cursor={{fill: '#f8fafc'}} formatter={(value, name, item) => [`${value}% (${item.payload.label})`, 'Progress']} />
+                        <Bar dataKey="progress" fill="#10b981" radius={[0, 4, 4, 0]} barSize={30}>
+                          {stats.projectProgressData.map((entry, i) => (
+                            <Cell key={`project-${i}`} fill={entry.color} />
+                          ))}
+                        </Bar>
+                      </BarChart>
+                    </ResponsiveContainer>
+                  ) : (
+                    <div className="flex items-center justify-center h-full">
+                      <p className="text-slate-300 font-black uppercase tracking-widest text-xs">No data</p>
+                    </div>
+                  )}
+                </ChartWrapper>
+
+                <div className="bg-white p-6 sm:p-10 rounded-3xl border shadow-sm lg:col-span-2">
+                  <div className="flex items-center gap-3 mb-6">
+                    <div className="p-2 sm:p-3 bg-red-50 rounded-2xl text-red-500"><AlertCircle size={18} /></div>
+                    <h3 className="font-black text-slate-800 uppercase text-[10px] sm:text-xs tracking-widest">At Risk</h3>
+                  </div>
+                  <div className="divide-y divide-slate-100">
+                    {atRiskTasks.map(task => {
+                      const overdue = isTaskOverdue(task, dueWindow().today);
+                      return (
+                        <button
+                          key={task.id}
+                          onClick={() => openTaskDetail(task)}
+                          className="w-full text-left py-3 flex items-center justify-between gap-4 hover:bg-slate-50 transition-all"
+                        >
+                          <div className="min-w-0">
+                            <p className="text-sm font-black text-slate-900 truncate">{task.title}</p>
+                            <p className="text-xs font-bold text-slate-400 truncate">
+                              {canViewAllTasks && `${getPartnerName(task.assigned_to)} · `}{getProjectName(task.project_id)}
+                            </p>
+                          </div>
+                          <div className="flex items-center gap-3 shrink-0">
+                            <BlockedBadge task={task} />
+                            <span className={`text-[10px] font-black uppercase tracking-widest px-2 py-1 rounded-md ${
+                              overdue ? 'bg-red-50 text-red-600' : 'bg-amber-50 text-amber-600'
+                            }`}>
+                              {overdue ? `Overdue · ${task.due_date}` : task.due_date === dueWindow().today ? 'Due today' : `Due ${task.due_date}`}
+                            </span>
+                          </div>
+                        </button>
+                      );
+                    })}
+                    {atRiskTasks.length === 0 && (
+                      <p className="text-center py-8 text-slate-300 font-black uppercase tracking-widest text-xs">Nothing overdue or due this week</p>
+                    )}
+                  </div>
+                </div>
+
+                <ChartWrapper
+                  title="Breakdown"
+                  icon={<Tag size={18}/>}
+                  className="lg:col-span-2"
+                  action={
+                    <div className="flex bg-slate-100 p-1 rounded-xl">
+                      {[['priority', 'Priority'], ['labels', 'Labels']].map(([mode, label]) => (
+                        <button
+                          key={mode}
+                          onClick={() => setBreakdownMode(mode)}
+                          className={`px-3 py-1.5 rounded-lg text-[10px] font-black uppercase tracking-widest transition-all ${
+                            breakdownMode === mode ? 'bg-white text-indigo-600 shadow-sm' : 'text-slate-400'
+                          }`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  }
+                >
+                  {(breakdownMode === 'priority' ? stats.priorityData : stats.labelData).length > 0 && stats.total > 0 ? (
+                    <ResponsiveContainer width="100%" height="100%">
+                      <BarChart data={breakdownMode === 'priority' ? stats.priorityData : stats.labelData}>
+                        <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
+                        <XAxis dataKey="name" axisLine={false} tickLine={false} />
+                        <YAxis axisLine={false} tickLine={false} allowDecimals={false} />
+                        <Tooltip cursor={{fill: '#f8fafc'}} />
+                        <Legend />
+                        <Bar dataKey="open" name="Open" stackId="tasks" radius={[0, 0, 0, 0]} barSize={60}>
+                          {(breakdownMode === 'priority' ? stats.priorityData : stats.labelData).map((entry, i) => (
+                            <Cell key={`breakdown-${i}`} fill={entry.color} />
+                          ))}
+                        </Bar>
+                        <Bar dataKey="completed" name="Completed" stackId="tasks" fill="#cbd5e1" radius={[12, 12, 0, 0]} barSize={60} />
+                      </BarChart>
+                    </ResponsiveContainer>
+                  ) : (
+                    <div className="flex items-center justify-center h-full">
+                      <p className="text-slate-300 font-black uppercase tracking-widest text-xs">
+                        {breakdownMode === 'labels' ? 'No labelled tasks' : 'No tasks'}
+                      </p>
+                    </div>
+                  )}
+                </ChartWrapper>
+
+                {canViewAllTasks && stats.partnerData.length > 0 && (
+                  <ChartWrapper title="Team Allocation" icon={<BarChart3 size={18}/>} className="lg:col-span-2">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <BarChart data={stats.partnerData}>
+                        <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
+                        <XAxis dataKey="name" axisLine={false} tickLine={false} />
+                        <YAxis axisLine={false} tickLine={false} />
+                        <Tooltip cursor={{fill: '#f8fafc'}} />
+                        <Legend />
+                        <Bar dataKey="tasks" name="Tasks" fill="#6366f1" radius={[12, 12, 0, 0]} barSize={40} />
+                        <Bar dataKey="overdue" name="Overdue" fill="#ef4444" radius={[12, 12, 0, 0]} barSize={40} />
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </ChartWrapper>
+                )}
+              </div>
+
+              <div className="flex items-center justify-between gap-4">
+                <h3 className="font-black text-slate-800 uppercase text-xs sm:text-sm tracking-widest">Trends</h3>
+                <div className="flex bg-slate-100 p-1 rounded-xl">
+                  {TREND_RANGES.map(range => (
+                    <button
+                      key={range.value}
+                      onClick={() => setTrendRange(range.value)}
+                      className={`px-3 py-1.5 rounded-lg text-[10px] font-black uppercase tracking-widest transition-all ${
+                        trendRange === range.value ? 'bg-white text-indigo-600 shadow-sm' : 'text-slate-400'
+                      }`}
+                    >
+                      {range.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 sm:gap-8">
+                <ChartWrapper
+                  title="Burndown"
+                  icon={<TrendingDown size={18}/>}
+                  action={visibleProjects.length > 0 && (
+                    <select
+                      value={trendProject?.id || ''}
+                      onChange={(e) => setTrendProjectId(e.target.value)}
+                      className="max-w-[10rem] px-3 py-2 rounded-xl border border-slate-200 text-xs font-bold bg-white"
+                    >
+                      {visibleProjects.map(project => (
+                        <option key={project.id} value={project.id}>{project.name}</option>
+                      ))}
+                    </select>
+                  )}
+                >
+                  {trendData.burndown.some(row => row.scope > 0) ? (
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={trendData.burndown}>
+                        <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
+                        <XAxis dataKey="day" axisLine={false} tickLine={false} minTickGap={20} />
+                        <YAxis axisLine={false} tickLine={false} allowDecimals={false} />
+                        <Tooltip />
+                        <Legend />
+                        <Line type="stepAfter" dataKey="scope" name="Total" stroke="#cbd5e1" strokeWidth={2} dot={false} />
+                        <Line type="stepAfter" dataKey="remaining" name="Remaining" stroke="#6366f1" strokeWidth={3} dot={false} />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  ) : (
+                    <div className="flex items-center justify-center h-full">
+                      <p className="text-slate-300 font-black uppercase tracking-widest text-xs">No data</p>
+                    </div>
+                  )}
+                </ChartWrapper>
+
+                <ChartWrapper title={canViewAllTasks ? "Completed Per Week" : "My Completed Per Week"} icon={<TrendingUp size={18}/>}>
+                  {trendData.throughputKeys.length > 0 ? (
+                    <ResponsiveContainer width="100%" height="100%">
+                      <BarChart data={trendData.throughput}>
+                        <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
+                        <XAxis dataKey="week" axisLine={false} tickLine={false} />
+                        <YAxis axisLine={false} tickLine={false} allowDecimals={false} />
+                        <Tooltip cursor={{fill: '#f8fafc'}} />
+                        <Legend />
+                        {trendData.throughputKeys.map((name, i) => (
+                          <Bar key={name} dataKey={name} stackId="completed" fill={COLORS[i % COLORS.length]} />
+                        ))}
+                      </BarChart>
+                    </ResponsiveContainer>
+                  ) : (
+                    <div className="flex items-center justify-center h-full">
+                      <p className="text-slate-300 font-black uppercase tracking-widest text-xs">Nothing completed</p>
+                    </div>
+                  )}
+                </ChartWrapper>
+
+                <ChartWrapper title="Cycle Time (Days)" icon={<Timer size={18}/>} className="lg:col-span-2">
+                  {trendData.cycleTime.some(row => row.days !== null) ? (
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={trendData.cycleTime}>
+                        <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
+                        <XAxis dataKey="week" axisLine={false} tickLine={false} />
+                        <YAxis axisLine={false} tickLine={false} />
+                        <Tooltip formatter={(value, name, item) => [`${value} days (${item.payload.tasks} tasks)`, 'In Progress → Completed']} />
+                        <Line type="monotone" dataKey="days" stroke="#10b981" strokeWidth={3} connectNulls dot={{ r: 4 }} />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  ) : (
+                    <div className="flex items-center justify-center h-full">
+                      <p className="text-slate-300 font-black uppercase tracking-widest text-xs">No completed work in this range</p>
+                    </div>
+                  )}
+                </ChartWrapper>
+              </div>
+            </div>
+          )}
+
+          {view === 'tasks' && (
+            <div className="bg-white p-4 sm:p-6 rounded-3xl border shadow-sm mb-4 sm:mb-6 space-y-4">
+              <div className="relative">
+                <Search size={18} className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-300" />
+                <input
+                  type="search"
+                  value={taskFilters.q}
+                  onChange={e => setTaskFilters({...taskFilters, q: e.target.value})}
+                  placeholder="Search tasks by title..."
+                  className="w-full pl-12 p-3 sm:p-4 bg-slate-50 rounded-2xl border-2 border-transparent focus:border-indigo-600 focus:bg-white transition-all font-bold outline-none placeholder:text-slate-300 text-sm"
+                />
+              </div>
+              <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-3 sm:gap-4">
+                <Select
+                  label="Status"
+                  value={taskFilters.status}
+                  onChange={e => setTaskFilters({...taskFilters, status: e.target.value})}
+                >
+                  <option value="">All statuses</option>
+                  {TASK_STATUSES.map(s => (
+                    <option key={s} value={s}>{s}</option>
+                  ))}
+                </Select>
+                <Select
+                  label="Priority"
+                  value={taskFilters.priority}
+                  onChange={e => setTaskFilters({...taskFilters, priority: e.target.value})}
+                >
+                  <option value="">All priorities</option>
+                  {TASK_PRIORITIES.map(p => (
+                    <option key={p} value={p}>{p}</option>
+                  ))}
+                </Select>
+                <Select
+                  label="Label"
+                  value={taskFilters.label}
+                  onChange={e => setTaskFilters({...taskFilters, label: e.target.value})}
+                >
+                  <option value="">All labels</option>
+                  {labels.map(l => (
+                    <option key={l.id} value={l.id}>{l.name}</option>
+                  ))}
+                </Select>
+                <Select
+                  label="Project"
+                  value={taskFilters.project}
+                  onChange={e => setTaskFilters({...taskFilters, project: e.target.value})}
+                >
+                  <option value="">All projects</option>
+                  <option value="none">No project</option>
+                  {visibleProjects.map(p => (
+                    <option key={p.id} value={p.id}>{p.name}</option>
+                  ))}
+                </Select>
+                {canViewAllTasks && (
+                  <Select
+                    label="Assignee"
+                    value={taskFilters.assignee}
+                    onChange={e => setTaskFilters({...taskFilters, assignee: e.target.value})}
+                  >
+                    <option value="">Everyone</option>
+                    <option value="none">Unassigned</option>
+                    {partners.map(p => (
+                      <option key={p.id} value={p.id}>{p.name}</option>
+                    ))}
+                  </Select>
+                )}
+                <Input
+                  label="Due From"
+                  type="date"
+                  value={taskFilters.due_from}
+                  onChange={e => setTaskFilters({...taskFilters, due_from: e.target.value})}
+                />
+                <Input
+                  label="Due To"
+                  type="date"
+                  value={taskFilters.due_to}
+                  onChange={e => setTaskFilters({...taskFilters, due_to: e.target.value})}
+                />
+              </div>
+              <div className="flex items-center justify-between text-xs font-bold text-slate-400">
+                <span>Showing {tasks.length} of {taskTotal} tasks{isLoadingTasks ? ' · Loading...' : ''}</span>
+                <div className="flex items-center gap-4">
+                  {hasActiveTaskFilters(taskFilters) && (
+                    <button
+                      onClick={() => setTaskFilters(EMPTY_TASK_FILTERS)}
+                      className="font-black uppercase tracking-widest hover:text-indigo-600 transition-colors"
+                    >
+                      Clear filters
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleExportTasks('csv')}
+                    disabled={taskTotal === 0}
+                    className="flex items-center gap-1 font-black uppercase tracking-widest hover:text-indigo-600 transition-colors disabled:opacity-50"
+                  >
+                    <Download size={14} /> CSV
+                  </button>
+                  <button
+                    onClick={() => handleExportTasks('json')}
+                    disabled={taskTotal === 0}
+                    className="flex items-center gap-1 font-black uppercase tracking-widest hover:text-indigo-600 transition-colors disabled:opacity-50"
+                  >
+                    <Download size={14} /> JSON
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {view === 'tasks' && taskLayout === 'board' && (
+            <KanbanBoard
+              tasks={tasks}
+              showAssignee={canViewAllTasks}
+              getPartnerName={getPartnerName}
+              getProject={getProject}
+              getLabel={getLabel}
+              onMove={updateTaskStatus}
+              onOpen={openTaskDetail}
+            />
+          )}
+
+          {view === 'tasks' && taskLayout === 'calendar' && (
+            <CalendarView
+              mode={calendarMode}
+              onModeChange={setCalendarMode}
+              anchor={calendarDate}
+              days={calendarDays}
+              onAnchorChange={setCalendarDate}
+              tasks={rangeTasks}
+              isLoading={isLoadingRangeTasks}
+              canReschedule={canManageTasks}
+              onReschedule={rescheduleTask}
+              onOpen={openTaskDetail}
+            />
+          )}
+
+          {view === 'tasks' && taskLayout === 'timeline' && (
+            <TimelineView
+              tasks={rangeTasks}
+              start={timelineStart}
+              onStartChange={setTimelineStart}
+              groupByProject
+              getProject={getProject}
+              getPartnerName={getPartnerName}
+              canEdit={canManageTasks}
+              onChangeDates={updateTaskDates}
+              onOpen={openTaskDetail}
+              isLoading={isLoadingRangeTasks}
+            />
+          )}
+
+          {view === 'tasks' && taskLayout === 'board' && tasks.length < taskTotal && (
+            <div className="text-center mt-6">
+              <button
+                onClick={() => fetchTasks({ append: true })}
+                disabled={isLoadingTasks}
+                className="px-6 py-3 bg-white border rounded-2xl font-black uppercase text-xs tracking-widest text-slate-500 hover:border-indigo-400 hover:text-indigo-600 transition-all disabled:opacity-50"
+              >
+                {isLoadingTasks ? 'Loading...' : `Load more (${taskTotal - tasks.length} remaining)`}
+              </button>
+            </div>
+          )}
+
+          {view === 'tasks' && taskLayout === 'table' && (
+            <div className="bg-white rounded-3xl border shadow-sm overflow-hidden">
+              <div
+                ref={virtualRows.containerRef}
+                onScroll={virtualRows.onScroll}
+                className="overflow-auto max-h-[70vh]"
+              >
+                <table className="w-full text-left">
+                  <thead className="bg-slate-50 border-b sticky top-0 z-10">
+                    <tr>
+                      <SortableHeader label="Task Details" sortKey="title" sort={taskSort} onSort={handleSortTasks} />
+                      {canViewAllTasks && (
+                        <SortableHeader label="Assigned To" sortKey="assignee" sort={taskSort} onSort={handleSortTasks} className="hidden md:table-cell" />
+                      )}
+                      <SortableHeader label="Due" sortKey="due_date" sort={taskSort} onSort={handleSortTasks} align="center" />
+                      <SortableHeader label="Priority" sortKey="priority" sort={taskSort} onSort={handleSortTasks} align="center" className="hidden sm:table-cell" />
+                      <SortableHeader label="Status" sortKey="status" sort={taskSort} onSort={handleSortTasks} align="right" />
+                      {canManageTasks && (
+                        <th className="px-4 sm:px-10 py-4 sm:py-8 text-[10px] sm:text-[11px] font-black text-slate-400 uppercase tracking-widest text-right">Actions</th>
+                      )}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-100">
+                    {virtualRows.paddingTop > 0 && (
+                      <tr style={{ height: virtualRows.paddingTop }}><td colSpan={taskColumnCount}></td></tr>
+                    )}
+                    {tasks.slice(virtualRows.start, virtualRows.end).map(task => (
+                      <tr 
+                        key={task.id} 
+                        style={{ height: TASK_ROW_HEIGHT }}
+                        onClick={() => openTaskDetail(task)}
+                        className={`transition-all group cursor-pointer ${
+                          isTaskOverdue(task, dueWindow().today) ? 'bg-red-50/60 hover:bg-red-50' : 'hover:bg-indigo-50/20'
+                        }`}
+                      >
+                        <td className="px-4 sm:px-10 py-4 sm:py-8">
+                          <p className="text-base sm:text-xl font-black text-slate-900 mb-1 truncate max-w-xs flex items-center gap-2">
+                            {task.series_id && <Repeat size={14} className="text-indigo-400 shrink-0" />}
+                            <span className="truncate">{task.title}</span>
+                          </p>
+                          <div className="flex items-center gap-2">
+                            <ProjectChip project={getProject(task.project_id)} />
+                            <ChecklistBadge task={task} />
+                            <BlockedBadge task={task} />
+                            <LabelChips labelIds={task.label_ids} getLabel={getLabel} max={2} />
+                          </div>
+                        </td>
+                        {canViewAllTasks && (
+                          <td className="hidden md:table-cell px-10 py-8">
+                            <div className="flex items-center gap-2">
+                              <div className="w-6 h-6 rounded-full bg-slate-100 flex items-center justify-center text-[10px] font-bold text-slate-500">
+                                {getPartnerName(task.assigned_to)[0]}
+                              </div>
+                              <span className="text-sm font-semibold text-slate-700">{getPartnerName(task.assigned_to)}</span>
+                            </div>
+                          </td>
+                        )}
+                        <td className="px-4 sm:px-10 py-4 sm:py-8 text-center">
+                          <div className={`flex items-center justify-center gap-2 text-xs sm:text-sm font-medium ${
+                            isTaskOverdue(task, dueWindow().today) ? 'text-red-600 font-black' : 'text-slate-500'
+                          }`}>
+                            <Calendar size={12} className="hidden sm:inline" />
+                            <span className="truncate">{task.due_date || 'N/A'}</span>
+                          </div>
+                        </td>
+                        <td className="hidden sm:table-cell px-4 sm:px-10 py-4 sm:py-8 text-center">
+                          <PriorityBadge priority={task.priority} />
+                        </td>
+                        <td className="px-4 sm:px-10 py-4 sm:py-8 text-right">
+                          <button 
+                            onClick={(e) => { e.stopPropagation(); toggleTaskStatus(task); }}
+                            disabled={!canWorkOnTask(task)}
+                            title={task.status === 'Completed' ? 'Open the task to reopen it' : 'Advance status'}
+                            className={`px-2 sm:px-5 py-1.5 sm:py-2.5 rounded-xl text-[9px] sm:text-[10px] font-black uppercase tracking-widest border transition-all ${
+                              task.status === 'Completed' ? 'bg-emerald-500 text-white border-emerald-600' : 
+                              task.status === 'In Progress' ? 'bg-amber-400 text-white border-amber-500' : 'bg-white text-slate-400 border-slate-200 hover:border-indigo-400'
+                            }`}
+                          >
+                            <span className="hidden sm:inline">{task.status}</span>
+                            <span className="sm:hidden">{task.status.charAt(0)}</span>
+                          </button>
+                        </td>
+                        {canManageTasks && (
+                          <td className="px-4 sm:px-10 py-4 sm:py-8 text-right">
+                            <button
+                              onClick={(e) => { e.stopPropagation(); handleDeleteTask(task.id); }}
+                              className="p-2 rounded-lg text-slate-400 hover:text-red-500 hover:bg-red-50 transition-all"
+                            >
+                              <Trash2 size={16} />
+                            </button>
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                    {virtualRows.paddingBottom > 0 && (
+                      <tr style={{ height: virtualRows.paddingBottom }}><td colSpan={taskColumnCount}></td></tr>
+                    )}
+                    {isLoadingTasks && tasks.length > 0 && (
+                      <tr>
+                        <td colSpan={taskColumnCount} className="px-4 sm:px-10 py-6 text-center">
+                          <p className="text-slate-300 font-black uppercase tracking-widest text-xs">Loading more...</p>
+                        </td>
+                      </tr>
+                    )}
+                    {tasks.length === 0 && !isLoadingTasks && (
+                      <tr>
+                        <td colSpan={taskColumnCount} className="px-4 sm:px-10 py-12 sm:py-20 text-center">
+                          <p className="text-slate-300 font-black uppercase tracking-widest text-xs">
+                            {hasActiveTaskFilters(taskFilters) ? 'No tasks match your filters' : canViewAllTasks ? 'No tasks found' : 'No tasks assigned'}
+                          </p>
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {view === 'partners' && canManageTeam && invitations.length > 0 && (
+            <div className="bg-white p-6 sm:p-8 rounded-3xl border mb-6 sm:mb-10">
+              <h3 className="text-xs font-black uppercase tracking-widest text-slate-400 mb-4">Invitations</h3>
+              <div className="divide-y divide-slate-50">
+                {invitations.map(invitation => {
+                  const status = invitationStatus(invitation);
+                  return (
+                    <div key={invitation.id} className="flex flex-wrap items-center gap-3 py-3">
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm font-bold text-slate-900 truncate">{invitation.name}</p>
+                        <p className="text-xs font-bold text-slate-400 truncate">
+                          {invitation.email} · {invitation.role}
+                        </p>
+                      </div>
+                      <span className={`text-[10px] font-black uppercase tracking-widest px-2 py-1 rounded-md ${INVITE_STATUS_STYLES[status]}`}>
+                        {status}
+                      </span>
+                      <span className="text-xs font-bold text-slate-400 w-32 text-right hidden sm:block">
+                        {status === 'Accepted'
+                          ? `Joined ${invitation.accepted_at.split('T')[0]}`
+                          : `Sent ${invitation.last_sent_at.split('T')[0]}`}
+                      </span>
+                      {status !== 'Accepted' && (
+                        <div className="flex items-center gap-1">
+                          <button
+                            onClick={() => handleResendInvitation(invitation)}
+                            className="p-2 rounded-xl text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 transition-all"
+                            title="Resend with a new link"
+                          >
+                            <Send size={16} />
+                          </button>
+                          <button
+                            onClick={() => handleRevokeInvitation(invitation)}
+                            className="p-2 rounded-xl text-slate-400 hover:text-red-500 hover:bg-red-50 transition-all"
+                            title="Revoke"
+                          >
+                            <Ban size={16} />
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {view === 'partners' && canViewTeam && (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6">
+              {[...activePartners, ...deactivatedPartners].map(p => (
+                <div key={p.id} className={`bg-white p-6 sm:p-10 rounded-3xl border hover:shadow-xl transition-all group relative ${p.deactivated_at ? 'opacity-60' : ''}`}>
+                  {canManageTeam && p.id !== session.user.id && (p.role !== 'owner' || currentRole === 'owner') && (
+                    p.deactivated_at ? (
+                      <button 
+                        onClick={() => handleReactivatePartner(p)}
+                        className="absolute top-4 right-4 flex items-center gap-1 text-xs font-black uppercase tracking-widest text-slate-400 hover:text-emerald-600 transition-all"
+                        title="Reactivate"
+                      >
+                        <UserCheck size={18} />
+                        <span>Reactivate</span>
+                      </button>
+                    ) : (
+                      <button 
+                        onClick={() => openOffboarding(p)}
+                        className="absolute top-4 right-4 text-slate-200 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-all"
+                        title="Offboard"
+                      >
+                        <UserMinus size={20} />
+                      </button>
+                    )
+                  )}
+                  <div className="flex items-center gap-4 sm:gap-5 mb-6 sm:mb-8">
+                    <div className="w-12 h-12 sm:w-16 sm:h-16 rounded-2xl bg-indigo-600 flex items-center justify-center text-white text-xl sm:text-2xl font-black shadow-xl shadow-indigo-100 group-hover:scale-110 transition-transform">
+                      {p.name?.[0]?.toUpperCase() || 'U'}
+                    </div>
+                    <div>
+                      <h3 className="text-lg sm:text-xl font-black text-slate-900 tracking-tight truncate">{p.name || 'User'}</h3>
+                      <p className="text-xs font-black uppercase text-indigo-500 tracking-widest">{getRoleLabel(p.role)}</p>
+                      {p.deactivated_at && (
+                        <p className="text-[10px] font-black uppercase text-red-500 tracking-widest">
+                          Deactivated {p.deactivated_at.split('T')[0]}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                  {canManageTeam && !p.deactivated_at && (p.role !== 'owner' || currentRole === 'owner') && (
+                    <div className="mb-4">
+                      <Select label="Role" value={p.role} onChange={e => handleChangeRole(p, e.target.value)}>
+                        {assignableRoles.map(role => (
+                          <option key={role.id} value={role.id}>{role.label}</option>
+                        ))}
+                      </Select>
+                    </div>
+                  )}
+                  <div className="space-y-3 pt-4 sm:pt-6 border-t border-slate-50">
+                    <div className="flex items-center gap-2 text-slate-400 text-xs sm:text-sm font-bold truncate">
+                      <Mail size={14} /> <span className="truncate">{p.email}</span>
+                    </div>
+                    <div className="grid grid-cols-2 gap-2 mt-4">
+                      <div className="bg-slate-50 p-3 rounded-xl">
+                        <p className="text-[10px] font-black text-slate-400 uppercase">Tasks</p>
+                        <p className="text-xl font-bold text-slate-900">{stats.partnerCounts[p.id] || 0}</p>
+                      </div>
+                      <div className="bg-slate-50 p-3 rounded-xl">
+                        <p className="text-[10px] font-black text-slate-400 uppercase">Joined</p>
+                        <p className="text-sm font-bold text-slate-900">{p.created_at?.split('T')[0] || 'N/A'}</p>
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              ))}
+              {partners.length === 0 && (
+                <div className="col-span-full text-center py-20">
+                  <p className="text-slate-300 font-black uppercase tracking-widest text-xs">No team members</p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {view === 'partners' && canViewTeam && roles.length > 0 && (
+            <div className="mt-6 sm:mt-10">
+              <RoleMatrix roles={roles} rolePermissions={rolePermissions} />
+            </div>
+          )}
+
+          {view === 'projects' && (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6">
+              {visibleProjects.map(project => {
+                const { progress = 0, label = '0/0 Done' } = stats.projectCounts[project.id] || {};
+                return (
+                  <button
+                    key={project.id}
+                    onClick={() => openProjectPage(project.id)}
+                    className="text-left bg-white p-6 sm:p-8 rounded-3xl border hover:shadow-xl transition-all overflow-hidden relative"
+                  >
+                    <span className="absolute top-0 left-0 right-0 h-1.5" style={{ backgroundColor: project.color }}></span>
+                    <div className="flex items-start justify-between gap-3 mb-4">
+                      <h3 className="text-lg sm:text-xl font-black text-slate-900 tracking-tight truncate">{project.name}</h3>
+                      <span className="text-[9px] font-black uppercase tracking-widest text-slate-500 bg-slate-100 px-2 py-1 rounded-md shrink-0">
+                        {project.status}
+                      </span>
+                    </div>
+                    {project.description && (
+                      <p className="text-sm text-slate-500 mb-4 line-clamp-2">{project.description}</p>
+                    )}
+                    <div className="flex items-center justify-between text-xs font-bold text-slate-400 mb-2">
+                      <span>{label}</span>
+                      <span>{progress}%</span>
+                    </div>
+                    <div className="h-2 bg-slate-100 rounded-full overflow-hidden mb-4">
+                      <div className="h-full rounded-full" style={{ width: `${progress}%`, backgroundColor: project.color }}></div>
+                    </div>
+                    <div className="flex items-center justify-between text-xs font-bold text-slate-400">
+                      <span className="truncate">{project.owner_id ? getPartnerName(project.owner_id) : 'No owner'}</span>
+                      <span className="shrink-0">{project.end_date ? `Due ${project.end_date}` : ''}</span>
+                    </div>
+                  </button>
+                );
+              })}
+              {visibleProjects.length === 0 && (
+                <div className="col-span-full text-center py-20">
+                  <p className="text-slate-300 font-black uppercase tracking-widest text-xs">No projects</p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {view === 'project' && !selectedProject && (
+            <div className="text-center py-20">
+              <p className="text-slate-300 font-black uppercase tracking-widest text-xs">Project not found</p>
+            </div>
+          )}
+
+          {view === 'project' && selectedProject && (
+            <div className="space-y-6 sm:space-y-10">
+              <div className="grid grid-cols-2 lg:grid-cols-4 gap-3 sm:gap-6">
+                <StatCard 
+                  label="Tasks" 
+                  value={selectedProjectTasks.length} 
+                  icon={<ListTodo className="text-indigo-500" />} 
+                />
+                <StatCard 
+                  label="Active" 
+                  value={selectedProjectTasks.filter(t => t.status !== 'Completed').length} 
+                  icon={<Clock className="text-amber-500" />} 
+                />
+                <StatCard 
+                  label="Completed" 
+                  value={selectedProjectTasks.filter(t => t.status === 'Completed').length} 
+                  icon={<CheckCircle2 className="text-emerald-500" />} 
+                />
+                <StatCard 
+                  label="Progress" 
+                  value={`${selectedProjectProgress}%`} 
+                  icon={<BarChart3 className="text-blue-500" />} 
+                />
+              </div>
+
+              <div className="bg-white p-6 sm:p-10 rounded-3xl border shadow-sm grid grid-cols-2 lg:grid-cols-4 gap-6">
+                <div className="col-span-2 lg:col-span-4">
+                  <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-2">Description</p>
+                  <p className="text-sm text-slate-700 whitespace-pre-wrap">{selectedProject.description || 'No description'}</p>
+                </div>
+                <div>
+                  <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-1">Owner</p>
+                  <p className="text-sm font-bold text-slate-900">{selectedProject.owner_id ? getPartnerName(selectedProject.owner_id) : 'No owner'}</p>
+                </div>
+                <div>
+                  <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-1">Status</p>
+                  <p className="text-sm font-bold text-slate-900">{selectedProject.status}</p>
+                </div>
+                <div>
+                  <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-1">Start</p>
+                  <p className="text-sm font-bold text-slate-900">{selectedProject.start_date || 'N/A'}</p>
+                </div>
+                <div>
+                  <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-1">End</p>
+                  <p className="text-sm font-bold text-slate-900">{selectedProject.end_date || 'N/A'}</p>
+                </div>
+              </div>
+
+              <div className="flex justify-end">
+                <div className="flex bg-white border rounded-2xl p-1">
+                  <button
+                    onClick={() => setProjectLayout('list')}
+                    title="List view"
+                    className={`p-2 sm:p-3 rounded-xl transition-all ${
+                      projectLayout === 'list' ? 'bg-indigo-600 text-white' : 'text-slate-400 hover:text-indigo-600'
+                    }`}
+                  >
+                    <LayoutList size={18} />
+                  </button>
+                  <button
+                    onClick={() => setProjectLayout('timeline')}
+                    title="Timeline view"
+                    className={`p-2 sm:p-3 rounded-xl transition-all ${
+                      projectLayout === 'timeline' ? 'bg-indigo-600 text-white' : 'text-slate-400 hover:text-indigo-600'
+                    }`}
+                  >
+                    <GanttChartSquare size={18} />
+                  </button>
+                </div>
+              </div>
+
+              {projectLayout === 'timeline' && (
+                <TimelineView
+                  tasks={selectedProjectTasks}
+                  start={timelineStart}
+                  onStartChange={setTimelineStart}
+                  getProject={getProject}
+                  getPartnerName={getPartnerName}
+                  canEdit={canManageTasks}
+                  onChangeDates={updateTaskDates}
+                  onOpen={openTaskDetail}
+                />
+              )}
+
+              {projectLayout === 'list' && (
+              <div className="bg-white rounded-3xl border shadow-sm overflow-hidden divide-y divide-slate-100">
+                {selectedProjectTasks.map(task => (
+                  <button
+                    key={task.id}
+                    onClick={() => openTaskDetail(task)}
+                    className="w-full text-left px-4 sm:px-10 py-4 sm:py-6 flex items-center justify-between gap-4 hover:bg-indigo-50/20 transition-all"
+                  >
+                    <div className="min-w-0">
+                      <p className="text-base sm:text-lg font-black text-slate-900 truncate">{task.title}</p>
+                      <p className="text-xs font-bold text-slate-400 flex items-center gap-2">
+                        <span>{canViewAllTasks && `${getPartnerName(task.assigned_to)} · `}Due {task.due_date || 'N/A'}</span>
+                        <ChecklistBadge task={task} />
+                        <BlockedBadge task={task} />
+                      </p>
+                    </div>
+                    <span className={`px-2 sm:px-4 py-1.5 rounded-xl text-[9px] sm:text-[10px] font-black uppercase tracking-widest border shrink-0 ${
+                      task.status === 'Completed' ? 'bg-emerald-500 text-white border-emerald-600' : 
+                      task.status === 'In Progress' ? 'bg-amber-400 text-white border-amber-500' : 'bg-white text-slate-400 border-slate-200'
+                    }`}>
+                      {task.status}
+                    </span>
+                  </button>
+                ))}
+                {selectedProjectTasks.length === 0 && (
+                  <p className="px-4 sm:px-10 py-12 text-center text-slate-300 font-black uppercase tracking-widest text-xs">No tasks in this project</p>
+                )}
+              </div>
+              )}
+            </div>
+          )}
+
+          {view === 'settings' && canManageSettings && (
+            <div className="space-y-4 sm:space-y-6 max-w-3xl">
+              <div className="bg-white p-6 sm:p-10 rounded-3xl border shadow-sm">
+                <div className="flex items-center justify-between gap-3 mb-6">
+                  <div className="flex items-center gap-3">
+                    <div className="p-2 sm:p-3 bg-indigo-50 rounded-2xl text-indigo-600"><Tag size={18} /></div>
+                    <h3 className="font-black text-slate-800 uppercase text-[10px] sm:text-xs tracking-widest">Labels</h3>
+                  </div>
+                  {!labelForm && (
+                    <button
+                      onClick={() => setLabelForm(EMPTY_LABEL)}
+                      className="flex items-center gap-1 text-[10px] font-black uppercase tracking-widest text-indigo-600 hover:text-indigo-700"
+                    >
+                      <Plus size={14} /> New Label
+                    </button>
+                  )}
+                </div>
+
+                {labelForm && (
+                  <form onSubmit={handleSaveLabel} className="flex flex-wrap items-end gap-3 mb-6 p-4 bg-slate-50 rounded-2xl">
+                    <div className="flex-1 min-w-[160px]">
+                      <Input
+                        label="Name"
+                        required
+                        maxLength={40}
+                        value={labelForm.name}
+                        onChange={e => setLabelForm({...labelForm, name: e.target.value})}
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <label className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Color</label>
+                      <div className="flex gap-1.5 py-3">
+                        {PROJECT_COLORS.map(color => (
+                          <button
+                            key={color}
+                            type="button"
+                            onClick={() => setLabelForm({...labelForm, color})}
+                            className={`w-6 h-6 rounded-full transition-all ${labelForm.color === color ? 'ring-2 ring-offset-2 ring-slate-900' : ''}`}
+                            style={{ backgroundColor: color }}
+                          ></button>
+                        ))}
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      <button
+                        type="button"
+                        onClick={() => setLabelForm(null)}
+                        className="px-4 py-3 bg-white text-slate-600 border rounded-2xl font-black uppercase text-xs tracking-widest hover:bg-slate-100 transition-all"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        type="submit"
+                        className="px-4 py-3 bg-indigo-600 text-white rounded-2xl font-black uppercase text-xs tracking-widest hover:bg-indigo-700 transition-all"
+                      >
+                        Save
+                      </button>
+                    </div>
+                  </form>
+                )}
+
+                <ul className="divide-y divide-slate-100">
+                  {labels.map(label => (
+                    <li key={label.id} className="flex items-center justify-between gap-3 py-3 group">
+                      <LabelChips labelIds={[label.id]} getLabel={getLabel} />
+                      <div className="flex items-center gap-1">
+                        <button
+                          onClick={() => setLabelForm({ id: label.id, name: label.name, color: label.color })}
+                          className="p-2 rounded-lg text-slate-300 hover:text-indigo-600 transition-all"
+                        >
+                          <Pencil size={14} />
+                        </button>
+                        <button
+                          onClick={() => handleDeleteLabel(label)}
+                          className="p-2 rounded-lg text-slate-300 hover:text-red-500 transition-all"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                  {labels.length === 0 && (
+                    <p className="text-center py-6 text-slate-300 font-black uppercase tracking-widest text-[10px]">No labels yet</p>
+                  )}
+                </ul>
+              </div>
+
+              <div className="bg-white p-6 sm:p-10 rounded-3xl border shadow-sm">
+                <div className="flex items-center gap-3 mb-6">
+                  <div className="p-2 sm:p-3 bg-indigo-50 rounded-2xl text-indigo-600"><Link2 size={18} /></div>
+                  <h3 className="font-black text-slate-800 uppercase text-[10px] sm:text-xs tracking-widest">Dependencies</h3>
+                </div>
+                <label className="flex items-start gap-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    className="mt-1"
+                    checked={appSettings.blocked_tasks_can_start}
+                    onChange={e => handleUpdateSettings({ blocked_tasks_can_start: e.target.checked })}
+                  />
+                  <span>
+                    <span className="block text-sm font-black text-slate-900">Blocked tasks can be started</span>
+                    <span className="block text-xs font-bold text-slate-400">
+                      Blocked tasks can never be completed. When this is off, they also can't move to In Progress until every blocker is done.
+                    </span>
+                  </span>
+                </label>
+              </div>
+
+              <div className="bg-white p-6 sm:p-10 rounded-3xl border shadow-sm">
+                <div className="flex items-center gap-3 mb-6">
+                  <div className="p-2 sm:p-3 bg-indigo-50 rounded-2xl text-indigo-600"><Trash2 size={18} /></div>
+                  <h3 className="font-black text-slate-800 uppercase text-[10px] sm:text-xs tracking-widest">Trash</h3>
+                </div>
+                <div className="max-w-[12rem]">
+                  <Select
+                    label="Keep deleted tasks for"
+                    value={appSettings.trash_retention_days}
+                    onChange={e => handleUpdateSettings({ trash_retention_days: Number(e.target.value) })}
+                  >
+                    {TRASH_RETENTION_OPTIONS.map(days => (
+                      <option key={days} value={days}>{days} days</option>
+                    ))}
+                  </Select>
+                </div>
+                <p className="mt-3 text-xs font-bold text-slate-400">
+                  Tasks left in the trash longer than this are deleted permanently, with their comments, time and attachments.
+                </p>
+              </div>
+            </div>
+          )}
+
+          {view === 'timesheets' && (canTrackTime || canReviewTime) && (
+            <div className="space-y-4 sm:space-y-6">
+              <div className="flex bg-slate-100 p-1 rounded-xl w-fit">
+                {[['week', 'Week'], ['report', 'Hours Report']].map(([tab, label]) => (
+                  <button
+                    key={tab}
+                    onClick={() => setTimesheetTab(tab)}
+                    className={`px-4 py-2 rounded-lg text-[10px] font-black uppercase tracking-widest transition-all ${
+                      timesheetTab === tab ? 'bg-white text-indigo-600 shadow-sm' : 'text-slate-400'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              {timesheetTab === 'week' && (() => {
+                const status = timesheet?.status || 'Draft';
+                const isOwnSheet = timesheetOwnerId === session.user.id;
+                return (
+                  <>
+                    {canReviewTime && pendingTimesheets.length > 0 && (
+                      <div className="bg-amber-50 border border-amber-100 p-4 rounded-2xl">
+                        <p className="text-[10px] font-black uppercase tracking-widest text-amber-600 mb-2">Awaiting approval</p>
+                        <div className="flex flex-wrap gap-2">
+                          {pendingTimesheets.map(sheet => (
+                            <button
+                              key={sheet.id}
+                              onClick={() => openPendingTimesheet(sheet)}
+                              className="px-3 py-1.5 bg-white rounded-xl text-xs font-bold text-slate-700 hover:text-indigo-600 border border-amber-100"
+                            >
+                              {personName(sheet.user_id)} · week of {sheet.week_start}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
+                    <div className="bg-white p-4 sm:p-6 rounded-3xl border shadow-sm flex flex-wrap items-center justify-between gap-4">
+                      <div className="flex items-center gap-2">
+                        <button
+                          onClick={() => setTimesheetWeek(addDays(timesheetWeek, -7))}
+                          className="p-2 rounded-xl text-slate-400 hover:bg-slate-50 hover:text-indigo-600"
+                        >
+                          <ChevronLeft size={18} />
+                        </button>
+                        <p className="font-black text-slate-900 text-sm">Week of {timesheetWeek}</p>
+                        <button
+                          onClick={() => setTimesheetWeek(addDays(timesheetWeek, 7))}
+                          className="p-2 rounded-xl text-slate-400 hover:bg-slate-50 hover:text-indigo-600"
+                        >
+                          <ChevronRight size={18} />
+                        </button>
+                        <span className={`text-[10px] font-black uppercase tracking-widest px-2 py-1 rounded-md ${TIMESHEET_STATUS_STYLES[status]}`}>
+                          {status}
+                        </span>
+                      </div>
+
+                      <div className="flex flex-wrap items-center gap-2">
+                        {canReviewTime && (
+                          <select
+                            value={timesheetOwnerId}
+                            onChange={e => setTimesheetUserId(e.target.value)}
+                            className="px-3 py-2 rounded-xl border border-slate-200 text-xs font-bold bg-white"
+                          >
+                            {partners.map(p => (
+                              <option key={p.id} value={p.id}>{p.name}</option>
+                            ))}
+                          </select>
+                        )}
+                        {isOwnSheet && (status === 'Draft' || status === 'Rejected') && timesheetGrid.rows.length > 0 && (
+                          <button
+                            onClick={handleSubmitTimesheet}
+                            className="bg-indigo-600 text-white px-4 py-2 rounded-xl font-black uppercase text-[10px] tracking-widest hover:bg-indigo-700"
+                          >
+                            Submit Week
+                          </button>
+                        )}
+                        {canReviewTime && status === 'Submitted' && (
+                          <>
+                            <button
+                              onClick={() => handleReviewTimesheet(timesheet, 'Approved')}
+                              className="bg-emerald-600 text-white px-4 py-2 rounded-xl font-black uppercase text-[10px] tracking-widest hover:bg-emerald-700"
+                            >
+                              Approve
+                            </button>
+                            <button
+                              onClick={() => handleReviewTimesheet(timesheet, 'Rejected')}
+                              className="bg-red-50 text-red-600 px-4 py-2 rounded-xl font-black uppercase text-[10px] tracking-widest hover:bg-red-100"
+                            >
+                              Reject
+                            </button>
+                          </>
+                        )}
+                      </div>
+
+                      {status === 'Rejected' && timesheet.review_note && (
+                        <p className="w-full text-sm font-bold text-red-600">Rejected: {timesheet.review_note}</p>
+                      )}
+                    </div>
+
+                    <TimesheetGrid grid={timesheetGrid} onOpenTask={openTaskById} />
+                  </>
+                );
+              })()}
+
+              {timesheetTab === 'report' && (
+                <>
+                  <div className="bg-white p-4 sm:p-6 rounded-3xl border shadow-sm grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+                    <Input
+                      label="From"
+                      type="date"
+                      value={reportRange.from}
+                      onChange={e => setReportRange({...reportRange, from: e.target.value})}
+                    />
+                    <Input
+                      label="To"
+                      type="date"
+                      value={reportRange.to}
+                      onChange={e => setReportRange({...reportRange, to: e.target.value})}
+                    />
+                    <button
+                      onClick={handleExportTimeReport}
+                      className="flex items-center justify-center gap-2 p-3 sm:p-4 rounded-2xl border-2 border-slate-100 text-slate-600 font-black uppercase text-xs tracking-widest hover:border-indigo-600 hover:text-indigo-600 transition-all"
+                    >
+                      <Download size={16} />
+                      <span>Export CSV</span>
+                    </button>
+                  </div>
+
+                  <div className="bg-white rounded-3xl border shadow-sm overflow-x-auto">
+                    <table className="w-full text-left">
+                      <thead className="bg-slate-50 border-b">
+                        <tr className="text-[10px] font-black uppercase tracking-widest text-slate-400">
+                          <th className="px-4 sm:px-6 py-4">Project</th>
+                          <th className="px-4 sm:px-6 py-4">Partner</th>
+                          <th className="px-4 sm:px-6 py-4 text-right">Hours</th>
+                          <th className="px-4 sm:px-6 py-4 text-right">Approved</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-slate-100">
+                        {timeReport.rows.map(row => (
+                          <tr key={row.key} className="text-sm">
+                            <td className="px-4 sm:px-6 py-3 font-bold text-slate-900">{row.project}</td>
+                            <td className="px-4 sm:px-6 py-3 font-bold text-slate-600">{row.person}</td>
+                            <td className="px-4 sm:px-6 py-3 text-right font-black text-slate-900">{minutesToHours(row.minutes)}</td>
+                            <td className="px-4 sm:px-6 py-3 text-right font-bold text-emerald-600">{minutesToHours(row.approvedMinutes)}</td>
+                          </tr>
+                        ))}
+                        {timeReport.rows.length === 0 && (
+                          <tr>
+                            <td colSpan={4} className="py-16 text-center text-slate-300 font-black uppercase tracking-widest text-xs">No hours logged in this range</td>
+                          </tr>
+                        )}
+                      </tbody>
+                      {timeReport.rows.length > 0 && (
+                        <tfoot className="border-t-2 border-slate-100">
+                          <tr className="text-sm">
+                            <td colSpan={2} className="px-4 sm:px-6 py-4 font-black uppercase text-[10px] tracking-widest text-slate-400">Total</td>
+                            <td className="px-4 sm:px-6 py-4 text-right font-black text-slate-900">{minutesToHours(timeReport.minutes)}</td>
+                            <td className="px-4 sm:px-6 py-4 text-right font-black text-emerald-600">{minutesToHours(timeReport.approvedMinutes)}</td>
+                          </tr>
+                        </tfoot>
+                      )}
+                    </table>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+
+          {view === 'workload' && canViewTeam && (
+            <WorkloadView
+              partners={activePartners}
+              weeks={workloadWeeks}
+              getLoad={partnerLoad}
+              getCapacity={partnerCapacity}
+              canEditCapacity={canManageTeam}
+              onCapacityChange={handleUpdateCapacity}
+            />
+          )}
+
+          {view === 'audit' && canViewAudit && (
+            <div className="space-y-4 sm:space-y-6">
+              <div className="bg-white p-4 sm:p-6 rounded-3xl border shadow-sm grid grid-cols-1 sm:grid-cols-3 gap-4">
+                <Select
+                  label="User"
+                  value={auditFilters.actor_id}
+                  onChange={e => setAuditFilters({...auditFilters, actor_id: e.target.value})}
+                >
+                  <option value="">Everyone</option>
+                  {partners.map(p => (
+                    <option key={p.id} value={p.id}>{p.name}</option>
+                  ))}
+                </Select>
+                <Input
+                  label="From"
+                  type="date"
+                  value={auditFilters.from}
+                  onChange={e => setAuditFilters({...auditFilters, from: e.target.value})}
+                />
+                <Input
+                  label="To"
+                  type="date"
+                  value={auditFilters.to}
+                  onChange={e => setAuditFilters({...auditFilters, to: e.target.value})}
+                />
+              </div>
+
+              <div className="bg-white p-6 sm:p-10 rounded-3xl border shadow-sm">
+                <ActivityTimeline entries={auditEntries} getPartnerName={getPartnerName} getProjectName={getProjectName} showSubject />
+              </div>
+            </div>
+          )}
+
+          {view === 'trash' && canManageTasks && (
+            <TrashList
+              tasks={trashedTasks}
+              retentionDays={appSettings.trash_retention_days}
+              getPartnerName={getPartnerName}
+              getProjectName={getProjectName}
+              onRestore={handleRestoreTask}
+              onPurge={handlePurgeTask}
+            />
+          )}
+        </main>
+      </div>
+
+      {/* Create Task Modal */}
+      {isAddingTask && canManageTasks && (
+        <Modal title="Create New Task" onClose={() => setIsAddingTask(false)}>
+          <form onSubmit={handleCreateTask} className="space-y-4 sm:space-y-6">
+            <Input
+              label="Task Title"
+              type="text"
+              required
+              value={newTask.title}
+              onChange={e => setNewTask({...newTask, title: e.target.value})}
+              placeholder="Enter task title..."
+            />
+
+            <Select
+              label="Project"
+              value={newTask.project_id}
+              onChange={e => setNewTask({...newTask, project_id: e.target.value})}
+            >
+              <option value="">No project</option>
+              {projects.filter(p => p.status !== 'Archived').map(p => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+              ))}
+            </Select>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <Input
+                label="Start Date"
+                type="date"
+                value={newTask.start_date}
+                onChange={e => setNewTask({...newTask, start_date: e.target.value})}
+                error={newTaskErrors.start_date}
+              />
+
+              <Input
+                label="Due Date"
+                type="date"
+                value={newTask.due_date}
+                onChange={e => setNewTask({...newTask, due_date: e.target.value})}
+                error={newTaskErrors.due_date}
+              />
+            </div>
+
+            <div>
+              <div className="space-y-2">
+                <label className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Assign To</label>
+                <select
+                  value={newTask.assigned_to}
+                  onChange={e => setNewTask({...newTask, assigned_to: e.target.value})}
+                  className="w-full p-3 sm:p-4 bg-slate-50 rounded-2xl border-2 border-transparent focus:border-indigo-600 focus:bg-white transition-all font-bold outline-none text-sm"
+                >
+                  <option value="">Select partner...</option>
+                  {activePartners.map(p => (
+                    <option key={p.id} value={p.id}>
+                      {p.name} ({p.email}) · {partnerLoad(p.id, newTaskWeek).hours}/{partnerCapacity(p)}h
+                      {suggestedAssignee?.partner.id === p.id ? ' · Suggested' : ''}
+                    </option>
+                  ))}
+                </select>
+                {suggestedAssignee && newTask.assigned_to !== suggestedAssignee.partner.id && (
+                  <button
+                    type="button"
+                    onClick={() => setNewTask({...newTask, assigned_to: suggestedAssignee.partner.id})}
+                    className="text-xs font-bold text-indigo-600 hover:underline"
+                  >
+                    Suggested: {suggestedAssignee.partner.name} ({suggestedAssignee.hours}/{suggestedAssignee.capacity}h week of {newTaskWeek.slice(5)})
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <Input
+              label="Estimate (hours)"
+              type="number"
+              min="0.1"
+              max="1000"
+              step="0.5"
+              value={newTask.estimate_hours}
+              onChange={e => setNewTask({...newTask, estimate_hours: e.target.value})}
+              error={newTaskErrors.estimate_hours}
+              placeholder="Optional"
+            />
+
+            <Select
+              label="Priority"
+              value={newTask.priority}
+              onChange={e => setNewTask({...newTask, priority: e.target.value})}
+            >
+              {TASK_PRIORITIES.map(p => (
+                <option key={p} value={p}>{p}</option>
+              ))}
+            </Select>
+
+            <LabelPicker
+              labels={labels}
+              value={newTask.label_ids}
+              onChange={label_ids => setNewTask({...newTask, label_ids})}
+            />
+
+            <RecurrenceFields
+              value={newTask.recurrence}
+              errors={newTaskErrors}
+              onChange={recurrence => setNewTask({...newTask, recurrence})}
+            />
+
+            <div className="flex gap-4 pt-4">
+              <button
+                type="button"
+                onClick={() => {
+                  setIsAddingTask(false);
+                  setNewTask(EMPTY_TASK);
+                  setNewTaskErrors({});
+                }}
+                className="flex-1 py-3 sm:py-4 bg-slate-100 text-slate-600 rounded-2xl font-black uppercase text-xs tracking-widest hover:bg-slate-200 transition-all"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="flex-1 py-3 sm:py-4 bg-indigo-600 text-white rounded-2xl font-black uppercase text-xs tracking-widest shadow-xl shadow-indigo-200 hover:bg-indigo-700 transition-all"
+              >
+                Create
+              </button>
+            </div>
+          </form>
+        </Modal>
+      )}
+
+      {/* Project Modal */}
+      {projectForm && canManageProjects && (
+        <Modal title={projectForm.id ? 'Edit Project' : 'New Project'} onClose={closeProjectForm}>
+          <form onSubmit={handleSaveProject} className="space-y-4 sm:space-y-6">
+            <Input
+              label="Project Name"
+              type="text"
+              required
+              value={projectForm.name}
+              onChange={e => setProjectForm({...projectForm, name: e.target.value})}
+              placeholder="Project name..."
+              error={projectErrors.name}
+            />
+
+            <div className="space-y-2">
+              <label className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Description</label>
+              <textarea
+                rows={3}
+                value={projectForm.description}
+                onChange={e => setProjectForm({...projectForm, description: e.target.value})}
+                placeholder="What is this project about?"
+                className="w-full p-3 sm:p-4 bg-slate-50 rounded-2xl border-2 border-transparent focus:border-indigo-600 focus:bg-white transition-all font-bold outline-none placeholder:text-slate-300 text-sm resize-y"
+              />
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <Select
+                label="Owner"
+                value={projectForm.owner_id}
+                onChange={e => setProjectForm({...projectForm, owner_id: e.target.value})}
+              >
+                <option value="">No owner</option>
+                {partners.filter(p => !p.deactivated_at || p.id === projectForm.owner_id).map(p => (
+                  <option key={p.id} value={p.id}>{p.name}</option>
+                ))}
+              </Select>
+
+              <Select
+                label="Status"
+                value={projectForm.status}
+                onChange={e => setProjectForm({...projectForm, status: e.target.value})}
+                error={projectErrors.status}
+              >
+                {PROJECT_STATUSES.map(s => (
+                  <option key={s} value={s}>{s}</option>
+                ))}
+              </Select>
+
+              <Input
+                label="Start Date"
+                type="date"
+                value={projectForm.start_date}
+                onChange={e => setProjectForm({...projectForm, start_date: e.target.value})}
+              />
+
+              <Input
+                label="End Date"
+                type="date"
+                value={projectForm.end_date}
+                onChange={e => setProjectForm({...projectForm, end_date: e.target.value})}
+                error={projectErrors.end_date}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Colour</label>
+              <div className="flex flex-wrap gap-2">
+                {PROJECT_COLORS.map(color => (
+                  <button
+                    key={color}
+                    type="button"
+                    onClick={() => setProjectForm({...projectForm, color})}
+                    className={`w-9 h-9 rounded-xl transition-all ${projectForm.color === color ? 'ring-4 ring-offset-2 ring-slate-200' : ''}`}
+                    style={{ backgroundColor: color }}
+                  />
+                ))}
+              </div>
+            </div>
+
+            <div className="flex gap-4 pt-4">
+              <button
+                type="button"
+                onClick={closeProjectForm}
+                className="flex-1 py-3 sm:py-4 bg-slate-100 text-slate-600 rounded-2xl font-black uppercase text-xs tracking-widest hover:bg-slate-200 transition-all"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="flex-1 py-3 sm:py-4 bg-indigo-600 text-white rounded-2xl font-black uppercase text-xs tracking-widest shadow-xl shadow-indigo-200 hover:bg-indigo-700 transition-all"
+              >
+                {projectForm.id ? 'Save' : 'Create'}
+              </button>
+            </div>
+          </form>
+        </Modal>
+      )}
 
-  // --- AUTH SCREEN ---
-  if (!session) {
-    return (
-      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-indigo-50 via-slate-50 to-purple-50 p-4 sm:p-6">
-        <div className="bg-white p-8 sm:p-12 rounded-3xl shadow-2xl w-full max-w-md border border-slate-100">
-          <div className="text-center mb-8 sm:mb-10">
-            <div className="inline-flex items-center justify-center w-16 h-16 sm:w-20 sm:h-20 bg-indigo-600 rounded-2xl mb-4 sm:mb-6 shadow-xl shadow-indigo-200">
-              <ShieldCheck className="text-white" size={32} />
+      {/* Merge Projects Modal */}
+      {isMergingProjects && canManageProjects && (
+        <Modal title="Merge Projects" onClose={() => { setIsMergingProjects(false); setMergeDraft(EMPTY_MERGE); }}>
+          <form onSubmit={handleMergeProjects} className="space-y-4 sm:space-y-6">
+            {duplicateProjectGroups.length > 0 && (
+              <div className="space-y-2">
+                <label className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Likely Duplicates</label>
+                {duplicateProjectGroups.map(group => {
+                  // Keep the variant that already holds the most tasks
+                  const counts = group.map(p => stats.projectCounts[p.id]?.total || 0);
+                  const target = group[counts.indexOf(Math.max(...counts))];
+                  return (
+                    <button
+                      key={target.id}
+                      type="button"
+                      onClick={() => setMergeDraft({ target_id: target.id, source_ids: group.filter(p => p.id !== target.id).map(p => p.id) })}
+                      className="w-full text-left p-3 bg-slate-50 rounded-2xl text-sm font-bold text-slate-700 hover:bg-indigo-50 hover:text-indigo-600 transition-all"
+                    >
+                      {group.map(p => `"${p.name}"`).join(', ')}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+
+            <Select
+              label="Keep Project"
+              required
+              value={mergeDraft.target_id}
+              onChange={e => setMergeDraft({ target_id: e.target.value, source_ids: mergeDraft.source_ids.filter(id => id !== e.target.value) })}
+            >
+              <option value="">Select project...</option>
+              {projects.map(p => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+              ))}
+            </Select>
+
+            <div className="space-y-2">
+              <label className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Merge Into It</label>
+              <div className="max-h-60 overflow-y-auto space-y-1">
+                {projects.filter(p => p.id !== mergeDraft.target_id).map(p => (
+                  <label key={p.id} className="flex items-center gap-3 p-3 bg-slate-50 rounded-2xl text-sm font-bold text-slate-700 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={mergeDraft.source_ids.includes(p.id)}
+                      onChange={e => setMergeDraft({
+                        ...mergeDraft,
+                        source_ids: e.target.checked
+                          ? [...mergeDraft.source_ids, p.id]
+                          : mergeDraft.source_ids.filter(id => id !== p.id)
+                      })}
+                    />
+                    <span className="flex-1 truncate">{p.name}</span>
+                    <span className="text-xs text-slate-400">{stats.projectCounts[p.id]?.total || 0} tasks</span>
+                  </label>
+                ))}
+              </div>
             </div>
-            <h1 className="text-3xl sm:text-4xl font-black tracking-tighter uppercase mb-2 text-slate-900">TaskFlow</h1>
-            <p className="text-slate-400 text-xs font-black uppercase tracking-widest">Project Management System</p>
-          </div>
 
-          <form onSubmit={handleAuth} className="space-y-4 sm:space-y-5">
-            {authMode === 'signup' && (
-              <div>
-                <label className="block text-xs font-black uppercase tracking-widest text-slate-400 mb-2">Full Name</label>
-                <input 
-                  className="w-full p-3 sm:p-4 bg-slate-50 rounded-2xl border-2 border-transparent focus:border-indigo-600 focus:bg-white transition-all font-bold outline-none text-sm sm:text-base" 
-                  placeholder="Enter your name" 
-                  required 
-                  value={authData.name}
-                  onChange={e => setAuthData({...authData, name: e.target.value})} 
+            <div className="flex gap-4 pt-4">
+              <button
+                type="button"
+                onClick={() => { setIsMergingProjects(false); setMergeDraft(EMPTY_MERGE); }}
+                className="flex-1 py-3 sm:py-4 bg-slate-100 text-slate-600 rounded-2xl font-black uppercase text-xs tracking-widest hover:bg-slate-200 transition-all"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="flex-1 py-3 sm:py-4 bg-indigo-600 text-white rounded-2xl font-black uppercase text-xs tracking-widest shadow-xl shadow-indigo-200 hover:bg-indigo-700 transition-all"
+              >
+                Merge
+              </button>
+            </div>
+          </form>
+        </Modal>
+      )}
+
+      {/* Import Tasks Modal */}
+      {importState && canManageTasks && (
+        <Modal title="Import Tasks" onClose={() => setImportState(null)}>
+          <p className="text-xs font-bold text-slate-400 mb-6">
+            {importState.fileName} · {importState.rows.length} rows
+          </p>
+
+          {importState.step === 'map' && (
+            <div className="space-y-4 sm:space-y-6">
+              <p className="text-sm text-slate-600">Match the columns in your file to task fields. Assignees are matched by email.</p>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                {IMPORT_FIELDS.map(field => (
+                  <Select
+                    key={field.key}
+                    label={`${field.label}${field.required ? ' *' : ''}`}
+                    value={importState.mapping[field.key]}
+                    onChange={e => setImportState({
+                      ...importState,
+                      mapping: { ...importState.mapping, [field.key]: e.target.value }
+                    })}
+                  >
+                    <option value="">Don't import</option>
+                    {importState.headers.map(h => (
+                      <option key={h} value={h}>{h}</option>
+                    ))}
+                  </Select>
+                ))}
+              </div>
+              <label className="flex items-center gap-3 text-sm font-bold text-slate-600">
+                <input
+                  type="checkbox"
+                  checked={importState.createProjects}
+                  onChange={e => setImportState({ ...importState, createProjects: e.target.checked })}
                 />
+                Create projects that don't exist yet
+              </label>
+              <div className="flex gap-4 pt-4">
+                <button
+                  type="button"
+                  onClick={() => setImportState(null)}
+                  className="flex-1 py-3 sm:py-4 bg-slate-100 text-slate-600 rounded-2xl font-black uppercase text-xs tracking-widest hover:bg-slate-200 transition-all"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  disabled={!importState.mapping.title}
+                  onClick={() => setImportState({ ...importState, step: 'preview' })}
+                  className="flex-1 py-3 sm:py-4 bg-indigo-600 text-white rounded-2xl font-black uppercase text-xs tracking-widest shadow-xl shadow-indigo-200 hover:bg-indigo-700 transition-all disabled:opacity-50"
+                >
+                  Preview
+                </button>
+              </div>
+            </div>
+          )}
+
+          {importState.step === 'preview' && (
+            <div className="space-y-4 sm:space-y-6">
+              <div className="grid grid-cols-2 gap-3">
+                <div className="bg-emerald-50 p-4 rounded-2xl">
+                  <p className="text-[10px] font-black text-emerald-600 uppercase tracking-widest">Ready</p>
+                  <p className="text-2xl font-black text-emerald-700">{importPreview.filter(r => r.errors.length === 0).length}</p>
+                </div>
+                <div className="bg-red-50 p-4 rounded-2xl">
+                  <p className="text-[10px] font-black text-red-500 uppercase tracking-widest">Will be skipped</p>
+                  <p className="text-2xl font-black text-red-600">{importPreview.filter(r => r.errors.length > 0).length}</p>
+                </div>
+              </div>
+              <div className="max-h-80 overflow-y-auto border rounded-2xl divide-y divide-slate-100">
+                {importPreview.slice(0, 200).map(row => (
+                  <div key={row.index} className={`p-3 text-sm ${row.errors.length > 0 ? 'bg-red-50/50' : ''}`}>
+                    <div className="flex items-center justify-between gap-3">
+                      <p className="font-bold text-slate-900 truncate">
+                        <span className="text-slate-300 mr-2">#{row.index + 1}</span>
+                        {row.task.title || '(untitled)'}
+                      </p>
+                      <span className="text-xs font-bold text-slate-400 shrink-0">
+                        {row.projectName || 'No project'} · {row.task.assigned_to ? getPartnerName(row.task.assigned_to) : 'Unassigned'}
+                      </span>
+                    </div>
+                    {row.errors.map(err => (
+                      <p key={err} className="text-xs font-bold text-red-500 mt-1">{err}</p>
+                    ))}
+                  </div>
+                ))}
+                {importPreview.length > 200 && (
+                  <p className="p-3 text-center text-xs font-bold text-slate-400">…and {importPreview.length - 200} more rows</p>
+                )}
+              </div>
+              <div className="flex gap-4 pt-4">
+                <button
+                  type="button"
+                  onClick={() => setImportState({ ...importState, step: 'map' })}
+                  className="flex-1 py-3 sm:py-4 bg-slate-100 text-slate-600 rounded-2xl font-black uppercase text-xs tracking-widest hover:bg-slate-200 transition-all"
+                >
+                  Back
+                </button>
+                <button
+                  type="button"
+                  disabled={isImporting || importPreview.every(r => r.errors.length > 0)}
+                  onClick={handleRunImport}
+                  className="flex-1 py-3 sm:py-4 bg-indigo-600 text-white rounded-2xl font-black uppercase text-xs tracking-widest shadow-xl shadow-indigo-200 hover:bg-indigo-700 transition-all disabled:opacity-50"
+                >
+                  {isImporting ? 'Importing...' : 'Import'}
+                </button>
+              </div>
+            </div>
+          )}
+        </Modal>
+      )}
+
+      {/* Task Detail Drawer */}
+      {selectedTask && taskDraft && (
+        <Drawer title="Task Details" onClose={closeTaskDetail}>
+          <form onSubmit={handleUpdateTask} className="space-y-4 sm:space-y-6">
+            {!canManageTasks && (
+              <div className="flex items-center gap-2 p-3 bg-slate-50 rounded-2xl text-xs font-bold text-slate-400">
+                <Lock size={14} />
+                <span>
+                  {canWorkOnTask(selectedTask)
+                    ? 'You can update the status and description of your tasks'
+                    : 'You have read-only access to this task'}
+                </span>
               </div>
             )}
-            
-            <div>
-              <label className="block text-xs font-black uppercase tracking-widest text-slate-400 mb-2">Email Address</label>
-              <input 
-                className="w-full p-3 sm:p-4 bg-slate-50 rounded-2xl border-2 border-transparent focus:border-indigo-600 focus:bg-white transition-all font-bold outline-none text-sm sm:text-base" 
-                type="email" 
-                placeholder="you@company.com" 
-                required 
-                value={authData.email}
-                onChange={e => setAuthData({...authData, email: e.target.value})} 
+
+            <Input
+              label="Task Title"
+              type="text"
+              required
+              disabled={!canEditTaskField('title')}
+              value={taskDraft.title}
+              onChange={e => setTaskDraft({...taskDraft, title: e.target.value})}
+              error={taskErrors.title}
+            />
+
+            <Select
+              label="Project"
+              disabled={!canEditTaskField('project_id')}
+              value={taskDraft.project_id}
+              onChange={e => setTaskDraft({...taskDraft, project_id: e.target.value})}
+              error={taskErrors.project_id}
+            >
+              <option value="">No project</option>
+              {projects.map(p => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+              ))}
+            </Select>
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <Input
+                label="Start Date"
+                type="date"
+                disabled={!canEditTaskField('start_date')}
+                value={taskDraft.start_date}
+                onChange={e => setTaskDraft({...taskDraft, start_date: e.target.value})}
+                error={taskErrors.start_date}
+              />
+
+              <Input
+                label="Due Date"
+                type="date"
+                disabled={!canEditTaskField('due_date')}
+                value={taskDraft.due_date}
+                onChange={e => setTaskDraft({...taskDraft, due_date: e.target.value})}
+                error={taskErrors.due_date}
               />
+
+              <Select
+                label="Status"
+                disabled={!canEditTaskField('status')}
+                value={taskDraft.status}
+                onChange={e => setTaskDraft({...taskDraft, status: e.target.value})}
+                error={taskErrors.status}
+              >
+                {TASK_STATUSES.map(s => (
+                  <option key={s} value={s}>{s}</option>
+                ))}
+              </Select>
             </div>
 
-            <div>
-              <label className="block text-xs font-black uppercase tracking-widest text-slate-400 mb-2">Password</label>
-              <input 
-                className="w-full p-3 sm:p-4 bg-slate-50 rounded-2xl border-2 border-transparent focus:border-indigo-600 focus:bg-white transition-all font-bold outline-none text-sm sm:text-base" 
-                type="password" 
-                placeholder="••••••••" 
-                required 
-                value={authData.password}
-                onChange={e => setAuthData({...authData, password: e.target.value})} 
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <Select
+                label="Priority"
+                disabled={!canEditTaskField('priority')}
+                value={taskDraft.priority}
+                onChange={e => setTaskDraft({...taskDraft, priority: e.target.value})}
+                error={taskErrors.priority}
+              >
+                {TASK_PRIORITIES.map(p => (
+                  <option key={p} value={p}>{p}</option>
+                ))}
+              </Select>
+
+              <Input
+                label="Estimate (hours)"
+                type="number"
+                min="0.1"
+                max="1000"
+                step="0.5"
+                disabled={!canEditTaskField('estimate_hours')}
+                value={taskDraft.estimate_hours}
+                onChange={e => setTaskDraft({...taskDraft, estimate_hours: e.target.value})}
+                error={taskErrors.estimate_hours}
+                placeholder="Not estimated"
               />
             </div>
 
-            <button 
-              type="submit"
-              disabled={loading}
-              className="w-full py-3 sm:py-4 bg-indigo-600 text-white rounded-2xl font-black uppercase tracking-widest text-xs shadow-xl shadow-indigo-200 hover:bg-indigo-700 transition-all disabled:opacity-50"
+            <LabelPicker
+              labels={labels}
+              value={taskDraft.label_ids}
+              disabled={!canEditTaskField('label_ids')}
+              onChange={label_ids => setTaskDraft({...taskDraft, label_ids})}
+              error={taskErrors.label_ids}
+            />
+
+            {canManageTasks ? (
+              <Select
+                label="Assign To"
+                value={taskDraft.assigned_to}
+                onChange={e => setTaskDraft({...taskDraft, assigned_to: e.target.value})}
+                error={taskErrors.assigned_to}
+              >
+                <option value="">Unassigned</option>
+                {partners.filter(p => !p.deactivated_at || p.id === selectedTask.assigned_to).map(p => (
+                  <option key={p.id} value={p.id}>{p.name} ({p.email})</option>
+                ))}
+              </Select>
+            ) : (
+              <Input
+                label="Assigned To"
+                type="text"
+                disabled
+                value={profile?.name || 'You'}
+              />
+            )}
+
+            <div className="space-y-2">
+              <label className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Description</label>
+              <textarea
+                rows={5}
+                disabled={!canEditTaskField('description')}
+                value={taskDraft.description}
+                onChange={e => setTaskDraft({...taskDraft, description: e.target.value})}
+                placeholder="Add more detail about this task..."
+                className="w-full p-3 sm:p-4 bg-slate-50 rounded-2xl border-2 border-transparent focus:border-indigo-600 focus:bg-white transition-all font-bold outline-none placeholder:text-slate-300 text-sm resize-y disabled:opacity-60"
+              />
+            </div>
+
+            {canManageTasks && selectedTask.series_id && (
+              <label className="flex items-center gap-3 text-sm font-bold text-slate-600">
+                <input
+                  type="checkbox"
+                  checked={applyToSeries}
+                  onChange={e => setApplyToSeries(e.target.checked)}
+                />
+                Apply title, project, assignee, priority, label, estimate and description changes to future occurrences
+              </label>
+            )}
+
+            <div className="flex gap-4 pt-4">
+              <button
+                type="button"
+                onClick={closeTaskDetail}
+                className="flex-1 py-3 sm:py-4 bg-slate-100 text-slate-600 rounded-2xl font-black uppercase text-xs tracking-widest hover:bg-slate-200 transition-all"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSavingTask}
+                className="flex-1 py-3 sm:py-4 bg-indigo-600 text-white rounded-2xl font-black uppercase text-xs tracking-widest shadow-xl shadow-indigo-200 hover:bg-indigo-700 transition-all disabled:opacity-50"
+              >
+                {isSavingTask ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+
+          <DependencyPanel
+            blockers={dependencies.blockers}
+            dependents={dependencies.dependents}
+            canEdit={canManageTasks}
+            search={dependencySearch}
+            onSearchChange={setDependencySearch}
+            results={dependencyResults}
+            onAdd={handleAddDependency}
+            onRemove={handleRemoveDependency}
+            onOpen={openTaskById}
+          />
+
+          <ChecklistPanel
+            items={checklistItems}
+            draft={checklistDraft}
+            onDraftChange={setChecklistDraft}
+            onSubmit={handleAddChecklistItem}
+            onToggle={handleToggleChecklistItem}
+            onDelete={handleDeleteChecklistItem}
+            canEdit={canWorkOnTask(selectedTask)}
+          />
+
+          <AttachmentsPanel
+            attachments={attachments}
+            uploads={attachmentUploads}
+            onUpload={handleUploadAttachments}
+            onDismissUpload={dismissAttachmentUpload}
+            onOpen={handleOpenAttachment}
+            onDownload={handleDownloadAttachment}
+            onDelete={handleDeleteAttachment}
+            canUpload={canWorkOnTask(selectedTask)}
+            canDelete={attachment => canManageTasks || (attachment.uploaded_by === session.user.id && canWorkOnTask(selectedTask))}
+            getPersonName={personName}
+          />
+
+          {(canTrackTime || canReviewTime) && (
+            <TimeTrackingPanel
+              entries={taskTimeEntries}
+              running={runningTimer?.task_id === selectedTask.id ? runningTimer : null}
+              draft={timeDraft}
+              onDraftChange={setTimeDraft}
+              onStart={() => handleStartTimer(selectedTask)}
+              onStop={handleStopTimer}
+              onSubmit={handleAddTimeEntry}
+              onDelete={handleDeleteTimeEntry}
+              currentUserId={session.user.id}
+              canTrack={canTrackTime}
+              canReview={canReviewTime}
+              getPersonName={personName}
+            />
+          )}
+
+          {selectedTask.series_id && taskSeries && (
+            <div className="mt-8 sm:mt-10 pt-6 sm:pt-8 border-t border-slate-100">
+              <div className="flex items-center justify-between gap-3 mb-4">
+                <div className="flex items-center gap-3">
+                  <div className="p-2 sm:p-3 bg-indigo-50 rounded-2xl text-indigo-600"><Repeat size={18} /></div>
+                  <h3 className="font-black text-slate-800 uppercase text-[10px] sm:text-xs tracking-widest">Recurrence</h3>
+                </div>
+                <span className={`text-[9px] font-black uppercase tracking-widest px-2 py-1 rounded-md ${
+                  taskSeries.active ? 'bg-emerald-50 text-emerald-600' : 'bg-slate-100 text-slate-400'
+                }`}>
+                  {taskSeries.active ? 'Active' : 'Stopped'}
+                </span>
+              </div>
+
+              {seriesDraft ? (
+                <form onSubmit={handleUpdateSeries} className="space-y-4">
+                  <RecurrenceFields value={seriesDraft} errors={seriesErrors} onChange={setSeriesDraft} allowNone={false} />
+                  <div className="flex gap-2">
+                    <button
+                      type="button"
+                      onClick={() => { setSeriesDraft(null); setSeriesErrors({}); }}
+                      className="flex-1 py-3 bg-slate-100 text-slate-600 rounded-2xl font-black uppercase text-xs tracking-widest hover:bg-slate-200 transition-all"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      className="flex-1 py-3 bg-indigo-600 text-white rounded-2xl font-black uppercase text-xs tracking-widest hover:bg-indigo-700 transition-all"
+                    >
+                      Save Recurrence
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <>
+                  <p className="text-sm font-bold text-slate-700 mb-4">{describeRecurrence(taskSeries)}</p>
+                  {canManageTasks && (
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => setSeriesDraft(seriesToRecurrence(taskSeries))}
+                        className="flex-1 py-3 bg-slate-100 text-slate-600 rounded-2xl font-black uppercase text-xs tracking-widest hover:bg-slate-200 transition-all"
+                      >
+                        Edit Series
+                      </button>
+                      <button
+                        onClick={() => handleSetSeriesActive(!taskSeries.active)}
+                        className={`flex-1 py-3 rounded-2xl font-black uppercase text-xs tracking-widest transition-all ${
+                          taskSeries.active ? 'bg-red-50 text-red-500 hover:bg-red-100' : 'bg-emerald-50 text-emerald-600 hover:bg-emerald-100'
+                        }`}
+                      >
+                        {taskSeries.active ? 'Stop Series' : 'Resume Series'}
+                      </button>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
+          <CommentThread
+            comments={comments}
+            currentUserId={session.user.id}
+            mentionCandidates={mentionCandidates}
+            draft={commentDraft}
+            onDraftChange={setCommentDraft}
+            onSubmit={handleAddComment}
+            editingComment={editingComment}
+            onEditChange={setEditingComment}
+            onEditSubmit={handleUpdateComment}
+            onDelete={handleDeleteComment}
+            canComment={canWorkOnTask(selectedTask)}
+          />
+
+          <div className="mt-8 sm:mt-10 pt-6 sm:pt-8 border-t border-slate-100">
+            <div className="flex items-center gap-3 mb-6">
+              <div className="p-2 sm:p-3 bg-indigo-50 rounded-2xl text-indigo-600"><History size={18} /></div>
+              <h3 className="font-black text-slate-800 uppercase text-[10px] sm:text-xs tracking-widest">Activity</h3>
+            </div>
+            <ActivityTimeline entries={taskActivity} getPartnerName={getPartnerName} getProjectName={getProjectName} />
+          </div>
+        </Drawer>
+      )}
+
+      {/* Attachment Preview */}
+      {attachmentPreview && (
+        <Modal title={attachmentPreview.attachment.file_name} onClose={() => setAttachmentPreview(null)}>
+          {attachmentPreview.attachment.content_type === 'application/pdf' ? (
+            <iframe
+              src={attachmentPreview.url}
+              title={attachmentPreview.attachment.file_name}
+              className="w-full h-[65vh] rounded-2xl border"
+            />
+          ) : (
+            <img
+              src={attachmentPreview.url}
+              alt={attachmentPreview.attachment.file_name}
+              className="max-h-[65vh] mx-auto rounded-2xl"
+            />
+          )}
+          <button
+            onClick={() => handleDownloadAttachment(attachmentPreview.attachment)}
+            className="mt-6 w-full flex items-center justify-center gap-2 p-3 rounded-2xl border-2 border-slate-100 text-slate-600 font-black uppercase text-xs tracking-widest hover:border-indigo-600 hover:text-indigo-600 transition-all"
+          >
+            <Download size={16} />
+            <span>Download</span>
+          </button>
+        </Modal>
+      )}
+
+      {/* Invite Partner Modal */}
+      {isAddingPartner && canManageTeam && (
+        <Modal title="Invite Partner" onClose={() => setIsAddingPartner(false)}>
+          <form onSubmit={handleInvitePartner} className="space-y-4 sm:space-y-6">
+            <Input
+              label="Full Name"
+              type="text"
+              required
+              value={inviteDraft.name}
+              onChange={e => setInviteDraft({...inviteDraft, name: e.target.value})}
+              placeholder="Partner's full name"
+            />
+
+            <Input
+              label="Email Address"
+              type="email"
+              required
+              value={inviteDraft.email}
+              onChange={e => setInviteDraft({...inviteDraft, email: e.target.value})}
+              placeholder="partner@example.com"
+            />
+
+            <Select
+              label="Role"
+              value={inviteDraft.role}
+              onChange={e => setInviteDraft({...inviteDraft, role: e.target.value})}
             >
-              {loading ? 'Processing...' : authMode === 'login' ? 'Sign In' : 'Create Account'}
-            </button>
+              {assignableRoles.map(role => (
+                <option key={role.id} value={role.id}>{role.label}</option>
+              ))}
+            </Select>
+
+            <p className="text-xs font-bold text-slate-400">
+              They'll get a link to join {activeWorkspace?.name} and choose their own password. It works once and expires in 7 days.
+            </p>
+
+            <div className="flex gap-4 pt-4">
+              <button
+                type="button"
+                onClick={() => {
+                  setIsAddingPartner(false);
+                  setInviteDraft(EMPTY_INVITE);
+                }}
+                className="flex-1 py-3 sm:py-4 bg-slate-100 text-slate-600 rounded-2xl font-black uppercase text-xs tracking-widest hover:bg-slate-200 transition-all"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="flex-1 py-3 sm:py-4 bg-emerald-600 text-white rounded-2xl font-black uppercase text-xs tracking-widest shadow-xl shadow-emerald-200 hover:bg-emerald-700 transition-all"
+              >
+                Create Invite
+              </button>
+            </div>
+          </form>
+        </Modal>
+      )}
+
+      {/* Offboard Partner Modal */}
+      {offboarding && canManageTeam && (() => {
+        const openTasks = offboarding.tasks || [];
+        const { openCount, completedCount } = offboarding;
+        const memberName = offboarding.member.name || 'This partner';
+        return (
+          <Modal title="Offboard Partner" onClose={() => setOffboarding(null)}>
+            <div className="space-y-4 sm:space-y-6">
+              <p className="text-sm font-bold text-slate-500">
+                {memberName} will lose access to {activeWorkspace?.name}. Their account is deactivated, not deleted, and can be reactivated from the team page.
+              </p>
+
+              {!offboarding.tasks ? (
+                <div className="animate-spin rounded-full h-10 w-10 border-t-4 border-indigo-600 mx-auto"></div>
+              ) : (
+                <>
+                  <div>
+                    <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-2">Open Tasks ({openCount})</p>
+                    {openCount > 0 ? (
+                      <ul className="max-h-48 overflow-y-auto divide-y divide-slate-100 bg-slate-50 rounded-2xl">
+                        {openTasks.map(t => (
+                          <li key={t.id} className="flex items-center justify-between gap-3 px-4 py-2 text-sm font-bold">
+                            <span className="truncate">{t.title}</span>
+                            <span className="shrink-0 text-[10px] font-black uppercase text-slate-400">
+                              {t.status}{t.due_date ? ` · ${t.due_date}` : ''}
+                            </span>
+                          </li>
+                        ))}
+                        {openCount > openTasks.length && (
+                          <li className="px-4 py-2 text-xs font-bold text-slate-400">
+                            And {openCount - openTasks.length} more
+                          </li>
+                        )}
+                      </ul>
+                    ) : (
+                      <p className="text-xs font-bold text-slate-400">Nothing open to hand over.</p>
+                    )}
+                  </div>
+
+                  <div>
+                    <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-2">Completed Tasks ({completedCount})</p>
+                    <p className="text-xs font-bold text-slate-400">These stay attributed to {memberName}, along with their logged time.</p>
+                  </div>
+
+                  {openCount > 0 && (
+                    <Select
+                      label="Reassign Open Tasks To"
+                      value={offboarding.reassignTo}
+                      onChange={e => setOffboarding({ ...offboarding, reassignTo: e.target.value })}
+                    >
+                      <option value="">Leave unassigned</option>
+                      {activePartners.filter(p => p.id !== offboarding.member.id).map(p => (
+                        <option key={p.id} value={p.id}>{p.name} ({p.email})</option>
+                      ))}
+                    </Select>
+                  )}
+                </>
+              )}
+
+              <div className="flex gap-4 pt-4">
+                <button
+                  type="button"
+                  onClick={() => setOffboarding(null)}
+                  className="flex-1 py-3 sm:py-4 bg-slate-100 text-slate-600 rounded-2xl font-black uppercase text-xs tracking-widest hover:bg-slate-200 transition-all"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  disabled={!offboarding.tasks}
+                  onClick={handleOffboardPartner}
+                  className="flex-1 py-3 sm:py-4 bg-red-600 text-white rounded-2xl font-black uppercase text-xs tracking-widest shadow-xl shadow-red-200 hover:bg-red-700 transition-all disabled:opacity-50"
+                >
+                  Deactivate
+                </button>
+              </div>
+            </div>
+          </Modal>
+        );
+      })()}
+
+      {/* New Workspace Modal */}
+      {workspaceDraft !== null && (
+        <Modal title="New Workspace" onClose={() => setWorkspaceDraft(null)}>
+          <form onSubmit={handleCreateWorkspace} className="space-y-4 sm:space-y-6">
+            <Input
+              label="Name"
+              required
+              maxLength={80}
+              value={workspaceDraft}
+              onChange={e => setWorkspaceDraft(e.target.value)}
+              placeholder="e.g. Acme Ltd"
+            />
+
+            <p className="text-xs font-bold text-slate-400">
+              You'll be its owner. Its projects, tasks and people are kept apart from your other workspaces.
+            </p>
+
+            <div className="flex gap-4 pt-4">
+              <button
+                type="button"
+                onClick={() => setWorkspaceDraft(null)}
+                className="flex-1 py-3 sm:py-4 bg-slate-100 text-slate-600 rounded-2xl font-black uppercase text-xs tracking-widest hover:bg-slate-200 transition-all"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="flex-1 py-3 sm:py-4 bg-indigo-600 text-white rounded-2xl font-black uppercase text-xs tracking-widest shadow-xl shadow-indigo-200 hover:bg-indigo-700 transition-all"
+              >
+                Create Workspace
+              </button>
+            </div>
           </form>
+        </Modal>
+      )}
 
-          <div className="mt-6 text-center">
-            <button 
-              onClick={() => {
-                setAuthMode(authMode === 'login' ? 'signup' : 'login');
-                setAuthData({ email: '', password: '', name: '' });
-                setErrorMsg('');
-              }}
-              className="text-sm font-bold text-slate-400 hover:text-indigo-600 transition-colors"
-            >
-              {authMode === 'login' ? "Don't have an account? Sign up" : "Already have an account? Sign in"}
-            </button>
+      {/* Invitation Link Modal */}
+      {issuedInvite && canManageTeam && (
+        <Modal title="Invitation Link" onClose={() => setIssuedInvite(null)}>
+          <div className="space-y-4 sm:space-y-6">
+            <p className="text-sm font-bold text-slate-500">
+              Send this link to {issuedInvite.name} ({issuedInvite.email}). It's only shown now; resend the invitation if it gets lost.
+            </p>
+            <Input label="Link" readOnly value={issuedInvite.link} onFocus={e => e.target.select()} />
+            <div className="flex gap-4">
+              <button
+                onClick={handleCopyInviteLink}
+                className="flex-1 py-3 sm:py-4 bg-slate-100 text-slate-600 rounded-2xl font-black uppercase text-xs tracking-widest hover:bg-slate-200 transition-all"
+              >
+                Copy Link
+              </button>
+              <a
+                href={inviteMailto(issuedInvite)}
+                className="flex-1 flex items-center justify-center gap-2 py-3 sm:py-4 bg-indigo-600 text-white rounded-2xl font-black uppercase text-xs tracking-widest shadow-xl shadow-indigo-200 hover:bg-indigo-700 transition-all"
+              >
+                <Mail size={16} />
+                <span>Email</span>
+              </a>
+            </div>
           </div>
-        </div>
+        </Modal>
+      )}
+    </div>
+  );
+};
+
+// UI Components
+const WorkspaceSwitcher = ({ workspaces, activeId, onSwitch, onCreate }) => (
+  <div className="flex items-center gap-2">
+    <div className="relative flex-1 min-w-0">
+      <Building2 size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-indigo-500 pointer-events-none" />
+      <select
+        value={activeId || ''}
+        onChange={e => onSwitch(e.target.value)}
+        title="Switch workspace"
+        className="w-full pl-9 pr-3 py-2.5 bg-slate-50 rounded-xl border-2 border-transparent focus:border-indigo-600 focus:bg-white transition-all font-bold outline-none text-sm"
+      >
+        {workspaces.map(w => (
+          <option key={w.id} value={w.id}>{w.name}</option>
+        ))}
+      </select>
+    </div>
+    <button
+      onClick={onCreate}
+      title="New workspace"
+      className="p-2.5 rounded-xl bg-slate-50 text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 transition-all"
+    >
+      <Plus size={16} />
+    </button>
+  </div>
+);
+
+const NavItem = ({ active, onClick, icon, label }) => (
+  <button 
+    onClick={onClick} 
+    className={`w-full flex items-center gap-4 px-6 py-4 rounded-2xl transition-all font-black text-xs uppercase tracking-widest ${
+      active ? 'bg-indigo-600 text-white shadow-xl shadow-indigo-100' : 'text-slate-400 hover:text-indigo-600 hover:bg-indigo-50'
+    }`}
+  >
+    {icon} <span>{label}</span>
+    {active && <ChevronRight className="ml-auto opacity-50" size={16} />}
+  </button>
+);
+
+const StatCard = ({ label, value, icon, alert }) => (
+  <div className={`bg-white p-4 sm:p-8 rounded-2xl sm:rounded-3xl border flex items-center justify-between hover:shadow-2xl transition-all duration-500 group ${alert ? 'border-red-200' : ''}`}>
+    <div>
+      <p className="text-slate-400 text-[9px] sm:text-[10px] font-black uppercase tracking-widest mb-1 sm:mb-2">{label}</p>
+      <p className={`text-2xl sm:text-5xl font-black tracking-tighter ${alert ? 'text-red-600' : 'text-slate-900'}`}>{value}</p>
+    </div>
+    <div className="bg-slate-50 p-3 sm:p-6 rounded-xl sm:rounded-2xl group-hover:bg-indigo-50 transition-all">{icon}</div>
+  </div>
+);
+
+const ChartWrapper = ({ title, icon, action, children, className }) => (
+  <div className={`bg-white p-6 sm:p-10 rounded-3xl border shadow-sm ${className || ''}`}>
+    <div className="flex items-center justify-between gap-3 mb-6 sm:mb-10">
+      <div className="flex items-center gap-3">
+        <div className="p-2 sm:p-3 bg-indigo-50 rounded-2xl text-indigo-600">{icon}</div>
+        <h3 className="font-black text-slate-800 uppercase text-[10px] sm:text-xs tracking-widest">{title}</h3>
       </div>
-    );
-  }
+      {action}
+    </div>
+    <div className="h-[250px] sm:h-[300px] w-full">{children}</div>
+  </div>
+);
 
-  // --- MAIN APP ---
+const SortableHeader = ({ label, sortKey, sort, onSort, align, className }) => {
+  const active = sort.key === sortKey;
+  const SortIcon = !active ? ArrowUpDown : sort.dir === 'asc' ? ArrowUp : ArrowDown;
   return (
-    <div className="min-h-screen bg-slate-50">
-      {/* Mobile Header */}
-      <div className="lg:hidden bg-white border-b border-slate-100 px-4 py-3 sticky top-0 z-40 safe-top">
-        <div className="flex items-center justify-between">
-          <div className="flex items-center gap-3">
-            <div className="p-2 bg-indigo-600 rounded-xl">
-              <ShieldCheck className="text-white" size={20} />
-            </div>
-            <div>
-              <h1 className="text-base font-black uppercase">TaskFlow</h1>
-              <p className="text-[8px] font-black uppercase tracking-widest text-slate-400">
-                {isAdmin ? 'ADMIN' : 'PARTNER'}
-              </p>
-            </div>
-          </div>
-          <button 
-            onClick={() => supabaseInstance?.auth.signOut()}
-            className="p-2 rounded-xl text-slate-400 hover:text-red-500 hover:bg-red-50 transition-all"
+    <th className={`px-4 sm:px-10 py-4 sm:py-8 ${align === 'center' ? 'text-center' : align === 'right' ? 'text-right' : ''} ${className || ''}`}>
+      <button
+        onClick={() => onSort(sortKey)}
+        className={`inline-flex items-center gap-1.5 text-[10px] sm:text-[11px] font-black uppercase tracking-widest transition-colors ${
+          active ? 'text-indigo-600' : 'text-slate-400 hover:text-indigo-600'
+        }`}
+      >
+        {label}
+        <SortIcon size={12} />
+      </button>
+    </th>
+  );
+};
+
+const ProjectChip = ({ project }) => (
+  <div className="flex items-center gap-2">
+    <Tag size={12} style={{ color: project?.color || '#94a3b8' }} />
+    <span
+      className="text-[9px] sm:text-[10px] font-black uppercase tracking-wider px-2 py-0.5 rounded-md truncate max-w-[140px]"
+      style={{ color: project?.color || '#64748b', backgroundColor: `${project?.color || '#94a3b8'}1a` }}
+    >
+      {project?.name || 'No Project'}
+    </span>
+  </div>
+);
+
+// "3/10 done" for tasks that have a checklist
+const ChecklistBadge = ({ task }) => {
+  if (!task.checklist_total) return null;
+  const complete = task.checklist_done === task.checklist_total;
+  return (
+    <span className={`inline-flex items-center gap-1 text-[10px] font-black uppercase tracking-widest shrink-0 ${
+      complete ? 'text-emerald-600' : 'text-slate-400'
+    }`}>
+      <ListChecks size={12} /> {task.checklist_done}/{task.checklist_total} done
+    </span>
+  );
+};
+
+const PriorityBadge = ({ priority = 'Medium' }) => (
+  <span className={`inline-block text-[9px] font-black uppercase tracking-widest px-2 py-1 rounded-md shrink-0 ${PRIORITY_STYLES[priority] || PRIORITY_STYLES.Medium}`}>
+    {priority}
+  </span>
+);
+
+// Coloured chips for a task's labels; anything past max collapses into "+n"
+const LabelChips = ({ labelIds = [], getLabel, max }) => {
+  const shown = labelIds.map(getLabel).filter(Boolean);
+  if (shown.length === 0) return null;
+  const visible = max ? shown.slice(0, max) : shown;
+
+  return (
+    <span className="inline-flex items-center gap-1 flex-wrap min-w-0">
+      {visible.map(label => (
+        <span
+          key={label.id}
+          className="inline-flex items-center gap-1 text-[9px] font-black uppercase tracking-widest px-2 py-1 rounded-md truncate max-w-[120px]"
+          style={{ backgroundColor: `${label.color}1a`, color: label.color }}
+        >
+          {label.name}
+        </span>
+      ))}
+      {shown.length > visible.length && (
+        <span className="text-[9px] font-black text-slate-400">+{shown.length - visible.length}</span>
+      )}
+    </span>
+  );
+};
+
+const LabelPicker = ({ labels, value, onChange, disabled, error }) => (
+  <div className="space-y-2">
+    <label className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Labels</label>
+    <div className="flex flex-wrap gap-2">
+      {labels.map(label => {
+        const selected = value.includes(label.id);
+        return (
+          <button
+            key={label.id}
+            type="button"
+            disabled={disabled}
+            onClick={() => onChange(selected ? value.filter(id => id !== label.id) : [...value, label.id])}
+            className="text-[10px] font-black uppercase tracking-widest px-3 py-1.5 rounded-xl border-2 transition-all disabled:opacity-60"
+            style={selected
+              ? { backgroundColor: label.color, borderColor: label.color, color: '#fff' }
+              : { borderColor: `${label.color}66`, color: label.color }}
           >
-            <LogOut size={20} />
+            {label.name}
           </button>
-        </div>
-      </div>
+        );
+      })}
+      {labels.length === 0 && <p className="text-xs font-bold text-slate-300">No labels yet. Admins can add them in Settings.</p>}
+    </div>
+    {error && <p className="text-xs font-bold text-red-500">{error}</p>}
+  </div>
+);
 
-      <div className="flex min-h-screen">
-        {/* Desktop Sidebar */}
-        <nav className="hidden lg:flex w-80 bg-white border-r border-slate-100 p-8 flex-col fixed h-screen overflow-y-auto">
-          <div className="mb-12">
-            <div className="flex items-center gap-3 mb-2">
-              <div className="p-3 bg-indigo-600 rounded-2xl shadow-lg shadow-indigo-200">
-                <ShieldCheck className="text-white" size={24} />
-              </div>
-              <h1 className="text-2xl font-black tracking-tighter uppercase">TaskFlow</h1>
-            </div>
-            <p className="text-[10px] font-black uppercase tracking-widest text-slate-300 ml-16">Management System</p>
-          </div>
+const BlockedBadge = ({ task }) => {
+  if (!task.open_blocker_count || task.status === 'Completed') return null;
+  return (
+    <span
+      title={`Waiting on ${task.open_blocker_count} unfinished task(s)`}
+      className="inline-flex items-center gap-1 text-[10px] font-black uppercase tracking-widest text-red-500 shrink-0"
+    >
+      <Ban size={12} /> Blocked
+    </span>
+  );
+};
 
-          <div className="space-y-3 flex-1">
-            <NavItem 
-              active={view === 'dashboard'} 
-              onClick={() => setView('dashboard')} 
-              icon={<LayoutDashboard size={20}/>} 
-              label="Dashboard" 
-            />
-            <NavItem 
-              active={view === 'tasks'} 
-              onClick={() => setView('tasks')} 
-              icon={<ListTodo size={20}/>} 
-              label={isAdmin ? "All Tasks" : "My Tasks"} 
-            />
-            
-            {isAdmin && (
-              <div className="pt-4 border-t border-slate-100">
-                <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest px-4 mb-2">Admin Tools</p>
-                <NavItem 
-                  active={view === 'partners'} 
-                  onClick={() => setView('partners')} 
-                  icon={<Users size={20}/>} 
-                  label="Team Management" 
-                />
-              </div>
-            )}
-          </div>
+const STATUS_COLUMN_STYLES = {
+  'Pending': 'bg-slate-400',
+  'In Progress': 'bg-amber-400',
+  'Completed': 'bg-emerald-500'
+};
 
-          <div className="mt-auto pt-6 border-t border-slate-100">
-            <div className="p-4 bg-slate-50 rounded-2xl flex items-center gap-3 mb-4">
-              <div className="w-10 h-10 rounded-full bg-indigo-600 flex items-center justify-center text-white font-black shrink-0">
-                {profile?.name?.[0]?.toUpperCase() || 'U'}
-              </div>
-              <div className="overflow-hidden">
-                <p className="text-sm font-bold truncate">{profile?.name || 'User'}</p>
-                <div className="flex items-center gap-1">
-                  <p className="text-[10px] font-black uppercase text-indigo-500 tracking-wider">{profile?.role || 'partner'}</p>
-                  {!isAdmin && <Lock size={10} className="text-slate-400" />}
-                </div>
-              </div>
-            </div>
-            <button 
-              onClick={() => supabaseInstance?.auth.signOut()}
-              className="flex items-center gap-3 px-4 py-3 w-full rounded-xl text-slate-400 hover:text-red-500 hover:bg-red-50 transition-all font-bold text-sm"
-            >
-              <LogOut size={18} />
-              <span>Sign Out</span>
-            </button>
-          </div>
-        </nav>
+const STATUS_PILL_STYLES = {
+  'Pending': 'bg-slate-100 text-slate-600 border-slate-200',
+  'In Progress': 'bg-amber-50 text-amber-700 border-amber-200',
+  'Completed': 'bg-emerald-50 text-emerald-700 border-emerald-200 line-through'
+};
 
-        {/* Mobile Bottom Navigation */}
-        <nav className="lg:hidden fixed bottom-0 left-0 right-0 bg-white border-t border-slate-100 z-40 safe-bottom">
-          <div className="flex items-center justify-around px-2 py-2">
-            <button
-              onClick={() => setView('dashboard')}
-              className={`flex flex-col items-center gap-1 p-3 rounded-xl flex-1 transition-all ${
-                view === 'dashboard' ? 'bg-indigo-50 text-indigo-600' : 'text-slate-400'
-              }`}
-            >
-              <LayoutDashboard size={20} />
-              <span className="text-[10px] font-bold">Home</span>
-            </button>
-            <button
-              onClick={() => setView('tasks')}
-              className={`flex flex-col items-center gap-1 p-3 rounded-xl flex-1 transition-all ${
-                view === 'tasks' ? 'bg-indigo-50 text-indigo-600' : 'text-slate-400'
-              }`}
-            >
-              <ListTodo size={20} />
-              <span className="text-[10px] font-bold">Tasks</span>
-            </button>
-            {isAdmin && (
+const CalendarView = ({ mode, onModeChange, anchor, days, onAnchorChange, tasks, isLoading, canReschedule, onReschedule, onOpen }) => {
+  const [dragOverDay, setDragOverDay] = useState(null);
+  const today = toIsoDate(new Date());
+  const month = anchor.slice(0, 7);
+  const visibleLimit = mode === 'month' ? 3 : Infinity;
+
+  const tasksByDay = tasks.reduce((acc, task) => {
+    (acc[task.due_date] = acc[task.due_date] || []).push(task);
+    return acc;
+  }, {});
+
+  const handleDrop = (e, day) => {
+    e.preventDefault();
+    setDragOverDay(null);
+    const task = tasks.find(t => String(t.id) === e.dataTransfer.getData('text/plain'));
+    if (task) onReschedule(task, day);
+  };
+
+  return (
+    <div className="bg-white rounded-3xl border shadow-sm overflow-hidden">
+      <div className="flex flex-wrap items-center justify-between gap-3 p-4 sm:p-6 border-b border-slate-100">
+        <div className="flex items-center gap-2">
+          <button onClick={() => onAnchorChange(shiftCalendarAnchor(mode, anchor, -1))} className="p-2 rounded-xl text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 transition-all">
+            <ChevronLeft size={18} />
+          </button>
+          <button onClick={() => onAnchorChange(shiftCalendarAnchor(mode, anchor, 1))} className="p-2 rounded-xl text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 transition-all">
+            <ChevronRight size={18} />
+          </button>
+          <h3 className="text-base sm:text-lg font-black text-slate-900 tracking-tight">{formatCalendarTitle(mode, days, anchor)}</h3>
+          {isLoading && <span className="text-xs font-bold text-slate-300">Loading...</span>}
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => onAnchorChange(today)}
+            className="px-3 py-2 rounded-xl border text-[10px] font-black uppercase tracking-widest text-slate-500 hover:border-indigo-400 hover:text-indigo-600 transition-all"
+          >
+            Today
+          </button>
+          <div className="flex bg-slate-100 p-1 rounded-xl">
+            {['month', 'week'].map(m => (
               <button
-                onClick={() => setView('partners')}
-                className={`flex flex-col items-center gap-1 p-3 rounded-xl flex-1 transition-all ${
-                  view === 'partners' ? 'bg-indigo-50 text-indigo-600' : 'text-slate-400'
+                key={m}
+                onClick={() => onModeChange(m)}
+                className={`px-3 py-1.5 rounded-lg text-[10px] font-black uppercase tracking-widest transition-all ${
+                  mode === m ? 'bg-white text-indigo-600 shadow-sm' : 'text-slate-400'
                 }`}
               >
-                <Users size={20} />
-                <span className="text-[10px] font-bold">Team</span>
+                {m}
               </button>
-            )}
+            ))}
           </div>
-        </nav>
+        </div>
+      </div>
 
-        {/* Main Content */}
-        <main className="flex-1 lg:ml-80 px-4 py-6 sm:px-6 lg:px-12 pb-24 lg:pb-12 max-w-7xl mx-auto w-full">
-          <header className="flex flex-col sm:flex-row sm:items-end justify-between gap-4 sm:gap-6 mb-8 sm:mb-12">
-            <div>
-              <h1 className="text-3xl sm:text-4xl lg:text-5xl font-black text-slate-900 tracking-tighter uppercase mb-2">
-                {view === 'dashboard' ? 'Overview' : view === 'tasks' ? (isAdmin ? 'All Tasks' : 'My Tasks') : 'Partners'}
-              </h1>
-              <p className="text-slate-400 font-bold uppercase text-xs tracking-widest">
-                {isAdmin 
-                  ? (view === 'dashboard' ? 'Consolidated project metrics' : view === 'tasks' ? 'Full visibility of all deliverables' : 'Administer user access')
-                  : (view === 'dashboard' ? 'Your personal performance metrics' : 'Tasks assigned to your profile')
-                }
+      <div className="grid grid-cols-7 border-b border-slate-100">
+        {WEEKDAY_LABELS.map(label => (
+          <div key={label} className="px-2 py-3 text-center text-[10px] font-black uppercase tracking-widest text-slate-400">{label}</div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-7">
+        {days.map(day => {
+          const dayTasks = tasksByDay[day] || [];
+          const outsideMonth = mode === 'month' && day.slice(0, 7) !== month;
+          return (
+            <div
+              key={day}
+              onDragOver={canReschedule ? (e => { e.preventDefault(); setDragOverDay(day); }) : undefined}
+              onDragLeave={canReschedule ? (() => setDragOverDay(null)) : undefined}
+              onDrop={canReschedule ? (e => handleDrop(e, day)) : undefined}
+              className={`border-r border-b border-slate-100 p-1.5 sm:p-2 transition-all ${
+                mode === 'month' ? 'min-h-[96px] sm:min-h-[120px]' : 'min-h-[320px]'
+              } ${dragOverDay === day ? 'bg-indigo-50' : outsideMonth ? 'bg-slate-50/60' : ''}`}
+            >
+              <p className={`text-xs font-black mb-1 w-6 h-6 flex items-center justify-center rounded-full ${
+                day === today ? 'bg-indigo-600 text-white' : outsideMonth ? 'text-slate-300' : 'text-slate-500'
+              }`}>
+                {parseIsoDate(day).getDate()}
               </p>
+              <div className="space-y-1">
+                {dayTasks.slice(0, visibleLimit).map(task => (
+                  <button
+                    key={task.id}
+                    draggable={canReschedule}
+                    onDragStart={e => e.dataTransfer.setData('text/plain', String(task.id))}
+                    onClick={() => onOpen(task)}
+                    title={`${task.title} · ${task.status}`}
+                    className={`w-full text-left px-1.5 sm:px-2 py-1 rounded-lg border text-[10px] sm:text-xs font-bold truncate ${
+                      STATUS_PILL_STYLES[task.status] || STATUS_PILL_STYLES.Pending
+                    } ${canReschedule ? 'cursor-grab active:cursor-grabbing' : ''}`}
+                  >
+                    {task.title}
+                  </button>
+                ))}
+                {dayTasks.length > visibleLimit && (
+                  <button
+                    onClick={() => { onModeChange('week'); onAnchorChange(day); }}
+                    className="w-full text-left px-1.5 text-[10px] font-black text-slate-400 hover:text-indigo-600"
+                  >
+                    +{dayTasks.length - visibleLimit} more
+                  </button>
+                )}
+              </div>
             </div>
-            
-            <div className="flex gap-2">
-              {view === 'tasks' && isAdmin && (
-                <button 
-                  onClick={() => setIsAddingTask(true)}
-                  className="bg-indigo-600 text-white px-4 sm:px-8 py-3 sm:py-4 rounded-2xl font-black uppercase text-xs tracking-widest shadow-xl shadow-indigo-100 hover:bg-indigo-700 flex items-center gap-2 whitespace-nowrap"
-                >
-                  <Plus size={18} />
-                  <span className="hidden sm:inline">Create New Task</span>
-                  <span className="sm:hidden">New Task</span>
-                </button>
-              )}
-              {view === 'partners' && isAdmin && (
-                <button 
-                  onClick={() => setIsAddingPartner(true)}
-                  className="bg-emerald-600 text-white px-4 sm:px-8 py-3 sm:py-4 rounded-2xl font-black uppercase text-xs tracking-widest shadow-xl shadow-emerald-100 hover:bg-emerald-700 flex items-center gap-2 whitespace-nowrap"
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+const TIMELINE_LABEL_WIDTH = 224;
+
+// Dates a bar would have after dragging it delta days: 'move' shifts both ends, 'start'/'end' resize one side
+const draggedTaskDates = (task, mode, delta) => {
+  const { start, end } = taskSpan(task);
+  if (mode === 'move') {
+    return {
+      start_date: task.start_date ? addDays(task.start_date, delta) : null,
+      due_date: task.due_date ? addDays(task.due_date, delta) : null
+    };
+  }
+  if (mode === 'start') {
+    const nextStart = addDays(start, delta);
+    return { start_date: nextStart > end ? end : nextStart, due_date: task.due_date || end };
+  }
+  const nextEnd = addDays(end, delta);
+  return { start_date: task.start_date || start, due_date: nextEnd < start ? start : nextEnd };
+};
+
+const TimelineView = ({ tasks, start, onStartChange, groupByProject, getProject, getPartnerName, canEdit, onChangeDates, onOpen, isLoading }) => {
+  const [drag, setDrag] = useState(null);
+  const dayCount = TIMELINE_WEEKS * 7;
+  const days = useMemo(() => Array.from({ length: dayCount }, (_, i) => addDays(start, i)), [start, dayCount]);
+  const end = days[days.length - 1];
+  const today = toIsoDate(new Date());
+  const trackWidth = dayCount * TIMELINE_DAY_WIDTH;
+  const offsetOf = (date) => daysBetween(start, date) * TIMELINE_DAY_WIDTH;
+
+  // Listen on window so the drag keeps tracking when the pointer leaves the bar
+  useEffect(() => {
+    if (!drag) return;
+
+    const handleMove = (e) => {
+      setDrag(prev => prev && { ...prev, delta: Math.round((e.clientX - prev.originX) / TIMELINE_DAY_WIDTH) });
+    };
+    const handleUp = () => {
+      setDrag(null);
+      if (drag.delta === 0) {
+        if (drag.mode === 'move') onOpen(drag.task);
+        return;
+      }
+      const dates = draggedTaskDates(drag.task, drag.mode, drag.delta);
+      onChangeDates(drag.task, Object.fromEntries(Object.entries(dates).filter(([, value]) => value !== null)));
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+  }, [drag]);
+
+  const startDrag = (e, task, mode) => {
+    e.stopPropagation();
+    e.preventDefault();
+    if (!canEdit) {
+      if (mode === 'move') onOpen(task);
+      return;
+    }
+    setDrag({ task, mode, originX: e.clientX, delta: 0 });
+  };
+
+  // Project -> assignee -> tasks ordered by start
+  const groups = useMemo(() => {
+    const byProject = {};
+    tasks.filter(t => taskSpan(t).start).forEach(task => {
+      const projectKey = groupByProject ? task.project_id || 'none' : 'all';
+      if (!byProject[projectKey]) {
+        byProject[projectKey] = { key: projectKey, project: groupByProject ? getProject(task.project_id) : null, assignees: {} };
+      }
+      const assigneeKey = task.assigned_to || 'none';
+      (byProject[projectKey].assignees[assigneeKey] = byProject[projectKey].assignees[assigneeKey] || []).push(task);
+    });
+    return Object.values(byProject)
+      .sort((a, b) => (a.project?.name || '~').localeCompare(b.project?.name || '~'))
+      .map(group => ({
+        ...group,
+        assignees: Object.entries(group.assignees)
+          .map(([id, rows]) => ({
+            id,
+            name: id === 'none' ? 'Unassigned' : getPartnerName(id),
+            tasks: rows.sort((a, b) => taskSpan(a).start.localeCompare(taskSpan(b).start))
+          }))
+          .sort((a, b) => a.name.localeCompare(b.name))
+      }));
+  }, [tasks, groupByProject, getProject, getPartnerName]);
+
+  const renderMarkers = (project) => (
+    <>
+      {today >= start && today <= end && (
+        <span className="absolute top-0 bottom-0 w-0.5 bg-indigo-500/70 z-10" style={{ left: offsetOf(today) + TIMELINE_DAY_WIDTH / 2 }}></span>
+      )}
+      {project?.end_date && project.end_date >= start && project.end_date <= end && (
+        <span
+          className="absolute top-0 bottom-0 border-l-2 border-dashed border-red-300"
+          style={{ left: offsetOf(project.end_date) + TIMELINE_DAY_WIDTH }}
+        ></span>
+      )}
+    </>
+  );
+
+  const gridStyle = {
+    width: trackWidth,
+    backgroundImage: `repeating-linear-gradient(to right, transparent 0, transparent ${TIMELINE_DAY_WIDTH - 1}px, #f1f5f9 ${TIMELINE_DAY_WIDTH - 1}px, #f1f5f9 ${TIMELINE_DAY_WIDTH}px)`
+  };
+
+  return (
+    <div className="bg-white rounded-3xl border shadow-sm overflow-hidden">
+      <div className="flex flex-wrap items-center justify-between gap-3 p-4 sm:p-6 border-b border-slate-100">
+        <div className="flex items-center gap-2">
+          <button onClick={() => onStartChange(addDays(start, -14))} className="p-2 rounded-xl text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 transition-all">
+            <ChevronLeft size={18} />
+          </button>
+          <button onClick={() => onStartChange(addDays(start, 14))} className="p-2 rounded-xl text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 transition-all">
+            <ChevronRight size={18} />
+          </button>
+          <h3 className="text-base sm:text-lg font-black text-slate-900 tracking-tight">{formatCalendarTitle('week', days, start)}</h3>
+          {isLoading && <span className="text-xs font-bold text-slate-300">Loading...</span>}
+        </div>
+        <div className="flex items-center gap-4">
+          <span className="hidden sm:flex items-center gap-2 text-[10px] font-black uppercase tracking-widest text-slate-400">
+            <span className="w-3 border-t-2 border-dashed border-red-300"></span> Project end
+          </span>
+          <button
+            onClick={() => onStartChange(addDays(startOfWeek(today), -7))}
+            className="px-3 py-2 rounded-xl border text-[10px] font-black uppercase tracking-widest text-slate-500 hover:border-indigo-400 hover:text-indigo-600 transition-all"
+          >
+            Today
+          </button>
+        </div>
+      </div>
+
+      <div className={`overflow-x-auto ${drag ? 'select-none' : ''}`}>
+        <div style={{ width: TIMELINE_LABEL_WIDTH + trackWidth }}>
+          <div className="flex border-b border-slate-100">
+            <div className="sticky left-0 z-20 bg-white shrink-0" style={{ width: TIMELINE_LABEL_WIDTH }}></div>
+            <div className="flex">
+              {days.map(day => (
+                <div
+                  key={day}
+                  style={{ width: TIMELINE_DAY_WIDTH }}
+                  className={`py-2 text-center shrink-0 ${day === today ? 'text-indigo-600' : 'text-slate-400'}`}
                 >
-                  <UserPlus size={18} />
-                  <span className="hidden sm:inline">Add Partner</span>
-                  <span className="sm:hidden">Add</span>
-                </button>
-              )}
+                  <p className="text-[8px] font-black uppercase">{WEEKDAY_LABELS[(parseIsoDate(day).getDay() + 6) % 7].charAt(0)}</p>
+                  <p className="text-[10px] font-black">{parseIsoDate(day).getDate()}</p>
+                </div>
+              ))}
             </div>
-          </header>
+          </div>
 
-          {view === 'dashboard' && (
-            <div className="space-y-6 sm:space-y-10">
-              {/* Cards */}
-              <div className="grid grid-cols-2 lg:grid-cols-4 gap-3 sm:gap-6">
-                <StatCard 
-                  label={isAdmin ? "Total Tasks" : "My Tasks"} 
-                  value={stats.total} 
-                  icon={<ListTodo className="text-indigo-500" />} 
-                />
-                <StatCard 
-                  label="Active" 
-                  value={stats.total - stats.completed} 
-                  icon={<Clock className="text-amber-500" />} 
-                />
-                <StatCard 
-                  label="Completed" 
-                  value={stats.completed} 
-                  icon={<CheckCircle2 className="text-emerald-500" />} 
-                />
-                <StatCard 
-                  label={isAdmin ? "Team" : "Partners"} 
-                  value={partners.length} 
-                  icon={<Users className="text-blue-500" />} 
-                />
-              </div>
+          {groups.map(group => (
+            <div key={group.key}>
+              {groupByProject && (
+                <div className="flex bg-slate-50 border-b border-slate-100">
+                  <div className="sticky left-0 z-20 bg-slate-50 shrink-0 px-4 py-2 flex items-center gap-2 min-w-0" style={{ width: TIMELINE_LABEL_WIDTH }}>
+                    <span className="w-2.5 h-2.5 rounded-full shrink-0" style={{ backgroundColor: group.project?.color || '#94a3b8' }}></span>
+                    <span className="text-xs font-black uppercase tracking-widest text-slate-700 truncate">{group.project?.name || 'No Project'}</span>
+                  </div>
+                  <div className="relative h-9" style={{ width: trackWidth }}>
+                    {renderMarkers(group.project)}
+                  </div>
+                </div>
+              )}
 
-              {/* Charts */}
-              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 sm:gap-8">
-                <ChartWrapper title={isAdmin ? "Task Status" : "My Status"} icon={<PieIcon size={18}/>}>
-                  {stats.total > 0 ? (
-                    <ResponsiveContainer width="100%" height="100%">
-                      <PieChart>
-                        <Pie 
-                          data={stats.statusData} 
-                          innerRadius={60} 
-                          outerRadius={80} 
-                          paddingAngle={5} 
-                          dataKey="value"
-                        >
-                          {stats.statusData.map((entry, i) => (
-                            <Cell key={`cell-${i}`} fill={COLORS[i % COLORS.length]} />
-                          ))}
-                        </Pie>
-                        <Tooltip />
-                        <Legend verticalAlign="bottom" height={36} />
-                      </PieChart>
-                    </ResponsiveContainer>
-                  ) : (
-                    <div className="flex items-center justify-center h-full">
-                      <p className="text-slate-300 font-black uppercase tracking-widest text-xs">No tasks</p>
+              {group.assignees.map(assignee => (
+                <div key={assignee.id}>
+                  <div className="flex border-b border-slate-50">
+                    <div className="sticky left-0 z-20 bg-white shrink-0 px-4 pt-2 pb-1 text-[10px] font-black uppercase tracking-widest text-slate-400 truncate" style={{ width: TIMELINE_LABEL_WIDTH }}>
+                      {assignee.name}
                     </div>
-                  )}
-                </ChartWrapper>
+                    <div style={{ width: trackWidth }}></div>
+                  </div>
 
-                <ChartWrapper title={isAdmin ? "Projects" : "My Projects"} icon={<Briefcase size={18}/>}>
-                  {stats.projectProgressData.length > 0 ? (
-                    <ResponsiveContainer width="100%" height="100%">
-                      <BarChart layout="vertical" data={stats.projectProgressData} margin={{ left: 20 }}>
-                        <CartesianGrid strokeDasharray="3 3" horizontal={true} vertical={false} stroke="#f1f5f9" />
-                        <XAxis type="number" domain={[0, 100]} axisLine={false} tickLine={false} />
-                        <YAxis type="category" dataKey="name" axisLine={false} tickLine={false} width={80} />
-                        <Tooltip cursor={{fill: '#f8fafc'}} />
-                        <Bar dataKey="progress" fill="#10b981" radius={[0, 4, 4, 0]} barSize={30} />
-                      </BarChart>
-                    </ResponsiveContainer>
-                  ) : (
-                    <div className="flex items-center justify-center h-full">
-                      <p className="text-slate-300 font-black uppercase tracking-widest text-xs">No data</p>
-                    </div>
-                  )}
-                </ChartWrapper>
+                  {assignee.tasks.map(task => {
+                    const dates = drag?.task.id === task.id ? draggedTaskDates(task, drag.mode, drag.delta) : task;
+                    const span = taskSpan(dates);
+                    const project = getProject(task.project_id);
+                    const overruns = Boolean(project?.end_date && span.end > project.end_date);
+                    const barStart = span.start < start ? start : span.start;
+                    const barEnd = span.end > end ? end : span.end;
+                    const visible = span.start <= end && span.end >= start;
 
-                {isAdmin && stats.partnerData.length > 0 && (
-                  <ChartWrapper title="Team Allocation" icon={<BarChart3 size={18}/>} className="lg:col-span-2">
-                    <ResponsiveContainer width="100%" height="100%">
-                      <BarChart data={stats.partnerData}>
-                        <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
-                        <XAxis dataKey="name" axisLine={false} tickLine={false} />
-                        <YAxis axisLine={false} tickLine={false} />
-                        <Tooltip cursor={{fill: '#f8fafc'}} />
-                        <Bar dataKey="tasks" fill="#6366f1" radius={[12, 12, 0, 0]} barSize={60} />
-                      </BarChart>
-                    </ResponsiveContainer>
-                  </ChartWrapper>
-                )}
-              </div>
+                    return (
+                      <div key={task.id} className="flex border-b border-slate-50 group">
+                        <button
+                          onClick={() => onOpen(task)}
+                          className="sticky left-0 z-20 bg-white shrink-0 px-4 py-2 text-left flex items-center gap-2 min-w-0 hover:text-indigo-600"
+                          style={{ width: TIMELINE_LABEL_WIDTH }}
+                        >
+                          {overruns && <AlertCircle size={14} className="text-red-500 shrink-0" />}
+                          <span className="text-sm font-bold text-slate-700 truncate">{task.title}</span>
+                        </button>
+                        <div className="relative h-10" style={gridStyle}>
+                          {renderMarkers(project)}
+                          {visible && (
+                            <div
+                              onPointerDown={e => startDrag(e, task, 'move')}
+                              title={`${task.title}: ${span.start === span.end ? span.end : `${span.start} → ${span.end}`}${overruns ? ` (past project end ${project.end_date})` : ''}`}
+                              className={`absolute top-2 h-6 rounded-lg shadow-sm ${STATUS_COLUMN_STYLES[task.status] || STATUS_COLUMN_STYLES.Pending} ${
+                                overruns ? 'ring-2 ring-red-500 ring-offset-1' : ''
+                              } ${canEdit ? 'cursor-grab active:cursor-grabbing' : 'cursor-pointer'}`}
+                              style={{ left: offsetOf(barStart) + 2, width: (daysBetween(barStart, barEnd) + 1) * TIMELINE_DAY_WIDTH - 4 }}
+                            >
+                              {canEdit && (
+                                <>
+                                  <span
+                                    onPointerDown={e => startDrag(e, task, 'start')}
+                                    className="absolute left-0 top-0 bottom-0 w-2 cursor-ew-resize rounded-l-lg hover:bg-black/10"
+                                  ></span>
+                                  <span
+                                    onPointerDown={e => startDrag(e, task, 'end')}
+                                    className="absolute right-0 top-0 bottom-0 w-2 cursor-ew-resize rounded-r-lg hover:bg-black/10"
+                                  ></span>
+                                </>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              ))}
             </div>
+          ))}
+
+          {groups.length === 0 && (
+            <p className="py-16 text-center text-slate-300 font-black uppercase tracking-widest text-xs">No dated tasks in this period</p>
           )}
+        </div>
+      </div>
+    </div>
+  );
+};
 
-          {view === 'tasks' && (
-            <div className="bg-white rounded-3xl border shadow-sm overflow-hidden">
-              <div className="overflow-x-auto">
-                <table className="w-full text-left">
-                  <thead className="bg-slate-50/50 border-b">
-                    <tr>
-                      <th className="px-4 sm:px-10 py-4 sm:py-8 text-[10px] sm:text-[11px] font-black text-slate-400 uppercase tracking-widest">Task Details</th>
-                      {isAdmin && <th className="hidden md:table-cell px-10 py-8 text-[11px] font-black text-slate-400 uppercase tracking-widest">Assigned To</th>}
-                      <th className="px-4 sm:px-10 py-4 sm:py-8 text-[10px] sm:text-[11px] font-black text-slate-400 uppercase tracking-widest text-center">Due</th>
-                      <th className="px-4 sm:px-10 py-4 sm:py-8 text-[10px] sm:text-[11px] font-black text-slate-400 uppercase tracking-widest text-right">Status</th>
-                      {isAdmin && (
-                        <th className="px-4 sm:px-10 py-4 sm:py-8 text-[10px] sm:text-[11px] font-black text-slate-400 uppercase tracking-widest text-right">Actions</th>
-                      )}
-                    </tr>
-                  </thead>
-                  <tbody className="divide-y divide-slate-100">
-                    {tasks.map(task => (
-                      <tr key={task.id} className="hover:bg-indigo-50/20 transition-all group">
-                        <td className="px-4 sm:px-10 py-4 sm:py-8">
-                          <p className="text-base sm:text-xl font-black text-slate-900 mb-1 truncate max-w-xs">{task.title}</p>
-                          <div className="flex items-center gap-2">
-                            <Tag size={12} className="text-indigo-400" />
-                            <span className="text-[9px] sm:text-[10px] font-black uppercase text-indigo-500 tracking-wider bg-indigo-50 px-2 py-0.5 rounded-md truncate max-w-[100px]">
-                              {task.project}
-                            </span>
-                          </div>
-                        </td>
-                        {isAdmin && (
-                          <td className="hidden md:table-cell px-10 py-8">
-                            <div className="flex items-center gap-2">
-                              <div className="w-6 h-6 rounded-full bg-slate-100 flex items-center justify-center text-[10px] font-bold text-slate-500">
-                                {getPartnerName(task.assigned_to)[0]}
-                              </div>
-                              <span className="text-sm font-semibold text-slate-700">{getPartnerName(task.assigned_to)}</span>
-                            </div>
-                          </td>
-                        )}
-                        <td className="px-4 sm:px-10 py-4 sm:py-8 text-center">
-                          <div className="flex items-center justify-center gap-2 text-xs sm:text-sm text-slate-500 font-medium">
-                            <Calendar size={12} className="hidden sm:inline" />
-                            <span className="truncate">{task.due_date || 'N/A'}</span>
-                          </div>
-                        </td>
-                        <td className="px-4 sm:px-10 py-4 sm:py-8 text-right">
-                          <button 
-                            onClick={() => toggleTaskStatus(task)}
-                            className={`px-2 sm:px-5 py-1.5 sm:py-2.5 rounded-xl text-[9px] sm:text-[10px] font-black uppercase tracking-widest border transition-all ${
-                              task.status === 'Completed' ? 'bg-emerald-500 text-white border-emerald-600' : 
-                              task.status === 'In Progress' ? 'bg-amber-400 text-white border-amber-500' : 'bg-white text-slate-400 border-slate-200 hover:border-indigo-400'
-                            }`}
-                          >
-                            <span className="hidden sm:inline">{task.status}</span>
-                            <span className="sm:hidden">{task.status.charAt(0)}</span>
-                          </button>
-                        </td>
-                        {isAdmin && (
-                          <td className="px-4 sm:px-10 py-4 sm:py-8 text-right">
-                            <button
-                              onClick={() => handleDeleteTask(task.id)}
-                              className="p-2 rounded-lg text-slate-400 hover:text-red-500 hover:bg-red-50 transition-all"
-                            >
-                              <Trash2 size={16} />
-                            </button>
-                          </td>
-                        )}
-                      </tr>
-                    ))}
-                    {tasks.length === 0 && (
-                      <tr>
-                        <td colSpan={isAdmin ? "5" : "3"} className="px-4 sm:px-10 py-12 sm:py-20 text-center">
-                          <p className="text-slate-300 font-black uppercase tracking-widest text-xs">
-                            {isAdmin ? 'No tasks found' : 'No tasks assigned'}
-                          </p>
-                        </td>
-                      </tr>
-                    )}
-                  </tbody>
-                </table>
+// Read-only table of which permissions each role has
+const RoleMatrix = ({ roles, rolePermissions }) => {
+  const granted = new Set(rolePermissions.map(rp => `${rp.role}:${rp.permission}`));
+
+  return (
+    <div className="bg-white rounded-3xl border shadow-sm overflow-x-auto">
+      <div className="flex items-center gap-3 p-6 sm:p-8 pb-0 sm:pb-0">
+        <div className="p-2 bg-indigo-50 rounded-xl text-indigo-600"><ShieldCheck size={16} /></div>
+        <h3 className="font-black text-slate-800 uppercase text-[10px] sm:text-xs tracking-widest">Role Permissions</h3>
+      </div>
+      <table className="w-full min-w-[640px] text-left mt-4">
+        <thead className="bg-slate-50 border-y">
+          <tr>
+            <th className="px-6 py-4 text-[10px] font-black text-slate-400 uppercase tracking-widest">Permission</th>
+            {roles.map(role => (
+              <th key={role.id} title={role.description} className="px-4 py-4 text-[10px] font-black text-slate-400 uppercase tracking-widest text-center">
+                {role.label}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-slate-100">
+          {PERMISSIONS.map(permission => (
+            <tr key={permission.key}>
+              <td className="px-6 py-3 text-sm font-bold text-slate-700">{permission.label}</td>
+              {roles.map(role => (
+                <td key={role.id} className="px-4 py-3 text-center">
+                  {granted.has(`${role.id}:${permission.key}`)
+                    ? <CheckCircle2 size={16} className="inline text-emerald-500" />
+                    : <span className="text-slate-200">—</span>}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// Estimated hours per person and week against their capacity; capacity is edited in place
+const WorkloadView = ({ partners, weeks, getLoad, getCapacity, canEditCapacity, onCapacityChange }) => {
+  const [capacityDrafts, setCapacityDrafts] = useState({});
+
+  const overAllocated = partners.reduce((count, partner) => (
+    count + weeks.filter(week => getLoad(partner.id, week).hours > getCapacity(partner)).length
+  ), 0);
+
+  const commitCapacity = (partner) => {
+    const draft = capacityDrafts[partner.id];
+    if (draft === undefined) return;
+    setCapacityDrafts(prev => {
+      const { [partner.id]: _, ...rest } = prev;
+      return rest;
+    });
+    onCapacityChange(partner.id, draft);
+  };
+
+  return (
+    <div className="space-y-4 sm:space-y-6">
+      {overAllocated > 0 && (
+        <div className="bg-red-50 border border-red-100 text-red-600 p-4 rounded-2xl flex items-center gap-3 text-sm font-bold">
+          <AlertCircle size={18} className="shrink-0" />
+          <span>{overAllocated} {overAllocated === 1 ? 'week is' : 'weeks are'} over capacity in the next {weeks.length} weeks</span>
+        </div>
+      )}
+
+      <div className="bg-white rounded-3xl border shadow-sm overflow-x-auto">
+        <table className="w-full min-w-[760px] text-left">
+          <thead className="bg-slate-50 border-b">
+            <tr className="text-[10px] font-black uppercase tracking-widest text-slate-400">
+              <th className="px-4 sm:px-6 py-4">Partner</th>
+              <th className="px-4 py-4 w-28">Capacity / wk</th>
+              {weeks.map((week, i) => (
+                <th key={week} className="px-3 py-4 text-center">{i === 0 ? 'This week' : `Wk of ${week.slice(5)}`}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {partners.map(partner => {
+              const capacity = getCapacity(partner);
+              return (
+                <tr key={partner.id}>
+                  <td className="px-4 sm:px-6 py-4">
+                    <p className="text-sm font-black text-slate-900 truncate">{partner.name || 'User'}</p>
+                    <p className="text-xs font-bold text-slate-400 truncate">{partner.email}</p>
+                  </td>
+                  <td className="px-4 py-4">
+                    <input
+                      type="number"
+                      min="0"
+                      max="168"
+                      step="1"
+                      value={capacityDrafts[partner.id] ?? capacity}
+                      disabled={!canEditCapacity}
+                      onChange={e => setCapacityDrafts(prev => ({ ...prev, [partner.id]: e.target.value }))}
+                      onBlur={() => commitCapacity(partner)}
+                      onKeyDown={e => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                      className="w-20 p-2 bg-slate-50 rounded-xl border-2 border-transparent focus:border-indigo-600 focus:bg-white font-bold outline-none text-sm disabled:opacity-60"
+                    />
+                  </td>
+                  {weeks.map(week => {
+                    const { hours, tasks } = getLoad(partner.id, week);
+                    const ratio = capacity > 0 ? hours / capacity : hours > 0 ? Infinity : 0;
+                    const over = hours > capacity;
+                    return (
+                      <td key={week} className={`px-3 py-4 ${over ? 'bg-red-50' : ''}`} title={`${tasks} estimated task(s)`}>
+                        <div className={`flex items-center justify-center gap-1 text-xs font-black mb-1.5 ${over ? 'text-red-600' : 'text-slate-600'}`}>
+                          {over && <AlertCircle size={12} />}
+                          <span>{hours}/{capacity}h</span>
+                        </div>
+                        <div className="h-1.5 bg-slate-100 rounded-full overflow-hidden">
+                          <div
+                            className={`h-full rounded-full ${over ? 'bg-red-500' : ratio > 0.8 ? 'bg-amber-500' : 'bg-emerald-500'}`}
+                            style={{ width: `${Math.min(ratio, 1) * 100}%` }}
+                          ></div>
+                        </div>
+                      </td>
+                    );
+                  })}
+                </tr>
+              );
+            })}
+            {partners.length === 0 && (
+              <tr>
+                <td colSpan={weeks.length + 2} className="py-16 text-center text-slate-300 font-black uppercase tracking-widest text-xs">No team members</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <p className="text-xs font-bold text-slate-400">
+        Open tasks with an estimate and a due date, spread evenly across the weeks they span. Overdue work counts against this week.
+      </p>
+    </div>
+  );
+};
+
+const KanbanBoard = ({ tasks, showAssignee, getPartnerName, getProject, getLabel, onMove, onOpen }) => {
+  const [dragOverStatus, setDragOverStatus] = useState(null);
+
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    setDragOverStatus(null);
+    const task = tasks.find(t => String(t.id) === e.dataTransfer.getData('text/plain'));
+    if (task) onMove(task, status);
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 sm:gap-6">
+      {TASK_STATUSES.map(status => {
+        const columnTasks = tasks.filter(t => t.status === status);
+        return (
+          <div
+            key={status}
+            onDragOver={e => { e.preventDefault(); setDragOverStatus(status); }}
+            onDragLeave={() => setDragOverStatus(null)}
+            onDrop={e => handleDrop(e, status)}
+            className={`bg-slate-100/60 rounded-3xl p-4 min-h-[300px] border-2 transition-all ${
+              dragOverStatus === status ? 'border-indigo-400 bg-indigo-50/60' : 'border-transparent'
+            }`}
+          >
+            <div className="flex items-center justify-between px-2 mb-4">
+              <div className="flex items-center gap-2">
+                <span className={`w-2.5 h-2.5 rounded-full ${STATUS_COLUMN_STYLES[status]}`}></span>
+                <h3 className="font-black text-slate-800 uppercase text-[10px] sm:text-xs tracking-widest">{status}</h3>
               </div>
+              <span className="text-xs font-black text-slate-400">{columnTasks.length}</span>
             </div>
-          )}
 
-          {view === 'partners' && isAdmin && (
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6">
-              {partners.map(p => (
-                <div key={p.id} className="bg-white p-6 sm:p-10 rounded-3xl border hover:shadow-xl transition-all group relative">
-                  <button 
-                    onClick={() => handleRemovePartner(p.id)}
-                    className="absolute top-4 right-4 text-slate-200 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-all"
-                  >
-                    <X size={20} />
-                  </button>
-                  <div className="flex items-center gap-4 sm:gap-5 mb-6 sm:mb-8">
-                    <div className="w-12 h-12 sm:w-16 sm:h-16 rounded-2xl bg-indigo-600 flex items-center justify-center text-white text-xl sm:text-2xl font-black shadow-xl shadow-indigo-100 group-hover:scale-110 transition-transform">
-                      {p.name?.[0]?.toUpperCase() || 'U'}
-                    </div>
-                    <div>
-                      <h3 className="text-lg sm:text-xl font-black text-slate-900 tracking-tight truncate">{p.name || 'User'}</h3>
-                      <p className="text-xs font-black uppercase text-indigo-500 tracking-widest">{p.role || 'partner'}</p>
-                    </div>
+            <div className="space-y-3">
+              {columnTasks.map(task => (
+                <div
+                  key={task.id}
+                  draggable
+                  onDragStart={e => e.dataTransfer.setData('text/plain', String(task.id))}
+                  onClick={() => onOpen(task)}
+                  className="bg-white p-4 rounded-2xl border shadow-sm hover:shadow-lg transition-all cursor-grab active:cursor-grabbing"
+                >
+                  <p className="font-black text-slate-900 mb-3 break-words">
+                    {task.series_id && <Repeat size={12} className="inline text-indigo-400 mr-1.5 -mt-0.5" />}
+                    {task.title}
+                  </p>
+                  <div className="mb-3 flex items-center gap-2 flex-wrap">
+                    <ProjectChip project={getProject(task.project_id)} />
+                    <PriorityBadge priority={task.priority} />
+                    <ChecklistBadge task={task} />
+                    <BlockedBadge task={task} />
+                    <LabelChips labelIds={task.label_ids} getLabel={getLabel} max={3} />
                   </div>
-                  <div className="space-y-3 pt-4 sm:pt-6 border-t border-slate-50">
-                    <div className="flex items-center gap-2 text-slate-400 text-xs sm:text-sm font-bold truncate">
-                      <Mail size={14} /> <span className="truncate">{p.email}</span>
-                    </div>
-                    <div className="grid grid-cols-2 gap-2 mt-4">
-                      <div className="bg-slate-50 p-3 rounded-xl">
-                        <p className="text-[10px] font-black text-slate-400 uppercase">Tasks</p>
-                        <p className="text-xl font-bold text-slate-900">{tasks.filter(t => t.assigned_to === p.id).length}</p>
-                      </div>
-                      <div className="bg-slate-50 p-3 rounded-xl">
-                        <p className="text-[10px] font-black text-slate-400 uppercase">Joined</p>
-                        <p className="text-sm font-bold text-slate-900">{p.created_at?.split('T')[0] || 'N/A'}</p>
+                  <div className="flex items-center justify-between text-xs text-slate-500 font-medium">
+                    {showAssignee ? (
+                      <div className="flex items-center gap-2 min-w-0">
+                        <div className="w-6 h-6 rounded-full bg-slate-100 flex items-center justify-center text-[10px] font-bold text-slate-500 shrink-0">
+                          {getPartnerName(task.assigned_to)[0]}
+                        </div>
+                        <span className="truncate">{getPartnerName(task.assigned_to)}</span>
                       </div>
+                    ) : <span></span>}
+                    <div className="flex items-center gap-1 shrink-0">
+                      <Calendar size={12} />
+                      <span>{task.due_date || 'N/A'}</span>
                     </div>
                   </div>
                 </div>
               ))}
-              {partners.length === 0 && (
-                <div className="col-span-full text-center py-20">
-                  <p className="text-slate-300 font-black uppercase tracking-widest text-xs">No team members</p>
-                </div>
+              {columnTasks.length === 0 && (
+                <p className="text-center py-10 text-slate-300 font-black uppercase tracking-widest text-[10px]">Drop tasks here</p>
               )}
             </div>
-          )}
-        </main>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+// Profile ids of everyone mentioned as "@Full Name" in a comment body
+const extractMentions = (body, people) => (
+  people.filter(p => p.name && body.includes(`@${p.name}`)).map(p => p.id)
+);
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const CommentBody = ({ body, people }) => {
+  const names = people.map(p => p.name).filter(Boolean).sort((a, b) => b.length - a.length);
+  if (names.length === 0) return <>{body}</>;
+
+  const pattern = new RegExp(`(${names.map(n => '@' + escapeRegExp(n)).join('|')})`, 'g');
+  return (
+    <>
+      {body.split(pattern).map((part, i) => (
+        names.some(n => part === `@${n}`)
+          ? <span key={i} className="text-indigo-600 bg-indigo-50 px-1 rounded-md">{part}</span>
+          : <React.Fragment key={i}>{part}</React.Fragment>
+      ))}
+    </>
+  );
+};
+
+const formatTimestamp = (value) => (value ? new Date(value).toLocaleString() : '');
+
+const CommentThread = ({
+  comments,
+  currentUserId,
+  mentionCandidates,
+  draft,
+  onDraftChange,
+  onSubmit,
+  editingComment,
+  onEditChange,
+  onEditSubmit,
+  onDelete,
+  canComment
+}) => {
+  // Suggest people while the draft ends in an unfinished "@name"
+  const mentionQuery = draft.match(/(?:^|\s)@([^@\n]*)$/)?.[1];
+  const suggestions = mentionQuery === undefined ? [] : mentionCandidates
+    .filter(p => p.name.toLowerCase().startsWith(mentionQuery.toLowerCase()))
+    .slice(0, 5);
+
+  const insertMention = (person) => {
+    onDraftChange(draft.replace(/@([^@\n]*)$/, `@${person.name} `));
+  };
+
+  // Every author in the thread can be highlighted, even if they are no longer mentionable
+  const highlightPeople = [...mentionCandidates, ...comments.map(c => c.author).filter(Boolean)];
+
+  return (
+    <div className="mt-8 sm:mt-10 pt-6 sm:pt-8 border-t border-slate-100">
+      <div className="flex items-center gap-3 mb-6">
+        <div className="p-2 sm:p-3 bg-indigo-50 rounded-2xl text-indigo-600"><MessageSquare size={18} /></div>
+        <h3 className="font-black text-slate-800 uppercase text-[10px] sm:text-xs tracking-widest">
+          Comments ({comments.length})
+        </h3>
+      </div>
+
+      <div className="space-y-4 mb-6">
+        {comments.map(comment => {
+          const isOwn = comment.author_id === currentUserId;
+          const isEditing = editingComment?.id === comment.id;
+          return (
+            <div key={comment.id} className="flex gap-3 group">
+              <div className="w-8 h-8 rounded-full bg-indigo-600 flex items-center justify-center text-white text-xs font-black shrink-0">
+                {comment.author?.name?.[0]?.toUpperCase() || 'U'}
+              </div>
+              <div className="flex-1 min-w-0 bg-slate-50 rounded-2xl p-3 sm:p-4">
+                <div className="flex items-center justify-between gap-2 mb-1">
+                  <p className="text-sm font-black text-slate-900 truncate">{comment.author?.name || 'User'}</p>
+                  <div className="flex items-center gap-1 shrink-0">
+                    <span className="text-[10px] font-bold text-slate-400">
+                      {formatTimestamp(comment.created_at)}
+                      {comment.updated_at && comment.updated_at !== comment.created_at && ' (edited)'}
+                    </span>
+                    {isOwn && !isEditing && (
+                      <>
+                        <button
+                          onClick={() => onEditChange({ id: comment.id, body: comment.body })}
+                          className="p-1 rounded-lg text-slate-300 hover:text-indigo-600 opacity-0 group-hover:opacity-100 transition-all"
+                        >
+                          <Pencil size={12} />
+                        </button>
+                        <button
+                          onClick={() => onDelete(comment.id)}
+                          className="p-1 rounded-lg text-slate-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-all"
+                        >
+                          <Trash2 size={12} />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+                {isEditing ? (
+                  <form onSubmit={onEditSubmit} className="space-y-2">
+                    <textarea
+                      rows={3}
+                      value={editingComment.body}
+                      onChange={e => onEditChange({ ...editingComment, body: e.target.value })}
+                      className="w-full p-3 bg-white rounded-xl border-2 border-transparent focus:border-indigo-600 transition-all font-medium outline-none text-sm resize-y"
+                    />
+                    <div className="flex justify-end gap-2">
+                      <button
+                        type="button"
+                        onClick={() => onEditChange(null)}
+                        className="px-3 py-1.5 bg-slate-100 text-slate-600 rounded-xl font-black uppercase text-[10px] tracking-widest hover:bg-slate-200 transition-all"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        type="submit"
+                        className="px-3 py-1.5 bg-indigo-600 text-white rounded-xl font-black uppercase text-[10px] tracking-widest hover:bg-indigo-700 transition-all"
+                      >
+                        Save
+                      </button>
+                    </div>
+                  </form>
+                ) : (
+                  <p className="text-sm text-slate-700 whitespace-pre-wrap break-words">
+                    <CommentBody body={comment.body} people={highlightPeople} />
+                  </p>
+                )}
+              </div>
+            </div>
+          );
+        })}
+        {comments.length === 0 && (
+          <p className="text-center py-6 text-slate-300 font-black uppercase tracking-widest text-[10px]">No comments yet</p>
+        )}
       </div>
 
-      {/* Create Task Modal */}
-      {isAddingTask && isAdmin && (
-        <Modal title="Create New Task" onClose={() => setIsAddingTask(false)}>
-          <form onSubmit={handleCreateTask} className="space-y-4 sm:space-y-6">
-            <Input
-              label="Task Title"
-              type="text"
-              required
-              value={newTask.title}
-              onChange={e => setNewTask({...newTask, title: e.target.value})}
-              placeholder="Enter task title..."
+      {canComment && (
+        <form onSubmit={onSubmit} className="relative">
+          {suggestions.length > 0 && (
+            <div className="absolute bottom-full mb-2 left-0 right-0 bg-white border rounded-2xl shadow-xl overflow-hidden z-10">
+              {suggestions.map(p => (
+                <button
+                  key={p.id}
+                  type="button"
+                  onClick={() => insertMention(p)}
+                  className="w-full text-left px-4 py-2 text-sm font-bold text-slate-700 hover:bg-indigo-50 hover:text-indigo-600"
+                >
+                  @{p.name} <span className="text-xs font-medium text-slate-400">{p.email}</span>
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="flex gap-2">
+            <textarea
+              rows={2}
+              value={draft}
+              onChange={e => onDraftChange(e.target.value)}
+              placeholder="Write a comment... use @ to mention someone"
+              className="flex-1 p-3 sm:p-4 bg-slate-50 rounded-2xl border-2 border-transparent focus:border-indigo-600 focus:bg-white transition-all font-medium outline-none placeholder:text-slate-300 text-sm resize-none"
             />
+            <button
+              type="submit"
+              disabled={!draft.trim()}
+              className="px-4 bg-indigo-600 text-white rounded-2xl shadow-xl shadow-indigo-200 hover:bg-indigo-700 transition-all disabled:opacity-50"
+            >
+              <Send size={18} />
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
 
-            <Input
-              label="Project"
-              type="text"
-              value={newTask.project}
-              onChange={e => setNewTask({...newTask, project: e.target.value})}
-              placeholder="Project name..."
-            />
+const DependencyRow = ({ dependency, onOpen, onRemove }) => (
+  <li className="flex items-center gap-3 group px-2 py-1.5 rounded-xl hover:bg-slate-50">
+    <span className={`w-2 h-2 rounded-full shrink-0 ${
+      dependency.task?.status === 'Completed' ? 'bg-emerald-500' : 'bg-red-400'
+    }`}></span>
+    {dependency.task ? (
+      <button
+        type="button"
+        onClick={() => onOpen(dependency.id)}
+        className="flex-1 min-w-0 text-left text-sm font-semibold text-slate-700 hover:text-indigo-600 truncate"
+      >
+        {dependency.task.title}
+      </button>
+    ) : (
+      <span className="flex-1 min-w-0 text-sm italic text-slate-400 truncate">A task assigned to someone else</span>
+    )}
+    <span className="text-[9px] font-black uppercase tracking-widest text-slate-400 shrink-0">{dependency.task?.status || ''}</span>
+    {onRemove && (
+      <button
+        type="button"
+        onClick={() => onRemove(dependency.id)}
+        className="p-1 rounded-lg text-slate-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-all"
+      >
+        <X size={12} />
+      </button>
+    )}
+  </li>
+);
 
-            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-              <Input
-                label="Due Date"
-                type="date"
-                value={newTask.due_date}
-                onChange={e => setNewTask({...newTask, due_date: e.target.value})}
-              />
+const DependencyPanel = ({ blockers, dependents, canEdit, search, onSearchChange, results, onAdd, onRemove, onOpen }) => (
+  <div className="mt-8 sm:mt-10 pt-6 sm:pt-8 border-t border-slate-100">
+    <div className="flex items-center gap-3 mb-4">
+      <div className="p-2 sm:p-3 bg-indigo-50 rounded-2xl text-indigo-600"><Link2 size={18} /></div>
+      <h3 className="font-black text-slate-800 uppercase text-[10px] sm:text-xs tracking-widest">Dependencies</h3>
+    </div>
 
-              <div className="space-y-2">
-                <label className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Assign To</label>
-                <select
-                  value={newTask.assigned_to}
-                  onChange={e => setNewTask({...newTask, assigned_to: e.target.value})}
-                  className="w-full p-3 sm:p-4 bg-slate-50 rounded-2xl border-2 border-transparent focus:border-indigo-600 focus:bg-white transition-all font-bold outline-none text-sm"
-                >
-                  <option value="">Select partner...</option>
-                  {partners.map(p => (
-                    <option key={p.id} value={p.id}>{p.name} ({p.email})</option>
-                  ))}
-                </select>
-              </div>
-            </div>
+    <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-2">Blocked by</p>
+    <ul className="space-y-1 mb-4">
+      {blockers.map(d => (
+        <DependencyRow key={d.id} dependency={d} onOpen={onOpen} onRemove={canEdit ? onRemove : null} />
+      ))}
+      {blockers.length === 0 && <p className="px-2 text-xs font-bold text-slate-300">Nothing</p>}
+    </ul>
 
-            <div className="flex gap-4 pt-4">
+    {canEdit && (
+      <div className="relative mb-6">
+        <input
+          value={search}
+          onChange={e => onSearchChange(e.target.value)}
+          placeholder="Search tasks to add a blocker..."
+          className="w-full p-3 bg-slate-50 rounded-2xl border-2 border-transparent focus:border-indigo-600 focus:bg-white transition-all font-medium outline-none placeholder:text-slate-300 text-sm"
+        />
+        {results.length > 0 && (
+          <div className="absolute top-full mt-2 left-0 right-0 bg-white border rounded-2xl shadow-xl overflow-hidden z-10">
+            {results.map(t => (
               <button
+                key={t.id}
                 type="button"
-                onClick={() => {
-                  setIsAddingTask(false);
-                  setNewTask({ title: '', project: 'General', assigned_to: '', due_date: '' });
-                }}
-                className="flex-1 py-3 sm:py-4 bg-slate-100 text-slate-600 rounded-2xl font-black uppercase text-xs tracking-widest hover:bg-slate-200 transition-all"
+                onClick={() => onAdd(t)}
+                className="w-full text-left px-4 py-2 text-sm font-bold text-slate-700 hover:bg-indigo-50 hover:text-indigo-600 flex items-center justify-between gap-3"
               >
-                Cancel
+                <span className="truncate">{t.title}</span>
+                <span className="text-[9px] font-black uppercase tracking-widest text-slate-400 shrink-0">{t.status}</span>
               </button>
+            ))}
+          </div>
+        )}
+      </div>
+    )}
+
+    {dependents.length > 0 && (
+      <>
+        <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-2">Blocking</p>
+        <ul className="space-y-1">
+          {dependents.map(d => (
+            <DependencyRow key={d.id} dependency={d} onOpen={onOpen} />
+          ))}
+        </ul>
+      </>
+    )}
+  </div>
+);
+
+const ChecklistPanel = ({ items, draft, onDraftChange, onSubmit, onToggle, onDelete, canEdit }) => {
+  const done = items.filter(i => i.done).length;
+  const progress = Math.round((done / (items.length || 1)) * 100);
+
+  return (
+    <div className="mt-8 sm:mt-10 pt-6 sm:pt-8 border-t border-slate-100">
+      <div className="flex items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-3">
+          <div className="p-2 sm:p-3 bg-indigo-50 rounded-2xl text-indigo-600"><ListChecks size={18} /></div>
+          <h3 className="font-black text-slate-800 uppercase text-[10px] sm:text-xs tracking-widest">
+            Checklist ({done}/{items.length})
+          </h3>
+        </div>
+        {items.length > 0 && <span className="text-xs font-black text-slate-400">{progress}%</span>}
+      </div>
+
+      {items.length > 0 && (
+        <div className="h-2 bg-slate-100 rounded-full overflow-hidden mb-4">
+          <div className="h-full rounded-full bg-emerald-500 transition-all" style={{ width: `${progress}%` }}></div>
+        </div>
+      )}
+
+      <ul className="space-y-1 mb-4">
+        {items.map(item => (
+          <li key={item.id} className="flex items-center gap-3 group px-2 py-1.5 rounded-xl hover:bg-slate-50">
+            <button
+              type="button"
+              onClick={() => onToggle(item)}
+              disabled={!canEdit}
+              className={item.done ? 'text-emerald-500' : 'text-slate-300 hover:text-indigo-600'}
+            >
+              {item.done ? <CheckSquare size={18} /> : <Square size={18} />}
+            </button>
+            <span className={`flex-1 min-w-0 text-sm break-words ${item.done ? 'line-through text-slate-400' : 'font-semibold text-slate-700'}`}>
+              {item.title}
+            </span>
+            {canEdit && (
               <button
-                type="submit"
-                className="flex-1 py-3 sm:py-4 bg-indigo-600 text-white rounded-2xl font-black uppercase text-xs tracking-widest shadow-xl shadow-indigo-200 hover:bg-indigo-700 transition-all"
+                type="button"
+                onClick={() => onDelete(item)}
+                className="p-1 rounded-lg text-slate-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-all"
               >
-                Create
+                <Trash2 size={12} />
               </button>
-            </div>
-          </form>
-        </Modal>
+            )}
+          </li>
+        ))}
+        {items.length === 0 && (
+          <p className="text-center py-4 text-slate-300 font-black uppercase tracking-widest text-[10px]">No checklist items</p>
+        )}
+      </ul>
+
+      {canEdit && (
+        <form onSubmit={onSubmit} className="flex gap-2">
+          <input
+            value={draft}
+            onChange={e => onDraftChange(e.target.value)}
+            placeholder="Add an item..."
+            className="flex-1 p-3 bg-slate-50 rounded-2xl border-2 border-transparent focus:border-indigo-600 focus:bg-white transition-all font-medium outline-none placeholder:text-slate-300 text-sm"
+          />
+          <button
+            type="submit"
+            disabled={!draft.trim()}
+            className="px-4 bg-indigo-600 text-white rounded-2xl shadow-xl shadow-indigo-200 hover:bg-indigo-700 transition-all disabled:opacity-50"
+          >
+            <Plus size={18} />
+          </button>
+        </form>
       )}
+    </div>
+  );
+};
 
-      {/* Add Partner Modal */}
-      {isAddingPartner && isAdmin && (
-        <Modal title="Add New Partner" onClose={() => setIsAddingPartner(false)}>
-          <form onSubmit={handleAddPartner} className="space-y-4 sm:space-y-6">
-            <Input
-              label="Full Name"
-              type="text"
-              required
-              value={newPartner.name}
-              onChange={e => setNewPartner({...newPartner, name: e.target.value})}
-              placeholder="Partner's full name"
-            />
+const AttachmentsPanel = ({ attachments, uploads, onUpload, onDismissUpload, onOpen, onDownload, onDelete, canUpload, canDelete, getPersonName }) => {
+  const inputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
 
-            <Input
-              label="Email Address"
-              type="email"
-              required
-              value={newPartner.email}
-              onChange={e => setNewPartner({...newPartner, email: e.target.value})}
-              placeholder="partner@example.com"
-            />
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (canUpload && e.dataTransfer.files.length > 0) onUpload(e.dataTransfer.files);
+  };
 
-            <Input
-              label="Password"
-              type="password"
-              required
-              value={newPartner.password}
-              onChange={e => setNewPartner({...newPartner, password: e.target.value})}
-              placeholder="••••••••"
-            />
+  return (
+    <div
+      className="mt-8 sm:mt-10 pt-6 sm:pt-8 border-t border-slate-100"
+      onDragOver={e => { e.preventDefault(); setIsDragging(canUpload); }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+    >
+      <div className="flex items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-3">
+          <div className="p-2 bg-indigo-50 rounded-xl text-indigo-600"><Paperclip size={16} /></div>
+          <h3 className="font-black text-slate-800 uppercase text-[10px] sm:text-xs tracking-widest">
+            Attachments ({attachments.length})
+          </h3>
+        </div>
+        {canUpload && (
+          <button
+            type="button"
+            onClick={() => inputRef.current?.click()}
+            className="flex items-center gap-2 px-3 py-2 rounded-xl bg-slate-50 text-slate-600 hover:text-indigo-600 text-[10px] font-black uppercase tracking-widest transition-all"
+          >
+            <Upload size={14} />
+            <span>Upload</span>
+          </button>
+        )}
+        <input
+          ref={inputRef}
+          type="file"
+          multiple
+          accept={ATTACHMENT_TYPES.join(',')}
+          className="hidden"
+          onChange={e => {
+            if (e.target.files.length > 0) onUpload(e.target.files);
+            e.target.value = '';
+          }}
+        />
+      </div>
 
-            <div className="flex gap-4 pt-4">
+      {uploads.length > 0 && (
+        <ul className="space-y-2 mb-4">
+          {uploads.map(upload => (
+            <li key={upload.id} className="px-3 py-2 rounded-xl bg-slate-50">
+              <div className="flex items-center justify-between gap-3 text-xs font-bold mb-1.5">
+                <span className="truncate text-slate-700">{upload.name}</span>
+                {upload.error ? (
+                  <button type="button" onClick={() => onDismissUpload(upload.id)} className="text-slate-300 hover:text-slate-500">
+                    <X size={14} />
+                  </button>
+                ) : (
+                  <span className="text-slate-400 shrink-0">{upload.progress}%</span>
+                )}
+              </div>
+              {upload.error ? (
+                <p className="text-xs font-bold text-red-500">{upload.error}</p>
+              ) : (
+                <div className="h-1.5 bg-slate-200 rounded-full overflow-hidden">
+                  <div className="h-full rounded-full bg-indigo-600 transition-all" style={{ width: `${upload.progress}%` }}></div>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <ul className={`space-y-1 rounded-2xl transition-all ${isDragging ? 'ring-2 ring-indigo-300 bg-indigo-50/50' : ''}`}>
+        {attachments.map(attachment => (
+          <li key={attachment.id} className="flex items-center gap-3 group px-2 py-1.5 rounded-xl hover:bg-slate-50">
+            <span className="text-slate-400 shrink-0">
+              {attachment.content_type.startsWith('image/') ? <ImageIcon size={16} /> : <FileText size={16} />}
+            </span>
+            <button type="button" onClick={() => onOpen(attachment)} className="flex-1 min-w-0 text-left">
+              <p className="text-sm font-semibold text-slate-700 truncate hover:text-indigo-600">{attachment.file_name}</p>
+              <p className="text-[10px] font-bold text-slate-400">
+                {formatBytes(attachment.size_bytes)} · {getPersonName(attachment.uploaded_by)} · {formatTimestamp(attachment.created_at)}
+              </p>
+            </button>
+            <button
+              type="button"
+              onClick={() => onDownload(attachment)}
+              className="p-1 rounded-lg text-slate-300 hover:text-indigo-600 opacity-0 group-hover:opacity-100 transition-all"
+            >
+              <Download size={12} />
+            </button>
+            {canDelete(attachment) && (
               <button
                 type="button"
-                onClick={() => {
-                  setIsAddingPartner(false);
-                  setNewPartner({ name: '', email: '', password: '' });
-                }}
-                className="flex-1 py-3 sm:py-4 bg-slate-100 text-slate-600 rounded-2xl font-black uppercase text-xs tracking-widest hover:bg-slate-200 transition-all"
+                onClick={() => onDelete(attachment)}
+                className="p-1 rounded-lg text-slate-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-all"
               >
-                Cancel
+                <Trash2 size={12} />
               </button>
+            )}
+          </li>
+        ))}
+        {attachments.length === 0 && (
+          <p className="text-center py-4 text-slate-300 font-black uppercase tracking-widest text-[10px]">
+            Drop files here or use Upload · up to {formatBytes(ATTACHMENT_MAX_BYTES)}
+          </p>
+        )}
+      </ul>
+    </div>
+  );
+};
+
+// Header pill for the signed-in user's running timer
+const RunningTimer = ({ timer, onStop, onOpen }) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!timer) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [timer?.id]);
+
+  if (!timer) return null;
+
+  return (
+    <div className="flex items-center gap-1 bg-emerald-50 text-emerald-700 rounded-xl pl-3 pr-1 py-1">
+      <button onClick={onOpen} className="flex items-center gap-2 text-xs font-black max-w-[12rem]" title={timer.task?.title}>
+        <Timer size={14} className="shrink-0 animate-pulse" />
+        <span className="tabular-nums">{formatElapsed(timer.started_at, now)}</span>
+        <span className="truncate hidden sm:inline">{timer.task?.title}</span>
+      </button>
+      <button onClick={onStop} className="p-1.5 rounded-lg hover:bg-emerald-100" title="Stop timer">
+        <StopCircle size={16} />
+      </button>
+    </div>
+  );
+};
+
+const TimeTrackingPanel = ({ entries, running, draft, onDraftChange, onStart, onStop, onSubmit, onDelete, currentUserId, canTrack, canReview, getPersonName }) => {
+  const total = entries.reduce((sum, entry) => sum + (entry.minutes || 0), 0);
+
+  return (
+    <div className="mt-8 sm:mt-10 pt-6 sm:pt-8 border-t border-slate-100">
+      <div className="flex items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-3">
+          <div className="p-2 bg-indigo-50 rounded-xl text-indigo-600"><Timer size={16} /></div>
+          <h3 className="font-black text-slate-800 uppercase text-[10px] sm:text-xs tracking-widest">
+            Time ({formatMinutes(total)})
+          </h3>
+        </div>
+        {canTrack && (
+          <button
+            type="button"
+            onClick={running ? onStop : onStart}
+            className={`flex items-center gap-2 px-3 py-2 rounded-xl text-[10px] font-black uppercase tracking-widest transition-all ${
+              running ? 'bg-red-50 text-red-600 hover:bg-red-100' : 'bg-emerald-50 text-emerald-700 hover:bg-emerald-100'
+            }`}
+          >
+            {running ? <StopCircle size={14} /> : <Play size={14} />}
+            <span>{running ? 'Stop Timer' : 'Start Timer'}</span>
+          </button>
+        )}
+      </div>
+
+      <ul className="space-y-1 mb-4">
+        {entries.map(entry => (
+          <li key={entry.id} className="flex items-center gap-3 group px-2 py-1.5 rounded-xl hover:bg-slate-50 text-sm">
+            <span className="text-xs font-bold text-slate-400 w-20 shrink-0">{entry.entry_date}</span>
+            <span className="font-black text-slate-900 w-16 shrink-0">
+              {entry.minutes == null ? <span className="text-emerald-600">Running</span> : formatMinutes(entry.minutes)}
+            </span>
+            <span className="flex-1 min-w-0 truncate text-slate-600">
+              {canReview && <span className="font-bold">{getPersonName(entry.user_id)}{entry.note ? ' · ' : ''}</span>}
+              {entry.note}
+            </span>
+            {(entry.user_id === currentUserId || canReview) && (
               <button
-                type="submit"
-                className="flex-1 py-3 sm:py-4 bg-emerald-600 text-white rounded-2xl font-black uppercase text-xs tracking-widest shadow-xl shadow-emerald-200 hover:bg-emerald-700 transition-all"
+                type="button"
+                onClick={() => onDelete(entry)}
+                className="p-1 rounded-lg text-slate-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-all"
               >
-                Add
+                <Trash2 size={12} />
               </button>
-            </div>
-          </form>
-        </Modal>
+            )}
+          </li>
+        ))}
+        {entries.length === 0 && (
+          <p className="text-center py-4 text-slate-300 font-black uppercase tracking-widest text-[10px]">No time logged</p>
+        )}
+      </ul>
+
+      {canTrack && (
+        <form onSubmit={onSubmit} className="flex flex-wrap gap-2">
+          <input
+            type="date"
+            value={draft.entry_date}
+            max={toIsoDate(new Date())}
+            onChange={e => onDraftChange({ ...draft, entry_date: e.target.value })}
+            className="p-3 bg-slate-50 rounded-2xl border-2 border-transparent focus:border-indigo-600 focus:bg-white transition-all font-medium outline-none text-sm"
+          />
+          <input
+            type="number"
+            min="0.1"
+            max="24"
+            step="0.25"
+            value={draft.hours}
+            onChange={e => onDraftChange({ ...draft, hours: e.target.value })}
+            placeholder="Hours"
+            className="w-24 p-3 bg-slate-50 rounded-2xl border-2 border-transparent focus:border-indigo-600 focus:bg-white transition-all font-medium outline-none placeholder:text-slate-300 text-sm"
+          />
+          <input
+            value={draft.note}
+            maxLength={500}
+            onChange={e => onDraftChange({ ...draft, note: e.target.value })}
+            placeholder="What did you work on?"
+            className="flex-1 min-w-[8rem] p-3 bg-slate-50 rounded-2xl border-2 border-transparent focus:border-indigo-600 focus:bg-white transition-all font-medium outline-none placeholder:text-slate-300 text-sm"
+          />
+          <button
+            type="submit"
+            disabled={!draft.hours}
+            className="px-4 bg-indigo-600 text-white rounded-2xl shadow-xl shadow-indigo-200 hover:bg-indigo-700 transition-all disabled:opacity-50"
+          >
+            <Plus size={18} />
+          </button>
+        </form>
       )}
     </div>
   );
 };
 
-// UI Components
-const NavItem = ({ active, onClick, icon, label }) => (
-  <button 
-    onClick={onClick} 
-    className={`w-full flex items-center gap-4 px-6 py-4 rounded-2xl transition-all font-black text-xs uppercase tracking-widest ${
-      active ? 'bg-indigo-600 text-white shadow-xl shadow-indigo-100' : 'text-slate-400 hover:text-indigo-600 hover:bg-indigo-50'
-    }`}
-  >
-    {icon} <span>{label}</span>
-    {active && <ChevronRight className="ml-auto opacity-50" size={16} />}
-  </button>
+const TimesheetGrid = ({ grid, onOpenTask }) => (
+  <div className="bg-white rounded-3xl border shadow-sm overflow-x-auto">
+    <table className="w-full min-w-[720px] text-left">
+      <thead className="bg-slate-50 border-b">
+        <tr className="text-[10px] font-black uppercase tracking-widest text-slate-400">
+          <th className="px-4 sm:px-6 py-4">Task</th>
+          {grid.days.map((day, i) => (
+            <th key={day} className="px-2 py-4 text-center">{WEEKDAY_LABELS[i]} {day.slice(8)}</th>
+          ))}
+          <th className="px-4 py-4 text-right">Total</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-slate-100">
+        {grid.rows.map(row => (
+          <tr key={row.task.id} className="text-sm">
+            <td className="px-4 sm:px-6 py-3">
+              <button onClick={() => onOpenTask(row.task.id)} className="font-bold text-slate-900 hover:text-indigo-600 text-left">
+                {row.task.title}
+              </button>
+              {row.running && <span className="ml-2 text-[10px] font-black uppercase text-emerald-600">Running</span>}
+            </td>
+            {row.minutes.map((minutes, i) => (
+              <td key={grid.days[i]} className={`px-2 py-3 text-center font-bold ${minutes ? 'text-slate-700' : 'text-slate-200'}`}>
+                {minutes ? formatMinutes(minutes) : '–'}
+              </td>
+            ))}
+            <td className="px-4 py-3 text-right font-black text-slate-900">{formatMinutes(row.total)}</td>
+          </tr>
+        ))}
+        {grid.rows.length === 0 && (
+          <tr>
+            <td colSpan={9} className="py-16 text-center text-slate-300 font-black uppercase tracking-widest text-xs">No time logged this week</td>
+          </tr>
+        )}
+      </tbody>
+      {grid.rows.length > 0 && (
+        <tfoot className="border-t-2 border-slate-100">
+          <tr className="text-sm">
+            <td className="px-4 sm:px-6 py-4 font-black uppercase text-[10px] tracking-widest text-slate-400">Total</td>
+            {grid.dayTotals.map((minutes, i) => (
+              <td key={grid.days[i]} className="px-2 py-4 text-center font-black text-slate-700">{minutes ? formatMinutes(minutes) : '–'}</td>
+            ))}
+            <td className="px-4 py-4 text-right font-black text-indigo-600">{formatMinutes(grid.total)}</td>
+          </tr>
+        </tfoot>
+      )}
+    </table>
+  </div>
 );
 
-const StatCard = ({ label, value, icon }) => (
-  <div className="bg-white p-4 sm:p-8 rounded-2xl sm:rounded-3xl border flex items-center justify-between hover:shadow-2xl transition-all duration-500 group">
-    <div>
-      <p className="text-slate-400 text-[9px] sm:text-[10px] font-black uppercase tracking-widest mb-1 sm:mb-2">{label}</p>
-      <p className="text-2xl sm:text-5xl font-black text-slate-900 tracking-tighter">{value}</p>
-    </div>
-    <div className="bg-slate-50 p-3 sm:p-6 rounded-xl sm:rounded-2xl group-hover:bg-indigo-50 transition-all">{icon}</div>
+const ACTIVITY_FIELD_LABELS = {
+  title: 'title',
+  project_id: 'project',
+  due_date: 'due date',
+  label_ids: 'labels',
+  description: 'description'
+};
+
+const formatActivityValue = (field, value, getPartnerName, getProjectName) => {
+  if (field === 'assigned_to') return value ? getPartnerName(value) : 'Unassigned';
+  if (field === 'project_id') return getProjectName(value);
+  return value === null || value === '' ? 'none' : String(value);
+};
+
+// Human-readable sentence for one activity_log row, without the actor's name
+const describeActivity = (entry, getPartnerName, getProjectName, showSubject) => {
+  const changes = entry.changes || {};
+  const subject = showSubject && entry.summary ? ` "${entry.summary}"` : '';
+  const change = (field) => (
+    `from ${formatActivityValue(field, changes[field]?.from, getPartnerName, getProjectName)} to ${formatActivityValue(field, changes[field]?.to, getPartnerName, getProjectName)}`
+  );
+
+  switch (entry.action) {
+    case 'created': return `created task${subject}`;
+    case 'deleted': return `permanently deleted task${subject}`;
+    case 'trashed': return `moved${subject || ' this task'} to the trash`;
+    case 'restored': return `restored${subject || ' this task'} from the trash`;
+    case 'status_changed': return `moved${subject || ' this task'} ${change('status')}`;
+    case 'reassigned': return `reassigned${subject || ' this task'} ${change('assigned_to')}`;
+    case 'updated': {
+      const fields = Object.keys(changes).map(f => ACTIVITY_FIELD_LABELS[f] || f.replace(/_/g, ' '));
+      return `changed ${fields.join(', ') || 'details'}${subject ? ` on${subject}` : ''}`;
+    }
+    case 'dependency_added': return `marked${subject || ' this task'} as blocked by "${changes.blocker_title || 'a task'}"`;
+    case 'dependency_removed': return `removed blocker "${changes.blocker_title || 'a task'}"${subject ? ` from${subject}` : ''}`;
+    case 'checklist_item_added': return `added "${changes.item}" to the checklist${subject ? ` of${subject}` : ''}`;
+    case 'checklist_item_completed': return `checked off "${changes.item}"${subject ? ` on${subject}` : ''}`;
+    case 'checklist_item_reopened': return `unchecked "${changes.item}"${subject ? ` on${subject}` : ''}`;
+    case 'checklist_item_removed': return `removed "${changes.item}" from the checklist${subject ? ` of${subject}` : ''}`;
+    case 'attachment_added': return `attached ${changes.file_name}${subject ? ` to${subject}` : ''}`;
+    case 'attachment_removed': return `removed attachment ${changes.file_name}${subject ? ` from${subject}` : ''}`;
+    case 'partner_added': return `added ${entry.summary || 'a partner'} to the team`;
+    case 'partner_removed': return `removed ${entry.summary || 'a partner'} from the team`;
+    case 'partner_deactivated': return `deactivated ${entry.summary || 'a partner'}`;
+    case 'partner_reactivated': return `reactivated ${entry.summary || 'a partner'}`;
+    case 'role_changed': return `changed the role of ${entry.summary || 'a team member'} ${change('role')}`;
+    default: return entry.action.replace(/_/g, ' ');
+  }
+};
+
+const ActivityTimeline = ({ entries, getPartnerName, getProjectName, showSubject }) => {
+  if (entries.length === 0) {
+    return <p className="text-center py-6 text-slate-300 font-black uppercase tracking-widest text-[10px]">No activity yet</p>;
+  }
+
+  return (
+    <ol className="relative border-l-2 border-slate-100 ml-3 space-y-5">
+      {entries.map(entry => (
+        <li key={entry.id} className="ml-6">
+          <span className={`absolute -left-[7px] w-3 h-3 rounded-full border-2 border-white ${
+            entry.action === 'deleted' || entry.action === 'trashed' || entry.action === 'partner_removed' || entry.action === 'partner_deactivated' ? 'bg-red-500' :
+            entry.action === 'status_changed' ? 'bg-amber-400' : 'bg-indigo-500'
+          }`}></span>
+          <p className="text-sm text-slate-700">
+            <span className="font-black text-slate-900">{entry.actor?.name || 'System'}</span>{' '}
+            {describeActivity(entry, getPartnerName, getProjectName, showSubject)}
+          </p>
+          <p className="text-[10px] font-bold text-slate-400 mt-0.5">{formatTimestamp(entry.created_at)}</p>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+// Trashed tasks, newest first, with when each one will be purged automatically
+const TrashList = ({ tasks, retentionDays, getPartnerName, getProjectName, onRestore, onPurge }) => (
+  <div className="bg-white p-6 sm:p-10 rounded-3xl border shadow-sm">
+    <p className="text-xs font-bold text-slate-400 mb-6">
+      Deleted tasks stay here for {retentionDays} days, then they are deleted permanently.
+    </p>
+    <ul className="divide-y divide-slate-100">
+      {tasks.map(task => {
+        const purgeAt = new Date(new Date(task.deleted_at).getTime() + retentionDays * 24 * 60 * 60 * 1000);
+        return (
+          <li key={task.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 py-4">
+            <div className="min-w-0">
+              <p className="font-black text-slate-900 truncate">{task.title}</p>
+              <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest mt-1">
+                {getProjectName(task.project_id)} · {getPartnerName(task.assigned_to)}
+              </p>
+              <p className="text-xs text-slate-500 mt-1">
+                Deleted {formatTimestamp(task.deleted_at)}{task.deleted_by ? ` by ${getPartnerName(task.deleted_by)}` : ''}
+                {' · '}purged on {purgeAt.toLocaleDateString()}
+              </p>
+            </div>
+            <div className="flex gap-2 shrink-0">
+              <button
+                onClick={() => onRestore(task)}
+                className="flex items-center gap-1 px-4 py-2 bg-indigo-50 text-indigo-600 rounded-xl font-black uppercase text-[10px] tracking-widest hover:bg-indigo-100 transition-all"
+              >
+                <RotateCcw size={14} /> Restore
+              </button>
+              <button
+                onClick={() => onPurge(task)}
+                className="flex items-center gap-1 px-4 py-2 bg-red-50 text-red-600 rounded-xl font-black uppercase text-[10px] tracking-widest hover:bg-red-100 transition-all"
+              >
+                <Trash2 size={14} /> Delete forever
+              </button>
+            </div>
+          </li>
+        );
+      })}
+      {tasks.length === 0 && (
+        <p className="text-center py-6 text-slate-300 font-black uppercase tracking-widest text-[10px]">The trash is empty</p>
+      )}
+    </ul>
   </div>
 );
 
-const ChartWrapper = ({ title, icon, children, className }) => (
-  <div className={`bg-white p-6 sm:p-10 rounded-3xl border shadow-sm ${className || ''}`}>
-    <div className="flex items-center gap-3 mb-6 sm:mb-10">
-      <div className="p-2 sm:p-3 bg-indigo-50 rounded-2xl text-indigo-600">{icon}</div>
-      <h3 className="font-black text-slate-800 uppercase text-[10px] sm:text-xs tracking-widest">{title}</h3>
+const NotificationBell = ({ notifications, open, onToggle, onOpen, onMarkAllRead }) => {
+  const unread = notifications.filter(n => !n.read_at).length;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={onToggle}
+        title="Notifications"
+        className="relative p-2 lg:p-3 rounded-xl lg:rounded-2xl lg:bg-white lg:border text-slate-400 hover:text-indigo-600 transition-all"
+      >
+        <Bell size={20} />
+        {unread > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[18px] h-[18px] px-1 rounded-full bg-red-500 text-white text-[10px] font-black flex items-center justify-center">
+            {unread > 9 ? '9+' : unread}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-2 w-80 max-w-[calc(100vw-2rem)] bg-white border rounded-2xl shadow-2xl overflow-hidden z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-slate-100">
+            <p className="text-[10px] font-black uppercase tracking-widest text-slate-500">Notifications</p>
+            {unread > 0 && (
+              <button onClick={onMarkAllRead} className="text-[10px] font-black uppercase tracking-widest text-indigo-600 hover:text-indigo-700">
+                Mark all read
+              </button>
+            )}
+          </div>
+          <div className="max-h-96 overflow-y-auto divide-y divide-slate-50">
+            {notifications.map(n => (
+              <button
+                key={n.id}
+                onClick={() => onOpen(n)}
+                className={`w-full text-left px-4 py-3 hover:bg-indigo-50/40 transition-all ${n.read_at ? '' : 'bg-indigo-50/60'}`}
+              >
+                <p className="text-sm font-black text-slate-900 truncate">{n.title}</p>
+                {n.body && <p className="text-xs text-slate-500">{n.body}</p>}
+                <p className="text-[10px] font-bold text-slate-400 mt-1">{formatTimestamp(n.created_at)}</p>
+              </button>
+            ))}
+            {notifications.length === 0 && (
+              <p className="text-center py-8 text-slate-300 font-black uppercase tracking-widest text-[10px]">You're all caught up</p>
+            )}
+          </div>
+        </div>
+      )}
     </div>
-    <div className="h-[250px] sm:h-[300px] w-full">{children}</div>
-  </div>
-);
+  );
+};
 
 const Modal = ({ title, children, onClose }) => (
   <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 sm:p-6 z-50">
@@ -1121,13 +8225,122 @@ const Modal = ({ title, children, onClose }) => (
   </div>
 );
 
-const Input = ({ label, ...props }) => (
+const RecurrenceFields = ({ value, errors = {}, onChange, allowNone = true }) => (
+  <div className="space-y-4">
+    <Select
+      label="Repeat"
+      value={value.frequency}
+      onChange={e => onChange({ ...value, frequency: e.target.value })}
+    >
+      {RECURRENCE_FREQUENCIES.filter(f => allowNone || f.value !== 'none').map(f => (
+        <option key={f.value} value={f.value}>{f.label}</option>
+      ))}
+    </Select>
+
+    {value.frequency === 'custom' && (
+      <div className="grid grid-cols-2 gap-4">
+        <Input
+          label="Every"
+          type="number"
+          min="1"
+          max="365"
+          value={value.interval_count}
+          onChange={e => onChange({ ...value, interval_count: e.target.value })}
+          error={errors.interval_count}
+        />
+        <Select
+          label="Unit"
+          value={value.interval_unit}
+          onChange={e => onChange({ ...value, interval_unit: e.target.value })}
+          error={errors.interval_unit}
+        >
+          {RECURRENCE_UNITS.map(u => (
+            <option key={u} value={u}>{u}s</option>
+          ))}
+        </Select>
+      </div>
+    )}
+
+    {value.frequency !== 'none' && (
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <Select
+          label="Ends"
+          value={value.ends}
+          onChange={e => onChange({ ...value, ends: e.target.value })}
+        >
+          <option value="never">Never</option>
+          <option value="on_date">On a date</option>
+          <option value="after_count">After a number of times</option>
+        </Select>
+        {value.ends === 'on_date' && (
+          <Input
+            label="End Date"
+            type="date"
+            value={value.end_date}
+            onChange={e => onChange({ ...value, end_date: e.target.value })}
+            error={errors.end_date}
+          />
+        )}
+        {value.ends === 'after_count' && (
+          <Input
+            label="Occurrences"
+            type="number"
+            min="1"
+            value={value.max_occurrences}
+            onChange={e => onChange({ ...value, max_occurrences: e.target.value })}
+            error={errors.max_occurrences}
+          />
+        )}
+      </div>
+    )}
+  </div>
+);
+
+const Drawer = ({ title, children, onClose }) => (
+  <div className="fixed inset-0 bg-black/50 flex justify-end z-50" onClick={onClose}>
+    <div 
+      className="bg-white h-full w-full sm:max-w-xl p-6 sm:p-10 shadow-2xl overflow-y-auto"
+      onClick={e => e.stopPropagation()}
+    >
+      <div className="flex items-center justify-between mb-6 sm:mb-8">
+        <h2 className="text-2xl sm:text-3xl font-black uppercase tracking-tighter">{title}</h2>
+        <button 
+          onClick={onClose}
+          className="p-2 rounded-xl hover:bg-slate-100 transition-all"
+        >
+          <X size={24} />
+        </button>
+      </div>
+      {children}
+    </div>
+  </div>
+);
+
+const Input = ({ label, error, ...props }) => (
   <div className="space-y-2">
     <label className="text-[10px] font-black text-slate-400 uppercase tracking-widest">{label}</label>
     <input 
       {...props} 
-      className="w-full p-3 sm:p-4 bg-slate-50 rounded-2xl border-2 border-transparent focus:border-indigo-600 focus:bg-white transition-all font-bold outline-none placeholder:text-slate-300 text-sm"
+      className={`w-full p-3 sm:p-4 bg-slate-50 rounded-2xl border-2 focus:border-indigo-600 focus:bg-white transition-all font-bold outline-none placeholder:text-slate-300 text-sm disabled:opacity-60 ${
+        error ? 'border-red-300' : 'border-transparent'
+      }`}
     />
+    {error && <p className="text-xs font-bold text-red-500">{error}</p>}
+  </div>
+);
+
+const Select = ({ label, error, children, ...props }) => (
+  <div className="space-y-2">
+    <label className="text-[10px] font-black text-slate-400 uppercase tracking-widest">{label}</label>
+    <select 
+      {...props} 
+      className={`w-full p-3 sm:p-4 bg-slate-50 rounded-2xl border-2 focus:border-indigo-600 focus:bg-white transition-all font-bold outline-none text-sm disabled:opacity-60 ${
+        error ? 'border-red-300' : 'border-transparent'
+      }`}
+    >
+      {children}
+    </select>
+    {error && <p className="text-xs font-bold text-red-500">{error}</p>}
   </div>
 );
 
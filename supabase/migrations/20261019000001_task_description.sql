@@ -0,0 +1,34 @@
+-- Free-form description shown and edited in the task detail drawer
+alter table public.tasks
+  add column if not exists description text not null default '';
+
+-- Partners may only change status and description on their own tasks;
+-- everything else on a task is admin-only.
+create or replace function public.enforce_partner_task_update()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+    return new;
+  end if;
+
+  if old.assigned_to is distinct from auth.uid()
+    or new.title is distinct from old.title
+    or new.project is distinct from old.project
+    or new.assigned_to is distinct from old.assigned_to
+    or new.due_date is distinct from old.due_date
+    or new.created_by is distinct from old.created_by then
+    raise exception 'Partners can only update the status and description of their own tasks';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists tasks_enforce_partner_update on public.tasks;
+create trigger tasks_enforce_partner_update
+  before update on public.tasks
+  for each row execute function public.enforce_partner_task_update();
@@ -0,0 +1,9 @@
+-- Stream row changes on tasks and profiles to subscribed clients.
+-- Realtime honours the existing RLS policies, so partners only receive
+-- events for tasks assigned to them.
+alter publication supabase_realtime add table public.tasks;
+alter publication supabase_realtime add table public.profiles;
+
+-- Include the full old row in UPDATE/DELETE events so clients can tell
+-- when a task has been reassigned away from them.
+alter table public.tasks replica identity full;
@@ -0,0 +1,55 @@
+-- Comment threads on tasks
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from profiles where id = auth.uid() and role = 'admin');
+$$;
+
+-- Admins can reach every task; partners only the tasks assigned to them
+create or replace function public.can_access_task(target_task_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_admin()
+    or exists (select 1 from tasks where id = target_task_id and assigned_to = auth.uid());
+$$;
+
+create table if not exists public.task_comments (
+  id uuid primary key default gen_random_uuid(),
+  task_id uuid not null references public.tasks(id) on delete cascade,
+  author_id uuid not null references public.profiles(id) on delete cascade,
+  body text not null check (length(trim(body)) > 0),
+  mentions uuid[] not null default '{}',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists task_comments_task_id_idx on public.task_comments (task_id, created_at);
+
+alter table public.task_comments enable row level security;
+
+create policy "Comments are visible on accessible tasks"
+  on public.task_comments for select
+  using (public.can_access_task(task_id));
+
+create policy "Users comment as themselves on accessible tasks"
+  on public.task_comments for insert
+  with check (author_id = auth.uid() and public.can_access_task(task_id));
+
+create policy "Authors edit their own comments"
+  on public.task_comments for update
+  using (author_id = auth.uid())
+  with check (author_id = auth.uid());
+
+create policy "Authors delete their own comments"
+  on public.task_comments for delete
+  using (author_id = auth.uid());
+
+alter publication supabase_realtime add table public.task_comments;
@@ -0,0 +1,111 @@
+-- Append-only activity log for tasks and team membership.
+-- Rows are written exclusively by the triggers below; clients can only read.
+create table if not exists public.activity_log (
+  id bigint generated always as identity primary key,
+  entity_type text not null check (entity_type in ('task', 'partner')),
+  entity_id uuid not null,
+  action text not null,
+  actor_id uuid references public.profiles(id) on delete set null,
+  summary text,
+  changes jsonb not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists activity_log_entity_idx on public.activity_log (entity_type, entity_id, created_at desc);
+create index if not exists activity_log_actor_idx on public.activity_log (actor_id, created_at desc);
+
+alter table public.activity_log enable row level security;
+
+create policy "Admins read the whole log, partners read their tasks' history"
+  on public.activity_log for select
+  using (
+    public.is_admin()
+    or (entity_type = 'task' and public.can_access_task(entity_id))
+  );
+
+revoke insert, update, delete on public.activity_log from anon, authenticated;
+
+create or replace function public.log_task_activity()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  field_changes jsonb;
+begin
+  if tg_op = 'INSERT' then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('task', new.id, 'created', auth.uid(), new.title,
+      jsonb_build_object('project', new.project, 'assigned_to', new.assigned_to,
+                         'due_date', new.due_date, 'status', new.status));
+    return new;
+  end if;
+
+  if tg_op = 'DELETE' then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('task', old.id, 'deleted', auth.uid(), old.title, to_jsonb(old));
+    return old;
+  end if;
+
+  if new.status is distinct from old.status then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('task', new.id, 'status_changed', auth.uid(), new.title,
+      jsonb_build_object('status', jsonb_build_object('from', old.status, 'to', new.status)));
+  end if;
+
+  if new.assigned_to is distinct from old.assigned_to then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('task', new.id, 'reassigned', auth.uid(), new.title,
+      jsonb_build_object('assigned_to', jsonb_build_object('from', old.assigned_to, 'to', new.assigned_to)));
+  end if;
+
+  -- Any other column that changed, so new task fields are covered automatically
+  select jsonb_object_agg(o.key, jsonb_build_object('from', o.value, 'to', n.value))
+    into field_changes
+    from jsonb_each(to_jsonb(old)) o
+    join jsonb_each(to_jsonb(new)) n using (key)
+   where o.value is distinct from n.value
+     and o.key not in ('id', 'created_at', 'updated_at', 'status', 'assigned_to');
+
+  if field_changes is not null then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('task', new.id, 'updated', auth.uid(), new.title, field_changes);
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists tasks_log_activity on public.tasks;
+create trigger tasks_log_activity
+  after insert or update or delete on public.tasks
+  for each row execute function public.log_task_activity();
+
+create or replace function public.log_partner_activity()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('partner', new.id, 'partner_added', auth.uid(), new.name,
+      jsonb_build_object('email', new.email, 'role', new.role));
+    return new;
+  end if;
+
+  insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+  values ('partner', old.id, 'partner_removed', auth.uid(), old.name,
+    jsonb_build_object('email', old.email, 'role', old.role));
+  return old;
+end;
+$$;
+
+drop trigger if exists profiles_log_activity on public.profiles;
+create trigger profiles_log_activity
+  after insert or delete on public.profiles
+  for each row execute function public.log_partner_activity();
+
+alter publication supabase_realtime add table public.activity_log;
@@ -0,0 +1,150 @@
+-- First-class projects replacing the free-text tasks.project column
+create table if not exists public.projects (
+  id uuid primary key default gen_random_uuid(),
+  name text not null check (length(trim(name)) > 0 and name = trim(name)),
+  description text not null default '',
+  owner_id uuid references public.profiles(id) on delete set null,
+  color text not null default '#6366f1',
+  status text not null default 'Active' check (status in ('Active', 'On Hold', 'Completed', 'Archived')),
+  start_date date,
+  end_date date,
+  created_by uuid references public.profiles(id) on delete set null,
+  created_at timestamptz not null default now(),
+  check (end_date is null or start_date is null or end_date >= start_date)
+);
+
+create unique index if not exists projects_name_key on public.projects (lower(name));
+
+-- Backfill: one project per distinct name, ignoring case and surrounding spaces.
+-- Spelling variants such as "Web site" are left for admins to merge in the app.
+insert into public.projects (name)
+select min(trim(project))
+  from public.tasks
+ where coalesce(trim(project), '') <> ''
+ group by lower(trim(project))
+on conflict do nothing;
+
+alter table public.tasks
+  add column if not exists project_id uuid references public.projects(id) on delete set null;
+
+create index if not exists tasks_project_id_idx on public.tasks (project_id);
+
+update public.tasks t
+   set project_id = p.id
+  from public.projects p
+ where lower(trim(t.project)) = lower(p.name);
+
+-- The partner guard referenced the old column
+create or replace function public.enforce_partner_task_update()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+    return new;
+  end if;
+
+  if old.assigned_to is distinct from auth.uid()
+    or new.title is distinct from old.title
+    or new.project_id is distinct from old.project_id
+    or new.assigned_to is distinct from old.assigned_to
+    or new.due_date is distinct from old.due_date
+    or new.created_by is distinct from old.created_by then
+    raise exception 'Partners can only update the status and description of their own tasks';
+  end if;
+
+  return new;
+end;
+$$;
+
+alter table public.tasks drop column if exists project;
+
+-- The 'created' entry read the text column dropped above; it records the project id now
+create or replace function public.log_task_activity()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  field_changes jsonb;
+begin
+  if tg_op = 'INSERT' then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('task', new.id, 'created', auth.uid(), new.title,
+      jsonb_build_object('project_id', new.project_id, 'assigned_to', new.assigned_to,
+                         'due_date', new.due_date, 'status', new.status));
+    return new;
+  end if;
+
+  if tg_op = 'DELETE' then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('task', old.id, 'deleted', auth.uid(), old.title, to_jsonb(old));
+    return old;
+  end if;
+
+  if new.status is distinct from old.status then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('task', new.id, 'status_changed', auth.uid(), new.title,
+      jsonb_build_object('status', jsonb_build_object('from', old.status, 'to', new.status)));
+  end if;
+
+  if new.assigned_to is distinct from old.assigned_to then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('task', new.id, 'reassigned', auth.uid(), new.title,
+      jsonb_build_object('assigned_to', jsonb_build_object('from', old.assigned_to, 'to', new.assigned_to)));
+  end if;
+
+  -- Any other column that changed, so new task fields are covered automatically
+  select jsonb_object_agg(o.key, jsonb_build_object('from', o.value, 'to', n.value))
+    into field_changes
+    from jsonb_each(to_jsonb(old)) o
+    join jsonb_each(to_jsonb(new)) n using (key)
+   where o.value is distinct from n.value
+     and o.key not in ('id', 'created_at', 'updated_at', 'status', 'assigned_to');
+
+  if field_changes is not null then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('task', new.id, 'updated', auth.uid(), new.title, field_changes);
+  end if;
+
+  return new;
+end;
+$$;
+
+alter table public.projects enable row level security;
+
+create policy "Projects are visible to signed-in users"
+  on public.projects for select
+  to authenticated
+  using (true);
+
+create policy "Admins manage projects"
+  on public.projects for all
+  using (public.is_admin())
+  with check (public.is_admin());
+
+-- Moves every task from the source projects into the target and deletes the sources
+create or replace function public.merge_projects(target_project_id uuid, source_project_ids uuid[])
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can merge projects';
+  end if;
+
+  if target_project_id = any(source_project_ids) then
+    raise exception 'Cannot merge a project into itself';
+  end if;
+
+  update tasks set project_id = target_project_id where project_id = any(source_project_ids);
+  delete from projects where id = any(source_project_ids);
+end;
+$$;
+
+alter publication supabase_realtime add table public.projects;
@@ -0,0 +1,41 @@
+-- Server-side paging, sorting and aggregates for large task lists
+
+create extension if not exists pg_trgm;
+
+create index if not exists tasks_created_at_idx on public.tasks (created_at desc, id);
+create index if not exists tasks_assigned_to_idx on public.tasks (assigned_to);
+create index if not exists tasks_status_idx on public.tasks (status);
+create index if not exists tasks_due_date_idx on public.tasks (due_date);
+create index if not exists tasks_title_trgm_idx on public.tasks using gin (title gin_trgm_ops);
+
+-- Computed columns: PostgREST exposes these as tasks.assignee_name / tasks.status_rank,
+-- so the task list can order by assignee name and by workflow order of status.
+create or replace function public.assignee_name(public.tasks)
+returns text
+language sql
+stable
+as $$
+  select name from public.profiles where id = $1.assigned_to;
+$$;
+
+create or replace function public.status_rank(public.tasks)
+returns smallint
+language sql
+immutable
+as $$
+  select case $1.status
+    when 'Pending' then 0
+    when 'In Progress' then 1
+    when 'Completed' then 2
+  end::smallint;
+$$;
+
+-- Dashboard aggregates. security_invoker keeps the tasks RLS policies in force,
+-- so partners only ever count their own tasks.
+create or replace view public.task_counts
+with (security_invoker = true) as
+select project_id, assigned_to, status, count(*)::int as total
+  from public.tasks
+ group by project_id, assigned_to, status;
+
+grant select on public.task_counts to authenticated;
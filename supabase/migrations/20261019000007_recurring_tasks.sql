@@ -0,0 +1,192 @@
+-- Recurring tasks: a series holds the rule and the template for future occurrences
+
+create table if not exists public.task_series (
+  id uuid primary key default gen_random_uuid(),
+  title text not null,
+  project_id uuid references public.projects (id) on delete set null,
+  assigned_to uuid references public.profiles (id) on delete set null,
+  description text not null default '',
+  interval_unit text not null check (interval_unit in ('day', 'week', 'month')),
+  interval_count int not null default 1 check (interval_count between 1 and 365),
+  anchor_date date not null,
+  end_date date,
+  max_occurrences int check (max_occurrences > 0),
+  occurrence_count int not null default 1,
+  active boolean not null default true,
+  created_by uuid references public.profiles (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (end_date is null or end_date >= anchor_date)
+);
+
+alter table public.tasks
+  add column if not exists series_id uuid references public.task_series (id) on delete set null;
+
+-- One occurrence per due date keeps the completion trigger and the scheduler from racing
+create unique index if not exists tasks_series_due_date_idx
+  on public.tasks (series_id, due_date)
+  where series_id is not null;
+
+-- Partners may not detach their tasks from a series
+create or replace function public.enforce_partner_task_update()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+    return new;
+  end if;
+
+  if old.assigned_to is distinct from auth.uid()
+    or new.title is distinct from old.title
+    or new.project_id is distinct from old.project_id
+    or new.assigned_to is distinct from old.assigned_to
+    or new.due_date is distinct from old.due_date
+    or new.series_id is distinct from old.series_id
+    or new.created_by is distinct from old.created_by then
+    raise exception 'Partners can only update the status and description of their own tasks';
+  end if;
+
+  return new;
+end;
+$$;
+
+create or replace function public.touch_task_series()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists task_series_touch on public.task_series;
+create trigger task_series_touch
+  before update on public.task_series
+  for each row execute function public.touch_task_series();
+
+-- Creates the next occurrence of a series. Due dates are always computed from the
+-- anchor so month-end dates don't drift (Jan 31 -> Feb 28 -> Mar 31).
+create or replace function public.spawn_next_occurrence(target_series_id uuid)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  s public.task_series;
+  next_due date;
+  new_task_id uuid;
+begin
+  select * into s from public.task_series where id = target_series_id for update;
+  if not found or not s.active then
+    return null;
+  end if;
+
+  if s.max_occurrences is not null and s.occurrence_count >= s.max_occurrences then
+    update public.task_series set active = false where id = s.id;
+    return null;
+  end if;
+
+  next_due := (s.anchor_date + make_interval(
+    days   => case when s.interval_unit = 'day'   then s.interval_count * s.occurrence_count else 0 end,
+    weeks  => case when s.interval_unit = 'week'  then s.interval_count * s.occurrence_count else 0 end,
+    months => case when s.interval_unit = 'month' then s.interval_count * s.occurrence_count else 0 end
+  ))::date;
+
+  if s.end_date is not null and next_due > s.end_date then
+    update public.task_series set active = false where id = s.id;
+    return null;
+  end if;
+
+  insert into public.tasks (title, project_id, assigned_to, description, due_date, status, created_by, series_id)
+  values (s.title, s.project_id, s.assigned_to, coalesce(s.description, ''), next_due, 'Pending', s.created_by, s.id)
+  on conflict (series_id, due_date) where series_id is not null do nothing
+  returning id into new_task_id;
+
+  update public.task_series set occurrence_count = occurrence_count + 1 where id = s.id;
+  return new_task_id;
+end;
+$$;
+
+revoke execute on function public.spawn_next_occurrence(uuid) from public, anon, authenticated;
+
+-- Completing the latest occurrence of a series brings the next one forward. An occurrence
+-- whose due date was cleared can't be placed in the series, so it leaves that to the
+-- scheduler.
+create or replace function public.spawn_on_task_completed()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.series_id is not null
+     and new.status = 'Completed'
+     and old.status is distinct from 'Completed'
+     and new.due_date is not null
+     and not exists (
+       select 1 from public.tasks
+        where series_id = new.series_id and due_date > new.due_date
+     ) then
+    perform public.spawn_next_occurrence(new.series_id);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists tasks_spawn_next_occurrence on public.tasks;
+create trigger tasks_spawn_next_occurrence
+  after update of status on public.tasks
+  for each row execute function public.spawn_on_task_completed();
+
+-- Series whose latest occurrence has come due get their next one even if nobody completed it
+create or replace function public.spawn_due_recurrences()
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  s record;
+  spawned int := 0;
+begin
+  for s in
+    select ts.id
+      from public.task_series ts
+     where ts.active
+       and (select max(t.due_date) from public.tasks t where t.series_id = ts.id) <= current_date
+  loop
+    if public.spawn_next_occurrence(s.id) is not null then
+      spawned := spawned + 1;
+    end if;
+  end loop;
+  return spawned;
+end;
+$$;
+
+revoke execute on function public.spawn_due_recurrences() from public, anon, authenticated;
+
+create extension if not exists pg_cron;
+
+select cron.schedule('spawn-due-recurrences', '0 * * * *', 'select public.spawn_due_recurrences()');
+
+alter table public.task_series enable row level security;
+
+drop policy if exists "Admins manage task series" on public.task_series;
+create policy "Admins manage task series"
+  on public.task_series for all
+  using (public.is_admin())
+  with check (public.is_admin());
+
+drop policy if exists "Partners read series of their tasks" on public.task_series;
+create policy "Partners read series of their tasks"
+  on public.task_series for select
+  using (exists (
+    select 1 from public.tasks
+     where tasks.series_id = task_series.id
+       and tasks.assigned_to = auth.uid()
+  ));
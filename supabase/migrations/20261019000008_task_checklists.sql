@@ -0,0 +1,176 @@
+-- Checklist items under a task. Totals are denormalised onto tasks so the task
+-- list and realtime payloads carry "3/10 done" without an extra query.
+
+create table if not exists public.task_checklist_items (
+  id uuid primary key default gen_random_uuid(),
+  task_id uuid not null references public.tasks (id) on delete cascade,
+  title text not null check (length(trim(title)) > 0),
+  done boolean not null default false,
+  position int not null default 0,
+  created_by uuid references public.profiles (id) on delete set null,
+  completed_by uuid references public.profiles (id) on delete set null,
+  completed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists task_checklist_items_task_idx on public.task_checklist_items (task_id, position);
+
+alter table public.tasks
+  add column if not exists checklist_total int not null default 0,
+  add column if not exists checklist_done int not null default 0;
+
+create or replace function public.stamp_checklist_item()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  if tg_op = 'INSERT' or new.done is distinct from old.done then
+    new.completed_by := case when new.done then auth.uid() end;
+    new.completed_at := case when new.done then now() end;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists task_checklist_items_stamp on public.task_checklist_items;
+create trigger task_checklist_items_stamp
+  before insert or update on public.task_checklist_items
+  for each row execute function public.stamp_checklist_item();
+
+-- Keeps tasks.checklist_total/checklist_done in step and records the change in the task's history
+create or replace function public.sync_task_checklist()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  target_task_id uuid := coalesce(new.task_id, old.task_id);
+  task_title text;
+  log_action text;
+begin
+  update tasks t
+     set checklist_total = c.total,
+         checklist_done = c.done
+    from (
+      select count(*)::int as total, count(*) filter (where done)::int as done
+        from task_checklist_items
+       where task_id = target_task_id
+    ) c
+   where t.id = target_task_id
+  returning t.title into task_title;
+
+  -- The task itself is gone (cascade delete); its own 'deleted' entry covers it
+  if task_title is null then
+    return null;
+  end if;
+
+  log_action := case
+    when tg_op = 'INSERT' then 'checklist_item_added'
+    when tg_op = 'DELETE' then 'checklist_item_removed'
+    when new.done is distinct from old.done then
+      case when new.done then 'checklist_item_completed' else 'checklist_item_reopened' end
+  end;
+
+  if log_action is not null then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('task', target_task_id, log_action, auth.uid(), task_title,
+      jsonb_build_object('item', coalesce(new.title, old.title)));
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists task_checklist_items_sync on public.task_checklist_items;
+create trigger task_checklist_items_sync
+  after insert or update or delete on public.task_checklist_items
+  for each row execute function public.sync_task_checklist();
+
+-- Recreated so the checklist counters stay out of the generic 'updated' diff
+-- (checklist changes get their own entries above).
+create or replace function public.log_task_activity()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  field_changes jsonb;
+begin
+  if tg_op = 'INSERT' then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('task', new.id, 'created', auth.uid(), new.title,
+      jsonb_build_object('project_id', new.project_id, 'assigned_to', new.assigned_to,
+                         'due_date', new.due_date, 'status', new.status));
+    return new;
+  end if;
+
+  if tg_op = 'DELETE' then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('task', old.id, 'deleted', auth.uid(), old.title, to_jsonb(old));
+    return old;
+  end if;
+
+  if new.status is distinct from old.status then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('task', new.id, 'status_changed', auth.uid(), new.title,
+      jsonb_build_object('status', jsonb_build_object('from', old.status, 'to', new.status)));
+  end if;
+
+  if new.assigned_to is distinct from old.assigned_to then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('task', new.id, 'reassigned', auth.uid(), new.title,
+      jsonb_build_object('assigned_to', jsonb_build_object('from', old.assigned_to, 'to', new.assigned_to)));
+  end if;
+
+  -- Any other column that changed, so new task fields are covered automatically
+  select jsonb_object_agg(o.key, jsonb_build_object('from', o.value, 'to', n.value))
+    into field_changes
+    from jsonb_each(to_jsonb(old)) o
+    join jsonb_each(to_jsonb(new)) n using (key)
+   where o.value is distinct from n.value
+     and o.key not in ('id', 'created_at', 'updated_at', 'status', 'assigned_to',
+                       'checklist_total', 'checklist_done');
+
+  if field_changes is not null then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('task', new.id, 'updated', auth.uid(), new.title, field_changes);
+  end if;
+
+  return new;
+end;
+$$;
+
+-- Checklist-weighted progress: a task counts as one unit per checklist item (one
+-- unit if it has none), and a Completed task counts all of its units as done.
+create or replace view public.task_counts
+with (security_invoker = true) as
+select project_id, assigned_to, status, count(*)::int as total,
+       sum(greatest(checklist_total, 1))::int as item_total,
+       sum(case when status = 'Completed' then greatest(checklist_total, 1) else checklist_done end)::int as item_done
+  from public.tasks
+ group by project_id, assigned_to, status;
+
+alter table public.task_checklist_items enable row level security;
+
+create policy "Checklist items follow their task's visibility"
+  on public.task_checklist_items for select
+  using (public.can_access_task(task_id));
+
+create policy "Task participants add checklist items"
+  on public.task_checklist_items for insert
+  with check (created_by = auth.uid() and public.can_access_task(task_id));
+
+create policy "Task participants tick off checklist items"
+  on public.task_checklist_items for update
+  using (public.can_access_task(task_id))
+  with check (public.can_access_task(task_id));
+
+create policy "Task participants remove checklist items"
+  on public.task_checklist_items for delete
+  using (public.can_access_task(task_id));
+
+alter publication supabase_realtime add table public.task_checklist_items;
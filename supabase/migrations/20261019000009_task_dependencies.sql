@@ -0,0 +1,331 @@
+-- "Blocked by" relationships between tasks, with cycle detection, status
+-- enforcement and a notification to the assignee once every blocker is done.
+
+-- Workspace-wide settings, one row
+create table if not exists public.app_settings (
+  id boolean primary key default true check (id),
+  blocked_tasks_can_start boolean not null default true,
+  updated_by uuid references public.profiles (id) on delete set null,
+  updated_at timestamptz not null default now()
+);
+
+insert into public.app_settings (id) values (true) on conflict do nothing;
+
+alter table public.app_settings enable row level security;
+
+create policy "Settings are visible to signed-in users"
+  on public.app_settings for select
+  to authenticated
+  using (true);
+
+create policy "Admins change settings"
+  on public.app_settings for update
+  using (public.is_admin())
+  with check (public.is_admin());
+
+-- In-app notifications, written by triggers and read by their recipient
+create table if not exists public.notifications (
+  id bigint generated always as identity primary key,
+  recipient_id uuid not null references public.profiles (id) on delete cascade,
+  kind text not null,
+  task_id uuid references public.tasks (id) on delete cascade,
+  title text not null,
+  body text,
+  read_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notifications_recipient_idx on public.notifications (recipient_id, created_at desc);
+
+alter table public.notifications enable row level security;
+
+create policy "Recipients read their notifications"
+  on public.notifications for select
+  using (recipient_id = auth.uid());
+
+create policy "Recipients mark their notifications read"
+  on public.notifications for update
+  using (recipient_id = auth.uid())
+  with check (recipient_id = auth.uid());
+
+create policy "Recipients clear their notifications"
+  on public.notifications for delete
+  using (recipient_id = auth.uid());
+
+revoke insert on public.notifications from anon, authenticated;
+
+create table if not exists public.task_dependencies (
+  task_id uuid not null references public.tasks (id) on delete cascade,
+  blocked_by_id uuid not null references public.tasks (id) on delete cascade,
+  created_by uuid references public.profiles (id) on delete set null,
+  created_at timestamptz not null default now(),
+  primary key (task_id, blocked_by_id),
+  check (task_id <> blocked_by_id)
+);
+
+create index if not exists task_dependencies_blocked_by_idx on public.task_dependencies (blocked_by_id);
+
+-- Number of blockers that are not Completed yet; kept up to date by the triggers below
+alter table public.tasks
+  add column if not exists open_blocker_count int not null default 0;
+
+-- Adding "task blocked by blocker" closes a cycle if the blocker already waits on the task
+create or replace function public.prevent_dependency_cycle()
+returns trigger
+language plpgsql
+as $$
+begin
+  if exists (
+    with recursive upstream(id) as (
+      select new.blocked_by_id
+      union
+      select d.blocked_by_id
+        from public.task_dependencies d
+        join upstream u on d.task_id = u.id
+    )
+    select 1 from upstream where id = new.task_id
+  ) then
+    raise exception 'This dependency would create a cycle';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists task_dependencies_no_cycles on public.task_dependencies;
+create trigger task_dependencies_no_cycles
+  before insert or update on public.task_dependencies
+  for each row execute function public.prevent_dependency_cycle();
+
+-- Recounts open blockers for one task and notifies its assignee when the last one clears
+create or replace function public.refresh_open_blockers(target_task_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  t public.tasks;
+  open_count int;
+begin
+  select * into t from tasks where id = target_task_id;
+  if not found then
+    return;
+  end if;
+
+  select count(*)::int into open_count
+    from task_dependencies d
+    join tasks b on b.id = d.blocked_by_id
+   where d.task_id = target_task_id
+     and b.status <> 'Completed';
+
+  if open_count = t.open_blocker_count then
+    return;
+  end if;
+
+  update tasks set open_blocker_count = open_count where id = target_task_id;
+
+  if open_count = 0 and t.assigned_to is not null and t.status <> 'Completed' then
+    insert into notifications (recipient_id, kind, task_id, title, body)
+    values (t.assigned_to, 'blockers_cleared', t.id, t.title, 'Everything this task was waiting on is done. You can start on it now.');
+  end if;
+end;
+$$;
+
+revoke execute on function public.refresh_open_blockers(uuid) from public, anon, authenticated;
+
+create or replace function public.sync_task_dependency()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  dep_task_id uuid := coalesce(new.task_id, old.task_id);
+  blocker_id uuid := coalesce(new.blocked_by_id, old.blocked_by_id);
+  task_title text;
+begin
+  perform public.refresh_open_blockers(dep_task_id);
+
+  select title into task_title from tasks where id = dep_task_id;
+  -- Cascade from a deleted task; its own 'deleted' entry covers it
+  if task_title is null then
+    return null;
+  end if;
+
+  insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+  values ('task', dep_task_id,
+    case when tg_op = 'INSERT' then 'dependency_added' else 'dependency_removed' end,
+    auth.uid(), task_title,
+    jsonb_build_object('blocked_by', blocker_id,
+                       'blocker_title', (select title from tasks where id = blocker_id)));
+  return null;
+end;
+$$;
+
+drop trigger if exists task_dependencies_sync on public.task_dependencies;
+create trigger task_dependencies_sync
+  after insert or delete on public.task_dependencies
+  for each row execute function public.sync_task_dependency();
+
+-- A blocker changing status can block or unblock everything waiting on it
+create or replace function public.sync_dependents_on_status()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  dependent_id uuid;
+begin
+  for dependent_id in
+    select task_id from task_dependencies where blocked_by_id = new.id
+  loop
+    perform public.refresh_open_blockers(dependent_id);
+  end loop;
+  return new;
+end;
+$$;
+
+drop trigger if exists tasks_sync_dependents on public.tasks;
+create trigger tasks_sync_dependents
+  after update of status on public.tasks
+  for each row
+  when (old.status is distinct from new.status)
+  execute function public.sync_dependents_on_status();
+
+-- Blocked tasks can't be completed, and can't be started unless the workspace allows it
+create or replace function public.enforce_task_blockers()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.status is distinct from old.status
+     and new.open_blocker_count > 0
+     and (new.status = 'Completed'
+          or (new.status = 'In Progress'
+              and not coalesce((select blocked_tasks_can_start from app_settings), true))) then
+    raise exception 'This task is blocked by % unfinished task(s)', new.open_blocker_count;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists tasks_enforce_blockers on public.tasks;
+create trigger tasks_enforce_blockers
+  before update of status on public.tasks
+  for each row execute function public.enforce_task_blockers();
+
+-- Partner checks apply to requests made by partners, not to bookkeeping that other
+-- triggers do on their behalf (e.g. recounting blockers on someone else's task).
+create or replace function public.enforce_partner_task_update()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if pg_trigger_depth() > 1 then
+    return new;
+  end if;
+
+  if exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+    return new;
+  end if;
+
+  if old.assigned_to is distinct from auth.uid()
+    or new.title is distinct from old.title
+    or new.project_id is distinct from old.project_id
+    or new.assigned_to is distinct from old.assigned_to
+    or new.due_date is distinct from old.due_date
+    or new.series_id is distinct from old.series_id
+    or new.open_blocker_count is distinct from old.open_blocker_count
+    or new.created_by is distinct from old.created_by then
+    raise exception 'Partners can only update the status and description of their own tasks';
+  end if;
+
+  return new;
+end;
+$$;
+
+-- Columns maintained by triggers rather than edited by people; the activity log's
+-- generic 'updated' diff skips them. Later migrations extend this list.
+create or replace function public.task_activity_ignored_columns()
+returns text[]
+language sql
+immutable
+as $$
+  select array['id', 'created_at', 'updated_at', 'status', 'assigned_to',
+               'checklist_total', 'checklist_done', 'open_blocker_count'];
+$$;
+
+create or replace function public.log_task_activity()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  field_changes jsonb;
+begin
+  if tg_op = 'INSERT' then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('task', new.id, 'created', auth.uid(), new.title,
+      jsonb_build_object('project_id', new.project_id, 'assigned_to', new.assigned_to,
+                         'due_date', new.due_date, 'status', new.status));
+    return new;
+  end if;
+
+  if tg_op = 'DELETE' then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('task', old.id, 'deleted', auth.uid(), old.title, to_jsonb(old));
+    return old;
+  end if;
+
+  if new.status is distinct from old.status then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('task', new.id, 'status_changed', auth.uid(), new.title,
+      jsonb_build_object('status', jsonb_build_object('from', old.status, 'to', new.status)));
+  end if;
+
+  if new.assigned_to is distinct from old.assigned_to then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('task', new.id, 'reassigned', auth.uid(), new.title,
+      jsonb_build_object('assigned_to', jsonb_build_object('from', old.assigned_to, 'to', new.assigned_to)));
+  end if;
+
+  -- Any other column that changed, so new task fields are covered automatically
+  select jsonb_object_agg(o.key, jsonb_build_object('from', o.value, 'to', n.value))
+    into field_changes
+    from jsonb_each(to_jsonb(old)) o
+    join jsonb_each(to_jsonb(new)) n using (key)
+   where o.value is distinct from n.value
+     and o.key <> all (public.task_activity_ignored_columns());
+
+  if field_changes is not null then
+    insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+    values ('task', new.id, 'updated', auth.uid(), new.title, field_changes);
+  end if;
+
+  return new;
+end;
+$$;
+
+alter table public.task_dependencies enable row level security;
+
+create policy "Dependencies are visible with either task"
+  on public.task_dependencies for select
+  using (public.can_access_task(task_id) or public.can_access_task(blocked_by_id));
+
+create policy "Admins add dependencies"
+  on public.task_dependencies for insert
+  with check (public.is_admin() and created_by = auth.uid());
+
+create policy "Admins remove dependencies"
+  on public.task_dependencies for delete
+  using (public.is_admin());
+
+alter publication supabase_realtime add table public.task_dependencies;
+alter publication supabase_realtime add table public.notifications;
+alter publication supabase_realtime add table public.app_settings;
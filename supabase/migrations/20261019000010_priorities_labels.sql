@@ -0,0 +1,168 @@
+-- Task priority and admin-managed coloured labels
+
+alter table public.tasks
+  add column if not exists priority text not null default 'Medium'
+    check (priority in ('Low', 'Medium', 'High', 'Urgent')),
+  add column if not exists label_ids uuid[] not null default '{}';
+
+create index if not exists tasks_priority_idx on public.tasks (priority);
+create index if not exists tasks_label_ids_idx on public.tasks using gin (label_ids);
+
+create table if not exists public.labels (
+  id uuid primary key default gen_random_uuid(),
+  name text not null check (length(trim(name)) between 1 and 40),
+  color text not null default '#6366f1',
+  created_by uuid references public.profiles (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists labels_name_key on public.labels (lower(name));
+
+-- Deleting a label takes it off every task that carried it
+create or replace function public.detach_deleted_label()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update tasks set label_ids = array_remove(label_ids, old.id) where old.id = any(label_ids);
+  update task_series set label_ids = array_remove(label_ids, old.id) where old.id = any(label_ids);
+  return old;
+end;
+$$;
+
+drop trigger if exists labels_detach_on_delete on public.labels;
+create trigger labels_detach_on_delete
+  after delete on public.labels
+  for each row execute function public.detach_deleted_label();
+
+-- Sorting by priority follows urgency, not the alphabet
+create or replace function public.priority_rank(public.tasks)
+returns smallint
+language sql
+immutable
+as $$
+  select case $1.priority
+    when 'Low' then 0
+    when 'Medium' then 1
+    when 'High' then 2
+    when 'Urgent' then 3
+  end::smallint;
+$$;
+
+-- Recurring series carry priority and labels to their future occurrences
+alter table public.task_series
+  add column if not exists priority text not null default 'Medium'
+    check (priority in ('Low', 'Medium', 'High', 'Urgent')),
+  add column if not exists label_ids uuid[] not null default '{}';
+
+create or replace function public.spawn_next_occurrence(target_series_id uuid)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  s public.task_series;
+  next_due date;
+  new_task_id uuid;
+begin
+  select * into s from public.task_series where id = target_series_id for update;
+  if not found or not s.active then
+    return null;
+  end if;
+
+  if s.max_occurrences is not null and s.occurrence_count >= s.max_occurrences then
+    update public.task_series set active = false where id = s.id;
+    return null;
+  end if;
+
+  next_due := (s.anchor_date + make_interval(
+    days   => case when s.interval_unit = 'day'   then s.interval_count * s.occurrence_count else 0 end,
+    weeks  => case when s.interval_unit = 'week'  then s.interval_count * s.occurrence_count else 0 end,
+    months => case when s.interval_unit = 'month' then s.interval_count * s.occurrence_count else 0 end
+  ))::date;
+
+  if s.end_date is not null and next_due > s.end_date then
+    update public.task_series set active = false where id = s.id;
+    return null;
+  end if;
+
+  insert into public.tasks (title, project_id, assigned_to, description, priority, label_ids, due_date, status, created_by, series_id)
+  values (s.title, s.project_id, s.assigned_to, coalesce(s.description, ''), s.priority, s.label_ids, next_due, 'Pending', s.created_by, s.id)
+  on conflict (series_id, due_date) where series_id is not null do nothing
+  returning id into new_task_id;
+
+  update public.task_series set occurrence_count = occurrence_count + 1 where id = s.id;
+  return new_task_id;
+end;
+$$;
+
+-- Columns a partner may change on their own tasks; mirrors PARTNER_EDITABLE_FIELDS in
+-- App.jsx. Everything else is compared as a whole so new columns are admin-only by default.
+create or replace function public.partner_editable_task_columns()
+returns text[]
+language sql
+immutable
+as $$
+  select array['status', 'description', 'updated_at'];
+$$;
+
+create or replace function public.enforce_partner_task_update()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if pg_trigger_depth() > 1 then
+    return new;
+  end if;
+
+  if exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+    return new;
+  end if;
+
+  if old.assigned_to is distinct from auth.uid()
+    or (to_jsonb(new) - public.partner_editable_task_columns())
+       is distinct from (to_jsonb(old) - public.partner_editable_task_columns()) then
+    raise exception 'Partners can only update the status and description of their own tasks';
+  end if;
+
+  return new;
+end;
+$$;
+
+-- Dashboard aggregates, now also split by priority (new column goes last)
+create or replace view public.task_counts
+with (security_invoker = true) as
+select project_id, assigned_to, status, count(*)::int as total,
+       sum(greatest(checklist_total, 1))::int as item_total,
+       sum(case when status = 'Completed' then greatest(checklist_total, 1) else checklist_done end)::int as item_done,
+       priority
+  from public.tasks
+ group by project_id, assigned_to, status, priority;
+
+create or replace view public.task_label_counts
+with (security_invoker = true) as
+select l.label_id, t.status, count(*)::int as total
+  from public.tasks t
+ cross join lateral unnest(t.label_ids) as l(label_id)
+ group by l.label_id, t.status;
+
+grant select on public.task_label_counts to authenticated;
+
+alter table public.labels enable row level security;
+
+create policy "Labels are visible to signed-in users"
+  on public.labels for select
+  to authenticated
+  using (true);
+
+create policy "Admins manage labels"
+  on public.labels for all
+  using (public.is_admin())
+  with check (public.is_admin());
+
+alter publication supabase_realtime add table public.labels;
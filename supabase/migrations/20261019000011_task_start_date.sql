@@ -0,0 +1,13 @@
+-- Start dates so the timeline can draw tasks as spans rather than single due dates
+
+alter table public.tasks
+  add column if not exists start_date date;
+
+alter table public.tasks
+  drop constraint if exists tasks_start_before_due;
+
+alter table public.tasks
+  add constraint tasks_start_before_due
+  check (start_date is null or due_date is null or start_date <= due_date);
+
+create index if not exists tasks_start_date_idx on public.tasks (start_date);
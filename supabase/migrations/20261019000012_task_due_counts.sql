@@ -0,0 +1,13 @@
+-- Open tasks that are overdue or coming due, per day. The client buckets the rows
+-- against the viewer's local date, so the window is a day wider than a week to
+-- cover timezones ahead of the server.
+create or replace view public.task_due_counts
+with (security_invoker = true) as
+select project_id, assigned_to, due_date, count(*)::int as total
+  from public.tasks
+ where status <> 'Completed'
+   and due_date is not null
+   and due_date <= current_date + 8
+ group by project_id, assigned_to, due_date;
+
+grant select on public.task_due_counts to authenticated;
@@ -0,0 +1,141 @@
+-- Every status a task has moved through, with who held it at the time. The
+-- dashboard's trend charts (burndown, throughput, cycle time) are built from this.
+
+create table if not exists public.task_status_transitions (
+  id bigint generated always as identity primary key,
+  task_id uuid not null references public.tasks (id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  assigned_to uuid references public.profiles (id) on delete set null,
+  changed_by uuid references public.profiles (id) on delete set null,
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists task_status_transitions_task_idx on public.task_status_transitions (task_id, changed_at);
+create index if not exists task_status_transitions_to_idx on public.task_status_transitions (to_status, changed_at);
+
+create or replace function public.record_task_status_transition()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' or new.status is distinct from old.status then
+    insert into task_status_transitions (task_id, from_status, to_status, assigned_to, changed_by)
+    values (new.id, case when tg_op = 'UPDATE' then old.status end, new.status, new.assigned_to, auth.uid());
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists tasks_record_status_transition on public.tasks;
+create trigger tasks_record_status_transition
+  after insert or update of status on public.tasks
+  for each row execute function public.record_task_status_transition();
+
+-- Backfill from the activity log, then give tasks that predate it a best guess:
+-- created Pending, and moved to their current status when they were created (nothing
+-- older records when a status changed).
+insert into public.task_status_transitions (task_id, from_status, to_status, assigned_to, changed_by, changed_at)
+select a.entity_id,
+       case when a.action = 'status_changed' then a.changes -> 'status' ->> 'from' end,
+       case when a.action = 'status_changed' then a.changes -> 'status' ->> 'to' else a.changes ->> 'status' end,
+       t.assigned_to, a.actor_id, a.created_at
+  from public.activity_log a
+  join public.tasks t on t.id = a.entity_id
+ where a.entity_type = 'task'
+   and a.action in ('created', 'status_changed')
+   and not exists (select 1 from public.task_status_transitions s where s.task_id = a.entity_id);
+
+insert into public.task_status_transitions (task_id, from_status, to_status, assigned_to, changed_by, changed_at)
+select t.id, null, 'Pending', t.assigned_to, t.created_by, t.created_at
+  from public.tasks t
+ where not exists (select 1 from public.task_status_transitions s where s.task_id = t.id);
+
+insert into public.task_status_transitions (task_id, from_status, to_status, assigned_to, changed_by, changed_at)
+select t.id, 'Pending', t.status, t.assigned_to, null, t.created_at
+  from public.tasks t
+ where t.status <> 'Pending'
+   and not exists (select 1 from public.task_status_transitions s where s.task_id = t.id and s.to_status = t.status);
+
+alter table public.task_status_transitions enable row level security;
+
+create policy "Status history follows its task's visibility"
+  on public.task_status_transitions for select
+  using (public.can_access_task(task_id));
+
+revoke insert, update, delete on public.task_status_transitions from anon, authenticated;
+
+-- The chart functions run as the caller, so partners only ever see their own tasks.
+
+-- Open tasks in a project at the end of each day: a task counts from the day it was
+-- created until the day its latest transition so far is to Completed.
+create or replace function public.project_burndown(target_project_id uuid, range_start date, range_end date)
+returns table (day date, remaining int, scope int)
+language sql
+stable
+as $$
+  select d::date,
+         (count(t.id) filter (where st.to_status is distinct from 'Completed'))::int,
+         count(t.id)::int
+    from generate_series(range_start, range_end, interval '1 day') d
+    left join public.tasks t
+      on t.project_id = target_project_id
+     and t.created_at < d + interval '1 day'
+    left join lateral (
+      select s.to_status
+        from public.task_status_transitions s
+       where s.task_id = t.id
+         and s.changed_at < d + interval '1 day'
+       order by s.changed_at desc
+       limit 1
+    ) st on true
+   group by d
+   order by d;
+$$;
+
+-- Tasks moved to Completed per ISO week, credited to whoever held them at the time
+create or replace function public.weekly_throughput(range_start date, range_end date)
+returns table (week_start date, assigned_to uuid, completed int)
+language sql
+stable
+as $$
+  select date_trunc('week', s.changed_at)::date, s.assigned_to, count(distinct s.task_id)::int
+    from public.task_status_transitions s
+   where s.to_status = 'Completed'
+     and s.changed_at >= range_start
+     and s.changed_at < range_end + 1
+   group by 1, 2
+   order by 1;
+$$;
+
+-- Average time from a task first going In Progress to being Completed, per ISO week of
+-- completion. Tasks completed straight from Pending have no cycle time and are left out.
+create or replace function public.weekly_cycle_time(range_start date, range_end date)
+returns table (week_start date, avg_hours numeric, tasks int)
+language sql
+stable
+as $$
+  select date_trunc('week', c.changed_at)::date,
+         round((avg(extract(epoch from c.changed_at - started.at) / 3600))::numeric, 1),
+         count(*)::int
+    from public.task_status_transitions c
+    cross join lateral (
+      select min(s.changed_at) as at
+        from public.task_status_transitions s
+       where s.task_id = c.task_id
+         and s.to_status = 'In Progress'
+         and s.changed_at <= c.changed_at
+    ) started
+   where c.to_status = 'Completed'
+     and c.changed_at >= range_start
+     and c.changed_at < range_end + 1
+     and started.at is not null
+   group by 1
+   order by 1;
+$$;
+
+grant execute on function public.project_burndown(uuid, date, date) to authenticated;
+grant execute on function public.weekly_throughput(date, date) to authenticated;
+grant execute on function public.weekly_cycle_time(date, date) to authenticated;
@@ -0,0 +1,107 @@
+-- Weekly capacity per team member and effort estimates on tasks, for workload balancing
+
+alter table public.profiles
+  add column if not exists weekly_capacity numeric(5, 1) not null default 40
+    check (weekly_capacity between 0 and 168);
+
+alter table public.tasks
+  add column if not exists estimate_hours numeric(6, 1)
+    check (estimate_hours > 0 and estimate_hours <= 1000);
+
+alter table public.task_series
+  add column if not exists estimate_hours numeric(6, 1)
+    check (estimate_hours > 0 and estimate_hours <= 1000);
+
+-- Capacity is set by admins; members may still edit the rest of their own profile
+create or replace function public.enforce_profile_capacity_update()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.weekly_capacity is distinct from old.weekly_capacity and not public.is_admin() then
+    raise exception 'Only admins can change weekly capacity';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_enforce_capacity on public.profiles;
+create trigger profiles_enforce_capacity
+  before update of weekly_capacity on public.profiles
+  for each row execute function public.enforce_profile_capacity_update();
+
+drop policy if exists "Admins update profiles" on public.profiles;
+create policy "Admins update profiles"
+  on public.profiles for update
+  using (public.is_admin())
+  with check (public.is_admin());
+
+create or replace function public.spawn_next_occurrence(target_series_id uuid)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  s public.task_series;
+  next_due date;
+  new_task_id uuid;
+begin
+  select * into s from public.task_series where id = target_series_id for update;
+  if not found or not s.active then
+    return null;
+  end if;
+
+  if s.max_occurrences is not null and s.occurrence_count >= s.max_occurrences then
+    update public.task_series set active = false where id = s.id;
+    return null;
+  end if;
+
+  next_due := (s.anchor_date + make_interval(
+    days   => case when s.interval_unit = 'day'   then s.interval_count * s.occurrence_count else 0 end,
+    weeks  => case when s.interval_unit = 'week'  then s.interval_count * s.occurrence_count else 0 end,
+    months => case when s.interval_unit = 'month' then s.interval_count * s.occurrence_count else 0 end
+  ))::date;
+
+  if s.end_date is not null and next_due > s.end_date then
+    update public.task_series set active = false where id = s.id;
+    return null;
+  end if;
+
+  insert into public.tasks (title, project_id, assigned_to, description, priority, label_ids, estimate_hours, due_date, status, created_by, series_id)
+  values (s.title, s.project_id, s.assigned_to, coalesce(s.description, ''), s.priority, s.label_ids, s.estimate_hours, next_due, 'Pending', s.created_by, s.id)
+  on conflict (series_id, due_date) where series_id is not null do nothing
+  returning id into new_task_id;
+
+  update public.task_series set occurrence_count = occurrence_count + 1 where id = s.id;
+  return new_task_id;
+end;
+$$;
+
+-- Estimated hours of open work per assignee and ISO week. A task's estimate is spread
+-- evenly over the weeks from its start (or due) date to its due date; work that should
+-- already have happened is counted in the current week, since it still has to be done.
+create or replace view public.partner_weekly_load
+with (security_invoker = true) as
+select t.assigned_to,
+       w.week_start::date as week_start,
+       round(sum(t.estimate_hours / w.week_count), 1) as allocated_hours,
+       count(*)::int as tasks
+  from public.tasks t
+ cross join lateral (
+   select gs as week_start, count(*) over () as week_count
+     from generate_series(
+       greatest(date_trunc('week', coalesce(t.start_date, t.due_date)), date_trunc('week', current_date)),
+       greatest(date_trunc('week', t.due_date), date_trunc('week', current_date)),
+       interval '1 week'
+     ) gs
+ ) w
+ where t.status <> 'Completed'
+   and t.assigned_to is not null
+   and t.estimate_hours is not null
+   and t.due_date is not null
+ group by t.assigned_to, w.week_start;
+
+grant select on public.partner_weekly_load to authenticated;
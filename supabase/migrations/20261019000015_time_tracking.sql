@@ -0,0 +1,173 @@
+-- Time spent on tasks (timer or manual entries) and weekly timesheets that admins approve
+
+create table if not exists public.time_entries (
+  id uuid primary key default gen_random_uuid(),
+  task_id uuid not null references public.tasks (id) on delete cascade,
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  entry_date date not null default current_date,
+  -- Timer entries have started_at and, once stopped, ended_at; manual entries only carry minutes
+  started_at timestamptz,
+  ended_at timestamptz,
+  minutes int check (minutes between 1 and 1440),
+  note text check (length(note) <= 500),
+  created_at timestamptz not null default now(),
+  check (ended_at is null or started_at is not null),
+  check (ended_at is not null or started_at is not null or minutes is not null)
+);
+
+create index if not exists time_entries_user_date_idx on public.time_entries (user_id, entry_date);
+create index if not exists time_entries_task_idx on public.time_entries (task_id, entry_date desc);
+
+-- At most one running timer per person
+create unique index if not exists time_entries_running_idx
+  on public.time_entries (user_id)
+  where started_at is not null and ended_at is null;
+
+create table if not exists public.timesheets (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  week_start date not null check (extract(isodow from week_start) = 1),
+  status text not null default 'Submitted' check (status in ('Submitted', 'Approved', 'Rejected')),
+  submitted_at timestamptz not null default now(),
+  reviewed_by uuid references public.profiles (id) on delete set null,
+  reviewed_at timestamptz,
+  review_note text,
+  unique (user_id, week_start)
+);
+
+-- Stopping a timer fills in its duration; entries in a submitted or approved week are frozen
+create or replace function public.prepare_time_entry()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  target public.time_entries := case when tg_op = 'DELETE' then old else new end;
+begin
+  -- Deleting the task or the person cascades here; that removes the entries regardless
+  if tg_op = 'DELETE' and pg_trigger_depth() > 1 then
+    return old;
+  end if;
+
+  if exists (
+    select 1 from timesheets
+     where user_id = target.user_id
+       and week_start = date_trunc('week', target.entry_date)::date
+       and status in ('Submitted', 'Approved')
+  ) or (tg_op = 'UPDATE' and exists (
+    select 1 from timesheets
+     where user_id = old.user_id
+       and week_start = date_trunc('week', old.entry_date)::date
+       and status in ('Submitted', 'Approved')
+  )) then
+    raise exception 'That week''s timesheet has been submitted; ask an admin to reject it before changing its entries';
+  end if;
+
+  if tg_op = 'DELETE' then
+    return old;
+  end if;
+
+  if new.ended_at is not null then
+    if new.ended_at < new.started_at then
+      raise exception 'A timer cannot end before it started';
+    end if;
+    new.minutes := least(greatest(round(extract(epoch from new.ended_at - new.started_at) / 60)::int, 1), 1440);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists time_entries_prepare on public.time_entries;
+create trigger time_entries_prepare
+  before insert or update or delete on public.time_entries
+  for each row execute function public.prepare_time_entry();
+
+-- People submit (or resubmit) their own week; only admins approve or reject
+create or replace function public.enforce_timesheet_review()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if public.is_admin() and new.status in ('Approved', 'Rejected') then
+    new.reviewed_by := auth.uid();
+    new.reviewed_at := now();
+    return new;
+  end if;
+
+  if new.user_id <> auth.uid() or new.status <> 'Submitted'
+     or (tg_op = 'UPDATE' and old.status <> 'Rejected') then
+    raise exception 'Only admins can review timesheets';
+  end if;
+
+  if tg_op = 'UPDATE' and new.week_start <> old.week_start then
+    raise exception 'A timesheet cannot move to another week';
+  end if;
+
+  new.submitted_at := now();
+  new.reviewed_by := null;
+  new.reviewed_at := null;
+  return new;
+end;
+$$;
+
+drop trigger if exists timesheets_enforce_review on public.timesheets;
+create trigger timesheets_enforce_review
+  before insert or update on public.timesheets
+  for each row execute function public.enforce_timesheet_review();
+
+-- Logged minutes per day, project and person, for the hours report. approved says whether
+-- the day falls in an approved timesheet.
+create or replace view public.time_entry_totals
+with (security_invoker = true) as
+select e.entry_date, t.project_id, e.user_id,
+       (ts.status = 'Approved') is true as approved,
+       sum(e.minutes)::int as minutes
+  from public.time_entries e
+  join public.tasks t on t.id = e.task_id
+  left join public.timesheets ts
+    on ts.user_id = e.user_id
+   and ts.week_start = date_trunc('week', e.entry_date)::date
+ where e.minutes is not null
+ group by e.entry_date, t.project_id, e.user_id, (ts.status = 'Approved') is true;
+
+grant select on public.time_entry_totals to authenticated;
+
+alter table public.time_entries enable row level security;
+
+create policy "People see their own time, admins see everyone's"
+  on public.time_entries for select
+  using (user_id = auth.uid() or public.is_admin());
+
+create policy "People log time on tasks they can see"
+  on public.time_entries for insert
+  with check (user_id = auth.uid() and public.can_access_task(task_id));
+
+create policy "People edit their own time"
+  on public.time_entries for update
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+create policy "People remove their own time, admins remove anyone's"
+  on public.time_entries for delete
+  using (user_id = auth.uid() or public.is_admin());
+
+alter table public.timesheets enable row level security;
+
+create policy "People see their own timesheets, admins see everyone's"
+  on public.timesheets for select
+  using (user_id = auth.uid() or public.is_admin());
+
+create policy "People submit their own timesheets"
+  on public.timesheets for insert
+  with check (user_id = auth.uid());
+
+create policy "People resubmit, admins review"
+  on public.timesheets for update
+  using (user_id = auth.uid() or public.is_admin())
+  with check (user_id = auth.uid() or public.is_admin());
+
+alter publication supabase_realtime add table public.time_entries;
+alter publication supabase_realtime add table public.timesheets;
@@ -0,0 +1,123 @@
+-- File attachments on tasks. Files live in a private Storage bucket under
+-- "<task id>/<file>", and each one has a row in task_attachments for listing.
+
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values (
+  'task-attachments',
+  'task-attachments',
+  false,
+  26214400, -- 25 MB; mirrors ATTACHMENT_MAX_BYTES in App.jsx
+  array[
+    'application/pdf',
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+    'text/plain', 'text/csv',
+    'application/zip',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+  ]
+)
+on conflict (id) do update
+  set public = excluded.public,
+      file_size_limit = excluded.file_size_limit,
+      allowed_mime_types = excluded.allowed_mime_types;
+
+create table if not exists public.task_attachments (
+  id uuid primary key default gen_random_uuid(),
+  task_id uuid not null references public.tasks (id) on delete cascade,
+  storage_path text not null unique,
+  file_name text not null check (length(file_name) between 1 and 255),
+  content_type text not null,
+  size_bytes bigint not null check (size_bytes between 1 and 26214400),
+  uploaded_by uuid references public.profiles (id) on delete set null,
+  created_at timestamptz not null default now(),
+  check (split_part(storage_path, '/', 1) = task_id::text)
+);
+
+create index if not exists task_attachments_task_idx on public.task_attachments (task_id, created_at desc);
+
+-- The task id is the first folder of the object name
+create or replace function public.attachment_task_id(object_name text)
+returns uuid
+language sql
+immutable
+as $$
+  select case
+    when split_part(object_name, '/', 1) ~ '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
+    then split_part(object_name, '/', 1)::uuid
+  end;
+$$;
+
+create or replace function public.log_task_attachment()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  target_task_id uuid := coalesce(new.task_id, old.task_id);
+  task_title text;
+begin
+  select title into task_title from tasks where id = target_task_id;
+  -- Cascade from a deleted task; its own 'deleted' entry covers it
+  if task_title is null then
+    return null;
+  end if;
+
+  insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+  values ('task', target_task_id,
+    case when tg_op = 'INSERT' then 'attachment_added' else 'attachment_removed' end,
+    auth.uid(), task_title,
+    jsonb_build_object('file_name', coalesce(new.file_name, old.file_name)));
+  return null;
+end;
+$$;
+
+drop trigger if exists task_attachments_log_activity on public.task_attachments;
+create trigger task_attachments_log_activity
+  after insert or delete on public.task_attachments
+  for each row execute function public.log_task_attachment();
+
+alter table public.task_attachments enable row level security;
+
+create policy "Attachments follow their task's visibility"
+  on public.task_attachments for select
+  using (public.can_access_task(task_id));
+
+create policy "Task participants attach files"
+  on public.task_attachments for insert
+  with check (uploaded_by = auth.uid() and public.can_access_task(task_id));
+
+create policy "Uploaders and admins remove attachments"
+  on public.task_attachments for delete
+  using (public.is_admin() or (uploaded_by = auth.uid() and public.can_access_task(task_id)));
+
+-- Storage access mirrors the task scoping: admins reach every task, partners their own
+create policy "Task participants read attachment files"
+  on storage.objects for select
+  to authenticated
+  using (bucket_id = 'task-attachments' and public.can_access_task(public.attachment_task_id(name)));
+
+create policy "Task participants upload attachment files"
+  on storage.objects for insert
+  to authenticated
+  with check (
+    bucket_id = 'task-attachments'
+    and exists (select 1 from public.tasks where id = public.attachment_task_id(name))
+    and public.can_access_task(public.attachment_task_id(name))
+  );
+
+-- Admins may also clean up files of tasks that no longer exist
+create policy "Uploaders and admins delete attachment files"
+  on storage.objects for delete
+  to authenticated
+  using (
+    bucket_id = 'task-attachments'
+    and (public.is_admin()
+         or (owner_id = auth.uid()::text and public.can_access_task(public.attachment_task_id(name))))
+  );
+
+alter publication supabase_realtime add table public.task_attachments;
@@ -0,0 +1,215 @@
+-- Invitations replace admins creating accounts (and choosing passwords) for new team
+-- members. An admin issues a single-use link; the invitee signs up through it and picks
+-- their own password, and their profile takes the role from the invitation.
+
+create table if not exists public.invitations (
+  id uuid primary key default gen_random_uuid(),
+  email text not null check (email = lower(trim(email)) and email like '%_@_%'),
+  name text not null check (length(trim(name)) between 1 and 100),
+  role text not null default 'partner' check (role in ('partner', 'admin')),
+  -- Only a hash is stored; the token itself is shown to the admin once, in the link
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  invited_by uuid references public.profiles (id) on delete set null,
+  last_sent_at timestamptz not null default now(),
+  accepted_at timestamptz,
+  accepted_by uuid references public.profiles (id) on delete set null,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- One open invitation per address
+create unique index if not exists invitations_open_email_idx
+  on public.invitations (email)
+  where accepted_at is null and revoked_at is null;
+
+create or replace function public.hash_invite_token(invite_token text)
+returns text
+language sql
+immutable
+as $$
+  select encode(sha256(convert_to(invite_token, 'UTF8')), 'hex');
+$$;
+
+-- Issues a fresh token for an invitation and returns it; the old link stops working
+create or replace function public.issue_invite_token(target_invitation_id uuid)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  invite_token text := replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', '');
+begin
+  update invitations
+     set token_hash = public.hash_invite_token(invite_token),
+         expires_at = now() + interval '7 days',
+         last_sent_at = now()
+   where id = target_invitation_id;
+  return invite_token;
+end;
+$$;
+
+revoke execute on function public.issue_invite_token(uuid) from public, anon, authenticated;
+
+create or replace function public.create_invitation(invite_email text, invite_name text, invite_role text default 'partner')
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  normalized_email text := lower(trim(invite_email));
+  new_id uuid;
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can invite people';
+  end if;
+
+  if exists (select 1 from profiles where lower(email) = normalized_email) then
+    raise exception 'Someone with that email is already on the team';
+  end if;
+
+  -- Inviting the same address again replaces the earlier, unused link
+  update invitations set revoked_at = now()
+   where email = normalized_email and accepted_at is null and revoked_at is null;
+
+  insert into invitations (email, name, role, token_hash, expires_at, invited_by)
+  values (normalized_email, trim(invite_name), invite_role, gen_random_uuid()::text, now(), auth.uid())
+  returning id into new_id;
+
+  return public.issue_invite_token(new_id);
+end;
+$$;
+
+create or replace function public.resend_invitation(target_invitation_id uuid)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can resend invitations';
+  end if;
+
+  if not exists (
+    select 1 from invitations
+     where id = target_invitation_id and accepted_at is null and revoked_at is null
+  ) then
+    raise exception 'This invitation has already been accepted or revoked';
+  end if;
+
+  return public.issue_invite_token(target_invitation_id);
+end;
+$$;
+
+-- What the accept page needs to know about a link, before anyone is signed in
+create or replace function public.get_invitation(invite_token text)
+returns table (email text, name text, role text, status text)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select i.email, i.name, i.role,
+         case
+           when i.accepted_at is not null then 'accepted'
+           when i.revoked_at is not null then 'revoked'
+           when i.expires_at <= now() then 'expired'
+           else 'pending'
+         end
+    from invitations i
+   where i.token_hash = public.hash_invite_token(invite_token);
+$$;
+
+grant execute on function public.get_invitation(text) to anon, authenticated;
+
+-- Whoever creates the profile (the app on first sign-in, or an auth trigger), an account
+-- that signed up through a valid invitation for its own address takes the invited role.
+create or replace function public.apply_invitation_to_profile()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  invite_token text;
+  user_email text;
+  invite public.invitations;
+begin
+  select u.raw_user_meta_data ->> 'invite_token', lower(u.email)
+    into invite_token, user_email
+    from auth.users u
+   where u.id = new.id;
+
+  if invite_token is not null then
+    select * into invite
+      from invitations
+     where token_hash = public.hash_invite_token(invite_token)
+       and email = user_email
+       and accepted_at is null
+       and revoked_at is null
+       and expires_at > now()
+     for update;
+  end if;
+
+  -- People creating their own profile can't pick a role; only an invitation grants one.
+  -- Inserts from the SQL editor or service role (no auth.uid()), e.g. seeding the first
+  -- admin, keep theirs.
+  if invite.id is not null then
+    new.role := invite.role;
+  elsif auth.uid() is not null then
+    new.role := 'partner';
+  end if;
+
+  if invite.id is not null then
+    update invitations set accepted_at = now() where id = invite.id;
+    update auth.users set raw_user_meta_data = raw_user_meta_data - 'invite_token' where id = new.id;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_apply_invitation on public.profiles;
+create trigger profiles_apply_invitation
+  before insert on public.profiles
+  for each row execute function public.apply_invitation_to_profile();
+
+-- accepted_by can only point at the profile once it exists
+create or replace function public.link_accepted_invitation()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update invitations
+     set accepted_by = new.id
+   where accepted_by is null
+     and accepted_at is not null
+     and email = lower(new.email);
+  return null;
+end;
+$$;
+
+drop trigger if exists profiles_link_invitation on public.profiles;
+create trigger profiles_link_invitation
+  after insert on public.profiles
+  for each row execute function public.link_accepted_invitation();
+
+alter table public.invitations enable row level security;
+
+create policy "Admins see invitations"
+  on public.invitations for select
+  using (public.is_admin());
+
+create policy "Admins revoke invitations"
+  on public.invitations for update
+  using (public.is_admin())
+  with check (public.is_admin());
+
+revoke insert, delete on public.invitations from anon, authenticated;
+
+alter publication supabase_realtime add table public.invitations;
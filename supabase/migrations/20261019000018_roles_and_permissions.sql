@@ -0,0 +1,556 @@
+-- Roles beyond admin/partner and one permission matrix that both the row-level policies
+-- below and the app's UI read. has_permission() is the check; is_admin() now also covers
+-- owners so anything still written against it keeps working.
+
+create table if not exists public.roles (
+  id text primary key,
+  label text not null,
+  description text not null,
+  position int not null unique
+);
+
+insert into public.roles (id, label, description, position) values
+  ('owner', 'Owner', 'Everything admins can do, plus granting and removing ownership', 1),
+  ('admin', 'Admin', 'Runs the workspace: team, settings, projects and every task', 2),
+  ('manager', 'Project Manager', 'Plans projects and tasks, assigns work and reviews timesheets', 3),
+  ('partner', 'Partner', 'Works on tasks assigned to them and logs their time', 4),
+  ('client', 'Client', 'Read-only view of projects and tasks', 5)
+on conflict (id) do update
+  set label = excluded.label, description = excluded.description, position = excluded.position;
+
+create table if not exists public.role_permissions (
+  role text not null references public.roles (id) on delete cascade,
+  permission text not null check (permission in (
+    'tasks.view_all',   -- see every task, not just the ones assigned to you
+    'tasks.manage',     -- create, edit, reschedule, reassign and delete any task
+    'tasks.work',       -- update status and description, comment, tick checklists and attach files on your tasks
+    'projects.manage',  -- create, edit and merge projects
+    'team.view',        -- see the team roster and workload
+    'team.manage',      -- invite and remove people, change roles and capacity
+    'time.track',       -- log time and submit timesheets
+    'time.review',      -- see everyone's time and approve timesheets
+    'audit.view',       -- read the full audit log
+    'settings.manage'   -- change workspace settings and labels
+  )),
+  primary key (role, permission)
+);
+
+insert into public.role_permissions (role, permission)
+select r.role, p.permission
+  from (values
+    ('owner',   array['tasks.view_all', 'tasks.manage', 'tasks.work', 'projects.manage', 'team.view', 'team.manage', 'time.track', 'time.review', 'audit.view', 'settings.manage']),
+    ('admin',   array['tasks.view_all', 'tasks.manage', 'tasks.work', 'projects.manage', 'team.view', 'team.manage', 'time.track', 'time.review', 'audit.view', 'settings.manage']),
+    ('manager', array['tasks.view_all', 'tasks.manage', 'tasks.work', 'projects.manage', 'team.view', 'time.track', 'time.review']),
+    ('partner', array['tasks.work', 'time.track']),
+    ('client',  array['tasks.view_all'])
+  ) as r (role, permissions)
+ cross join lateral unnest(r.permissions) as p (permission)
+on conflict do nothing;
+
+alter table public.roles enable row level security;
+alter table public.role_permissions enable row level security;
+
+create policy "Roles are visible to signed-in users"
+  on public.roles for select
+  to authenticated
+  using (true);
+
+create policy "The permission matrix is visible to signed-in users"
+  on public.role_permissions for select
+  to authenticated
+  using (true);
+
+revoke insert, update, delete on public.roles, public.role_permissions from anon, authenticated;
+
+-- profiles.role and invitations.role now point at the roles table instead of a fixed list
+do $$
+declare
+  role_check record;
+begin
+  for role_check in
+    select c.conrelid::regclass as table_name, c.conname
+      from pg_constraint c
+     where c.contype = 'c'
+       and c.conrelid in ('public.profiles'::regclass, 'public.invitations'::regclass)
+       and pg_get_constraintdef(c.oid) like '%role%'
+  loop
+    execute format('alter table %s drop constraint %I', role_check.table_name, role_check.conname);
+  end loop;
+end;
+$$;
+
+alter table public.profiles
+  add constraint profiles_role_fkey foreign key (role) references public.roles (id);
+
+alter table public.invitations
+  add constraint invitations_role_fkey foreign key (role) references public.roles (id);
+
+-- Every workspace needs an owner; the longest-standing admin becomes it
+update public.profiles
+   set role = 'owner'
+ where id = (select id from public.profiles where role = 'admin' order by created_at limit 1)
+   and not exists (select 1 from public.profiles where role = 'owner');
+
+create or replace function public.user_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select role from profiles where id = auth.uid();
+$$;
+
+create or replace function public.has_permission(required_permission text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+      from profiles p
+      join role_permissions rp on rp.role = p.role
+     where p.id = auth.uid()
+       and rp.permission = required_permission
+  );
+$$;
+
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from profiles where id = auth.uid() and role in ('owner', 'admin'));
+$$;
+
+-- Reading a task: everyone who sees all tasks, otherwise its assignee
+create or replace function public.can_access_task(target_task_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.has_permission('tasks.view_all')
+    or exists (select 1 from tasks where id = target_task_id and assigned_to = auth.uid());
+$$;
+
+-- Working on a task (comments, checklists, files): task managers, otherwise its assignee
+-- if their role lets them work on tasks. Read-only roles fail this even where they can read.
+create or replace function public.can_work_on_task(target_task_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.has_permission('tasks.manage')
+    or (public.has_permission('tasks.work')
+        and exists (select 1 from tasks where id = target_task_id and assigned_to = auth.uid()));
+$$;
+
+grant execute on function public.has_permission(text) to authenticated;
+
+-- --- tasks ---
+-- The original tasks policies were written against role = 'admin'; replace them all
+do $$
+declare
+  policy_name text;
+begin
+  for policy_name in select policyname from pg_policies where schemaname = 'public' and tablename = 'tasks' loop
+    execute format('drop policy %I on public.tasks', policy_name);
+  end loop;
+end;
+$$;
+
+create policy "Tasks are visible to their assignee and to roles that see all tasks"
+  on public.tasks for select
+  using (public.has_permission('tasks.view_all') or assigned_to = auth.uid());
+
+create policy "Task managers create tasks"
+  on public.tasks for insert
+  with check (public.has_permission('tasks.manage'));
+
+create policy "Task managers and assignees update tasks"
+  on public.tasks for update
+  using (public.has_permission('tasks.manage') or (public.has_permission('tasks.work') and assigned_to = auth.uid()))
+  with check (public.has_permission('tasks.manage') or (public.has_permission('tasks.work') and assigned_to = auth.uid()));
+
+create policy "Task managers delete tasks"
+  on public.tasks for delete
+  using (public.has_permission('tasks.manage'));
+
+-- Column-level rules for assignees who aren't task managers
+create or replace function public.enforce_partner_task_update()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if pg_trigger_depth() > 1 then
+    return new;
+  end if;
+
+  if public.has_permission('tasks.manage') then
+    return new;
+  end if;
+
+  if old.assigned_to is distinct from auth.uid()
+    or (to_jsonb(new) - public.partner_editable_task_columns())
+       is distinct from (to_jsonb(old) - public.partner_editable_task_columns()) then
+    raise exception 'Partners can only update the status and description of their own tasks';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop policy if exists "Admins manage task series" on public.task_series;
+create policy "Task managers manage task series"
+  on public.task_series for all
+  using (public.has_permission('tasks.manage'))
+  with check (public.has_permission('tasks.manage'));
+
+create policy "Roles that see all tasks read every series"
+  on public.task_series for select
+  using (public.has_permission('tasks.view_all'));
+
+drop policy if exists "Admins add dependencies" on public.task_dependencies;
+create policy "Task managers add dependencies"
+  on public.task_dependencies for insert
+  with check (public.has_permission('tasks.manage') and created_by = auth.uid());
+
+drop policy if exists "Admins remove dependencies" on public.task_dependencies;
+create policy "Task managers remove dependencies"
+  on public.task_dependencies for delete
+  using (public.has_permission('tasks.manage'));
+
+-- --- work on tasks ---
+drop policy if exists "Users comment as themselves on accessible tasks" on public.task_comments;
+create policy "Users comment as themselves on tasks they work on"
+  on public.task_comments for insert
+  with check (author_id = auth.uid() and public.can_work_on_task(task_id));
+
+drop policy if exists "Task participants add checklist items" on public.task_checklist_items;
+create policy "Task participants add checklist items"
+  on public.task_checklist_items for insert
+  with check (created_by = auth.uid() and public.can_work_on_task(task_id));
+
+drop policy if exists "Task participants tick off checklist items" on public.task_checklist_items;
+create policy "Task participants tick off checklist items"
+  on public.task_checklist_items for update
+  using (public.can_work_on_task(task_id))
+  with check (public.can_work_on_task(task_id));
+
+drop policy if exists "Task participants remove checklist items" on public.task_checklist_items;
+create policy "Task participants remove checklist items"
+  on public.task_checklist_items for delete
+  using (public.can_work_on_task(task_id));
+
+drop policy if exists "Task participants attach files" on public.task_attachments;
+create policy "Task participants attach files"
+  on public.task_attachments for insert
+  with check (uploaded_by = auth.uid() and public.can_work_on_task(task_id));
+
+drop policy if exists "Uploaders and admins remove attachments" on public.task_attachments;
+create policy "Uploaders and task managers remove attachments"
+  on public.task_attachments for delete
+  using (public.has_permission('tasks.manage') or (uploaded_by = auth.uid() and public.can_work_on_task(task_id)));
+
+drop policy if exists "Task participants upload attachment files" on storage.objects;
+create policy "Task participants upload attachment files"
+  on storage.objects for insert
+  to authenticated
+  with check (
+    bucket_id = 'task-attachments'
+    and exists (select 1 from public.tasks where id = public.attachment_task_id(name))
+    and public.can_work_on_task(public.attachment_task_id(name))
+  );
+
+drop policy if exists "Uploaders and admins delete attachment files" on storage.objects;
+create policy "Uploaders and task managers delete attachment files"
+  on storage.objects for delete
+  to authenticated
+  using (
+    bucket_id = 'task-attachments'
+    and (public.has_permission('tasks.manage')
+         or (owner_id = auth.uid()::text and public.can_work_on_task(public.attachment_task_id(name))))
+  );
+
+-- --- projects, labels, settings ---
+drop policy if exists "Admins manage projects" on public.projects;
+create policy "Project managers manage projects"
+  on public.projects for all
+  using (public.has_permission('projects.manage'))
+  with check (public.has_permission('projects.manage'));
+
+create or replace function public.merge_projects(target_project_id uuid, source_project_ids uuid[])
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.has_permission('projects.manage') then
+    raise exception 'You do not have permission to merge projects';
+  end if;
+
+  if target_project_id = any(source_project_ids) then
+    raise exception 'Cannot merge a project into itself';
+  end if;
+
+  update tasks set project_id = target_project_id where project_id = any(source_project_ids);
+  delete from projects where id = any(source_project_ids);
+end;
+$$;
+
+drop policy if exists "Admins manage labels" on public.labels;
+create policy "Settings managers manage labels"
+  on public.labels for all
+  using (public.has_permission('settings.manage'))
+  with check (public.has_permission('settings.manage'));
+
+drop policy if exists "Admins change settings" on public.app_settings;
+create policy "Settings managers change settings"
+  on public.app_settings for update
+  using (public.has_permission('settings.manage'))
+  with check (public.has_permission('settings.manage'));
+
+-- --- audit log ---
+drop policy if exists "Admins read the whole log, partners read their tasks' history" on public.activity_log;
+create policy "Auditors read the whole log, others read their tasks' history"
+  on public.activity_log for select
+  using (
+    public.has_permission('audit.view')
+    or (entity_type = 'task' and public.can_access_task(entity_id))
+  );
+
+-- --- time ---
+drop policy if exists "People see their own time, admins see everyone's" on public.time_entries;
+create policy "People see their own time, reviewers see everyone's"
+  on public.time_entries for select
+  using (user_id = auth.uid() or public.has_permission('time.review'));
+
+drop policy if exists "People log time on tasks they can see" on public.time_entries;
+create policy "People log time on tasks they can see"
+  on public.time_entries for insert
+  with check (user_id = auth.uid() and public.has_permission('time.track') and public.can_access_task(task_id));
+
+drop policy if exists "People remove their own time, admins remove anyone's" on public.time_entries;
+create policy "People remove their own time, reviewers remove anyone's"
+  on public.time_entries for delete
+  using (user_id = auth.uid() or public.has_permission('time.review'));
+
+drop policy if exists "People see their own timesheets, admins see everyone's" on public.timesheets;
+create policy "People see their own timesheets, reviewers see everyone's"
+  on public.timesheets for select
+  using (user_id = auth.uid() or public.has_permission('time.review'));
+
+drop policy if exists "People submit their own timesheets" on public.timesheets;
+create policy "People submit their own timesheets"
+  on public.timesheets for insert
+  with check (user_id = auth.uid() and public.has_permission('time.track'));
+
+drop policy if exists "People resubmit, admins review" on public.timesheets;
+create policy "People resubmit, reviewers review"
+  on public.timesheets for update
+  using (user_id = auth.uid() or public.has_permission('time.review'))
+  with check (user_id = auth.uid() or public.has_permission('time.review'));
+
+create or replace function public.enforce_timesheet_review()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if public.has_permission('time.review') and new.status in ('Approved', 'Rejected') then
+    new.reviewed_by := auth.uid();
+    new.reviewed_at := now();
+    return new;
+  end if;
+
+  if new.user_id <> auth.uid() or new.status <> 'Submitted'
+     or (tg_op = 'UPDATE' and old.status <> 'Rejected') then
+    raise exception 'Only reviewers can approve or reject timesheets';
+  end if;
+
+  if tg_op = 'UPDATE' and new.week_start <> old.week_start then
+    raise exception 'A timesheet cannot move to another week';
+  end if;
+
+  new.submitted_at := now();
+  new.reviewed_by := null;
+  new.reviewed_at := null;
+  return new;
+end;
+$$;
+
+-- --- team ---
+create policy "Roles that see all tasks or the team see every profile"
+  on public.profiles for select
+  using (public.has_permission('tasks.view_all') or public.has_permission('team.view'));
+
+-- Like tasks, the original profile policies checked role = 'admin', which owners no longer match
+drop policy if exists "Admins update profiles" on public.profiles;
+create policy "Team managers update profiles"
+  on public.profiles for update
+  using (public.has_permission('team.manage'))
+  with check (public.has_permission('team.manage'));
+
+create policy "Team managers remove people"
+  on public.profiles for delete
+  using (public.has_permission('team.manage') and id <> auth.uid());
+
+create or replace function public.enforce_profile_capacity_update()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.weekly_capacity is distinct from old.weekly_capacity and not public.has_permission('team.manage') then
+    raise exception 'Only team managers can change weekly capacity';
+  end if;
+  return new;
+end;
+$$;
+
+-- Role changes: team managers only, and only owners hand out or take away ownership.
+-- The last owner can't be demoted. Requests without a user (SQL editor) are trusted.
+create or replace function public.enforce_profile_role_update()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.role is not distinct from old.role or auth.uid() is null then
+    return new;
+  end if;
+
+  if not public.has_permission('team.manage') then
+    raise exception 'You do not have permission to change roles';
+  end if;
+
+  if 'owner' in (new.role, old.role) and public.user_role() is distinct from 'owner' then
+    raise exception 'Only owners can grant or remove the owner role';
+  end if;
+
+  if old.role = 'owner'
+     and not exists (select 1 from profiles where role = 'owner' and id <> old.id) then
+    raise exception 'The workspace needs at least one owner';
+  end if;
+
+  insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+  values ('partner', new.id, 'role_changed', auth.uid(), new.name,
+    jsonb_build_object('role', jsonb_build_object('from', old.role, 'to', new.role)));
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_enforce_role on public.profiles;
+create trigger profiles_enforce_role
+  before update of role on public.profiles
+  for each row execute function public.enforce_profile_role_update();
+
+-- Owners can only be removed by other owners, and never the last one
+create or replace function public.enforce_profile_owner_delete()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if old.role <> 'owner' or auth.uid() is null then
+    return old;
+  end if;
+
+  if public.user_role() is distinct from 'owner' then
+    raise exception 'Only owners can remove an owner';
+  end if;
+
+  if not exists (select 1 from profiles where role = 'owner' and id <> old.id) then
+    raise exception 'The workspace needs at least one owner';
+  end if;
+  return old;
+end;
+$$;
+
+drop trigger if exists profiles_enforce_owner_delete on public.profiles;
+create trigger profiles_enforce_owner_delete
+  before delete on public.profiles
+  for each row execute function public.enforce_profile_owner_delete();
+
+-- --- invitations ---
+drop policy if exists "Admins see invitations" on public.invitations;
+create policy "Team managers see invitations"
+  on public.invitations for select
+  using (public.has_permission('team.manage'));
+
+drop policy if exists "Admins revoke invitations" on public.invitations;
+create policy "Team managers revoke invitations"
+  on public.invitations for update
+  using (public.has_permission('team.manage'))
+  with check (public.has_permission('team.manage'));
+
+create or replace function public.create_invitation(invite_email text, invite_name text, invite_role text default 'partner')
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  normalized_email text := lower(trim(invite_email));
+  new_id uuid;
+begin
+  if not public.has_permission('team.manage') then
+    raise exception 'You do not have permission to invite people';
+  end if;
+
+  if invite_role = 'owner' and public.user_role() is distinct from 'owner' then
+    raise exception 'Only owners can invite another owner';
+  end if;
+
+  if exists (select 1 from profiles where lower(email) = normalized_email) then
+    raise exception 'Someone with that email is already on the team';
+  end if;
+
+  -- Inviting the same address again replaces the earlier, unused link
+  update invitations set revoked_at = now()
+   where email = normalized_email and accepted_at is null and revoked_at is null;
+
+  insert into invitations (email, name, role, token_hash, expires_at, invited_by)
+  values (normalized_email, trim(invite_name), invite_role, gen_random_uuid()::text, now(), auth.uid())
+  returning id into new_id;
+
+  return public.issue_invite_token(new_id);
+end;
+$$;
+
+create or replace function public.resend_invitation(target_invitation_id uuid)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.has_permission('team.manage') then
+    raise exception 'You do not have permission to resend invitations';
+  end if;
+
+  if not exists (
+    select 1 from invitations
+     where id = target_invitation_id and accepted_at is null and revoked_at is null
+  ) then
+    raise exception 'This invitation has already been accepted or revoked';
+  end if;
+
+  return public.issue_invite_token(target_invitation_id);
+end;
+$$;
@@ -0,0 +1,796 @@
+-- Workspaces: separate teams (e.g. one per client firm) sharing one installation. Every
+-- project, task, label, series, invitation, setting, audit entry and timesheet belongs
+-- to a workspace, people join workspaces with a role each, and each person works in one
+-- active workspace at a time (profiles.active_workspace_id). A restrictive policy on
+-- every workspace-owned table keeps reads and writes inside the active workspace, so
+-- the existing permissive policies keep deciding what a role may do within it.
+
+create table if not exists public.workspaces (
+  id uuid primary key default gen_random_uuid(),
+  name text not null check (length(trim(name)) between 1 and 80 and name = trim(name)),
+  created_by uuid references public.profiles (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.workspace_members (
+  workspace_id uuid not null references public.workspaces (id) on delete cascade,
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  role text not null default 'partner' references public.roles (id),
+  created_at timestamptz not null default now(),
+  primary key (workspace_id, user_id)
+);
+
+create index if not exists workspace_members_user_idx on public.workspace_members (user_id);
+
+alter table public.profiles
+  add column if not exists active_workspace_id uuid references public.workspaces (id) on delete set null;
+
+-- Everything so far becomes the first workspace, with everyone in it at their current role
+do $$
+declare
+  default_workspace_id uuid;
+begin
+  if exists (select 1 from public.workspaces) then
+    return;
+  end if;
+
+  insert into public.workspaces (name, created_by)
+  values ('Main workspace', (select id from public.profiles where role = 'owner' order by created_at limit 1))
+  returning id into default_workspace_id;
+
+  insert into public.workspace_members (workspace_id, user_id, role, created_at)
+  select default_workspace_id, id, role, created_at from public.profiles
+  on conflict do nothing;
+
+  update public.profiles set active_workspace_id = default_workspace_id;
+end;
+$$;
+
+-- The active workspace, provided the person still belongs to it
+create or replace function public.current_workspace_id()
+returns uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select p.active_workspace_id
+    from profiles p
+    join workspace_members m on m.workspace_id = p.active_workspace_id and m.user_id = p.id
+   where p.id = auth.uid();
+$$;
+
+create or replace function public.is_workspace_member(target_workspace_id uuid, member_id uuid default auth.uid())
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from workspace_members where workspace_id = target_workspace_id and user_id = member_id
+  );
+$$;
+
+grant execute on function public.current_workspace_id() to authenticated;
+
+-- --- workspace-owned tables ---
+-- New rows land in the active workspace unless they say otherwise
+do $$
+declare
+  default_workspace_id uuid := (select id from public.workspaces order by created_at limit 1);
+  table_name text;
+begin
+  foreach table_name in array array[
+    'projects', 'tasks', 'task_series', 'labels', 'app_settings',
+    'invitations', 'activity_log', 'time_entries', 'timesheets'
+  ] loop
+    execute format('alter table public.%I add column if not exists workspace_id uuid references public.workspaces (id) on delete cascade', table_name);
+    -- Backfilling isn't an edit: skip the audit, partner and review triggers
+    execute format('alter table public.%I disable trigger user', table_name);
+    execute format('update public.%I set workspace_id = %L where workspace_id is null', table_name, default_workspace_id);
+    execute format('alter table public.%I enable trigger user', table_name);
+    execute format('alter table public.%I alter column workspace_id set default public.current_workspace_id(), alter column workspace_id set not null', table_name);
+    execute format('create index if not exists %I on public.%I (workspace_id)', table_name || '_workspace_idx', table_name);
+    execute format('drop policy if exists "Rows stay inside the active workspace" on public.%I', table_name);
+    execute format(
+      'create policy "Rows stay inside the active workspace" on public.%I as restrictive for all '
+      'using (workspace_id = public.current_workspace_id()) with check (workspace_id = public.current_workspace_id())',
+      table_name);
+  end loop;
+end;
+$$;
+
+-- People keep seeing and stopping their own running timer after switching workspace
+drop policy "Rows stay inside the active workspace" on public.time_entries;
+create policy "Rows stay inside the active workspace"
+  on public.time_entries as restrictive for all
+  using (workspace_id = public.current_workspace_id() or user_id = auth.uid())
+  with check (workspace_id = public.current_workspace_id() or user_id = auth.uid());
+
+-- Names only need to be unique within a workspace
+drop index if exists public.projects_name_key;
+create unique index if not exists projects_name_key on public.projects (workspace_id, lower(name));
+
+drop index if exists public.labels_name_key;
+create unique index if not exists labels_name_key on public.labels (workspace_id, lower(name));
+
+drop index if exists public.invitations_open_email_idx;
+create unique index if not exists invitations_open_email_idx
+  on public.invitations (workspace_id, email)
+  where accepted_at is null and revoked_at is null;
+
+-- A timesheet covers one person's week in one workspace
+alter table public.timesheets drop constraint if exists timesheets_user_id_week_start_key;
+alter table public.timesheets
+  add constraint timesheets_workspace_user_week_key unique (workspace_id, user_id, week_start);
+
+-- app_settings goes from a single row to one row per workspace
+alter table public.app_settings drop constraint if exists app_settings_pkey;
+alter table public.app_settings drop column if exists id;
+alter table public.app_settings add primary key (workspace_id);
+
+-- Audit entries about a task belong to the task's workspace, whoever wrote them
+create or replace function public.stamp_activity_workspace()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.entity_type = 'task' then
+    new.workspace_id := coalesce((select workspace_id from tasks where id = new.entity_id), new.workspace_id);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists activity_log_stamp_workspace on public.activity_log;
+create trigger activity_log_stamp_workspace
+  before insert on public.activity_log
+  for each row execute function public.stamp_activity_workspace();
+
+-- Occurrences spawned by the scheduler have no active workspace to default to
+create or replace function public.spawn_next_occurrence(target_series_id uuid)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  s public.task_series;
+  next_due date;
+  new_task_id uuid;
+begin
+  select * into s from public.task_series where id = target_series_id for update;
+  if not found or not s.active then
+    return null;
+  end if;
+
+  if s.max_occurrences is not null and s.occurrence_count >= s.max_occurrences then
+    update public.task_series set active = false where id = s.id;
+    return null;
+  end if;
+
+  next_due := (s.anchor_date + make_interval(
+    days   => case when s.interval_unit = 'day'   then s.interval_count * s.occurrence_count else 0 end,
+    weeks  => case when s.interval_unit = 'week'  then s.interval_count * s.occurrence_count else 0 end,
+    months => case when s.interval_unit = 'month' then s.interval_count * s.occurrence_count else 0 end
+  ))::date;
+
+  if s.end_date is not null and next_due > s.end_date then
+    update public.task_series set active = false where id = s.id;
+    return null;
+  end if;
+
+  insert into public.tasks (workspace_id, title, project_id, assigned_to, description, priority, label_ids, estimate_hours, due_date, status, created_by, series_id)
+  values (s.workspace_id, s.title, s.project_id, s.assigned_to, coalesce(s.description, ''), s.priority, s.label_ids, s.estimate_hours, next_due, 'Pending', s.created_by, s.id)
+  on conflict (series_id, due_date) where series_id is not null do nothing
+  returning id into new_task_id;
+
+  update public.task_series set occurrence_count = occurrence_count + 1 where id = s.id;
+  return new_task_id;
+end;
+$$;
+
+create or replace function public.enforce_task_blockers()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.status is distinct from old.status
+     and new.open_blocker_count > 0
+     and (new.status = 'Completed'
+          or (new.status = 'In Progress'
+              and not coalesce((select blocked_tasks_can_start from app_settings where workspace_id = new.workspace_id), true))) then
+    raise exception 'This task is blocked by % unfinished task(s)', new.open_blocker_count;
+  end if;
+  return new;
+end;
+$$;
+
+create or replace function public.prepare_time_entry()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  target public.time_entries := case when tg_op = 'DELETE' then old else new end;
+begin
+  -- Deleting the task or the person cascades here; that removes the entries regardless
+  if tg_op = 'DELETE' and pg_trigger_depth() > 1 then
+    return old;
+  end if;
+
+  if exists (
+    select 1 from timesheets
+     where workspace_id = target.workspace_id
+       and user_id = target.user_id
+       and week_start = date_trunc('week', target.entry_date)::date
+       and status in ('Submitted', 'Approved')
+  ) or (tg_op = 'UPDATE' and exists (
+    select 1 from timesheets
+     where workspace_id = old.workspace_id
+       and user_id = old.user_id
+       and week_start = date_trunc('week', old.entry_date)::date
+       and status in ('Submitted', 'Approved')
+  )) then
+    raise exception 'That week''s timesheet has been submitted; ask a reviewer to reject it before changing its entries';
+  end if;
+
+  if tg_op = 'DELETE' then
+    return old;
+  end if;
+
+  -- An entry belongs to its task's workspace
+  new.workspace_id := (select workspace_id from tasks where id = new.task_id);
+
+  if new.ended_at is not null then
+    if new.ended_at < new.started_at then
+      raise exception 'A timer cannot end before it started';
+    end if;
+    new.minutes := least(greatest(round(extract(epoch from new.ended_at - new.started_at) / 60)::int, 1), 1440);
+  end if;
+  return new;
+end;
+$$;
+
+create or replace view public.time_entry_totals
+with (security_invoker = true) as
+select e.entry_date, t.project_id, e.user_id,
+       (ts.status = 'Approved') is true as approved,
+       sum(e.minutes)::int as minutes
+  from public.time_entries e
+  join public.tasks t on t.id = e.task_id
+  left join public.timesheets ts
+    on ts.workspace_id = e.workspace_id
+   and ts.user_id = e.user_id
+   and ts.week_start = date_trunc('week', e.entry_date)::date
+ where e.minutes is not null
+ group by e.entry_date, t.project_id, e.user_id, (ts.status = 'Approved') is true;
+
+-- --- permissions per workspace ---
+-- profiles.role is superseded by workspace_members.role and no longer read
+create or replace function public.user_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select role from workspace_members
+   where workspace_id = public.current_workspace_id() and user_id = auth.uid();
+$$;
+
+create or replace function public.has_permission(required_permission text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+      from workspace_members m
+      join role_permissions rp on rp.role = m.role
+     where m.workspace_id = public.current_workspace_id()
+       and m.user_id = auth.uid()
+       and rp.permission = required_permission
+  );
+$$;
+
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.user_role() in ('owner', 'admin');
+$$;
+
+-- Both task checks now also require the task to be in the active workspace, so policies
+-- on comments, checklists, files and history can't reach across workspaces
+create or replace function public.can_access_task(target_task_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from tasks
+     where id = target_task_id
+       and workspace_id = public.current_workspace_id()
+       and (public.has_permission('tasks.view_all') or assigned_to = auth.uid())
+  );
+$$;
+
+create or replace function public.can_work_on_task(target_task_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from tasks
+     where id = target_task_id
+       and workspace_id = public.current_workspace_id()
+       and (public.has_permission('tasks.manage')
+            or (public.has_permission('tasks.work') and assigned_to = auth.uid()))
+  );
+$$;
+
+drop policy if exists "Task managers add dependencies" on public.task_dependencies;
+create policy "Task managers add dependencies"
+  on public.task_dependencies for insert
+  with check (
+    public.has_permission('tasks.manage') and created_by = auth.uid()
+    and public.can_access_task(task_id) and public.can_access_task(blocked_by_id)
+  );
+
+drop policy if exists "Task managers remove dependencies" on public.task_dependencies;
+create policy "Task managers remove dependencies"
+  on public.task_dependencies for delete
+  using (public.has_permission('tasks.manage') and public.can_access_task(task_id));
+
+drop policy if exists "Uploaders and task managers remove attachments" on public.task_attachments;
+create policy "Uploaders and task managers remove attachments"
+  on public.task_attachments for delete
+  using (public.can_work_on_task(task_id) and (public.has_permission('tasks.manage') or uploaded_by = auth.uid()));
+
+-- Files of deleted tasks can still be cleaned up, but not another workspace's files
+drop policy if exists "Uploaders and task managers delete attachment files" on storage.objects;
+create policy "Uploaders and task managers delete attachment files"
+  on storage.objects for delete
+  to authenticated
+  using (
+    bucket_id = 'task-attachments'
+    and ((public.has_permission('tasks.manage')
+          and not exists (
+            select 1 from public.tasks
+             where id = public.attachment_task_id(name)
+               and workspace_id is distinct from public.current_workspace_id()
+          ))
+         or (owner_id = auth.uid()::text and public.can_work_on_task(public.attachment_task_id(name))))
+  );
+
+-- Same signature as before, so this replaces the unscoped version rather than adding an
+-- overload next to it
+create or replace function public.merge_projects(target_project_id uuid, source_project_ids uuid[])
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.has_permission('projects.manage') then
+    raise exception 'You do not have permission to merge projects';
+  end if;
+
+  if target_project_id = any(source_project_ids) then
+    raise exception 'Cannot merge a project into itself';
+  end if;
+
+  if exists (
+    select 1 from projects
+     where id = any(source_project_ids || target_project_id)
+       and workspace_id is distinct from public.current_workspace_id()
+  ) then
+    raise exception 'Projects can only be merged within the current workspace';
+  end if;
+
+  update tasks set project_id = target_project_id where project_id = any(source_project_ids);
+  delete from projects where id = any(source_project_ids);
+end;
+$$;
+
+-- --- people ---
+-- Profiles are only visible to, and editable by, people in the same active workspace
+drop policy if exists "Profiles stay inside the active workspace" on public.profiles;
+create policy "Profiles stay inside the active workspace"
+  on public.profiles as restrictive for all
+  using (id = auth.uid() or public.is_workspace_member(public.current_workspace_id(), id))
+  with check (id = auth.uid() or public.is_workspace_member(public.current_workspace_id(), id));
+
+-- Leaving a workspace replaces deleting the account
+drop policy if exists "Team managers remove people" on public.profiles;
+drop trigger if exists profiles_enforce_role on public.profiles;
+drop trigger if exists profiles_enforce_owner_delete on public.profiles;
+drop trigger if exists profiles_log_activity on public.profiles;
+drop function if exists public.enforce_profile_role_update();
+drop function if exists public.enforce_profile_owner_delete();
+drop function if exists public.log_partner_activity();
+
+-- Switching to another workspace you belong to
+create or replace function public.switch_workspace(target_workspace_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_workspace_member(target_workspace_id) then
+    raise exception 'You are not a member of that workspace';
+  end if;
+
+  update profiles set active_workspace_id = target_workspace_id where id = auth.uid();
+end;
+$$;
+
+grant execute on function public.switch_workspace(uuid) to authenticated;
+
+alter table public.workspaces enable row level security;
+
+create policy "Members see their workspaces"
+  on public.workspaces for select
+  using (public.is_workspace_member(id));
+
+revoke insert, update, delete on public.workspaces from anon, authenticated;
+
+alter table public.workspace_members enable row level security;
+
+create policy "Members see who else is in their workspaces"
+  on public.workspace_members for select
+  using (public.is_workspace_member(workspace_id));
+
+create policy "Team managers change roles"
+  on public.workspace_members for update
+  using (workspace_id = public.current_workspace_id() and public.has_permission('team.manage'))
+  with check (workspace_id = public.current_workspace_id() and public.has_permission('team.manage'));
+
+create policy "Team managers remove people"
+  on public.workspace_members for delete
+  using (workspace_id = public.current_workspace_id() and public.has_permission('team.manage') and user_id <> auth.uid());
+
+revoke insert on public.workspace_members from anon, authenticated;
+
+-- Role changes: team managers only, and only owners hand out or take away ownership.
+-- Each workspace keeps at least one owner. Requests without a user (SQL editor) are trusted.
+create or replace function public.enforce_member_role_update()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.role is not distinct from old.role or auth.uid() is null then
+    return new;
+  end if;
+
+  if not public.has_permission('team.manage') then
+    raise exception 'You do not have permission to change roles';
+  end if;
+
+  if 'owner' in (new.role, old.role) and public.user_role() is distinct from 'owner' then
+    raise exception 'Only owners can grant or remove the owner role';
+  end if;
+
+  if old.role = 'owner' and not exists (
+    select 1 from workspace_members
+     where workspace_id = old.workspace_id and role = 'owner' and user_id <> old.user_id
+  ) then
+    raise exception 'The workspace needs at least one owner';
+  end if;
+
+  insert into activity_log (workspace_id, entity_type, entity_id, action, actor_id, summary, changes)
+  values (new.workspace_id, 'partner', new.user_id, 'role_changed', auth.uid(),
+    (select name from profiles where id = new.user_id),
+    jsonb_build_object('role', jsonb_build_object('from', old.role, 'to', new.role)));
+  return new;
+end;
+$$;
+
+drop trigger if exists workspace_members_enforce_role on public.workspace_members;
+create trigger workspace_members_enforce_role
+  before update of role on public.workspace_members
+  for each row execute function public.enforce_member_role_update();
+
+-- Owners can only be removed by other owners, and never the last one. Deleting the
+-- workspace or the account cascades here and skips the checks.
+create or replace function public.enforce_member_owner_delete()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if old.role <> 'owner' or auth.uid() is null or pg_trigger_depth() > 1 then
+    return old;
+  end if;
+
+  if public.user_role() is distinct from 'owner' then
+    raise exception 'Only owners can remove an owner';
+  end if;
+
+  if not exists (
+    select 1 from workspace_members
+     where workspace_id = old.workspace_id and role = 'owner' and user_id <> old.user_id
+  ) then
+    raise exception 'The workspace needs at least one owner';
+  end if;
+  return old;
+end;
+$$;
+
+drop trigger if exists workspace_members_enforce_owner_delete on public.workspace_members;
+create trigger workspace_members_enforce_owner_delete
+  before delete on public.workspace_members
+  for each row execute function public.enforce_member_owner_delete();
+
+create or replace function public.log_member_activity()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  member public.workspace_members := case when tg_op = 'INSERT' then new else old end;
+  member_profile public.profiles;
+begin
+  -- Deleting the account or the whole workspace cascades here; there's nothing to log against
+  if tg_op = 'DELETE' and pg_trigger_depth() > 1 then
+    return null;
+  end if;
+
+  select * into member_profile from profiles where id = member.user_id;
+
+  insert into activity_log (workspace_id, entity_type, entity_id, action, actor_id, summary, changes)
+  values (member.workspace_id, 'partner', member.user_id,
+    case when tg_op = 'INSERT' then 'partner_added' else 'partner_removed' end,
+    auth.uid(), member_profile.name,
+    jsonb_build_object('email', member_profile.email, 'role', member.role));
+  return null;
+end;
+$$;
+
+drop trigger if exists workspace_members_log_activity on public.workspace_members;
+create trigger workspace_members_log_activity
+  after insert or delete on public.workspace_members
+  for each row execute function public.log_member_activity();
+
+-- Anyone signed in can start a workspace; they own it and switch to it
+create or replace function public.create_workspace(workspace_name text)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  new_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in to create a workspace';
+  end if;
+
+  insert into workspaces (name, created_by)
+  values (trim(workspace_name), auth.uid())
+  returning id into new_id;
+
+  insert into workspace_members (workspace_id, user_id, role)
+  values (new_id, auth.uid(), 'owner');
+
+  insert into app_settings (workspace_id) values (new_id);
+
+  update profiles set active_workspace_id = new_id where id = auth.uid();
+  return new_id;
+end;
+$$;
+
+grant execute on function public.create_workspace(text) to authenticated;
+
+-- --- invitations ---
+-- An invitation is to a workspace. Accepting it adds a membership with the invited role,
+-- whether the invitee signs up through the link or already has an account.
+create or replace function public.join_invited_workspace(target_invitation_id uuid, member_id uuid)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  invite public.invitations;
+begin
+  update invitations
+     set accepted_at = now(), accepted_by = member_id
+   where id = target_invitation_id
+  returning * into invite;
+
+  insert into workspace_members (workspace_id, user_id, role)
+  values (invite.workspace_id, member_id, invite.role)
+  on conflict (workspace_id, user_id) do nothing;
+
+  update profiles set active_workspace_id = invite.workspace_id where id = member_id;
+  return invite.workspace_id;
+end;
+$$;
+
+revoke execute on function public.join_invited_workspace(uuid, uuid) from public, anon, authenticated;
+
+-- Sign-ups through a link: the profile has to exist before the membership can
+drop trigger if exists profiles_apply_invitation on public.profiles;
+drop trigger if exists profiles_link_invitation on public.profiles;
+drop function if exists public.link_accepted_invitation();
+
+create or replace function public.apply_invitation_to_profile()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  invite_token text;
+  user_email text;
+  invite_id uuid;
+begin
+  select u.raw_user_meta_data ->> 'invite_token', lower(u.email)
+    into invite_token, user_email
+    from auth.users u
+   where u.id = new.id;
+
+  if invite_token is null then
+    return null;
+  end if;
+
+  select id into invite_id
+    from invitations
+   where token_hash = public.hash_invite_token(invite_token)
+     and email = user_email
+     and accepted_at is null
+     and revoked_at is null
+     and expires_at > now()
+   for update;
+
+  if invite_id is not null then
+    perform public.join_invited_workspace(invite_id, new.id);
+  end if;
+
+  update auth.users set raw_user_meta_data = raw_user_meta_data - 'invite_token' where id = new.id;
+  return null;
+end;
+$$;
+
+create trigger profiles_apply_invitation
+  after insert on public.profiles
+  for each row execute function public.apply_invitation_to_profile();
+
+-- People who already have an account accept while signed in as the invited address
+create or replace function public.accept_invitation(invite_token text)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  invite_id uuid;
+begin
+  select i.id into invite_id
+    from invitations i
+    join auth.users u on u.id = auth.uid() and lower(u.email) = i.email
+   where i.token_hash = public.hash_invite_token(invite_token)
+     and i.accepted_at is null
+     and i.revoked_at is null
+     and i.expires_at > now()
+   for update of i;
+
+  if invite_id is null then
+    raise exception 'This invitation is not valid for your account';
+  end if;
+
+  return public.join_invited_workspace(invite_id, auth.uid());
+end;
+$$;
+
+grant execute on function public.accept_invitation(text) to authenticated;
+
+create or replace function public.create_invitation(invite_email text, invite_name text, invite_role text default 'partner')
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  normalized_email text := lower(trim(invite_email));
+  workspace uuid := public.current_workspace_id();
+  new_id uuid;
+begin
+  if not public.has_permission('team.manage') then
+    raise exception 'You do not have permission to invite people';
+  end if;
+
+  if invite_role = 'owner' and public.user_role() is distinct from 'owner' then
+    raise exception 'Only owners can invite another owner';
+  end if;
+
+  if exists (
+    select 1 from workspace_members m
+      join profiles p on p.id = m.user_id
+     where m.workspace_id = workspace and lower(p.email) = normalized_email
+  ) then
+    raise exception 'Someone with that email is already in this workspace';
+  end if;
+
+  -- Inviting the same address again replaces the earlier, unused link
+  update invitations set revoked_at = now()
+   where workspace_id = workspace and email = normalized_email and accepted_at is null and revoked_at is null;
+
+  insert into invitations (workspace_id, email, name, role, token_hash, expires_at, invited_by)
+  values (workspace, normalized_email, trim(invite_name), invite_role, gen_random_uuid()::text, now(), auth.uid())
+  returning id into new_id;
+
+  return public.issue_invite_token(new_id);
+end;
+$$;
+
+create or replace function public.resend_invitation(target_invitation_id uuid)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.has_permission('team.manage') then
+    raise exception 'You do not have permission to resend invitations';
+  end if;
+
+  if not exists (
+    select 1 from invitations
+     where id = target_invitation_id
+       and workspace_id = public.current_workspace_id()
+       and accepted_at is null and revoked_at is null
+  ) then
+    raise exception 'This invitation has already been accepted or revoked';
+  end if;
+
+  return public.issue_invite_token(target_invitation_id);
+end;
+$$;
+
+-- The accept page also names the workspace
+drop function if exists public.get_invitation(text);
+create or replace function public.get_invitation(invite_token text)
+returns table (email text, name text, role text, workspace_name text, status text)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select i.email, i.name, i.role, w.name,
+         case
+           when i.accepted_at is not null then 'accepted'
+           when i.revoked_at is not null then 'revoked'
+           when i.expires_at <= now() then 'expired'
+           else 'pending'
+         end
+    from invitations i
+    join workspaces w on w.id = i.workspace_id
+   where i.token_hash = public.hash_invite_token(invite_token);
+$$;
+
+grant execute on function public.get_invitation(text) to anon, authenticated;
+
+alter publication supabase_realtime add table public.workspace_members;
@@ -0,0 +1,152 @@
+-- Offboarding instead of removal: a person leaving a workspace is deactivated there, not
+-- deleted. Their open work is handed over, completed tasks and time stay attributed to
+-- them, and a team manager can reactivate them later.
+
+alter table public.workspace_members
+  add column if not exists deactivated_at timestamptz,
+  add column if not exists deactivated_by uuid references public.profiles (id) on delete set null;
+
+-- Deactivated members keep their membership row (so their name still shows on old work)
+-- but no longer get a workspace to work in, which takes away every permission there
+create or replace function public.current_workspace_id()
+returns uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select p.active_workspace_id
+    from profiles p
+    join workspace_members m on m.workspace_id = p.active_workspace_id and m.user_id = p.id
+   where p.id = auth.uid()
+     and m.deactivated_at is null;
+$$;
+
+create or replace function public.switch_workspace(target_workspace_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (
+    select 1 from workspace_members
+     where workspace_id = target_workspace_id and user_id = auth.uid() and deactivated_at is null
+  ) then
+    raise exception 'You are not a member of that workspace';
+  end if;
+
+  update profiles set active_workspace_id = target_workspace_id where id = auth.uid();
+end;
+$$;
+
+-- Nobody is removed outright any more; managers change roles and (de)activate people
+drop policy if exists "Team managers remove people" on public.workspace_members;
+
+drop policy if exists "Team managers change roles" on public.workspace_members;
+create policy "Team managers change roles and deactivate people"
+  on public.workspace_members for update
+  using (workspace_id = public.current_workspace_id() and public.has_permission('team.manage'))
+  with check (workspace_id = public.current_workspace_id() and public.has_permission('team.manage'));
+
+-- Deactivating and reactivating follow the same rules as role changes: team managers
+-- only, owners only by owners, never yourself and never the last active owner
+create or replace function public.enforce_member_deactivation()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if (new.deactivated_at is null) = (old.deactivated_at is null) or auth.uid() is null then
+    return new;
+  end if;
+
+  if not public.has_permission('team.manage') then
+    raise exception 'You do not have permission to deactivate or reactivate people';
+  end if;
+
+  if new.user_id = auth.uid() then
+    raise exception 'You cannot deactivate yourself';
+  end if;
+
+  if old.role = 'owner' and public.user_role() is distinct from 'owner' then
+    raise exception 'Only owners can deactivate or reactivate an owner';
+  end if;
+
+  if new.deactivated_at is not null and old.role = 'owner' and not exists (
+    select 1 from workspace_members
+     where workspace_id = old.workspace_id and role = 'owner'
+       and user_id <> old.user_id and deactivated_at is null
+  ) then
+    raise exception 'The workspace needs at least one owner';
+  end if;
+
+  new.deactivated_by := case when new.deactivated_at is not null then auth.uid() end;
+
+  insert into activity_log (workspace_id, entity_type, entity_id, action, actor_id, summary, changes)
+  values (new.workspace_id, 'partner', new.user_id,
+    case when new.deactivated_at is not null then 'partner_deactivated' else 'partner_reactivated' end,
+    auth.uid(), (select name from profiles where id = new.user_id),
+    jsonb_build_object('role', new.role));
+  return new;
+end;
+$$;
+
+drop trigger if exists workspace_members_enforce_deactivation on public.workspace_members;
+create trigger workspace_members_enforce_deactivation
+  before update of deactivated_at on public.workspace_members
+  for each row execute function public.enforce_member_deactivation();
+
+-- Hands the person's open tasks and recurring series in the active workspace to someone
+-- else (or nobody), then deactivates them, in one transaction. Completed tasks keep their
+-- assignee.
+create or replace function public.offboard_member(member_id uuid, reassign_to uuid default null)
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  workspace uuid := public.current_workspace_id();
+  reassigned int;
+begin
+  if not public.has_permission('team.manage') then
+    raise exception 'You do not have permission to offboard people';
+  end if;
+
+  if not exists (
+    select 1 from workspace_members
+     where workspace_id = workspace and user_id = member_id and deactivated_at is null
+  ) then
+    raise exception 'That person is not an active member of this workspace';
+  end if;
+
+  if reassign_to = member_id or (reassign_to is not null and not exists (
+    select 1 from workspace_members
+     where workspace_id = workspace and user_id = reassign_to and deactivated_at is null
+  )) then
+    raise exception 'Open tasks can only be reassigned to another active member';
+  end if;
+
+  update tasks
+     set assigned_to = reassign_to
+   where workspace_id = workspace
+     and assigned_to = member_id
+     and status <> 'Completed';
+  get diagnostics reassigned = row_count;
+
+  update task_series
+     set assigned_to = reassign_to
+   where workspace_id = workspace
+     and assigned_to = member_id;
+
+  update workspace_members
+     set deactivated_at = now()
+   where workspace_id = workspace and user_id = member_id;
+
+  return reassigned;
+end;
+$$;
+
+grant execute on function public.offboard_member(uuid, uuid) to authenticated;
@@ -0,0 +1,285 @@
+-- Deleting a task moves it to the workspace's trash instead of removing it. Trashed tasks
+-- drop out of every list, count and report; task managers can restore them or purge them
+-- for good, and anything left in the trash past the workspace's retention period is
+-- purged by a nightly job.
+
+alter table public.tasks
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references public.profiles (id) on delete set null;
+
+create index if not exists tasks_trash_idx on public.tasks (workspace_id, deleted_at desc)
+  where deleted_at is not null;
+
+alter table public.app_settings
+  add column if not exists trash_retention_days int not null default 30
+    check (trash_retention_days between 1 and 365);
+
+-- Narrows every select policy on tasks, so the security_invoker views and reports built
+-- on them leave trashed tasks out without each repeating the filter. Updates need the
+-- row to be visible too, which makes trashed tasks read-only until restored.
+-- Realtime doesn't deliver the update that hides a task, so clients react to the
+-- 'trashed' activity entry instead.
+drop policy if exists "Trashed tasks stay out of sight" on public.tasks;
+create policy "Trashed tasks stay out of sight"
+  on public.tasks as restrictive for select
+  using (deleted_at is null);
+
+-- Deleting goes through the trash; only purge_task and the nightly purge remove rows
+drop policy if exists "Task managers delete tasks" on public.tasks;
+
+-- The task helpers run as definer and skip that policy; without the check comments,
+-- checklist items, attachments and time could still be added to a trashed task
+create or replace function public.can_access_task(target_task_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from tasks
+     where id = target_task_id
+       and workspace_id = public.current_workspace_id()
+       and deleted_at is null
+       and (public.has_permission('tasks.view_all') or assigned_to = auth.uid())
+  );
+$$;
+
+create or replace function public.can_work_on_task(target_task_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from tasks
+     where id = target_task_id
+       and workspace_id = public.current_workspace_id()
+       and deleted_at is null
+       and (public.has_permission('tasks.manage')
+            or (public.has_permission('tasks.work') and assigned_to = auth.uid()))
+  );
+$$;
+
+-- With the task out of reach its history is too, so everyone who could see the task
+-- may still read the entry that trashed it (the app listens for it)
+drop policy if exists "People who saw a task see the entry that trashed it" on public.activity_log;
+create policy "People who saw a task see the entry that trashed it"
+  on public.activity_log for select
+  using (
+    entity_type = 'task'
+    and action = 'trashed'
+    and (public.has_permission('tasks.view_all') or changes ->> 'assigned_to' = auth.uid()::text)
+  );
+
+-- The throughput and cycle time charts read the status history without joining tasks
+drop policy if exists "Status history of trashed tasks stays out of sight" on public.task_status_transitions;
+create policy "Status history of trashed tasks stays out of sight"
+  on public.task_status_transitions as restrictive for select
+  using (exists (select 1 from public.tasks t where t.id = task_id));
+
+-- Trashing and restoring are logged as such by the functions below, not as field edits
+create or replace function public.task_activity_ignored_columns()
+returns text[]
+language sql
+immutable
+as $$
+  select array['id', 'created_at', 'updated_at', 'status', 'assigned_to',
+               'checklist_total', 'checklist_done', 'open_blocker_count',
+               'deleted_at', 'deleted_by'];
+$$;
+
+-- A trashed blocker no longer holds anything up, and its own dependents aren't notified
+create or replace function public.refresh_open_blockers(target_task_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  t public.tasks;
+  open_count int;
+begin
+  select * into t from tasks where id = target_task_id;
+  if not found then
+    return;
+  end if;
+
+  select count(*)::int into open_count
+    from task_dependencies d
+    join tasks b on b.id = d.blocked_by_id
+   where d.task_id = target_task_id
+     and b.status <> 'Completed'
+     and b.deleted_at is null;
+
+  if open_count = t.open_blocker_count then
+    return;
+  end if;
+
+  update tasks set open_blocker_count = open_count where id = target_task_id;
+
+  if open_count = 0 and t.assigned_to is not null and t.status <> 'Completed' and t.deleted_at is null then
+    insert into notifications (recipient_id, kind, task_id, title, body)
+    values (t.assigned_to, 'blockers_cleared', t.id, t.title, 'Everything this task was waiting on is done. You can start on it now.');
+  end if;
+end;
+$$;
+
+revoke execute on function public.refresh_open_blockers(uuid) from public, anon, authenticated;
+
+-- Moves a task in or out of the trash, recounts what it blocks and logs the change
+create or replace function public.set_task_trashed(target_task_id uuid, trashed boolean)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  t public.tasks;
+begin
+  if not public.has_permission('tasks.manage') then
+    raise exception 'You do not have permission to delete or restore tasks';
+  end if;
+
+  select * into t
+    from tasks
+   where id = target_task_id and workspace_id = public.current_workspace_id()
+   for update;
+
+  if not found then
+    raise exception 'Task not found';
+  end if;
+
+  if (t.deleted_at is not null) = trashed then
+    raise exception '%', case when trashed then 'This task is already in the trash' else 'This task is not in the trash' end;
+  end if;
+
+  update tasks
+     set deleted_at = case when trashed then now() end,
+         deleted_by = case when trashed then auth.uid() end
+   where id = t.id;
+
+  perform public.refresh_open_blockers(d.task_id)
+     from task_dependencies d
+    where d.blocked_by_id = t.id;
+
+  insert into activity_log (entity_type, entity_id, action, actor_id, summary, changes)
+  values ('task', t.id, case when trashed then 'trashed' else 'restored' end, auth.uid(), t.title,
+    jsonb_build_object('project_id', t.project_id, 'assigned_to', t.assigned_to));
+end;
+$$;
+
+revoke execute on function public.set_task_trashed(uuid, boolean) from public, anon, authenticated;
+
+create or replace function public.trash_task(target_task_id uuid)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  select public.set_task_trashed(target_task_id, true);
+$$;
+
+create or replace function public.restore_task(target_task_id uuid)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  select public.set_task_trashed(target_task_id, false);
+$$;
+
+-- The trash itself; the select policy hides these rows from ordinary queries
+create or replace function public.trashed_tasks()
+returns setof public.tasks
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.has_permission('tasks.manage') then
+    raise exception 'You do not have permission to view the trash';
+  end if;
+
+  return query
+    select * from tasks
+     where workspace_id = public.current_workspace_id()
+       and deleted_at is not null
+     order by deleted_at desc;
+end;
+$$;
+
+-- Deletes a trashed task for good; its comments, checklist, time and attachment rows go
+-- with it, and its attachment files are queued for the app to remove from Storage.
+create or replace function public.purge_task(target_task_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.has_permission('tasks.manage') then
+    raise exception 'You do not have permission to delete tasks';
+  end if;
+
+  delete from tasks
+   where id = target_task_id
+     and workspace_id = public.current_workspace_id()
+     and deleted_at is not null;
+
+  if not found then
+    raise exception 'Only tasks in the trash can be deleted permanently';
+  end if;
+end;
+$$;
+
+grant execute on function public.trash_task(uuid) to authenticated;
+grant execute on function public.restore_task(uuid) to authenticated;
+grant execute on function public.trashed_tasks() to authenticated;
+grant execute on function public.purge_task(uuid) to authenticated;
+
+-- Nightly clean-up of tasks trashed longer ago than their workspace keeps them. Deleting
+-- them queues their attachment files in attachment_file_cleanup, which the app clears
+-- from Storage the next time a task manager opens the trash.
+create or replace function public.purge_expired_trash()
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  purged int;
+begin
+  delete from tasks t
+   using app_settings s
+   where s.workspace_id = t.workspace_id
+     and t.deleted_at < now() - make_interval(days => s.trash_retention_days);
+  get diagnostics purged = row_count;
+  return purged;
+end;
+$$;
+
+revoke execute on function public.purge_expired_trash() from public, anon, authenticated;
+
+-- The job has no active workspace to default to, and by the time a task's 'deleted' entry
+-- is written the task is gone; that entry carries the old row, workspace included
+create or replace function public.stamp_activity_workspace()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.entity_type = 'task' then
+    new.workspace_id := coalesce(
+      (select workspace_id from tasks where id = new.entity_id),
+      case when new.action = 'deleted' then (new.changes ->> 'workspace_id')::uuid end,
+      new.workspace_id);
+  end if;
+  return new;
+end;
+$$;
+
+select cron.schedule('purge-expired-trash', '30 3 * * *', 'select public.purge_expired_trash()');
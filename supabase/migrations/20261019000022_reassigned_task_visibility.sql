@@ -0,0 +1,11 @@
+-- Realtime only delivers task updates the recipient can still see, so someone who only
+-- sees their own tasks never hears that one was reassigned to somebody else. They may
+-- read the audit entry that took it off their list, which the app listens for instead.
+drop policy if exists "People see the entry that reassigned their task away" on public.activity_log;
+create policy "People see the entry that reassigned their task away"
+  on public.activity_log for select
+  using (
+    entity_type = 'task'
+    and action = 'reassigned'
+    and changes #>> '{assigned_to,from}' = auth.uid()::text
+  );
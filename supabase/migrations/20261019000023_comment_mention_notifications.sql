@@ -0,0 +1,54 @@
+-- Mentions in comments: anyone who can see a task can be mentioned on it, even by people
+-- who can't list the team, and being newly mentioned sends a notification.
+
+-- Active members who can see the task: its assignee and roles that see every task
+create or replace function public.task_mention_candidates(target_task_id uuid)
+returns table (id uuid, name text)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select p.id, p.name
+    from tasks t
+    join workspace_members m on m.workspace_id = t.workspace_id and m.deactivated_at is null
+    join profiles p on p.id = m.user_id
+   where t.id = target_task_id
+     and public.can_access_task(target_task_id)
+     and (m.user_id = t.assigned_to or exists (
+       select 1 from role_permissions rp where rp.role = m.role and rp.permission = 'tasks.view_all'
+     ))
+   order by p.name;
+$$;
+
+grant execute on function public.task_mention_candidates(uuid) to authenticated;
+
+-- Only people who can see the task hear about it, and editing a comment only notifies
+-- the people it didn't mention before
+create or replace function public.notify_comment_mentions()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  author_name text;
+begin
+  select name into author_name from profiles where id = new.author_id;
+
+  insert into notifications (recipient_id, kind, task_id, title, body)
+  select c.id, 'mentioned', new.task_id, t.title,
+         coalesce(author_name, 'Someone') || ' mentioned you: ' || left(new.body, 200)
+    from public.task_mention_candidates(new.task_id) c
+    join tasks t on t.id = new.task_id
+   where c.id = any(new.mentions)
+     and c.id <> new.author_id
+     and (tg_op = 'INSERT' or not c.id = any(old.mentions));
+  return null;
+end;
+$$;
+
+drop trigger if exists task_comments_notify_mentions on public.task_comments;
+create trigger task_comments_notify_mentions
+  after insert or update of mentions on public.task_comments
+  for each row execute function public.notify_comment_mentions();
@@ -0,0 +1,76 @@
+-- Files of deleted tasks can't be traced to a workspace through their task any more, so
+-- task managers could delete any workspace's leftover files. Instead, deleting a task
+-- now queues its attachment files under the task's workspace, and managers may only
+-- delete leftover files queued for their own workspace.
+
+create table if not exists public.attachment_file_cleanup (
+  storage_path text primary key,
+  workspace_id uuid not null references public.workspaces (id) on delete cascade,
+  queued_at timestamptz not null default now()
+);
+
+create index if not exists attachment_file_cleanup_workspace_idx
+  on public.attachment_file_cleanup (workspace_id, queued_at);
+
+-- Runs before the delete cascades, while the attachment rows still exist
+create or replace function public.queue_task_attachment_files()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into attachment_file_cleanup (storage_path, workspace_id)
+  select a.storage_path, old.workspace_id
+    from task_attachments a
+   where a.task_id = old.id
+  on conflict (storage_path) do nothing;
+  return old;
+end;
+$$;
+
+drop trigger if exists tasks_queue_attachment_files on public.tasks;
+create trigger tasks_queue_attachment_files
+  before delete on public.tasks
+  for each row execute function public.queue_task_attachment_files();
+
+-- Whether a file belongs to the active workspace, through its task or the cleanup queue
+create or replace function public.attachment_in_current_workspace(object_name text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from tasks
+     where id = public.attachment_task_id(object_name)
+       and workspace_id = public.current_workspace_id()
+  ) or exists (
+    select 1 from attachment_file_cleanup
+     where storage_path = object_name
+       and workspace_id = public.current_workspace_id()
+  );
+$$;
+
+drop policy if exists "Uploaders and task managers delete attachment files" on storage.objects;
+create policy "Uploaders and task managers delete attachment files"
+  on storage.objects for delete
+  to authenticated
+  using (
+    bucket_id = 'task-attachments'
+    and ((public.has_permission('tasks.manage') and public.attachment_in_current_workspace(name))
+         or (owner_id = auth.uid()::text and public.can_work_on_task(public.attachment_task_id(name))))
+  );
+
+alter table public.attachment_file_cleanup enable row level security;
+
+create policy "Task managers see their workspace's queued files"
+  on public.attachment_file_cleanup for select
+  using (workspace_id = public.current_workspace_id() and public.has_permission('tasks.manage'));
+
+create policy "Task managers clear their workspace's queued files"
+  on public.attachment_file_cleanup for delete
+  using (workspace_id = public.current_workspace_id() and public.has_permission('tasks.manage'));
+
+revoke insert, update on public.attachment_file_cleanup from anon, authenticated;